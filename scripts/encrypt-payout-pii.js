@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Шифрование персональных данных выплат и ротация ключа (см. server/infra/piiCrypto.js):
+ * - users.payoutProfile и payoutProfileVersions.profile: СНИЛС, паспорт, ИНН, счета, карта;
+ * - withdrawalRequests.bankDetailsSnapshot, npdReceipts.inn.
+ * Открытые значения и значения, зашифрованные не активным ключом, перешифровываются первым ключом
+ * из PII_ENCRYPTION_KEYS. Старый ключ можно убрать из переменной после успешного прогона.
+ * Скрипт идемпотентен, повторный запуск ничего не меняет.
+ *
+ * Запуск (из корня репозитория):
+ *   node scripts/encrypt-payout-pii.js
+ *
+ * Или на сервере с указанием URI:
+ *   MONGODB_URI="mongodb://..." PII_ENCRYPTION_KEYS="k2:...,k1:..." node scripts/encrypt-payout-pii.js
+ */
+
+import { readFileSync } from 'node:fs'
+import { pathToFileURL } from 'node:url'
+import path from 'node:path'
+import mongoose from 'mongoose'
+import { activePiiKeyId, decryptPii, encryptPii, needsPiiReencryption } from '../server/infra/piiCrypto.js'
+import { PII_BANK_FIELDS, PII_PROFILE_FIELDS } from '../server/services/payoutPiiService.js'
+
+const __dirname = path.dirname(pathToFileURL(import.meta.url).pathname)
+const rootDir = path.resolve(__dirname, '..')
+
+function loadEnv(filePath) {
+  const env = readFileSync(filePath, 'utf-8')
+  for (const line of env.split(/\r?\n/)) {
+    let s = line.replace(/^\s*export\s+/i, '').trim()
+    if (!s) continue
+    if (s.startsWith('#')) continue
+    const idx = s.indexOf('=')
+    if (idx <= 0) continue
+    const key = s.slice(0, idx).trim()
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) continue
+    if (process.env[key]) continue
+    let val = s.slice(idx + 1).trim()
+    if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith("'") && val.endsWith("'"))) {
+      val = val.slice(1, -1)
+    }
+    process.env[key] = val
+  }
+}
+
+// Load .env from cwd or project root
+for (const dir of [process.cwd(), rootDir]) {
+  const envPath = path.join(dir, '.env')
+  try {
+    loadEnv(envPath)
+    break
+  } catch {
+    // try next
+  }
+}
+
+const uri = process.env.MONGODB_URI || process.env.DATABASE_URL
+if (!uri) {
+  console.error('MONGODB_URI not set. Tried .env in:', process.cwd(), 'and', rootDir)
+  console.error('Run: MONGODB_URI="mongodb://..." node scripts/encrypt-payout-pii.js')
+  process.exit(1)
+}
+
+// Returns the object with stale fields re-encrypted, or null when nothing changed.
+function reencrypt(obj, fields) {
+  if (!obj || typeof obj !== 'object') return null
+  let changed = false
+  const out = { ...obj }
+  for (const f of fields) {
+    if (!needsPiiReencryption(out[f])) continue
+    out[f] = encryptPii(decryptPii(out[f]))
+    changed = true
+  }
+  return changed ? out : null
+}
+
+function reencryptProfile(profile) {
+  if (!profile || typeof profile !== 'object') return null
+  const bankDetails = reencrypt(profile.bankDetails, PII_BANK_FIELDS)
+  const top = reencrypt(profile, PII_PROFILE_FIELDS)
+  if (!bankDetails && !top) return null
+  return { ...(top ?? profile), ...(bankDetails ? { bankDetails } : {}) }
+}
+
+async function main() {
+  if (!activePiiKeyId()) {
+    console.error('PII_ENCRYPTION_KEYS not set')
+    process.exit(1)
+  }
+  await mongoose.connect(uri, { serverSelectionTimeoutMS: 10000 })
+  const db = mongoose.connection.db
+  if (!db) {
+    console.error('No db')
+    process.exit(1)
+  }
+
+  const counts = { users: 0, payoutProfileVersions: 0, withdrawalRequests: 0, npdReceipts: 0 }
+
+  for await (const u of db.collection('users').find({ payoutProfile: { $type: 'object' } }, { projection: { payoutProfile: 1 } })) {
+    const next = reencryptProfile(u.payoutProfile)
+    if (!next) continue
+    await db.collection('users').updateOne({ _id: u._id }, { $set: { payoutProfile: next } })
+    counts.users++
+  }
+  for await (const v of db.collection('payoutProfileVersions').find({}, { projection: { profile: 1 } })) {
+    const next = reencryptProfile(v.profile)
+    if (!next) continue
+    await db.collection('payoutProfileVersions').updateOne({ _id: v._id }, { $set: { profile: next } })
+    counts.payoutProfileVersions++
+  }
+  for await (const w of db.collection('withdrawalRequests').find({ bankDetailsSnapshot: { $type: 'object' } }, { projection: { bankDetailsSnapshot: 1 } })) {
+    const next = reencrypt(w.bankDetailsSnapshot, PII_BANK_FIELDS)
+    if (!next) continue
+    await db.collection('withdrawalRequests').updateOne({ _id: w._id }, { $set: { bankDetailsSnapshot: next } })
+    counts.withdrawalRequests++
+  }
+  for await (const r of db.collection('npdReceipts').find({ inn: { $type: 'string' } }, { projection: { inn: 1 } })) {
+    const next = reencrypt(r, ['inn'])
+    if (!next) continue
+    await db.collection('npdReceipts').updateOne({ _id: r._id }, { $set: { inn: next.inn } })
+    counts.npdReceipts++
+  }
+
+  console.log(JSON.stringify({ ok: true, keyId: activePiiKeyId(), updated: counts }, null, 2))
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err)
+    process.exit(1)
+  })
+  .finally(() => mongoose.disconnect().catch(() => {}))
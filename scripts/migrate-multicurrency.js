@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * One-off migration to per-currency wallets:
+ * - tasks: budgetAmountRub удаляется; если budgetAmount не было, бюджет переносится из budgetAmountRub в RUB;
+ * - escrows / contracts без валюты помечаются RUB (до миграции всё эскроу замораживалось в рублях).
+ * Скрипт идемпотентен, повторный запуск ничего не меняет.
+ *
+ * Запуск (из корня репозитория):
+ *   node scripts/migrate-multicurrency.js
+ *
+ * Или на сервере с указанием URI:
+ *   MONGODB_URI="mongodb://..." node scripts/migrate-multicurrency.js
+ */
+
+import { readFileSync } from 'node:fs'
+import { pathToFileURL } from 'node:url'
+import path from 'node:path'
+import mongoose from 'mongoose'
+
+const __dirname = path.dirname(pathToFileURL(import.meta.url).pathname)
+const rootDir = path.resolve(__dirname, '..')
+
+function loadEnv(filePath) {
+  const env = readFileSync(filePath, 'utf-8')
+  for (const line of env.split(/\r?\n/)) {
+    let s = line.replace(/^\s*export\s+/i, '').trim()
+    if (!s) continue
+    if (s.startsWith('#')) continue
+    const idx = s.indexOf('=')
+    if (idx <= 0) continue
+    const key = s.slice(0, idx).trim()
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) continue
+    if (process.env[key]) continue
+    let val = s.slice(idx + 1).trim()
+    if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith("'") && val.endsWith("'"))) {
+      val = val.slice(1, -1)
+    }
+    process.env[key] = val
+  }
+}
+
+// Load .env from cwd or project root
+for (const dir of [process.cwd(), rootDir]) {
+  const envPath = path.join(dir, '.env')
+  try {
+    loadEnv(envPath)
+    break
+  } catch {
+    // try next
+  }
+}
+
+const uri = process.env.MONGODB_URI || process.env.DATABASE_URL
+if (!uri) {
+  console.error('MONGODB_URI not set. Tried .env in:', process.cwd(), 'and', rootDir)
+  console.error('Run: MONGODB_URI="mongodb://..." node scripts/migrate-multicurrency.js')
+  process.exit(1)
+}
+
+async function main() {
+  await mongoose.connect(uri, { serverSelectionTimeoutMS: 10000 })
+  const db = mongoose.connection.db
+  if (!db) {
+    console.error('No db')
+    process.exit(1)
+  }
+
+  const tasks = db.collection('tasks')
+  const escrows = db.collection('escrows')
+  const contracts = db.collection('contracts')
+
+  let r
+  r = await tasks.updateMany(
+    { budgetAmountRub: { $type: 'number' }, budgetAmount: { $not: { $type: 'number' } } },
+    [{ $set: { budgetAmount: '$budgetAmountRub', budgetCurrency: 'RUB' } }],
+  )
+  const tasksBudgetFromRub = r.modifiedCount ?? 0
+  r = await tasks.updateMany(
+    { budgetAmount: { $type: 'number' }, budgetCurrency: { $nin: ['RUB', 'USD', 'EUR', 'KZT'] } },
+    { $set: { budgetCurrency: 'RUB' } },
+  )
+  const tasksCurrencyDefaulted = r.modifiedCount ?? 0
+  r = await tasks.updateMany({ budgetAmountRub: { $exists: true } }, { $unset: { budgetAmountRub: '' } })
+  const tasksRubUnset = r.modifiedCount ?? 0
+  r = await escrows.updateMany({ currency: { $exists: false } }, { $set: { currency: 'RUB' } })
+  const escrowsCurrencySet = r.modifiedCount ?? 0
+  r = await contracts.updateMany(
+    { escrowAmount: { $type: 'number' }, escrowCurrency: { $exists: false } },
+    { $set: { escrowCurrency: 'RUB' } },
+  )
+  const contractsCurrencySet = r.modifiedCount ?? 0
+
+  console.log(JSON.stringify({
+    ok: true,
+    tasksBudgetFromRub,
+    tasksCurrencyDefaulted,
+    tasksRubUnset,
+    escrowsCurrencySet,
+    contractsCurrencySet,
+  }, null, 2))
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err)
+    process.exit(1)
+  })
+  .finally(() => mongoose.disconnect().catch(() => {}))
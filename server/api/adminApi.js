@@ -4,6 +4,53 @@ import path from 'node:path'
 import { promises as fs } from 'node:fs'
 import mongoose from 'mongoose'
 import { connectMongo } from '../infra/db.js'
+import { requireAdmin } from '../auth/auth.js'
+import {
+  createFeeSchedule,
+  deleteFutureFeeSchedule,
+  listFeeSchedules,
+  normalizeCustomerTier,
+  normalizeFeeSchedule,
+  toFeeScheduleDto,
+} from '../services/feeService.js'
+import { ANOMALY_TYPES, listAnomalies, repairAnomaly, toAnomalyDto } from '../services/reconciliationService.js'
+import { runReconciliationJobs } from '../jobs/reconciliationJobs.js'
+import { runFxRateJobs } from '../jobs/fxRateJobs.js'
+import {
+  getFxRateStatus,
+  getRate,
+  listFxRateAlerts,
+  listRates,
+  normalizePair,
+  refreshFxRates,
+  saveRate,
+  toFxRateAlertDto,
+  toFxRateDto,
+} from '../services/fxRateService.js'
+import { PLATFORM_FEES_ACCOUNT, getAccountBalance } from '../services/ledgerService.js'
+import {
+  EXPORT_FORMATS,
+  buildWithdrawalBatchExport,
+  cancelWithdrawalBatch,
+  createWithdrawalBatch,
+  findWithdrawalBatch,
+  importWithdrawalStatement,
+  listBatchWithdrawals,
+  listWithdrawalBatches,
+  markWithdrawalBatchSent,
+  toWithdrawalBatchDto,
+} from '../services/withdrawalBatchService.js'
+import { WITHDRAWAL_STATUSES, applyWithdrawalStatus, decideWithdrawalReview, toAdminWithdrawalDto } from '../services/withdrawalService.js'
+import { buildNpdReceiptReport, toNpdReceiptDto } from '../services/npdReceiptService.js'
+import {
+  decidePayoutProfile,
+  listPayoutProfileHistory,
+  listPayoutProfileQueue,
+  toPayoutProfileVersionDto,
+} from '../services/payoutProfileService.js'
+import { REVEALABLE_PII_FIELDS, listPiiAccessLog, maskPayoutProfile, revealPayoutPii, toPiiAccessDto } from '../services/payoutPiiService.js'
+import { toCsv } from '../infra/csv.js'
+import { decodeBankText } from '../infra/clientBankExchange.js'
 
 function b64(bytes) {
   return Buffer.from(bytes).toString('base64')
@@ -124,6 +171,40 @@ export function createAdminApi({ dataDir, balanceRepo = null }) {
     return res.json({ ok: true, userId, role: fresh?.role ?? 'arbiter' })
   })
 
+  // Выдать/снять флаг администратора (нужен для /api/balance/adjust). Body { userId, isAdmin?: boolean }
+  router.post('/api/admin/grant-admin', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+
+    const userId = typeof req.body?.userId === 'string' ? req.body.userId.trim() : ''
+    if (!userId) return res.status(400).json({ error: 'missing_userId' })
+    const isAdmin = req.body?.isAdmin !== false
+
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const users = db.collection('users')
+
+    const query = (() => {
+      const m = userId.match(/^tg_(\d+)$/)
+      if (m) return { telegramUserId: m[1] }
+      try {
+        return { _id: new mongoose.Types.ObjectId(userId) }
+      } catch {
+        return null
+      }
+    })()
+    if (!query) return res.status(400).json({ error: 'bad_userId' })
+
+    const result = await users.updateOne(query, { $set: { isAdmin, updatedAt: new Date() } })
+    if (!result.matchedCount) return res.status(404).json({ error: 'user_not_found' })
+    return res.json({ ok: true, userId, isAdmin })
+  })
+
   // 🔴 Удаляет ВСЕ задания и связанные данные (приложения, контракты, споры, сообщения споров, назначения, сдачи, эскроу).
   router.delete('/api/admin/clear-all-tasks', async (req, res) => {
     const adminToken = process.env.ADMIN_TOKEN || ''
@@ -189,14 +270,15 @@ export function createAdminApi({ dataDir, balanceRepo = null }) {
     }
   })
 
-  // PATCH /api/admin/withdrawals/:id — body { status: 'processing' | 'paid' | 'rejected' }. При rejected — возврат на баланс.
+  // PATCH /api/admin/withdrawals/:id — body { status: 'processing' | 'paid' | 'rejected' | 'returned', reason? }. При rejected — возврат на баланс;
+  // returned — банк вернул уже выплаченные деньги (только из paid), сумма снова зачисляется пользователю.
   router.patch('/api/admin/withdrawals/:id', async (req, res) => {
     const adminToken = process.env.ADMIN_TOKEN || ''
     const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
     if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
     const status = typeof req.body?.status === 'string' ? req.body.status.trim() : ''
-    if (!['processing', 'paid', 'rejected'].includes(status)) {
-      return res.status(400).json({ error: 'invalid_status', allowed: ['processing', 'paid', 'rejected'] })
+    if (!['processing', 'paid', 'rejected', 'returned'].includes(status)) {
+      return res.status(400).json({ error: 'invalid_status', allowed: ['processing', 'paid', 'rejected', 'returned'] })
     }
     const id = typeof req.params?.id === 'string' ? req.params.id.trim() : ''
     if (!id) return res.status(400).json({ error: 'missing_id' })
@@ -212,17 +294,16 @@ export function createAdminApi({ dataDir, balanceRepo = null }) {
     }
     const db = mongoose.connection.db
     if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
-    const withdrawals = db.collection('withdrawalRequests')
-    const doc = await withdrawals.findOne({ _id: oid }, { readPreference: 'primary' })
-    if (!doc) return res.status(404).json({ error: 'not_found' })
-    if (doc.status === 'paid' && status !== 'paid') return res.status(409).json({ error: 'already_paid' })
-    if (doc.status === 'rejected') return res.status(409).json({ error: 'already_rejected' })
-    const now = new Date()
-    if (status === 'rejected' && balanceRepo && doc.userId && doc.amount != null) {
-      await balanceRepo.adjust(doc.userId, Number(doc.amount))
-    }
-    await withdrawals.updateOne({ _id: oid }, { $set: { status, updatedAt: now } })
-    const updated = await withdrawals.findOne({ _id: oid }, { readPreference: 'primary' })
+    const reason = typeof req.body?.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim().slice(0, 500) : null
+    const r = await applyWithdrawalStatus({
+      db,
+      balanceRepo,
+      id: oid,
+      status,
+      extra: reason && status === 'rejected' ? { rejectReason: reason } : reason && status === 'returned' ? { returnReason: reason } : {},
+    })
+    if (!r.ok) return res.status(r.error === 'not_found' ? 404 : r.error === 'ledger_failed' ? 500 : 409).json({ error: r.error })
+    const updated = r.doc
     return res.json({
       id: String(updated._id),
       userId: updated.userId,
@@ -232,11 +313,13 @@ export function createAdminApi({ dataDir, balanceRepo = null }) {
     })
   })
 
-  // GET /api/admin/withdrawals — список заявок на вывод (для админки).
+  // GET /api/admin/withdrawals?status= — список заявок на вывод (для админки); status=review — ждут ручной проверки.
   router.get('/api/admin/withdrawals', async (req, res) => {
     const adminToken = process.env.ADMIN_TOKEN || ''
     const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
     if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const status = typeof req.query?.status === 'string' && req.query.status.trim() ? req.query.status.trim() : null
+    if (status && !WITHDRAWAL_STATUSES.includes(status)) return res.status(400).json({ error: 'invalid_status', allowed: WITHDRAWAL_STATUSES })
     const conn = await connectMongo()
     if (!conn?.enabled || mongoose.connection.readyState !== 1) {
       return res.status(500).json({ error: 'mongo_not_available' })
@@ -245,32 +328,271 @@ export function createAdminApi({ dataDir, balanceRepo = null }) {
     if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
     const list = await db
       .collection('withdrawalRequests')
-      .find({})
+      .find(status ? { status } : {})
       .sort({ createdAt: -1 })
       .limit(500)
       .toArray()
-    const items = list.map((d) => ({
-      id: String(d._id),
-      userId: d.userId,
-      amount: d.amount,
-      legalStatus: d.legalStatus,
-      bankDetailsSnapshot: d.bankDetailsSnapshot,
-      status: d.status,
-      createdAt: d.createdAt ? new Date(d.createdAt).toISOString() : null,
-      updatedAt: d.updatedAt ? new Date(d.updatedAt).toISOString() : null,
-    }))
+    const items = list.map(toAdminWithdrawalDto)
     return res.json(items)
   })
 
-  // PATCH /api/admin/users/:userId/payout-profile-status — body { status: 'verified' | 'rejected' }. Верификация профиля выплат.
-  router.patch('/api/admin/users/:userId/payout-profile-status', async (req, res) => {
+  // POST /api/admin/withdrawals/:id/review — body { decision: 'approve' | 'reject', reason? }. Решение по заявке,
+  // отложенной правилами вывода (первый вывод): approve — в очередь выплат, reject — деньги возвращаются на баланс.
+  // Под учёткой администратора (requireAdmin): в review.decidedBy пишется его id.
+  router.post('/api/admin/withdrawals/:id/review', requireAdmin, async (req, res) => {
+    const decision = typeof req.body?.decision === 'string' ? req.body.decision.trim() : ''
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ error: 'invalid_decision', allowed: ['approve', 'reject'] })
+    }
+    const reason = typeof req.body?.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim().slice(0, 500) : null
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const r = await decideWithdrawalReview({ db, balanceRepo, id: req.params?.id, decision, reason, adminId: String(req.user.id) })
+    if (!r.ok) {
+      const code = r.error === 'not_found' ? 404 : r.error === 'reason_required' ? 400 : r.error === 'ledger_failed' ? 500 : 409
+      return res.status(code).json({ error: r.error, status: r.status ?? null })
+    }
+    return res.json(toAdminWithdrawalDto(r.doc))
+  })
+
+  // GET /api/admin/withdrawal-batches?status=draft|sent|reconciled — пакеты выплат (реестры для банка).
+  router.get('/api/admin/withdrawal-batches', async (req, res) => {
     const adminToken = process.env.ADMIN_TOKEN || ''
     const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
     if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
-    const status = typeof req.body?.status === 'string' ? req.body.status.trim() : ''
-    if (!['verified', 'rejected'].includes(status)) {
-      return res.status(400).json({ error: 'invalid_status', allowed: ['verified', 'rejected'] })
+    const status = typeof req.query?.status === 'string' && req.query.status.trim() ? req.query.status.trim() : null
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
     }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const list = await listWithdrawalBatches(db, { status })
+    return res.json({ items: list.map(toWithdrawalBatchDto) })
+  })
+
+  // POST /api/admin/withdrawal-batches — body { withdrawalIds? }. Собрать пакет из заявок в статусе processing
+  // (по умолчанию — все, ещё не попавшие в пакет).
+  // Создание, отправка и загрузка выписки — под учёткой администратора (requireAdmin): createdBy/sentBy/importedBy — его id.
+  router.post('/api/admin/withdrawal-batches', requireAdmin, async (req, res) => {
+    const withdrawalIds = req.body?.withdrawalIds
+    if (withdrawalIds != null && (!Array.isArray(withdrawalIds) || !withdrawalIds.length || withdrawalIds.length > 1000)) {
+      return res.status(400).json({ error: 'invalid_withdrawalIds' })
+    }
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const r = await createWithdrawalBatch(db, { withdrawalIds: withdrawalIds ?? null, createdBy: String(req.user.id) })
+    if (!r.ok) return res.status(409).json({ error: r.error })
+    return res.status(201).json(toWithdrawalBatchDto(r.batch))
+  })
+
+  // GET /api/admin/withdrawal-batches/:id — пакет с заявками.
+  router.get('/api/admin/withdrawal-batches/:id', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const batch = await findWithdrawalBatch(db, req.params?.id)
+    if (!batch) return res.status(404).json({ error: 'not_found' })
+    const items = await listBatchWithdrawals(db, batch)
+    return res.json({ ...toWithdrawalBatchDto(batch), items: items.map(toAdminWithdrawalDto) })
+  })
+
+  // GET /api/admin/withdrawal-batches/:id/export?format=1c|csv — файл реестра (1C ClientBankExchange в Windows-1251 или CSV).
+  router.get('/api/admin/withdrawal-batches/:id/export', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const format = typeof req.query?.format === 'string' && req.query.format.trim() ? req.query.format.trim() : '1c'
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: 'invalid_format', allowed: EXPORT_FORMATS })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const batch = await findWithdrawalBatch(db, req.params?.id)
+    if (!batch) return res.status(404).json({ error: 'not_found' })
+    const file = buildWithdrawalBatchExport(batch, await listBatchWithdrawals(db, batch), format)
+    if (!file.ok) return res.status(503).json({ error: file.error })
+    res.setHeader('Content-Type', file.contentType)
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`)
+    return res.send(file.body)
+  })
+
+  // POST /api/admin/withdrawal-batches/:id/sent — реестр загружен в банк-клиент.
+  router.post('/api/admin/withdrawal-batches/:id/sent', requireAdmin, async (req, res) => {
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const r = await markWithdrawalBatchSent(db, { id: req.params?.id, sentBy: String(req.user.id) })
+    if (!r.ok) return res.status(r.error === 'not_found' ? 404 : 409).json({ error: r.error })
+    return res.json(toWithdrawalBatchDto(r.batch))
+  })
+
+  // DELETE /api/admin/withdrawal-batches/:id — расформировать черновик пакета (заявки возвращаются в очередь).
+  router.delete('/api/admin/withdrawal-batches/:id', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const r = await cancelWithdrawalBatch(db, req.params?.id)
+    if (!r.ok) return res.status(r.error === 'not_found' ? 404 : 409).json({ error: r.error })
+    return res.json({ ok: true })
+  })
+
+  // POST /api/admin/withdrawal-batches/:id/statement — тело запроса: файл выписки (1C ClientBankExchange
+  // или CSV-ответ по реестру, UTF-8/Windows-1251). Совпавшие заявки → paid / rejected (с возвратом на баланс).
+  router.post(
+    '/api/admin/withdrawal-batches/:id/statement',
+    requireAdmin,
+    express.raw({ type: () => true, limit: '10mb' }),
+    async (req, res) => {
+      if (!Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ error: 'missing_file' })
+      if (!balanceRepo) return res.status(500).json({ error: 'balance_repo_missing' })
+      const conn = await connectMongo()
+      if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+        return res.status(500).json({ error: 'mongo_not_available' })
+      }
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+      const r = await importWithdrawalStatement({
+        db,
+        balanceRepo,
+        id: req.params?.id,
+        text: decodeBankText(req.body),
+        importedBy: String(req.user.id),
+      })
+      if (!r.ok) return res.status(r.error === 'not_found' ? 404 : 409).json({ error: r.error })
+      return res.json({ batch: toWithdrawalBatchDto(r.batch), report: r.report })
+    },
+  )
+
+  // GET /api/admin/npd-receipts?from=&to=&status=missing|overdue|submitted|all&format=json|csv
+  // Чеки НПД самозанятых по выплатам за период (по дате выплаты) + сводка по исполнителям.
+  router.get('/api/admin/npd-receipts', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const status = typeof req.query?.status === 'string' && req.query.status.trim() ? req.query.status.trim() : 'missing'
+    if (!['missing', 'overdue', 'submitted', 'all'].includes(status)) return res.status(400).json({ error: 'invalid_status' })
+    const from = typeof req.query?.from === 'string' && req.query.from ? new Date(req.query.from) : null
+    const to = typeof req.query?.to === 'string' && req.query.to ? new Date(req.query.to) : null
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return res.status(400).json({ error: 'invalid_period' })
+    }
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const report = await buildNpdReceiptReport(db, { from, to, status })
+    const items = report.items.map((x) => toNpdReceiptDto(x))
+    if (req.query?.format === 'csv') {
+      const columns = [
+        { key: 'paidAt', title: 'Дата выплаты' },
+        { key: 'withdrawalId', title: 'ID заявки' },
+        { key: 'userId', title: 'Исполнитель' },
+        { key: 'fullName', title: 'ФИО' },
+        { key: 'inn', title: 'ИНН' },
+        { key: 'amount', title: 'Сумма' },
+        { key: 'dueAt', title: 'Срок чека' },
+        { key: 'status', title: 'Статус' },
+        { key: 'overdue', title: 'Просрочен' },
+        { key: 'receiptUrl', title: 'Чек' },
+      ]
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+      res.setHeader('Content-Disposition', `attachment; filename="npd-receipts-${status}.csv"`)
+      return res.send(toCsv(columns, items.map((x) => ({ ...x, overdue: x.overdue ? 'да' : '' }))))
+    }
+    return res.json({ items, byUser: report.byUser })
+  })
+
+  // GET /api/admin/payout-profiles?status=pending_verification|documents_required|verified|rejected — очередь проверки
+  // профилей выплат (старые заявки сверху).
+  router.get('/api/admin/payout-profiles', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const status = typeof req.query?.status === 'string' && req.query.status.trim() ? req.query.status.trim() : 'pending_verification'
+    if (!['pending_verification', 'documents_required', 'verified', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'invalid_status' })
+    }
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const list = await listPayoutProfileQueue(db, { status })
+    return res.json({
+      items: list.map((u) => ({
+        userId: String(u._id),
+        email: u.email ?? null,
+        role: u.role ?? null,
+        telegramUserId: u.telegramUserId ?? null,
+        payoutProfile: maskPayoutProfile(u.payoutProfile),
+      })),
+    })
+  })
+
+  // GET /api/admin/payout-profiles/:userId/history — все версии профиля и решения по ним.
+  router.get('/api/admin/payout-profiles/:userId/history', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const list = await listPayoutProfileHistory(db, String(req.params?.userId ?? ''))
+    return res.json({ items: list.map(toPayoutProfileVersionDto) })
+  })
+
+  // POST /api/admin/payout-profiles/:userId/decision — body { decision: 'approve' | 'reject', reason?, version? }.
+  // reason обязателен при reject; version — защита от решения по устаревшей версии профиля.
+  // Под учёткой администратора (requireAdmin): reviewedBy — его id.
+  const decidePayoutProfileHandler = async (req, res) => {
+    // Legacy PATCH body { status: 'verified' | 'rejected' } maps onto the decision.
+    const legacyStatus = typeof req.body?.status === 'string' ? req.body.status.trim() : ''
+    const decision =
+      typeof req.body?.decision === 'string'
+        ? req.body.decision.trim()
+        : legacyStatus === 'verified'
+          ? 'approve'
+          : legacyStatus === 'rejected'
+            ? 'reject'
+            : ''
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ error: 'invalid_decision', allowed: ['approve', 'reject'] })
+    }
+    const reason = typeof req.body?.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim().slice(0, 1000) : null
+    const version = req.body?.version == null ? null : Number(req.body.version)
+    if (version != null && !Number.isInteger(version)) return res.status(400).json({ error: 'invalid_version' })
     const userId = typeof req.params?.userId === 'string' ? req.params.userId.trim() : ''
     if (!userId) return res.status(400).json({ error: 'missing_userId' })
     let oid
@@ -285,19 +607,295 @@ export function createAdminApi({ dataDir, balanceRepo = null }) {
     }
     const db = mongoose.connection.db
     if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
-    const users = db.collection('users')
-    const user = await users.findOne({ _id: oid }, { projection: { payoutProfile: 1 }, readPreference: 'primary' })
-    if (!user) return res.status(404).json({ error: 'user_not_found' })
-    if (!user.payoutProfile) return res.status(400).json({ error: 'no_payout_profile' })
-    const now = new Date()
-    const payoutProfile = {
-      ...user.payoutProfile,
-      status,
-      updatedAt: now.toISOString(),
+    const r = await decidePayoutProfile(db, { userOid: oid, decision, reason, version, adminId: String(req.user.id) })
+    if (!r.ok) {
+      const code = r.error === 'user_not_found' ? 404 : ['reason_required', 'no_payout_profile'].includes(r.error) ? 400 : 409
+      return res.status(code).json({ error: r.error, status: r.status ?? null, version: r.version ?? null })
+    }
+    return res.json({ userId, payoutProfile: maskPayoutProfile(r.profile) })
+  }
+  router.post('/api/admin/payout-profiles/:userId/decision', requireAdmin, decidePayoutProfileHandler)
+
+  // PATCH /api/admin/users/:userId/payout-profile-status — body { status: 'verified' | 'rejected', reason? }.
+  // Прежний адрес того же решения (см. /api/admin/payout-profiles/:userId/decision).
+  router.patch('/api/admin/users/:userId/payout-profile-status', requireAdmin, decidePayoutProfileHandler)
+
+  // POST /api/admin/payout-profiles/:userId/reveal и /api/admin/withdrawals/:id/reveal — body { field, reason }.
+  // Расшифровать одно поле (паспорт, СНИЛС, ИНН, счёт, карта); каждое обращение пишется в piiAccessLog и audit-лог.
+  // Только под учёткой администратора (requireAdmin), чтобы в журнале был конкретный человек, а не общий токен.
+  const revealPiiHandler = (source, param) => async (req, res, next) => {
+    const field = typeof req.body?.field === 'string' ? req.body.field.trim() : ''
+    if (!REVEALABLE_PII_FIELDS.includes(field)) {
+      return res.status(400).json({ error: 'invalid_field', allowed: REVEALABLE_PII_FIELDS })
+    }
+    const reason = typeof req.body?.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim().slice(0, 500) : null
+    if (!reason) return res.status(400).json({ error: 'reason_required' })
+    let oid
+    try {
+      oid = new mongoose.Types.ObjectId(String(req.params?.[param] ?? ''))
+    } catch {
+      return res.status(400).json({ error: 'bad_id' })
+    }
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const actor = String(req.user.id)
+    let r
+    try {
+      r = await revealPayoutPii(db, {
+        source,
+        oid,
+        field,
+        actor,
+        reason,
+        requestId: req.requestId ?? null,
+        ip: req.ip ?? null,
+      })
+    } catch (e) {
+      return next(e)
+    }
+    req.app?.locals?.audit?.(req, 'admin.pii_reveal', {
+      actor,
+      target: `${source}:${String(oid)}`,
+      meta: { field, reason, subjectUserId: r.subjectUserId ?? null },
+      result: r.ok ? 'ok' : 'error',
+    })
+    if (!r.ok) {
+      const code = r.error === 'not_found' ? 404 : r.error === 'pii_decrypt_failed' ? 500 : 400
+      return res.status(code).json({ error: r.error })
+    }
+    return res.json({ field, value: r.value })
+  }
+  router.post('/api/admin/payout-profiles/:userId/reveal', requireAdmin, revealPiiHandler('payout_profile', 'userId'))
+  router.post('/api/admin/withdrawals/:id/reveal', requireAdmin, revealPiiHandler('withdrawal', 'id'))
+
+  // GET /api/admin/pii-access-log?userId= — кто и зачем раскрывал персональные данные.
+  router.get('/api/admin/pii-access-log', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const userId = typeof req.query?.userId === 'string' && req.query.userId.trim() ? req.query.userId.trim() : null
+    const list = await listPiiAccessLog(db, { subjectUserId: userId })
+    return res.json({ items: list.map(toPiiAccessDto) })
+  })
+
+  // GET /api/admin/fee-schedules — графики комиссии платформы (новые сверху) + выручка на счёте platform:fees.
+  router.get('/api/admin/fee-schedules', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
     }
-    await users.updateOne({ _id: oid }, { $set: { payoutProfile, updatedAt: now } })
-    const updated = await users.findOne({ _id: oid }, { projection: { payoutProfile: 1 }, readPreference: 'primary' })
-    return res.json({ userId, payoutProfile: updated.payoutProfile })
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const list = await listFeeSchedules(db)
+    const now = Date.now()
+    const current = list.find((x) => new Date(x.effectiveFrom).getTime() <= now) ?? null
+    return res.json({
+      items: list.map(toFeeScheduleDto),
+      currentId: current ? String(current._id) : null,
+      revenueRub: await getAccountBalance(db, PLATFORM_FEES_ACCOUNT),
+    })
+  })
+
+  // POST /api/admin/fee-schedules — body { effectiveFrom, defaultPercent, minFeeRub?, rules?: [{ executorMode?, customerTier?, percent, minFeeRub? }], note? }.
+  // Действует для эскроу, профинансированных начиная с effectiveFrom; прошлые даты запрещены.
+  router.post('/api/admin/fee-schedules', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const parsed = normalizeFeeSchedule(req.body)
+    if (!parsed.ok) return res.status(400).json({ error: parsed.error })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const doc = await createFeeSchedule(db, parsed.value)
+    return res.status(201).json(toFeeScheduleDto(doc))
+  })
+
+  // DELETE /api/admin/fee-schedules/:id — только ещё не вступившие в силу.
+  router.delete('/api/admin/fee-schedules/:id', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const r = await deleteFutureFeeSchedule(db, req.params?.id)
+    if (!r.ok) {
+      const code = r.error === 'not_found' ? 404 : r.error === 'bad_id' ? 400 : 409
+      return res.status(code).json({ error: r.error })
+    }
+    return res.json({ ok: true })
+  })
+
+  // PATCH /api/admin/users/:userId/customer-tier — body { tier }. Тариф заказчика для правил комиссии.
+  router.patch('/api/admin/users/:userId/customer-tier', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const tier = normalizeCustomerTier(req.body?.tier)
+    if (!tier) return res.status(400).json({ error: 'invalid_tier' })
+    let oid
+    try {
+      oid = new mongoose.Types.ObjectId(String(req.params?.userId ?? ''))
+    } catch {
+      return res.status(400).json({ error: 'bad_userId' })
+    }
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const r = await db.collection('users').updateOne({ _id: oid }, { $set: { customerTier: tier, updatedAt: new Date() } })
+    if (!r.matchedCount) return res.status(404).json({ error: 'user_not_found' })
+    return res.json({ userId: String(oid), customerTier: tier })
+  })
+
+  // GET /api/admin/reconciliation?status=open|resolved|dismissed|all&type= — аномалии сверки эскроу/контрактов/споров/балансов.
+  router.get('/api/admin/reconciliation', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const status = typeof req.query?.status === 'string' && req.query.status.trim() ? req.query.status.trim() : 'open'
+    if (!['open', 'resolved', 'dismissed', 'all'].includes(status)) return res.status(400).json({ error: 'invalid_status' })
+    const type = typeof req.query?.type === 'string' && req.query.type.trim() ? req.query.type.trim() : null
+    if (type && !ANOMALY_TYPES.includes(type)) return res.status(400).json({ error: 'invalid_type', allowed: ANOMALY_TYPES })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const list = await listAnomalies(db, { status: status === 'all' ? null : status, type })
+    const summary = {}
+    for (const a of list) summary[a.type] = (summary[a.type] ?? 0) + 1
+    return res.json({ items: list.map(toAnomalyDto), summary })
+  })
+
+  // POST /api/admin/reconciliation/run — запустить сверку сейчас (не дожидаясь фонового интервала).
+  router.post('/api/admin/reconciliation/run', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const r = await runReconciliationJobs({ db, force: true })
+    return res.json(r)
+  })
+
+  // POST /api/admin/reconciliation/:id/repair — body { action? } (action из anomaly.repair или 'dismiss').
+  // Перевод денег идёт через escrowService (идемпотентно), пересчёт баланса — через ledger.
+  // Под учёткой администратора (requireAdmin): в resolvedBy пишется его id.
+  router.post('/api/admin/reconciliation/:id/repair', requireAdmin, async (req, res) => {
+    if (!balanceRepo) return res.status(500).json({ error: 'balance_repo_missing' })
+    const action = typeof req.body?.action === 'string' && req.body.action.trim() ? req.body.action.trim() : null
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const r = await repairAnomaly({ db, balanceRepo, id: req.params?.id, action, adminId: String(req.user.id) })
+    if (!r.ok) {
+      const code = r.error === 'not_found' ? 404 : r.error === 'bad_id' ? 400 : r.error === 'repair_failed' ? 500 : 409
+      return res.status(code).json({ error: r.error, detail: r.detail ?? null })
+    }
+    return res.json(toAnomalyDto(r.anomaly))
+  })
+
+  // GET /api/admin/fx-rates — текущие курсы к RUB (stale-флаг) и открытые алерты.
+  // ?pair=USD/RUB&at=ISO — курс на момент at; ?pair=&history=1 — сохранённые курсы по дням (все источники).
+  router.get('/api/admin/fx-rates', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const pairRaw = typeof req.query?.pair === 'string' && req.query.pair.trim() ? req.query.pair.trim() : null
+    const pair = pairRaw ? normalizePair(pairRaw) : null
+    if (pairRaw && !pair) return res.status(400).json({ error: 'invalid_pair' })
+    const at = typeof req.query?.at === 'string' && req.query.at.trim() ? new Date(req.query.at) : new Date()
+    if (Number.isNaN(at.getTime())) return res.status(400).json({ error: 'invalid_at' })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    if (pair && req.query?.history === '1') {
+      const list = await listRates(db, { pair, to: at, limit: 200 })
+      return res.json({ items: list.map(toFxRateDto) })
+    }
+    if (pair) {
+      const rate = await getRate(db, pair, at)
+      if (!rate) return res.status(404).json({ error: 'fx_rate_unavailable' })
+      return res.json(rate)
+    }
+    const [rates, alerts] = await Promise.all([getFxRateStatus(db, at.getTime()), listFxRateAlerts(db)])
+    return res.json({ rates, alerts: alerts.map(toFxRateAlertDto) })
+  })
+
+  // POST /api/admin/fx-rates — ручной курс. Body { pair, rate, asOf?, comment? } (asOf — день, по умолчанию сегодня).
+  // В пределах дня ручной курс важнее ЦБ/файла/env.
+  // Под учёткой администратора (requireAdmin): setBy — его id.
+  router.post('/api/admin/fx-rates', requireAdmin, async (req, res) => {
+    const pair = normalizePair(req.body?.pair)
+    if (!pair) return res.status(400).json({ error: 'invalid_pair' })
+    const rate = typeof req.body?.rate === 'number' ? req.body.rate : Number(req.body?.rate)
+    if (!Number.isFinite(rate) || rate <= 0) return res.status(400).json({ error: 'invalid_rate' })
+    const asOf = req.body?.asOf ? new Date(req.body.asOf) : new Date()
+    if (Number.isNaN(asOf.getTime()) || asOf.getTime() > Date.now() + 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: 'invalid_asOf' })
+    }
+    const comment = typeof req.body?.comment === 'string' && req.body.comment.trim() ? req.body.comment.trim().slice(0, 500) : null
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    const doc = await saveRate(db, { pair, rate, asOf, source: 'manual', setBy: String(req.user.id), comment })
+    // Re-check alerts right away so a manual rate unblocks exchanges without waiting for the job.
+    await runFxRateJobs({ db, force: true }).catch(() => {})
+    return res.status(201).json(toFxRateDto(doc))
+  })
+
+  // POST /api/admin/fx-rates/refresh — body { date? }: опросить источники сейчас или догрузить курсы за прошлый день.
+  router.post('/api/admin/fx-rates/refresh', async (req, res) => {
+    const adminToken = process.env.ADMIN_TOKEN || ''
+    const provided = typeof req.headers['x-admin-token'] === 'string' ? req.headers['x-admin-token'].trim() : ''
+    if (!adminToken || provided !== adminToken) return res.status(401).json({ error: 'unauthorized' })
+    const date = req.body?.date ? new Date(req.body.date) : null
+    if (date && Number.isNaN(date.getTime())) return res.status(400).json({ error: 'invalid_date' })
+    const conn = await connectMongo()
+    if (!conn?.enabled || mongoose.connection.readyState !== 1) {
+      return res.status(500).json({ error: 'mongo_not_available' })
+    }
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_db_missing' })
+    if (date) return res.json({ ok: true, sources: await refreshFxRates(db, { date }) })
+    return res.json(await runFxRateJobs({ db, force: true }))
   })
 
   // 🔴 Удаляет ВСЕ Telegram аккаунты
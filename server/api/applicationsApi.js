@@ -4,9 +4,7 @@ import { tryResolveAuthUser } from '../auth/authSession.js'
 import { freezeEscrow } from '../services/escrowService.js'
 import { canExecutorRespond } from '../services/executorSanctionsService.js'
 import { createNotification } from '../services/notificationService.js'
-import { inferLocale } from '../infra/locale.js'
-import { currencyFromLocale, fromRub, normalizeCurrency, round2, toRub } from '../infra/money.js'
-import { getUsdRubRate } from '../infra/usdRubRate.js'
+import { normalizeCurrency, round2 } from '../infra/money.js'
 
 const START_WINDOW_MS = 12 * 60 * 60 * 1000
 
@@ -204,6 +202,9 @@ export function createApplicationsApi() {
       return res.status(409).json({ error: 'task_not_open', status })
     }
     if (task.executorMode === 'ai') return res.status(409).json({ error: 'task_not_available' })
+    if (typeof task.expiresAt === 'string' && task.expiresAt && Date.parse(task.expiresAt) <= Date.now()) {
+      return res.status(409).json({ error: 'task_expired', expiresAt: task.expiresAt })
+    }
 
     const assigned = Array.isArray(task.assignedExecutorIds) ? task.assignedExecutorIds : []
     if (assigned.includes(userPublicId) || assigned.includes(userMongoId)) {
@@ -312,6 +313,7 @@ export function createApplicationsApi() {
       typeof task.maxExecutors === 'number' && Number.isFinite(task.maxExecutors) && task.maxExecutors > 0
         ? Math.max(1, Math.floor(task.maxExecutors))
         : 1
+    if (!assigned.includes(executorId) && task.status === 'expired') return res.status(409).json({ error: 'task_expired' })
     if (!assigned.includes(executorId) && assigned.length >= maxExecutors) return res.status(409).json({ error: 'no_slots' })
 
     const now = new Date()
@@ -322,13 +324,6 @@ export function createApplicationsApi() {
         ? task.budgetAmount
         : 0
     const budgetCurrency = normalizeCurrency(task.budgetCurrency) ?? 'RUB'
-    const locale = inferLocale(req)
-    const requestCurrency = currencyFromLocale(locale)
-    const usdRubRate = budgetCurrency === 'USD' || requestCurrency === 'USD'
-      ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir })
-      : null
-    const amountRubStored = typeof task.budgetAmountRub === 'number' && Number.isFinite(task.budgetAmountRub) ? task.budgetAmountRub : null
-    const amountRub = amountRubStored ?? (budgetCurrency === 'USD' ? toRub(amount, 'USD', usdRubRate) : round2(amount))
     const fr = await freezeEscrow({
       db,
       balanceRepo: req.app?.locals?.balanceRepo,
@@ -338,17 +333,18 @@ export function createApplicationsApi() {
       customerMongoId: userMongoId,
       executorId,
       executorMongoId: executorMongoId,
-      amount: amountRub,
+      amount: round2(amount),
+    currency: budgetCurrency,
     })
     if (!fr.ok) {
       if (fr.error === 'insufficient_balance') {
-        const required = requestCurrency === 'USD' ? fromRub(fr.required, 'USD', usdRubRate) : round2(fr.required)
-        const balance = requestCurrency === 'USD' ? fromRub(fr.balance, 'USD', usdRubRate) : round2(fr.balance)
+        const required = round2(fr.required)
+        const balance = round2(fr.balance)
         return res.status(409).json({
           error: 'insufficient_balance',
           required,
           balance,
-          currency: requestCurrency,
+          currency: budgetCurrency,
           balanceOwnerRole: 'customer',
           balanceUserId: userMongoId,
           taskId: String(task._id),
@@ -367,7 +363,8 @@ export function createApplicationsApi() {
           clientMongoId: userMongoId,
           executorId,
           executorMongoId: executorMongoId,
-          escrowAmount: amountRub,
+          escrowAmount: round2(amount),
+          escrowCurrency: budgetCurrency,
           status: 'active',
           revisionIncluded: 2,
           revisionUsed: 0,
@@ -491,6 +488,7 @@ export function createApplicationsApi() {
         typeof task.maxExecutors === 'number' && Number.isFinite(task.maxExecutors) && task.maxExecutors > 0
           ? Math.max(1, Math.floor(task.maxExecutors))
           : 1
+      if (!assigned.includes(executorId) && task.status === 'expired') return res.status(409).json({ error: 'task_expired' })
       if (!assigned.includes(executorId) && assigned.length >= maxExecutors) return res.status(409).json({ error: 'no_slots' })
 
       const now = new Date()
@@ -499,12 +497,6 @@ export function createApplicationsApi() {
           ? task.budgetAmount
           : 0
       const budgetCurrency = normalizeCurrency(task.budgetCurrency) ?? 'RUB'
-      const locale = inferLocale(req)
-      const requestCurrency = currencyFromLocale(locale)
-      const usdRubRate = budgetCurrency === 'USD' || requestCurrency === 'USD'
-        ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir })
-        : null
-      const amountRub = budgetCurrency === 'USD' ? toRub(amount, 'USD', usdRubRate) : round2(amount)
       const fr = await freezeEscrow({
         db,
         balanceRepo: req.app?.locals?.balanceRepo,
@@ -514,17 +506,18 @@ export function createApplicationsApi() {
         customerMongoId: userMongoId,
         executorId,
         executorMongoId: executorMongoId,
-        amount: amountRub,
+        amount: round2(amount),
+      currency: budgetCurrency,
       })
       if (!fr.ok) {
         if (fr.error === 'insufficient_balance') {
-          const required = requestCurrency === 'USD' ? fromRub(fr.required, 'USD', usdRubRate) : round2(fr.required)
-          const balance = requestCurrency === 'USD' ? fromRub(fr.balance, 'USD', usdRubRate) : round2(fr.balance)
+          const required = round2(fr.required)
+          const balance = round2(fr.balance)
           return res.status(409).json({
             error: 'insufficient_balance',
             required,
             balance,
-            currency: requestCurrency,
+            currency: budgetCurrency,
             balanceOwnerRole: 'customer',
             balanceUserId: userMongoId,
             taskId: String(task._id),
@@ -542,10 +535,8 @@ export function createApplicationsApi() {
             clientMongoId: userMongoId,
             executorId,
             executorMongoId: executorMongoId,
-            escrowAmount:
-              typeof task.budgetAmount === 'number' && Number.isFinite(task.budgetAmount) && task.budgetAmount >= 0
-                ? task.budgetAmount
-                : 0,
+            escrowAmount: round2(amount),
+            escrowCurrency: budgetCurrency,
             status: 'active',
             revisionIncluded: 2,
             revisionUsed: 0,
@@ -735,6 +726,7 @@ export function createApplicationsApi() {
       typeof task.maxExecutors === 'number' && Number.isFinite(task.maxExecutors) && task.maxExecutors > 0
         ? Math.max(1, Math.floor(task.maxExecutors))
         : 1
+    if (!assigned.includes(executorId) && task.status === 'expired') return res.status(409).json({ error: 'task_expired' })
     if (!assigned.includes(executorId) && assigned.length >= maxExecutors) return res.status(409).json({ error: 'no_slots' })
 
     const now = new Date()
@@ -743,13 +735,6 @@ export function createApplicationsApi() {
         ? task.budgetAmount
         : 0
     const budgetCurrency = normalizeCurrency(task.budgetCurrency) ?? 'RUB'
-    const locale = inferLocale(req)
-    const requestCurrency = currencyFromLocale(locale)
-    const usdRubRate = budgetCurrency === 'USD' || requestCurrency === 'USD'
-      ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir })
-      : null
-    const amountRubStored = typeof task.budgetAmountRub === 'number' && Number.isFinite(task.budgetAmountRub) ? task.budgetAmountRub : null
-    const amountRub = amountRubStored ?? (budgetCurrency === 'USD' ? toRub(amount, 'USD', usdRubRate) : round2(amount))
     const fr = await freezeEscrow({
       db,
       balanceRepo: req.app?.locals?.balanceRepo,
@@ -759,13 +744,14 @@ export function createApplicationsApi() {
       customerMongoId: userMongoId,
       executorId,
       executorMongoId: executorMongoId,
-      amount: amountRub,
+      amount: round2(amount),
+    currency: budgetCurrency,
     })
     if (!fr.ok) {
       if (fr.error === 'insufficient_balance') {
-        const required = requestCurrency === 'USD' ? fromRub(fr.required, 'USD', usdRubRate) : round2(fr.required)
-        const balance = requestCurrency === 'USD' ? fromRub(fr.balance, 'USD', usdRubRate) : round2(fr.balance)
-        return res.status(409).json({ error: 'insufficient_balance', required, balance, currency: requestCurrency })
+        const required = round2(fr.required)
+        const balance = round2(fr.balance)
+        return res.status(409).json({ error: 'insufficient_balance', required, balance, currency: budgetCurrency })
       }
       return res.status(500).json({ error: 'escrow_freeze_failed' })
     }
@@ -779,7 +765,8 @@ export function createApplicationsApi() {
           clientMongoId: userMongoId,
           executorId,
           executorMongoId: executorMongoId,
-            escrowAmount: amountRub,
+          escrowAmount: round2(amount),
+          escrowCurrency: budgetCurrency,
           status: 'active',
           revisionIncluded: 2,
           revisionUsed: 0,
@@ -1,9 +1,65 @@
 import express from 'express'
-import { requireAuth } from '../auth/auth.js'
+import mongoose from 'mongoose'
+import { requireAdmin, requireAuth } from '../auth/auth.js'
+import { tryResolveAuthUser } from '../auth/authSession.js'
+import { toCsv } from '../infra/csv.js'
+import { renderTablePdf } from '../infra/pdf.js'
+import { idempotency } from '../infra/idempotency.js'
 import { logBusinessEvent } from '../infra/logBusinessEvent.js'
 import { inferLocale } from '../infra/locale.js'
-import { currencyFromLocale, fromRub, normalizeCurrency, round2, toRub } from '../infra/money.js'
-import { getUsdRubRate } from '../infra/usdRubRate.js'
+import { SUPPORTED_CURRENCIES, currencyFromLocale, normalizeCurrency, round2 } from '../infra/money.js'
+import {
+  ADJUSTMENT_STATUSES,
+  approveAdjustment,
+  createAdjustmentProposal,
+  findAdjustment,
+  listAdjustments,
+  normalizeAdjustmentAttachments,
+  rejectAdjustment,
+  toAdjustmentDto,
+} from '../services/balanceAdjustmentService.js'
+import { getRate } from '../services/fxRateService.js'
+import { exchangeCurrency, toFxExchangeDto } from '../services/fxService.js'
+import { accountKind, listAccountBalances, listAccountEntries, sumAccountBalance, userAccount } from '../services/ledgerService.js'
+
+const STATEMENT_TYPES = [
+  'deposit',
+  'budget_hold',
+  'budget_release',
+  'escrow_freeze',
+  'escrow_release',
+  'bonus',
+  'refund',
+  'split',
+  'withdrawal',
+  'withdrawal_reversal',
+  'withdrawal_returned',
+  'manual_adjust',
+  'fx_exchange',
+  'account_merge',
+  'opening_balance',
+]
+
+// Rows of one monthly statement file; a month with more entries gets 413 instead of a cut-off file.
+const MAX_STATEMENT_ROWS = 20_000
+
+const TYPE_LABELS_RU = {
+  deposit: 'Пополнение',
+  budget_hold: 'Резерв бюджета задания',
+  budget_release: 'Возврат бюджета задания',
+  escrow_freeze: 'Резерв по заданию',
+  escrow_release: 'Оплата за задание',
+  bonus: 'Бонус за задание',
+  refund: 'Возврат резерва',
+  split: 'Распределение по спору',
+  withdrawal: 'Вывод средств',
+  withdrawal_reversal: 'Отмена вывода',
+  withdrawal_returned: 'Возврат выплаты банком',
+  manual_adjust: 'Корректировка',
+  fx_exchange: 'Обмен валюты',
+  account_merge: 'Перенос баланса',
+  opening_balance: 'Входящий остаток',
+}
 
 function normalizeSource(value) {
   if (value == null) return null
@@ -21,71 +77,419 @@ function parseDelta(value) {
   return n
 }
 
+function parseTypes(value) {
+  if (value == null || value === '') return { ok: true, types: null }
+  const raw = Array.isArray(value) ? value.join(',') : String(value)
+  const types = Array.from(new Set(raw.split(',').map((x) => x.trim()).filter(Boolean)))
+  const invalid = types.filter((t) => !STATEMENT_TYPES.includes(t))
+  if (invalid.length) return { ok: false, invalid }
+  return { ok: true, types: types.length ? types : null }
+}
+
+function parseDateParam(value) {
+  if (typeof value !== 'string' || !value.trim()) return { ok: true, date: null }
+  const d = new Date(value.trim())
+  if (Number.isNaN(d.getTime())) return { ok: false }
+  return { ok: true, date: d }
+}
+
+// "2026-03" -> [2026-03-01T00:00Z, 2026-04-01T00:00Z). Defaults to the current month.
+function parseMonth(value) {
+  const now = new Date()
+  const s = typeof value === 'string' ? value.trim() : ''
+  const m = s ? s.match(/^(\d{4})-(\d{2})$/) : null
+  if (s && !m) return null
+  const year = m ? Number(m[1]) : now.getUTCFullYear()
+  const month = m ? Number(m[2]) - 1 : now.getUTCMonth()
+  if (month < 0 || month > 11) return null
+  const from = new Date(Date.UTC(year, month, 1))
+  const to = new Date(Date.UTC(year, month + 1, 1))
+  return { from, to, label: `${year}-${String(month + 1).padStart(2, '0')}` }
+}
+
+// Balance accounts of the current user: mongo id plus the legacy public id (tg_...), if any.
+async function resolveUserAccounts(req) {
+  const r = await tryResolveAuthUser(req)
+  const ids = [req.user.id]
+  const telegramUserId = r.ok && typeof r.user?.telegramUserId === 'string' && r.user.telegramUserId ? r.user.telegramUserId : null
+  if (telegramUserId) ids.push(`tg_${telegramUserId}`)
+  return ids.map(userAccount)
+}
+
+// Money left on the legacy account (tg_...) is moved to the main wallet when the balance is read,
+// as an escrow freeze would do, so the balance agrees with the statement and with what can be spent.
+async function mergeLegacyWallets(db, balanceRepo, req) {
+  const [main, ...legacy] = await resolveUserAccounts(req)
+  for (const account of legacy) {
+    for (const w of await listAccountBalances(db, account)) {
+      if (!(w.balance > 0)) continue
+      await balanceRepo.transfer({ from: account, to: main, amount: w.balance, currency: w.currency, type: 'account_merge', requireFunds: true })
+    }
+  }
+}
+
+// `?currency=` when given (400 on unknown values), else the UI currency of the request.
+function parseCurrencyParam(req) {
+  const raw = typeof req.query?.currency === 'string' ? req.query.currency.trim() : ''
+  if (!raw) return { ok: true, currency: null }
+  const currency = normalizeCurrency(raw)
+  return currency ? { ok: true, currency } : { ok: false }
+}
+
+function toTransactionDto(entry) {
+  const sign = entry.side === 'credit' ? 1 : -1
+  return {
+    id: String(entry._id),
+    txId: entry.txId,
+    type: entry.type,
+    direction: entry.side === 'credit' ? 'in' : 'out',
+    amount: sign * round2(entry.amount),
+    currency: entry.currency,
+    fxRate: typeof entry.meta?.rate === 'number' ? entry.meta.rate : null,
+    counterparty: accountKind(entry.counterpartyAccountId),
+    taskId: entry.taskId ?? null,
+    contractId: entry.contractId ?? null,
+    disputeId: entry.disputeId ?? null,
+    withdrawalId: entry.withdrawalId ?? null,
+    reason: typeof entry.meta?.reason === 'string' ? entry.meta.reason : null,
+    createdAt: entry.createdAt ? new Date(entry.createdAt).toISOString() : null,
+  }
+}
+
 export function createBalanceApi({ balanceRepo }) {
   const router = express.Router()
   router.use(express.json({ limit: '1mb' }))
 
   router.get('/api/balance', requireAuth, async (req, res, next) => {
     try {
-      const locale = inferLocale(req)
-      const currency = currencyFromLocale(locale)
-      const dataDir = req.app?.locals?.dataDir
-      const usdRubRate = currency === 'USD' ? await getUsdRubRate({ dataDir }) : null
-
-      const balanceRub = await balanceRepo.get(req.user.id)
-      const balance = currency === 'USD' ? fromRub(balanceRub, 'USD', usdRubRate) : round2(balanceRub)
-      res.json({ userId: req.user.id, balance, currency })
+      const parsed = parseCurrencyParam(req)
+      if (!parsed.ok) return res.status(400).json({ error: 'invalid_currency', allowed: SUPPORTED_CURRENCIES })
+      const currency = parsed.currency ?? currencyFromLocale(inferLocale(req))
+
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      await mergeLegacyWallets(db, balanceRepo, req)
+      // Each currency is a separate wallet; nothing is converted on read.
+      const wallets = await balanceRepo.wallets(req.user.id)
+      const balance = wallets.find((w) => w.currency === currency)?.balance ?? 0
+      res.json({ userId: req.user.id, balance, currency, wallets })
+    } catch (e) {
+      next(e)
+    }
+  })
+
+  // GET /api/balance/transactions — история движений по балансу (cursor, from, to, type=a,b)
+  router.get('/api/balance/transactions', requireAuth, async (req, res, next) => {
+    try {
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+
+      const typesParsed = parseTypes(req.query?.type)
+      if (!typesParsed.ok) return res.status(400).json({ error: 'invalid_type', invalid: typesParsed.invalid, allowed: STATEMENT_TYPES })
+      const fromParsed = parseDateParam(req.query?.from)
+      if (!fromParsed.ok) return res.status(400).json({ error: 'invalid_from' })
+      const toParsed = parseDateParam(req.query?.to)
+      if (!toParsed.ok) return res.status(400).json({ error: 'invalid_to' })
+      const limitRaw = Number(req.query?.limit)
+      const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(100, Math.floor(limitRaw))) : 50
+
+      const parsedCurrency = parseCurrencyParam(req)
+      if (!parsedCurrency.ok) return res.status(400).json({ error: 'invalid_currency', allowed: SUPPORTED_CURRENCIES })
+
+      const page = await listAccountEntries(db, {
+        accountIds: await resolveUserAccounts(req),
+        currency: parsedCurrency.currency,
+        types: typesParsed.types ?? STATEMENT_TYPES,
+        from: fromParsed.date,
+        to: toParsed.date,
+        cursor: typeof req.query?.cursor === 'string' ? req.query.cursor : null,
+        limit,
+      })
+      if (!page.ok) return res.status(400).json({ error: page.error })
+
+      res.json({
+        items: page.items.map(toTransactionDto),
+        nextCursor: page.nextCursor,
+      })
+    } catch (e) {
+      next(e)
+    }
+  })
+
+  // GET /api/balance/statement?month=YYYY-MM&format=csv|pdf&currency=RUB — выписка за месяц по одному кошельку
+  router.get('/api/balance/statement', requireAuth, async (req, res, next) => {
+    try {
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+
+      const period = parseMonth(req.query?.month)
+      if (!period) return res.status(400).json({ error: 'invalid_month', expected: 'YYYY-MM' })
+      const format = typeof req.query?.format === 'string' && req.query.format.trim() ? req.query.format.trim().toLowerCase() : 'csv'
+      if (format !== 'csv' && format !== 'pdf') return res.status(400).json({ error: 'invalid_format', allowed: ['csv', 'pdf'] })
+
+      const parsedCurrency = parseCurrencyParam(req)
+      if (!parsedCurrency.ok) return res.status(400).json({ error: 'invalid_currency', allowed: SUPPORTED_CURRENCIES })
+      const currency = parsedCurrency.currency ?? 'RUB'
+
+      const accountIds = await resolveUserAccounts(req)
+      const opening = await sumAccountBalance(db, { accountIds, currency, before: period.from })
+      const closing = await sumAccountBalance(db, { accountIds, currency, before: period.to })
+      const items = []
+      let cursor = null
+      do {
+        const page = await listAccountEntries(db, { accountIds, currency, from: period.from, to: period.to, cursor, limit: 5000 })
+        if (!page.ok) return res.status(400).json({ error: page.error })
+        items.push(...page.items)
+        cursor = page.nextCursor
+      } while (cursor && items.length < MAX_STATEMENT_ROWS)
+      if (cursor) return res.status(413).json({ error: 'statement_too_large', truncated: true, maxRows: MAX_STATEMENT_ROWS })
+      const entries = items.reverse()
+
+      const isRu = inferLocale(req) === 'ru'
+      const rows = entries.map((e) => {
+        const dto = toTransactionDto(e)
+        return {
+          date: dto.createdAt,
+          type: isRu ? TYPE_LABELS_RU[dto.type] ?? dto.type : dto.type,
+          amount: dto.amount.toFixed(2),
+          taskId: dto.taskId ?? '',
+          contractId: dto.contractId ?? '',
+          disputeId: dto.disputeId ?? '',
+          withdrawalId: dto.withdrawalId ?? '',
+          txId: dto.txId,
+        }
+      })
+      const filename = `statement-${period.label}-${currency}.${format}`
+
+      if (format === 'csv') {
+        const columns = [
+          { key: 'date', title: isRu ? 'Дата' : 'Date' },
+          { key: 'type', title: isRu ? 'Операция' : 'Type' },
+          { key: 'amount', title: isRu ? `Сумма, ${currency}` : `Amount, ${currency}` },
+          { key: 'taskId', title: 'taskId' },
+          { key: 'contractId', title: 'contractId' },
+          { key: 'disputeId', title: 'disputeId' },
+          { key: 'withdrawalId', title: 'withdrawalId' },
+          { key: 'txId', title: 'txId' },
+        ]
+        const summary = [
+          { date: '', type: isRu ? 'Входящий остаток' : 'Opening balance', amount: opening.toFixed(2) },
+          ...rows,
+          { date: '', type: isRu ? 'Исходящий остаток' : 'Closing balance', amount: closing.toFixed(2) },
+        ]
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+        return res.send(toCsv(columns, summary))
+      }
+
+      const pdf = await renderTablePdf({
+        title: isRu ? `Выписка по балансу за ${period.label}` : `Balance statement for ${period.label}`,
+        headerLines: [
+          `${isRu ? 'Пользователь' : 'User'}: ${req.user.id}`,
+          `${isRu ? 'Входящий остаток' : 'Opening balance'}: ${opening.toFixed(2)} ${currency}`,
+        ],
+        columns: [
+          { key: 'date', title: isRu ? 'Дата' : 'Date', width: 0.22 },
+          { key: 'type', title: isRu ? 'Операция' : 'Type', width: 0.24 },
+          { key: 'amount', title: isRu ? `Сумма, ${currency}` : `Amount, ${currency}`, width: 0.14, align: 'right' },
+          { key: 'taskId', title: isRu ? 'Задание' : 'Task', width: 0.2 },
+          { key: 'withdrawalId', title: isRu ? 'Вывод' : 'Withdrawal', width: 0.2 },
+        ],
+        rows,
+        footerLines: [`${isRu ? 'Исходящий остаток' : 'Closing balance'}: ${closing.toFixed(2)} ${currency}`],
+      })
+      res.setHeader('Content-Type', 'application/pdf')
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+      return res.send(pdf)
     } catch (e) {
       next(e)
     }
   })
 
-  // Internal economy tool (and usable by UI until real auth exists).
-  router.post('/api/balance/adjust', requireAuth, async (req, res, next) => {
+  // GET /api/balance/fx-rate?from=USD&to=RUB&at= — курс для предпросмотра обмена (или на дату at).
+  router.get('/api/balance/fx-rate', requireAuth, async (req, res, next) => {
     try {
-      const targetUserId =
-        typeof req.body?.userId === 'string' && req.body.userId.trim() ? req.body.userId.trim() : req.user.id
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const from = normalizeCurrency(req.query?.from)
+      const to = normalizeCurrency(req.query?.to)
+      if (!from || !to || from === to) return res.status(400).json({ error: 'invalid_currency', allowed: SUPPORTED_CURRENCIES })
+      const at = typeof req.query?.at === 'string' && req.query.at.trim() ? new Date(req.query.at) : new Date()
+      if (Number.isNaN(at.getTime())) return res.status(400).json({ error: 'invalid_at' })
+      const quote = await getRate(db, `${from}/${to}`, at)
+      if (!quote) return res.status(404).json({ error: 'fx_rate_unavailable' })
+      res.json(quote)
+    } catch (e) {
+      next(e)
+    }
+  })
+
+  // POST /api/balance/exchange — обмен между своими кошельками по курсу из fxRates.
+  // Body { from, to, amount } (amount в валюте from). Курс сохраняется в проводках и в fxExchanges.
+  router.post('/api/balance/exchange', requireAuth, idempotency(), async (req, res, next) => {
+    try {
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+
+      const from = normalizeCurrency(req.body?.from)
+      const to = normalizeCurrency(req.body?.to)
+      if (!from || !to) return res.status(400).json({ error: 'invalid_currency', allowed: SUPPORTED_CURRENCIES })
+      if (from === to) return res.status(400).json({ error: 'same_currency' })
+      const amount = typeof req.body?.amount === 'number' ? req.body.amount : Number(req.body?.amount)
+      if (!Number.isFinite(amount) || amount <= 0 || amount > 1_000_000_000) return res.status(400).json({ error: 'invalid_amount' })
+
+      // Stale rates are refused rather than guessed: the admin either waits for the feed or sets a manual rate.
+      const quote = await getRate(db, `${from}/${to}`)
+      if (!quote) return res.status(503).json({ error: 'fx_rate_unavailable' })
+      if (quote.stale) return res.status(503).json({ error: 'fx_rate_stale', asOf: quote.asOf })
+
+      const r = await exchangeCurrency({
+        db,
+        userId: req.user.id,
+        from,
+        to,
+        amount,
+        rate: quote.rate,
+        rateSource: quote.source,
+        rateAsOf: quote.asOf,
+      })
+      if (!r.ok) {
+        if (r.error === 'insufficient_funds') {
+          return res.status(409).json({ error: 'insufficient_balance', balance: r.balance, required: r.required, currency: from })
+        }
+        return res.status(400).json({ error: r.error })
+      }
+
+      res.json({ exchange: toFxExchangeDto(r.exchange), wallets: await balanceRepo.wallets(req.user.id) })
+    } catch (e) {
+      next(e)
+    }
+  })
+
+  // POST /api/balance/adjust — предложить ручную корректировку (maker). Применяется только после
+  // одобрения другим админом. Body { userId, delta, currency?, reason, attachments?: [{ url, name? }] }
+  router.post('/api/balance/adjust', requireAdmin, idempotency(), async (req, res, next) => {
+    try {
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+
+      const targetUserId = typeof req.body?.userId === 'string' && req.body.userId.trim() ? req.body.userId.trim() : null
       const delta = parseDelta(req.body?.delta)
       const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : ''
+      const attachments = normalizeAdjustmentAttachments(req.body?.attachments)
 
       if (!targetUserId) return res.status(400).json({ error: 'missing_userId' })
-      if (delta == null) return res.status(400).json({ error: 'invalid_delta' })
+      if (delta == null || delta === 0) return res.status(400).json({ error: 'invalid_delta' })
       if (!reason) return res.status(400).json({ error: 'missing_reason' })
+      if (!attachments) return res.status(400).json({ error: 'invalid_attachments' })
 
-      const locale = inferLocale(req)
-      const inferredCurrency = currencyFromLocale(locale)
-      const bodyCurrency = normalizeCurrency(req.body?.currency)
-      const currency = bodyCurrency ?? inferredCurrency
-      const dataDir = req.app?.locals?.dataDir
-      const usdRubRate = currency === 'USD' ? await getUsdRubRate({ dataDir }) : null
+      // The adjustment hits the wallet in this currency; defaults to RUB, never converted.
+      const currency = req.body?.currency == null ? 'RUB' : normalizeCurrency(req.body.currency)
+      if (!currency) return res.status(400).json({ error: 'invalid_currency', allowed: SUPPORTED_CURRENCIES })
 
       const sourceHeader = req.headers['x-event-source'] ?? req.headers['x-balance-source'] ?? null
       const source = normalizeSource(req.body?.source ?? sourceHeader) ?? 'manual'
 
-      const deltaRub = currency === 'USD' ? toRub(delta, 'USD', usdRubRate) : round2(delta)
-      const newBalanceRub = await balanceRepo.adjust(targetUserId, deltaRub)
-      const newBalance = currency === 'USD' ? fromRub(newBalanceRub, 'USD', usdRubRate) : round2(newBalanceRub)
+      const doc = await createAdjustmentProposal(db, {
+        userId: targetUserId,
+        delta: round2(delta),
+        currency,
+        reason,
+        source,
+        attachments,
+        proposedBy: req.user.id,
+      })
 
       await logBusinessEvent({
         req,
         event: 'BALANCE_CHANGED',
-        actor: targetUserId, // actor == баланс владельца (пока нет админ-ролей)
-        target: null,
+        actor: req.user.id,
+        target: targetUserId,
+        meta: { stage: 'proposed', adjustmentId: String(doc._id), delta: doc.delta, deltaCurrency: currency, reason, source },
+      })
+
+      res.status(202).json(toAdjustmentDto(doc))
+    } catch (e) {
+      next(e)
+    }
+  })
+
+  // GET /api/balance/adjustments?status=pending|approved|applied|rejected|all — очередь корректировок для админов
+  router.get('/api/balance/adjustments', requireAdmin, async (req, res, next) => {
+    try {
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const rawStatus = typeof req.query?.status === 'string' && req.query.status.trim() ? req.query.status.trim() : 'pending'
+      if (rawStatus !== 'all' && !ADJUSTMENT_STATUSES.includes(rawStatus)) {
+        return res.status(400).json({ error: 'invalid_status', allowed: [...ADJUSTMENT_STATUSES, 'all'] })
+      }
+      const limitRaw = Number(req.query?.limit)
+      const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.floor(limitRaw), 200) : 50
+      const list = await listAdjustments(db, { status: rawStatus === 'all' ? null : rawStatus, limit })
+      res.json(list.map(toAdjustmentDto))
+    } catch (e) {
+      next(e)
+    }
+  })
+
+  router.get('/api/balance/adjustments/:adjustmentId', requireAdmin, async (req, res, next) => {
+    try {
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const doc = await findAdjustment(db, req.params.adjustmentId)
+      if (!doc) return res.status(404).json({ error: 'not_found' })
+      res.json(toAdjustmentDto(doc))
+    } catch (e) {
+      next(e)
+    }
+  })
+
+  // POST /api/balance/adjustments/:adjustmentId/approve|reject — решение второго админа (checker). Body { comment? }
+  const decideAdjustment = (approve) => async (req, res, next) => {
+    try {
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const comment = typeof req.body?.comment === 'string' ? req.body.comment.trim().slice(0, 2000) : ''
+      if (!approve && !comment) return res.status(400).json({ error: 'missing_comment' })
+
+      const id = req.params.adjustmentId
+      const r = approve
+        ? await approveAdjustment(db, { id, adminId: req.user.id, comment, balanceRepo })
+        : await rejectAdjustment(db, { id, adminId: req.user.id, comment })
+      if (!r.ok) {
+        if (r.error === 'not_found') return res.status(404).json({ error: 'not_found' })
+        if (r.error === 'self_approval_forbidden') return res.status(403).json({ error: r.error })
+        if (r.error === 'apply_failed') return res.status(500).json({ error: r.error })
+        return res.status(409).json({ error: r.error, status: r.status ?? null })
+      }
+
+      const doc = r.doc
+      await logBusinessEvent({
+        req,
+        event: 'BALANCE_CHANGED',
+        actor: req.user.id,
+        target: doc.userId,
         meta: {
-          delta: deltaRub,
-          deltaCurrency: 'RUB',
-          reason,
-          newBalance: newBalanceRub,
-          newBalanceCurrency: 'RUB',
-          source,
+          stage: approve ? 'applied' : 'rejected',
+          adjustmentId: String(doc._id),
+          proposedBy: doc.proposedBy,
+          delta: doc.delta,
+          deltaCurrency: doc.currency,
+          reason: doc.reason,
+          comment: comment || null,
+          newBalance: approve ? doc.newBalance : null,
+          newBalanceCurrency: doc.currency,
+          source: doc.source ?? 'manual',
         },
       })
 
-      res.json({ userId: targetUserId, balance: newBalance, currency })
+      res.json(toAdjustmentDto(doc))
     } catch (e) {
       next(e)
     }
-  })
+  }
+  router.post('/api/balance/adjustments/:adjustmentId/approve', requireAdmin, idempotency(), decideAdjustment(true))
+  router.post('/api/balance/adjustments/:adjustmentId/reject', requireAdmin, idempotency(), decideAdjustment(false))
 
   return router
 }
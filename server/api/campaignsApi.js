@@ -0,0 +1,256 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { tryResolveAuthUser } from '../auth/authSession.js'
+import { requireAuth } from '../auth/auth.js'
+import {
+  CAMPAIGN_STATUSES,
+  buildCampaignReport,
+  checkCampaignTasks,
+  createCampaign,
+  findOwnedCampaign,
+  listCampaignTasks,
+  listCampaigns,
+  normalizeCampaignInput,
+  pauseCampaign,
+  resumeCampaign,
+  toCampaignDto,
+} from '../services/campaignService.js'
+
+function getAuthIds(r) {
+  const userMongoId = String(r.userId)
+  const telegramUserId =
+    typeof r.user?.telegramUserId === 'string' && r.user.telegramUserId ? r.user.telegramUserId : null
+  const userPublicId = telegramUserId ? `tg_${telegramUserId}` : userMongoId
+  const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+  return { userMongoId, userPublicId, role }
+}
+
+function parseObjectId(value) {
+  const s = typeof value === 'string' ? value.trim() : ''
+  if (!s) return null
+  try {
+    return new mongoose.Types.ObjectId(s)
+  } catch {
+    return null
+  }
+}
+
+function errorBody(result) {
+  const { ok: _ok, ...body } = result
+  return body
+}
+
+function toCampaignTaskDto(t) {
+  return {
+    id: String(t._id),
+    title: t.title ?? null,
+    status: t.status ?? 'draft',
+    budgetAmount: t.budgetAmount ?? null,
+    budgetCurrency: t.budgetCurrency ?? null,
+    maxExecutors: t.maxExecutors ?? 1,
+    assignedCount: Array.isArray(t.assignedExecutorIds) ? t.assignedExecutorIds.length : 0,
+    publishedAt: t.publishedAt ? new Date(t.publishedAt).toISOString() : null,
+    expiresAt: t.expiresAt ?? null,
+  }
+}
+
+export function createCampaignsApi() {
+  const router = express.Router()
+  router.use(express.json({ limit: '256kb' }))
+
+  // GET /api/campaigns?brandId=&status=active|paused — кампании текущего заказчика
+  router.get('/api/campaigns', requireAuth, async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const { userMongoId, role } = getAuthIds(r)
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const status = typeof req.query?.status === 'string' && req.query.status.trim() ? req.query.status.trim() : null
+    if (status && !CAMPAIGN_STATUSES.includes(status)) return res.status(400).json({ error: 'invalid_status', allowed: CAMPAIGN_STATUSES })
+    const brandId = typeof req.query?.brandId === 'string' && req.query.brandId.trim() ? req.query.brandId.trim() : null
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const items = await listCampaigns(db, { ownerMongoId: userMongoId, brandId, status })
+    return res.json(items.map(toCampaignDto))
+  })
+
+  // POST /api/campaigns — body { brandId, name, budgetCap, currency?, startsAt?, endsAt? }
+  router.post('/api/campaigns', requireAuth, async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const { userMongoId, userPublicId, role } = getAuthIds(r)
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const input = normalizeCampaignInput(req.body)
+    if (!input.ok) return res.status(400).json(errorBody(input))
+    const brandOid = parseObjectId(req.body?.brandId)
+    if (!brandOid) return res.status(400).json({ error: 'bad_brand_id' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const brand = await db
+      .collection('brands')
+      .findOne({ _id: brandOid, $or: [{ ownerUserId: userPublicId }, { ownerMongoId: userMongoId }] }, { projection: { _id: 1 } })
+    if (!brand) return res.status(404).json({ error: 'brand_not_found_or_not_owned' })
+
+    const created = await createCampaign(db, { ownerMongoId: userMongoId, ownerUserId: userPublicId, brandId: String(brand._id), fields: input.fields })
+    return res.status(201).json(toCampaignDto(created))
+  })
+
+  // GET /api/campaigns/:campaignId — кампания, её задания и отчёт (бюджет, расходы, исполнители, контент)
+  router.get('/api/campaigns/:campaignId', requireAuth, async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const { userMongoId, role } = getAuthIds(r)
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const campaign = await findOwnedCampaign(db, { id: req.params.campaignId, ownerMongoId: userMongoId })
+    if (!campaign) return res.status(404).json({ error: 'not_found' })
+
+    const [tasks, report] = await Promise.all([listCampaignTasks(db, campaign), buildCampaignReport(db, campaign)])
+    return res.json({ ...toCampaignDto(campaign), tasks: tasks.map(toCampaignTaskDto), report })
+  })
+
+  // PATCH /api/campaigns/:campaignId — body { name?, budgetCap?, startsAt?, endsAt? }
+  router.patch('/api/campaigns/:campaignId', requireAuth, async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const { userMongoId, role } = getAuthIds(r)
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const campaigns = db.collection('campaigns')
+    const campaign = await findOwnedCampaign(db, { id: req.params.campaignId, ownerMongoId: userMongoId })
+    if (!campaign) return res.status(404).json({ error: 'not_found' })
+
+    const input = normalizeCampaignInput(req.body, campaign)
+    if (!input.ok) return res.status(400).json(errorBody(input))
+    if (input.fields.budgetCap != null && input.fields.budgetCap < campaign.budgetCap) {
+      // The cap can't go below what the campaign's tasks already commit.
+      const fits = await checkCampaignTasks(db, { campaign, budgetCap: input.fields.budgetCap })
+      if (!fits.ok) return res.status(409).json(errorBody(fits))
+    }
+    await campaigns.updateOne({ _id: campaign._id }, { $set: { ...input.fields, updatedAt: new Date() } })
+    const updated = await campaigns.findOne({ _id: campaign._id }, { readPreference: 'primary' })
+    return res.json(toCampaignDto(updated))
+  })
+
+  // POST /api/campaigns/:campaignId/tasks — body { taskIds: [] }: добавить задания бренда кампании (в пределах бюджета)
+  router.post('/api/campaigns/:campaignId/tasks', requireAuth, async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const { userMongoId, userPublicId, role } = getAuthIds(r)
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const ids = Array.isArray(req.body?.taskIds) ? Array.from(new Set(req.body.taskIds.map(String))) : []
+    const oids = ids.map(parseObjectId)
+    if (!ids.length || ids.length > 100 || oids.some((x) => !x)) return res.status(400).json({ error: 'invalid_taskIds' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const tasks = db.collection('tasks')
+    const campaign = await findOwnedCampaign(db, { id: req.params.campaignId, ownerMongoId: userMongoId })
+    if (!campaign) return res.status(404).json({ error: 'not_found' })
+
+    const found = await tasks
+      .find({
+        _id: { $in: oids },
+        $or: [
+          { createdByMongoId: userMongoId },
+          { createdByUserId: userPublicId },
+          // legacy
+          { createdByUserId: userMongoId },
+          { userId: userMongoId },
+          { userId: userPublicId },
+        ],
+      })
+      .toArray()
+    if (found.length !== ids.length) return res.status(404).json({ error: 'task_not_found' })
+    const taken = found.find((t) => t.campaignId && t.campaignId !== String(campaign._id))
+    if (taken) return res.status(409).json({ error: 'task_in_other_campaign', taskId: String(taken._id), campaignId: taken.campaignId })
+
+    const fits = await checkCampaignTasks(db, { campaign, tasks: found })
+    if (!fits.ok) return res.status(409).json(errorBody(fits))
+    await tasks.updateMany({ _id: { $in: oids } }, { $set: { campaignId: String(campaign._id), updatedAt: new Date() } })
+    const list = await listCampaignTasks(db, campaign)
+    return res.json({ ...toCampaignDto(campaign), tasks: list.map(toCampaignTaskDto) })
+  })
+
+  // DELETE /api/campaigns/:campaignId/tasks/:taskId — убрать задание из кампании
+  router.delete('/api/campaigns/:campaignId/tasks/:taskId', requireAuth, async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const { userMongoId, role } = getAuthIds(r)
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const taskOid = parseObjectId(req.params.taskId)
+    if (!taskOid) return res.status(400).json({ error: 'bad_task_id' })
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const campaign = await findOwnedCampaign(db, { id: req.params.campaignId, ownerMongoId: userMongoId })
+    if (!campaign) return res.status(404).json({ error: 'not_found' })
+
+    const result = await db
+      .collection('tasks')
+      .updateOne(
+        { _id: taskOid, campaignId: String(campaign._id) },
+        { $unset: { campaignId: '', pausedByCampaignId: '' }, $set: { updatedAt: new Date() } },
+      )
+    if (!result.matchedCount) return res.status(404).json({ error: 'task_not_found' })
+    return res.json({ ok: true })
+  })
+
+  // POST /api/campaigns/:campaignId/pause — снять с публикации все открытые задания кампании
+  router.post('/api/campaigns/:campaignId/pause', requireAuth, async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const { userMongoId, role } = getAuthIds(r)
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const campaign = await findOwnedCampaign(db, { id: req.params.campaignId, ownerMongoId: userMongoId })
+    if (!campaign) return res.status(404).json({ error: 'not_found' })
+    if (campaign.status === 'paused') return res.status(409).json({ error: 'invalid_status', status: campaign.status })
+
+    const result = await pauseCampaign(db, { balanceRepo: req.app?.locals?.balanceRepo, campaign })
+    req.app?.locals?.audit?.(req, 'campaign.pause', {
+      actor: userMongoId,
+      target: `campaign:${String(campaign._id)}`,
+      meta: { unpublished: result.unpublished.length },
+      result: 'ok',
+    })
+    const updated = await db.collection('campaigns').findOne({ _id: campaign._id }, { readPreference: 'primary' })
+    return res.json({ ...toCampaignDto(updated), unpublished: result.unpublished })
+  })
+
+  // POST /api/campaigns/:campaignId/resume — снова опубликовать задания, снятые паузой
+  router.post('/api/campaigns/:campaignId/resume', requireAuth, async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const { userMongoId, role } = getAuthIds(r)
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const campaign = await findOwnedCampaign(db, { id: req.params.campaignId, ownerMongoId: userMongoId })
+    if (!campaign) return res.status(404).json({ error: 'not_found' })
+    if (campaign.status !== 'paused') return res.status(409).json({ error: 'invalid_status', status: campaign.status })
+
+    const result = await resumeCampaign(db, { balanceRepo: req.app?.locals?.balanceRepo, campaign })
+    req.app?.locals?.audit?.(req, 'campaign.resume', {
+      actor: userMongoId,
+      target: `campaign:${String(campaign._id)}`,
+      meta: { republished: result.republished.length, failed: result.failed.length },
+      result: 'ok',
+    })
+    const updated = await db.collection('campaigns').findOne({ _id: campaign._id }, { readPreference: 'primary' })
+    return res.json({ ...toCampaignDto(updated), republished: result.republished, failed: result.failed })
+  })
+
+  return router
+}
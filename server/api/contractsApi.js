@@ -1,11 +1,13 @@
 import express from 'express'
 import mongoose from 'mongoose'
 import { tryResolveAuthUser } from '../auth/authSession.js'
-import { releaseEscrowToExecutor, refundEscrowToCustomer } from '../services/escrowService.js'
+import { idempotency } from '../infra/idempotency.js'
+import { runTransaction, sessionOpts } from '../infra/mongoTx.js'
+import { escrowCurrencyOf, releaseEscrowToExecutor, refundEscrowToCustomer } from '../services/escrowService.js'
+import { listContractBonuses, normalizeBonusInput, sendContractBonus, toContractBonusDto } from '../services/contractBonusService.js'
+import { computeFee } from '../services/feeService.js'
 import { createNotification } from '../services/notificationService.js'
-import { inferLocale } from '../infra/locale.js'
-import { currencyFromLocale, fromRub, round2 } from '../infra/money.js'
-import { getUsdRubRate } from '../infra/usdRubRate.js'
+import { round2 } from '../infra/money.js'
 
 function asyncHandler(fn) {
   return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next)
@@ -57,16 +59,63 @@ function toDto(doc) {
   }
 }
 
-function withMoney(dto, { currency, usdRubRate }) {
+// Platform fee of a contract, from its escrow (in the escrow currency): actual once settled,
+// expected from the funding-time snapshot before.
+function feeInfoOf(escrow) {
+  if (!escrow) return null
+  const currency = escrowCurrencyOf(escrow)
+  const payouts = escrow.payouts
+  if (payouts && typeof payouts.feeAmount === 'number') {
+    return {
+      currency,
+      feeAmount: payouts.feeAmount,
+      executorNetAmount: payouts.executorAmount,
+      feePercent: payouts.feePercent ?? null,
+    }
+  }
+  if (payouts) return { currency, feeAmount: 0, executorNetAmount: payouts.executorAmount ?? 0, feePercent: null }
+  if (!escrow.fee || typeof escrow.amount !== 'number') return null
+  const feeAmount = computeFee(escrow.fee, escrow.amount, currency)
+  return { currency, feeAmount, executorNetAmount: round2(escrow.amount - feeAmount), feePercent: escrow.fee.percent ?? null }
+}
+
+async function loadFees(db, contractDocs) {
+  const keys = contractDocs
+    .filter((c) => c?.taskId && c?.executorId)
+    .map((c) => ({ taskId: String(c.taskId), executorId: String(c.executorId) }))
+  const out = new Map()
+  if (!keys.length) return out
+  const escrows = await db
+    .collection('escrows')
+    .find({ $or: keys }, { projection: { taskId: 1, executorId: 1, amount: 1, currency: 1, fee: 1, payouts: 1 } })
+    .toArray()
+  for (const e of escrows) out.set(`${e.taskId}:${e.executorId}`, feeInfoOf(e))
+  return out
+}
+
+async function toMoneyDtos(db, contractDocs) {
+  const fees = await loadFees(db, contractDocs)
+  return contractDocs.map((c) => withMoney(toDto(c), { fee: fees.get(`${c.taskId}:${c.executorId}`) ?? null }))
+}
+
+async function toMoneyDto(db, contractDoc) {
+  if (!contractDoc) return null
+  return (await toMoneyDtos(db, [contractDoc]))[0]
+}
+
+// Amounts stay in the escrow's own currency; contracts created before multi-currency wallets are RUB.
+function withMoney(dto, { fee = null }) {
   if (!dto) return dto
-  const escrowRub = typeof dto.escrowAmount === 'number' && Number.isFinite(dto.escrowAmount) ? dto.escrowAmount : null
-  if (escrowRub == null) return { ...dto, escrowCurrency: currency }
-  const escrowAmount = currency === 'USD' ? fromRub(escrowRub, 'USD', usdRubRate) : round2(escrowRub)
+  const escrowCurrency = dto.escrowCurrency ?? fee?.currency ?? 'RUB'
+  const escrowAmount = typeof dto.escrowAmount === 'number' && Number.isFinite(dto.escrowAmount) ? round2(dto.escrowAmount) : null
+  if (escrowAmount == null) return { ...dto, escrowCurrency }
   return {
     ...dto,
     escrowAmount,
-    escrowCurrency: currency,
-    escrowAmountRub: round2(escrowRub),
+    escrowCurrency,
+    feeAmount: fee ? round2(fee.feeAmount) : null,
+    feePercent: fee ? fee.feePercent : null,
+    executorNetAmount: fee ? round2(fee.executorNetAmount) : null,
   }
 }
 
@@ -85,7 +134,7 @@ function normalizeStatus(value) {
   return 'active'
 }
 
-async function recomputeTaskStatus({ db, taskId }) {
+async function recomputeTaskStatus({ db, taskId, session = null }) {
   const tasks = db.collection('tasks')
   const assignments = db.collection('assignments')
   const contracts = db.collection('contracts')
@@ -97,10 +146,10 @@ async function recomputeTaskStatus({ db, taskId }) {
     taskOid = null
   }
   if (!taskOid) return
-  const task = await tasks.findOne({ _id: taskOid }, { readPreference: 'primary' })
+  const task = await tasks.findOne({ _id: taskOid }, sessionOpts(session, { readPreference: 'primary' }))
   if (!task) return
 
-  const list = await contracts.find({ taskId: String(taskId) }).toArray()
+  const list = await contracts.find({ taskId: String(taskId) }, sessionOpts(session)).toArray()
   const hasDispute = list.some((c) => c.status === 'disputed')
   const hasReview = list.some((c) => c.status === 'submitted')
   const hasActive = list.some((c) => c.status === 'active' || c.status === 'revision_requested')
@@ -123,22 +172,22 @@ async function recomputeTaskStatus({ db, taskId }) {
   const set = { status: next, updatedAt: now }
   if (next === 'closed' && !task.completedAt) set.completedAt = now
   if (next !== 'closed' && task.completedAt) set.completedAt = null
-  await tasks.updateOne({ _id: task._id }, { $set: set })
+  await tasks.updateOne({ _id: task._id }, { $set: set }, sessionOpts(session))
 
   // Keep assignment statuses in sync with contract status (best-effort).
   // We only touch assignments for this task, leaving executor action endpoints as the source of truth.
-  const as = await assignments.find({ taskId: String(taskId) }).toArray()
+  const as = await assignments.find({ taskId: String(taskId) }, sessionOpts(session)).toArray()
   for (const a of as) {
     const c = list.find((x) => x.executorId === a.executorId) ?? null
     if (!c) continue
     if (c.status === 'submitted' && a.status !== 'submitted') {
-      await assignments.updateOne({ _id: a._id }, { $set: { status: 'submitted', updatedAt: now } })
+      await assignments.updateOne({ _id: a._id }, { $set: { status: 'submitted', updatedAt: now } }, sessionOpts(session))
     } else if (c.status === 'revision_requested' && a.status !== 'in_progress') {
-      await assignments.updateOne({ _id: a._id }, { $set: { status: 'in_progress', updatedAt: now } })
+      await assignments.updateOne({ _id: a._id }, { $set: { status: 'in_progress', updatedAt: now } }, sessionOpts(session))
     } else if ((c.status === 'approved' || c.status === 'resolved') && a.status !== 'accepted') {
-      await assignments.updateOne({ _id: a._id }, { $set: { status: 'accepted', acceptedAt: now.toISOString(), updatedAt: now } })
+      await assignments.updateOne({ _id: a._id }, { $set: { status: 'accepted', acceptedAt: now.toISOString(), updatedAt: now } }, sessionOpts(session))
     } else if (c.status === 'disputed' && a.status !== 'dispute_opened') {
-      await assignments.updateOne({ _id: a._id }, { $set: { status: 'dispute_opened', updatedAt: now } })
+      await assignments.updateOne({ _id: a._id }, { $set: { status: 'dispute_opened', updatedAt: now } }, sessionOpts(session))
     }
   }
 }
@@ -153,8 +202,6 @@ export function createContractsApi() {
     if (!r.ok) return res.json([])
     const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
     const { userMongoId, userPublicId } = getAuthIds(r)
-    const currency = currencyFromLocale(inferLocale(req))
-    const usdRubRate = currency === 'USD' ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir }) : null
 
     const db = mongoose.connection.db
     if (!db) return res.status(500).json({ error: 'mongo_not_available' })
@@ -168,7 +215,7 @@ export function createContractsApi() {
         .sort({ createdAt: -1 })
         .limit(500)
         .toArray()
-      return res.json(items.map((x) => withMoney(toDto(x), { currency, usdRubRate })))
+      return res.json(await toMoneyDtos(db, items))
     }
 
     if (role === 'customer') {
@@ -189,7 +236,7 @@ export function createContractsApi() {
       const taskIds = ownedTasks.map((t) => String(t._id))
       if (!taskIds.length) return res.json([])
       const items = await contracts.find({ taskId: { $in: taskIds } }).sort({ createdAt: -1 }).limit(500).toArray()
-      return res.json(items.map((x) => withMoney(toDto(x), { currency, usdRubRate })))
+      return res.json(await toMoneyDtos(db, items))
     }
 
     return res.json([])
@@ -201,8 +248,6 @@ export function createContractsApi() {
     if (!r.ok) return res.status(401).json({ error: r.error })
     const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
     const { userMongoId, userPublicId } = getAuthIds(r)
-    const currency = currencyFromLocale(inferLocale(req))
-    const usdRubRate = currency === 'USD' ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir }) : null
 
     const contractIdRaw = typeof req.params?.contractId === 'string' ? req.params.contractId.trim() : ''
     if (!contractIdRaw) return res.status(400).json({ error: 'missing_contractId' })
@@ -220,13 +265,13 @@ export function createContractsApi() {
     if (!contract) return res.status(404).json({ error: 'not_found' })
 
     if (role === 'arbiter') {
-      return res.json(withMoney(toDto(contract), { currency, usdRubRate }))
+      return res.json(await toMoneyDto(db, contract))
     }
     if (role === 'executor' && (contract.executorId === userPublicId || contract.executorId === userMongoId)) {
-      return res.json(withMoney(toDto(contract), { currency, usdRubRate }))
+      return res.json(await toMoneyDto(db, contract))
     }
     if (role === 'customer' && (contract.clientId === userPublicId || contract.clientId === userMongoId)) {
-      return res.json(withMoney(toDto(contract), { currency, usdRubRate }))
+      return res.json(await toMoneyDto(db, contract))
     }
     return res.status(403).json({ error: 'forbidden' })
   }))
@@ -306,13 +351,11 @@ export function createContractsApi() {
       await recomputeTaskStatus({ db, taskId: contract.taskId })
     }
     const fresh = await contracts.findOne({ _id: oid }, { readPreference: 'primary' })
-    const currency = currencyFromLocale(inferLocale(req))
-    const usdRubRate = currency === 'USD' ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir }) : null
-    return res.json(withMoney(toDto(fresh), { currency, usdRubRate }))
+    return res.json(await toMoneyDto(db, fresh))
   }))
 
   // Customer approves submitted work.
-  router.post('/api/contracts/:contractId/approve', asyncHandler(async (req, res) => {
+  router.post('/api/contracts/:contractId/approve', idempotency(), asyncHandler(async (req, res) => {
     const r = await tryResolveAuthUser(req)
     if (!r.ok) return res.status(401).json({ error: r.error })
     const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
@@ -340,27 +383,29 @@ export function createContractsApi() {
     if (status !== 'submitted' && status !== 'disputed') return res.status(409).json({ error: 'invalid_status', status })
 
     const now = new Date()
-    await contracts.updateOne({ _id: oid }, { $set: { status: 'approved', updatedAt: now } })
-
-    // Escrow payout: release frozen amount to executor (idempotent).
     const taskId = typeof contract.taskId === 'string' ? contract.taskId : null
     const executorId = typeof contract.executorId === 'string' ? contract.executorId : null
-    if (taskId && executorId) {
-      await releaseEscrowToExecutor({
-        db,
-        balanceRepo: req.app?.locals?.balanceRepo,
-        taskId,
-        executorId,
-      }).catch(() => {})
-    }
 
-    if (contract.taskId) {
-      await recomputeTaskStatus({ db, taskId: contract.taskId })
-    }
+    // Status change and escrow payout commit together (see infra/mongoTx.js).
+    await runTransaction(db, async (session) => {
+      await contracts.updateOne({ _id: oid }, { $set: { status: 'approved', updatedAt: now } }, sessionOpts(session))
+
+      // Escrow payout: release frozen amount to executor (idempotent).
+      if (taskId && executorId) {
+        const rel = await releaseEscrowToExecutor({
+          db,
+          balanceRepo: req.app?.locals?.balanceRepo,
+          session,
+          taskId,
+          executorId,
+        })
+        if (!rel.ok && rel.error !== 'escrow_missing') throw new Error(rel.error)
+      }
+
+      if (taskId) await recomputeTaskStatus({ db, taskId, session })
+    })
     const fresh = await contracts.findOne({ _id: oid }, { readPreference: 'primary' })
-    const currency = currencyFromLocale(inferLocale(req))
-    const usdRubRate = currency === 'USD' ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir }) : null
-    return res.json(withMoney(toDto(fresh), { currency, usdRubRate }))
+    return res.json(await toMoneyDto(db, fresh))
   }))
 
   // Customer cancels contract (e.g. "change executor"): remove executor from task, refund escrow, notify removed executor.
@@ -401,38 +446,48 @@ export function createContractsApi() {
     if (!taskId || !executorId) return res.status(500).json({ error: 'bad_contract' })
 
     const now = new Date()
-
-    await contracts.updateOne({ _id: oid }, { $set: { status: 'cancelled', updatedAt: now } })
-
-    await assignments.updateOne(
-      { taskId, executorId },
-      { $set: { status: 'cancelled_by_customer', updatedAt: now } },
-    )
-
+    let taskOid = null
     try {
-      await tasks.updateOne(
-        { _id: new mongoose.Types.ObjectId(taskId) },
-        { $pull: { assignedExecutorIds: executorId }, $set: { updatedAt: now } },
-      )
+      taskOid = new mongoose.Types.ObjectId(taskId)
     } catch {
-      // ignore
+      taskOid = null
     }
 
-    await refundEscrowToCustomer({
-      db,
-      balanceRepo: req.app?.locals?.balanceRepo,
-      taskId,
-      executorId,
-    }).catch(() => {})
+    // Status changes and escrow refund commit together (see infra/mongoTx.js).
+    await runTransaction(db, async (session) => {
+      await contracts.updateOne({ _id: oid }, { $set: { status: 'cancelled', updatedAt: now } }, sessionOpts(session))
+
+      await assignments.updateOne(
+        { taskId, executorId },
+        { $set: { status: 'cancelled_by_customer', updatedAt: now } },
+        sessionOpts(session),
+      )
+
+      if (taskOid) {
+        await tasks.updateOne(
+          { _id: taskOid },
+          { $pull: { assignedExecutorIds: executorId }, $set: { updatedAt: now } },
+          sessionOpts(session),
+        )
+      }
 
-    await applications
-      .updateOne(
+      const ref = await refundEscrowToCustomer({
+        db,
+        balanceRepo: req.app?.locals?.balanceRepo,
+        session,
+        taskId,
+        executorId,
+      })
+      if (!ref.ok && ref.error !== 'escrow_missing') throw new Error(ref.error)
+
+      await applications.updateOne(
         { taskId, executorUserId: executorId, status: 'selected' },
         { $set: { status: 'rejected', updatedAt: now } },
+        sessionOpts(session),
       )
-      .catch(() => {})
 
-    if (taskId) await recomputeTaskStatus({ db, taskId })
+      await recomputeTaskStatus({ db, taskId, session })
+    })
 
     // Notify removed executor (backend sends notification when executor is changed).
     const executorMongoId =
@@ -448,9 +503,107 @@ export function createContractsApi() {
     }
 
     const fresh = await contracts.findOne({ _id: oid }, { readPreference: 'primary' })
-    const currency = currencyFromLocale(inferLocale(req))
-    const usdRubRate = currency === 'USD' ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir }) : null
-    return res.json(withMoney(toDto(fresh), { currency, usdRubRate }))
+    return res.json(await toMoneyDto(db, fresh))
+  }))
+
+  // Customer rewards the executor beyond the budget: body { amount, message? } in the contract currency.
+  // Only after the work is accepted (approved, or resolved by a dispute).
+  router.post('/api/contracts/:contractId/bonus', idempotency(), asyncHandler(async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+    const { userMongoId, userPublicId } = getAuthIds(r)
+
+    let oid = null
+    try {
+      oid = new mongoose.Types.ObjectId(String(req.params.contractId))
+    } catch {
+      oid = null
+    }
+    if (!oid) return res.status(400).json({ error: 'bad_contract_id' })
+
+    const input = normalizeBonusInput(req.body)
+    if (!input.ok) {
+      const { ok: _ok, ...body } = input
+      return res.status(400).json(body)
+    }
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const contract = await db.collection('contracts').findOne({ _id: oid }, { readPreference: 'primary' })
+    if (!contract) return res.status(404).json({ error: 'not_found' })
+    const isOwner = contract.clientId === userPublicId || contract.clientId === userMongoId
+    if (!isOwner) return res.status(403).json({ error: 'forbidden' })
+
+    const status = normalizeStatus(contract.status)
+    const result = await sendContractBonus({
+      db,
+      balanceRepo: req.app?.locals?.balanceRepo,
+      contract: { ...contract, status, clientMongoId: contract.clientMongoId ?? userMongoId },
+      amount: input.amount,
+      message: input.message,
+    })
+    req.app?.locals?.audit?.(req, 'contract.bonus', {
+      actor: { userId: userMongoId, role },
+      target: `contract:${String(oid)}`,
+      meta: {
+        bonusId: result.ok ? String(result.bonus._id) : null,
+        executorId: contract.executorId,
+        amount: input.amount,
+        currency: result.ok ? result.bonus.currency : result.currency ?? null,
+        error: result.ok ? null : result.error,
+      },
+      result: result.ok ? 'ok' : 'error',
+    })
+    if (!result.ok) {
+      const { ok: _ok, ...body } = result
+      return res.status(409).json(body)
+    }
+
+    const bonus = result.bonus
+    const executorMongoId =
+      typeof contract.executorMongoId === 'string' && contract.executorMongoId
+        ? contract.executorMongoId
+        : await resolveMongoIdFromPublicId(db, contract.executorId)
+    if (executorMongoId) {
+      const text = `Заказчик отправил вам бонус ${bonus.executorAmount} ${bonus.currency}${bonus.message ? `: «${bonus.message}»` : '.'}`
+      await addNotification(db, executorMongoId, text, {
+        type: 'contract_bonus',
+        contractId: String(oid),
+        taskId: bonus.taskId,
+        bonusId: String(bonus._id),
+        amount: bonus.executorAmount,
+        currency: bonus.currency,
+        actorUserId: userPublicId,
+      })
+    }
+    return res.status(201).json(toContractBonusDto(bonus))
+  }))
+
+  // Bonuses of a contract, for both of its parties.
+  router.get('/api/contracts/:contractId/bonuses', asyncHandler(async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const { userMongoId, userPublicId } = getAuthIds(r)
+
+    let oid = null
+    try {
+      oid = new mongoose.Types.ObjectId(String(req.params.contractId))
+    } catch {
+      oid = null
+    }
+    if (!oid) return res.status(400).json({ error: 'bad_contract_id' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const contract = await db.collection('contracts').findOne({ _id: oid }, { readPreference: 'primary' })
+    if (!contract) return res.status(404).json({ error: 'not_found' })
+    const ids = [userPublicId, userMongoId]
+    if (!ids.includes(contract.clientId) && !ids.includes(contract.executorId)) return res.status(403).json({ error: 'forbidden' })
+
+    const list = await listContractBonuses(db, String(oid))
+    return res.json(list.filter((b) => b.status === 'completed').map(toContractBonusDto))
   }))
 
   return router
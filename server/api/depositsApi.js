@@ -0,0 +1,176 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { requireAuth } from '../auth/auth.js'
+import { tryResolveAuthUser } from '../auth/authSession.js'
+import { idempotency } from '../infra/idempotency.js'
+import { inferLocale } from '../infra/locale.js'
+import { logBusinessEvent } from '../infra/logBusinessEvent.js'
+import { currencyFromLocale, normalizeCurrency, round2 } from '../infra/money.js'
+import {
+  DEPOSIT_LIMITS,
+  applyPaymentEvent,
+  ensureDepositIndexes,
+  toDepositDto,
+} from '../services/depositService.js'
+import { createNotification } from '../services/notificationService.js'
+import { PAYMENT_PROVIDERS, getDefaultPaymentProvider, getPaymentProvider } from '../services/payments/createPaymentProvider.js'
+
+function asyncHandler(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next)
+}
+
+export function createDepositsApi({ balanceRepo }) {
+  const router = express.Router()
+
+  // POST /api/deposits — пополнение баланса заказчиком. Body { amount, currency?, provider? } → { ...deposit, paymentUrl }
+  router.post(
+    '/api/deposits',
+    express.json({ limit: '100kb' }),
+    requireAuth,
+    idempotency(),
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const role = r.ok && typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+      if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+      const amountRaw = typeof req.body?.amount === 'number' ? req.body.amount : Number(req.body?.amount)
+      if (!Number.isFinite(amountRaw) || amountRaw <= 0) return res.status(400).json({ error: 'invalid_amount' })
+      const currency = normalizeCurrency(req.body?.currency) ?? currencyFromLocale(inferLocale(req))
+      const amount = round2(amountRaw)
+      const [minAmount, maxAmount] = DEPOSIT_LIMITS[currency]
+      if (amount < minAmount || amount > maxAmount) {
+        return res.status(400).json({ error: 'invalid_amount', currency, minAmount, maxAmount })
+      }
+
+      const providerId = typeof req.body?.provider === 'string' ? req.body.provider.trim() : ''
+      if (providerId && !PAYMENT_PROVIDERS.includes(providerId)) {
+        return res.status(400).json({ error: 'invalid_provider', allowed: PAYMENT_PROVIDERS })
+      }
+      const provider = providerId ? await getPaymentProvider(providerId) : await getDefaultPaymentProvider()
+      if (!provider) return res.status(503).json({ error: 'provider_not_configured' })
+
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      await ensureDepositIndexes(db)
+      const deposits = db.collection('deposits')
+
+      const now = new Date()
+      const insertRes = await deposits.insertOne({
+        userId: String(r.userId),
+        amount,
+        currency,
+        provider: provider.id,
+        status: 'pending',
+        providerPaymentId: null,
+        paymentUrl: null,
+        ledgerTxId: null,
+        createdAt: now,
+        updatedAt: now,
+        paidAt: null,
+      })
+      const depositId = String(insertRes.insertedId)
+      const appBaseUrl = (process.env.APP_BASE_URL || 'http://localhost:5173').replace(/\/+$/, '')
+
+      try {
+        const payment = await provider.createPayment({
+          depositId,
+          amount,
+          currency,
+          description: `Пополнение баланса #${depositId}`,
+          returnUrl: `${appBaseUrl}/balance?deposit=${depositId}`,
+          userId: String(r.userId),
+        })
+        await deposits.updateOne(
+          { _id: insertRes.insertedId },
+          { $set: { providerPaymentId: payment.providerPaymentId, paymentUrl: payment.paymentUrl, updatedAt: new Date() } },
+        )
+      } catch (e) {
+        req.log?.error?.('Deposit provider error', { depositId, provider: provider.id, error: e instanceof Error ? e.message : String(e) })
+        await deposits.updateOne({ _id: insertRes.insertedId }, { $set: { status: 'failed', updatedAt: new Date() } })
+        return res.status(502).json({ error: 'provider_error' })
+      }
+
+      const doc = await deposits.findOne({ _id: insertRes.insertedId }, { readPreference: 'primary' })
+      return res.status(201).json(toDepositDto(doc))
+    }),
+  )
+
+  // GET /api/deposits — мои пополнения (новые сверху)
+  router.get(
+    '/api/deposits',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      await ensureDepositIndexes(db)
+      const list = await db.collection('deposits').find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(100).toArray()
+      return res.json(list.map(toDepositDto))
+    }),
+  )
+
+  // GET /api/deposits/:depositId — статус пополнения (для страницы возврата после оплаты)
+  router.get(
+    '/api/deposits/:depositId',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      let oid
+      try {
+        oid = new mongoose.Types.ObjectId(String(req.params.depositId))
+      } catch {
+        return res.status(400).json({ error: 'bad_deposit_id' })
+      }
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const doc = await db.collection('deposits').findOne({ _id: oid, userId: req.user.id }, { readPreference: 'primary' })
+      if (!doc) return res.status(404).json({ error: 'not_found' })
+      return res.json(toDepositDto(doc))
+    }),
+  )
+
+  // POST /api/payments/:provider/webhook — уведомление провайдера. Подпись проверяет адаптер по сырому телу.
+  router.post(
+    '/api/payments/:provider/webhook',
+    express.raw({ type: '*/*', limit: '256kb' }),
+    asyncHandler(async (req, res) => {
+      const providerId = String(req.params.provider || '')
+      const provider = PAYMENT_PROVIDERS.includes(providerId) ? await getPaymentProvider(providerId) : null
+      if (!provider) return res.status(404).json({ error: 'unknown_provider' })
+
+      const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('')
+      const parsed = await provider.parseWebhook({ rawBody, headers: req.headers })
+      if (!parsed.ok) {
+        req.log?.warn?.('Payment webhook rejected', { provider: providerId, error: parsed.error })
+        return res.status(parsed.error === 'bad_signature' ? 401 : 400).json({ error: parsed.error })
+      }
+
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const result = await applyPaymentEvent({ db, balanceRepo, provider: providerId, event: parsed.event })
+      if (!result.ok) {
+        req.log?.warn?.('Payment webhook not applied', { provider: providerId, error: result.error, event: parsed.event })
+        // Acknowledge anyway: a retry won't fix an unknown deposit or a wrong amount.
+        return res.status(parsed.reply.status).json(parsed.reply.body)
+      }
+
+      if (result.credited) {
+        const deposit = result.deposit
+        await logBusinessEvent({
+          req,
+          event: 'BALANCE_CHANGED',
+          actor: deposit.userId,
+          target: null,
+          meta: { delta: deposit.amount, deltaCurrency: deposit.currency, reason: 'deposit', depositId: String(deposit._id), source: providerId },
+        }).catch(() => {})
+        await createNotification({
+          db,
+          userId: deposit.userId,
+          text: `Баланс пополнен на ${deposit.amount} ${deposit.currency}.`,
+          meta: { type: 'deposit_succeeded', depositId: String(deposit._id) },
+        }).catch(() => {})
+      }
+      return res.status(parsed.reply.status).json(parsed.reply.body)
+    }),
+  )
+
+  return router
+}
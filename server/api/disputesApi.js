@@ -1,11 +1,11 @@
 import express from 'express'
 import mongoose from 'mongoose'
 import { tryResolveAuthUser } from '../auth/authSession.js'
+import { idempotency } from '../infra/idempotency.js'
+import { runTransaction, sessionOpts } from '../infra/mongoTx.js'
 import { refundEscrowToCustomer, releaseEscrowToExecutor, splitEscrow } from '../services/escrowService.js'
 import { createNotification } from '../services/notificationService.js'
-import { inferLocale } from '../infra/locale.js'
-import { currencyFromLocale, round2, toRub } from '../infra/money.js'
-import { getUsdRubRate } from '../infra/usdRubRate.js'
+import { round2 } from '../infra/money.js'
 
 const SLA_MS = 24 * 60 * 60 * 1000
 
@@ -101,6 +101,85 @@ function toDto(doc) {
   }
 }
 
+// Split/partial amounts are in the escrow's currency (the one the contract shows).
+function decisionAmounts(decision) {
+  if (decision.payout !== 'split' && decision.payout !== 'partial') return null
+  return { executorAmount: round2(decision.executorAmount), customerAmount: round2(decision.customerAmount) }
+}
+
+// Locks the decision and executes the escrow movement (idempotent) plus contract/assignment/task
+// updates. With transactions all of it commits together; without them the decision stays locked
+// even if the money move fails, and the escrow saga log / reconciliation job pick it up.
+// Returns the updated dispute, or null if it left `in_review` concurrently.
+async function applyDecision({ db, balanceRepo, oid, decision, now }) {
+  return await runTransaction(db, async (session) => {
+    const disputes = db.collection('disputes')
+    const contracts = db.collection('contracts')
+    const update = await disputes.findOneAndUpdate(
+      { _id: oid, status: 'in_review' },
+      {
+        $set: { status: 'decided', decision, lockedDecisionAt: now.toISOString(), updatedAt: now },
+        $inc: { version: 1 },
+      },
+      sessionOpts(session, { returnDocument: 'after' }),
+    )
+    const doc = update?.value ?? update
+    if (!doc) return null
+
+    const settle = async () => {
+      let contractOid = null
+      try {
+        contractOid = new mongoose.Types.ObjectId(String(doc.contractId || ''))
+      } catch {
+        contractOid = null
+      }
+      const contract = contractOid
+        ? await contracts.findOne({ _id: contractOid }, sessionOpts(session, { readPreference: 'primary' }))
+        : null
+      if (!contract) return
+      const taskId = contract.taskId
+      const executorId = contract.executorId
+      const disputeId = String(oid)
+      let moved = null
+      if (decision.payout === 'executor') {
+        moved = await releaseEscrowToExecutor({ db, balanceRepo, session, taskId, executorId, disputeId })
+      } else if (decision.payout === 'customer') {
+        moved = await refundEscrowToCustomer({ db, balanceRepo, session, taskId, executorId, disputeId })
+      } else if (decisionAmounts(decision)) {
+        moved = await splitEscrow({ db, balanceRepo, session, taskId, executorId, disputeId, ...decisionAmounts(decision) })
+      }
+      if (moved && !moved.ok && moved.error !== 'escrow_missing') throw new Error(moved.error)
+      await contracts.updateOne({ _id: contract._id }, { $set: { status: 'resolved', updatedAt: now } }, sessionOpts(session))
+
+      // Sync assignment+task
+      await db.collection('assignments').updateOne(
+        { taskId, executorId },
+        { $set: { status: 'accepted', acceptedAt: now.toISOString(), updatedAt: now } },
+        sessionOpts(session),
+      )
+      let taskOid = null
+      try {
+        taskOid = new mongoose.Types.ObjectId(String(taskId))
+      } catch {
+        taskOid = null
+      }
+      if (taskOid) {
+        await db
+          .collection('tasks')
+          .updateOne({ _id: taskOid }, { $set: { status: 'closed', completedAt: now, updatedAt: now } }, sessionOpts(session))
+      }
+    }
+
+    if (session) {
+      await settle()
+    } else {
+      // If money move fails, we still keep the decision locked; ops can reconcile.
+      await settle().catch(() => {})
+    }
+    return doc
+  })
+}
+
 async function getContractAccess({ db, contractId, userPublicId, userMongoId }) {
   let oid = null
   try {
@@ -380,7 +459,7 @@ export function createDisputesApi() {
     return res.json(toDto(doc))
   }))
 
-  router.post('/api/disputes/:disputeId/decide', asyncHandler(async (req, res) => {
+  router.post('/api/disputes/:disputeId/decide', idempotency(), asyncHandler(async (req, res) => {
     const r = await tryResolveAuthUser(req)
     if (!r.ok) return res.status(401).json({ error: r.error })
     const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
@@ -402,7 +481,6 @@ export function createDisputesApi() {
     const db = mongoose.connection.db
     if (!db) return res.status(500).json({ error: 'mongo_not_available' })
     const disputes = db.collection('disputes')
-    const contracts = db.collection('contracts')
 
     const d = await disputes.findOne({ _id: oid }, { readPreference: 'primary' })
     if (!d) return res.status(404).json({ error: 'not_found' })
@@ -413,68 +491,19 @@ export function createDisputesApi() {
     if (d.status !== 'in_review') return res.status(409).json({ error: 'invalid_status', status: d.status })
 
     const now = new Date()
-    const update = await disputes.findOneAndUpdate(
-      { _id: oid },
-      { $set: { status: 'decided', decision, lockedDecisionAt: now.toISOString(), updatedAt: now }, $inc: { version: 1 } },
-      { returnDocument: 'after' },
-    )
-    const doc = update?.value ?? update
-
-    // Execute escrow movement based on decision (idempotent).
-    try {
-      const contractId = String(doc.contractId || '')
-      const contract = await contracts.findOne({ _id: new mongoose.Types.ObjectId(contractId) }, { readPreference: 'primary' })
-      if (contract) {
-        const taskId = contract.taskId
-        const executorId = contract.executorId
-        if (decision.payout === 'executor') {
-          await releaseEscrowToExecutor({ db, balanceRepo: req.app?.locals?.balanceRepo, taskId, executorId })
-        } else if (decision.payout === 'customer') {
-          await refundEscrowToCustomer({ db, balanceRepo: req.app?.locals?.balanceRepo, taskId, executorId })
-        } else if (decision.payout === 'split' || decision.payout === 'partial') {
-          const locale = inferLocale(req)
-          const requestCurrency = currencyFromLocale(locale)
-          const usdRubRate = requestCurrency === 'USD'
-            ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir })
-            : null
-          const executorAmountRub =
-            requestCurrency === 'USD' ? toRub(decision.executorAmount, 'USD', usdRubRate) : round2(decision.executorAmount)
-          const customerAmountRub =
-            requestCurrency === 'USD' ? toRub(decision.customerAmount, 'USD', usdRubRate) : round2(decision.customerAmount)
-          await splitEscrow({
-            db,
-            balanceRepo: req.app?.locals?.balanceRepo,
-            taskId,
-            executorId,
-            executorAmount: executorAmountRub,
-            customerAmount: customerAmountRub,
-          })
-        }
-        await contracts.updateOne({ _id: contract._id }, { $set: { status: 'resolved', updatedAt: now } })
-
-        // Sync assignment+task best-effort
-        await db.collection('assignments').updateOne(
-          { taskId, executorId },
-          { $set: { status: 'accepted', acceptedAt: now.toISOString(), updatedAt: now } },
-        )
-        try {
-          await db.collection('tasks').updateOne(
-            { _id: new mongoose.Types.ObjectId(String(taskId)) },
-            { $set: { status: 'closed', completedAt: now, updatedAt: now } },
-          )
-        } catch {
-          // ignore
-        }
-      }
-    } catch {
-      // If money move fails, we still keep the decision locked; ops can reconcile.
-    }
-
+    const doc = await applyDecision({
+      db,
+      balanceRepo: req.app?.locals?.balanceRepo,
+      oid,
+      decision,
+      now,
+    })
+    if (!doc) return res.json(toDto(await disputes.findOne({ _id: oid }, { readPreference: 'primary' })))
     return res.json(toDto(doc))
   }))
 
   // Backward-compatible alias: some clients expect /api/disputes/:id/decision
-  router.post('/api/disputes/:disputeId/decision', asyncHandler(async (req, res, next) => {
+  router.post('/api/disputes/:disputeId/decision', idempotency(), asyncHandler(async (req, res, next) => {
     // Delegate to the canonical handler by reusing its logic.
     // We can't "call" the other route directly, so we keep the implementation in sync:
     try {
@@ -499,7 +528,6 @@ export function createDisputesApi() {
       const db = mongoose.connection.db
       if (!db) return res.status(500).json({ error: 'mongo_not_available' })
       const disputes = db.collection('disputes')
-      const contracts = db.collection('contracts')
 
       const d = await disputes.findOne({ _id: oid }, { readPreference: 'primary' })
       if (!d) return res.status(404).json({ error: 'not_found' })
@@ -510,63 +538,14 @@ export function createDisputesApi() {
       if (d.status !== 'in_review') return res.status(409).json({ error: 'invalid_status', status: d.status })
 
       const now = new Date()
-      const update = await disputes.findOneAndUpdate(
-        { _id: oid },
-        { $set: { status: 'decided', decision, lockedDecisionAt: now.toISOString(), updatedAt: now }, $inc: { version: 1 } },
-        { returnDocument: 'after' },
-      )
-      const doc = update?.value ?? update
-
-      // Execute escrow movement based on decision (idempotent).
-      try {
-        const contractId = String(doc.contractId || '')
-        const contract = await contracts.findOne({ _id: new mongoose.Types.ObjectId(contractId) }, { readPreference: 'primary' })
-        if (contract) {
-          const taskId = contract.taskId
-          const executorId = contract.executorId
-          if (decision.payout === 'executor') {
-            await releaseEscrowToExecutor({ db, balanceRepo: req.app?.locals?.balanceRepo, taskId, executorId })
-          } else if (decision.payout === 'customer') {
-            await refundEscrowToCustomer({ db, balanceRepo: req.app?.locals?.balanceRepo, taskId, executorId })
-          } else if (decision.payout === 'split' || decision.payout === 'partial') {
-            const locale = inferLocale(req)
-            const requestCurrency = currencyFromLocale(locale)
-            const usdRubRate = requestCurrency === 'USD'
-              ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir })
-              : null
-            const executorAmountRub =
-              requestCurrency === 'USD' ? toRub(decision.executorAmount, 'USD', usdRubRate) : round2(decision.executorAmount)
-            const customerAmountRub =
-              requestCurrency === 'USD' ? toRub(decision.customerAmount, 'USD', usdRubRate) : round2(decision.customerAmount)
-            await splitEscrow({
-              db,
-              balanceRepo: req.app?.locals?.balanceRepo,
-              taskId,
-              executorId,
-              executorAmount: executorAmountRub,
-              customerAmount: customerAmountRub,
-            })
-          }
-          await contracts.updateOne({ _id: contract._id }, { $set: { status: 'resolved', updatedAt: now } })
-
-          // Sync assignment+task best-effort
-          await db.collection('assignments').updateOne(
-            { taskId, executorId },
-            { $set: { status: 'accepted', acceptedAt: now.toISOString(), updatedAt: now } },
-          )
-          try {
-            await db.collection('tasks').updateOne(
-              { _id: new mongoose.Types.ObjectId(String(taskId)) },
-              { $set: { status: 'closed', completedAt: now, updatedAt: now } },
-            )
-          } catch {
-            // ignore
-          }
-        }
-      } catch {
-        // If money move fails, we still keep the decision locked; ops can reconcile.
-      }
-
+      const doc = await applyDecision({
+        db,
+        balanceRepo: req.app?.locals?.balanceRepo,
+        oid,
+        decision,
+        now,
+      })
+      if (!doc) return res.json(toDto(await disputes.findOne({ _id: oid }, { readPreference: 'primary' })))
       return res.json(toDto(doc))
     } catch (e) {
       next(e)
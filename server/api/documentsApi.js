@@ -0,0 +1,152 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { tryResolveAuthUser } from '../auth/authSession.js'
+import { requireAuth } from '../auth/auth.js'
+import { idempotency } from '../infra/idempotency.js'
+import {
+  ACT_MODES,
+  CUSTOMER_DOCUMENT_KINDS,
+  createAct,
+  createTopUpInvoice,
+  findCustomerDocumentFile,
+  listCustomerDocuments,
+  toCustomerDocumentDto,
+} from '../services/customerDocumentService.js'
+
+function asyncHandler(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next)
+}
+
+function getAuth(r) {
+  const userMongoId = String(r.userId)
+  const role = typeof r.user?.role === 'string' ? r.user.role : 'pending'
+  return { userMongoId, role }
+}
+
+function toObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(String(id))
+  } catch {
+    return null
+  }
+}
+
+const ERROR_STATUS = {
+  user_not_found: 404,
+  task_not_found: 404,
+  legal_entity_profile_required: 403,
+  seller_details_not_configured: 503,
+}
+
+export function createDocumentsApi({ documentsDir }) {
+  if (!documentsDir) throw new Error('createDocumentsApi: documentsDir is required')
+  const router = express.Router()
+
+  // GET /api/documents?kind=invoice|act&year= — счета и акты заказчика (юрлица).
+  router.get(
+    '/api/documents',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId } = getAuth(r)
+      const kind = typeof req.query?.kind === 'string' && req.query.kind.trim() ? req.query.kind.trim() : null
+      if (kind && !CUSTOMER_DOCUMENT_KINDS.includes(kind)) {
+        return res.status(400).json({ error: 'invalid_kind', allowed: CUSTOMER_DOCUMENT_KINDS })
+      }
+      const year = req.query?.year ? Number(req.query.year) : null
+      if (year != null && !Number.isInteger(year)) return res.status(400).json({ error: 'invalid_year' })
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const list = await listCustomerDocuments(db, userMongoId, { kind, year })
+      const user = await db.collection('users').findOne({ _id: toObjectId(userMongoId) }, { projection: { documentSettings: 1 } })
+      return res.json({
+        items: list.map(toCustomerDocumentDto),
+        settings: { actMode: ACT_MODES.includes(user?.documentSettings?.actMode) ? user.documentSettings.actMode : 'month' },
+      })
+    }),
+  )
+
+  // GET /api/documents/:id/file — PDF документа (только владелец).
+  router.get(
+    '/api/documents/:id/file',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId } = getAuth(r)
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const found = await findCustomerDocumentFile(db, { documentsDir, id: req.params?.id, userId: userMongoId })
+      if (!found) return res.status(404).json({ error: 'not_found' })
+      res.setHeader('Content-Type', 'application/pdf')
+      res.setHeader('Content-Disposition', `attachment; filename="${found.doc.fileName}"`)
+      return res.sendFile(found.filePath, (err) => {
+        if (err && !res.headersSent) res.status(404).json({ error: 'file_missing' })
+      })
+    }),
+  )
+
+  // POST /api/documents/invoices — body { amount } (RUB). Счёт на пополнение баланса банковским переводом.
+  router.post(
+    '/api/documents/invoices',
+    requireAuth,
+    idempotency(),
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId, role } = getAuth(r)
+      if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+      const amount = typeof req.body?.amount === 'number' ? req.body.amount : Number(req.body?.amount)
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const result = await createTopUpInvoice(db, { documentsDir, userId: userMongoId, amount })
+      if (!result.ok) {
+        const { ok: _ok, ...body } = result
+        return res.status(ERROR_STATUS[result.error] ?? 400).json(body)
+      }
+      return res.status(201).json(toCustomerDocumentDto(result.doc))
+    }),
+  )
+
+  // POST /api/documents/acts — body { taskId } (закрытое задание) или { month: 'YYYY-MM' } (завершённый месяц).
+  // Акт по уже актированным работам не дублируется: вернётся существующий.
+  router.post(
+    '/api/documents/acts',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId, role } = getAuth(r)
+      if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+      const taskId = typeof req.body?.taskId === 'string' && req.body.taskId.trim() ? req.body.taskId.trim() : null
+      const month = typeof req.body?.month === 'string' && req.body.month.trim() ? req.body.month.trim() : null
+      if (!taskId === !month) return res.status(400).json({ error: 'taskId_or_month_required' })
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const result = await createAct(db, { documentsDir, userId: userMongoId, taskId, month })
+      if (!result.ok) {
+        const { ok: _ok, ...body } = result
+        return res.status(ERROR_STATUS[result.error] ?? (result.error === 'nothing_to_act' ? 409 : 400)).json(body)
+      }
+      return res.status(result.already ? 200 : 201).json(toCustomerDocumentDto(result.doc))
+    }),
+  )
+
+  // PUT /api/documents/settings — body { actMode: 'task' | 'month' }: акт на каждое закрытое задание или раз в месяц.
+  router.put(
+    '/api/documents/settings',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId, role } = getAuth(r)
+      if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+      const actMode = typeof req.body?.actMode === 'string' ? req.body.actMode.trim() : ''
+      if (!ACT_MODES.includes(actMode)) return res.status(400).json({ error: 'invalid_actMode', allowed: ACT_MODES })
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const oid = toObjectId(userMongoId)
+      if (!oid) return res.status(400).json({ error: 'bad_user_id' })
+      await db.collection('users').updateOne({ _id: oid }, { $set: { 'documentSettings.actMode': actMode, updatedAt: new Date() } })
+      return res.json({ settings: { actMode } })
+    }),
+  )
+
+  return router
+}
@@ -121,7 +121,11 @@ export function createGoalsApi({ dataDir }) {
       if (!balanceRepo?.adjust) {
         return res.status(500).json({ error: 'server_error', message: 'balance_not_configured' })
       }
-      const newBalance = await balanceRepo.adjust(req.user.id, GOAL_REWARD)
+      const newBalance = await balanceRepo.adjust(req.user.id, GOAL_REWARD, {
+        type: 'manual_adjust',
+        meta: { reason: 'goal_completed', goalId: goal.id },
+        idempotencyKey: `goal_reward:${goal.id}`,
+      })
 
       // 3) лог изменения баланса
       await logBusinessEvent({
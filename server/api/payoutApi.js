@@ -1,9 +1,29 @@
 import express from 'express'
 import mongoose from 'mongoose'
 import { tryResolveAuthUser } from '../auth/authSession.js'
+import { idempotency } from '../infra/idempotency.js'
 import { requireAuth } from '../auth/auth.js'
-
-const MIN_WITHDRAWAL_RUB = 5000
+import {
+  LEGAL_STATUSES,
+  listPayoutProfileHistory,
+  missingDocumentKinds,
+  normalizeProfileDocuments,
+  savePayoutProfile,
+  toPayoutProfileVersionDto,
+  validateBankDetails,
+  validatePayoutExtra,
+} from '../services/payoutProfileService.js'
+import { decryptPayoutProfile, maskBankDetails } from '../services/payoutPiiService.js'
+import { maskPii } from '../infra/piiCrypto.js'
+import { listUserReceipts, submitNpdReceipt, toNpdReceiptDto } from '../services/npdReceiptService.js'
+import { MIN_WITHDRAWAL_RUB, createWithdrawalRequest } from '../services/withdrawalService.js'
+import {
+  deletePayoutSchedule,
+  getPayoutSchedule,
+  normalizePayoutSchedule,
+  savePayoutSchedule,
+  toPayoutScheduleDto,
+} from '../services/payoutScheduleService.js'
 
 function asyncHandler(fn) {
   return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next)
@@ -15,8 +35,6 @@ function getAuth(r) {
   return { userMongoId, role }
 }
 
-const LEGAL_STATUSES = ['individual', 'self_employed', 'legal_entity']
-
 /** Читает поле из объекта: сначала camelCase, затем snake_case (для совместимости с фронтом). */
 function pick(obj, camelKey, snakeKey = camelKey.replace(/([A-Z])/g, '_$1').toLowerCase().replace(/^_/, '')) {
   if (!obj || typeof obj !== 'object') return undefined
@@ -25,107 +43,10 @@ function pick(obj, camelKey, snakeKey = camelKey.replace(/([A-Z])/g, '_$1').toLo
   return obj[snakeKey]
 }
 
-const DIGITS_11 = /^\d{11}$/
-const DIGITS_4 = /^\d{4}$/
-const DIGITS_6 = /^\d{6}$/
-const DIGITS_20 = /^\d{20}$/
-
-/** Валидация и нормализация snils и паспортных полей из body. */
-function validatePayoutExtra(body) {
-  const str = (v) => (typeof v === 'string' ? v.trim() : '')
-  const snilsRaw = pick(body, 'snils')
-  const snils = str(snilsRaw)
-  if (snils && !DIGITS_11.test(snils)) return { ok: false, error: 'invalid_snils', expected: '11 digits' }
-
-  const passportSeriesRaw = pick(body, 'passportSeries', 'passport_series')
-  const passportSeries = str(passportSeriesRaw)
-  if (passportSeries && !DIGITS_4.test(passportSeries)) return { ok: false, error: 'invalid_passportSeries', expected: '4 digits' }
-
-  const passportNumberRaw = pick(body, 'passportNumber', 'passport_number')
-  const passportNumber = str(passportNumberRaw)
-  if (passportNumber && !DIGITS_6.test(passportNumber)) return { ok: false, error: 'invalid_passportNumber', expected: '6 digits' }
-
-  const passportIssuedBy = str(pick(body, 'passportIssuedBy', 'passport_issued_by'))
-  const passportIssueDate = str(pick(body, 'passportIssueDate', 'passport_issue_date'))
-
-  return {
-    ok: true,
-    extra: {
-      snils: snils || undefined,
-      passportSeries: passportSeries || undefined,
-      passportNumber: passportNumber || undefined,
-      passportIssuedBy: passportIssuedBy || undefined,
-      passportIssueDate: passportIssueDate || undefined,
-    },
-  }
-}
-
-function validateBankDetails(legalStatus, bankDetails) {
-  if (!bankDetails || typeof bankDetails !== 'object') return { ok: false, error: 'missing_bankDetails' }
-  const d = bankDetails
-  const str = (v) => (typeof v === 'string' ? v.trim() : '')
-  const s = (camel, snake) => str(pick(d, camel, snake))
-
-  const correspondentAccount = s('correspondentAccount', 'correspondent_account')
-  if (correspondentAccount && !DIGITS_20.test(correspondentAccount)) {
-    return { ok: false, error: 'invalid_correspondentAccount', expected: '20 digits' }
-  }
-
-  if (legalStatus === 'individual') {
-    const fullName = s('fullName', 'full_name')
-    const accountNumber = s('accountNumber', 'account_number')
-    const bik = str(d.bik)
-    const bankName = s('bankName', 'bank_name')
-    const cardNumber = s('cardNumber', 'card_number')
-    if (!fullName) return { ok: false, error: 'missing_fullName' }
-    if (!accountNumber) return { ok: false, error: 'missing_accountNumber' }
-    if (!bik) return { ok: false, error: 'missing_bik' }
-    if (!bankName) return { ok: false, error: 'missing_bankName' }
-    return {
-      ok: true,
-      bankDetails: { fullName, accountNumber, bik, bankName, correspondentAccount: correspondentAccount || undefined, cardNumber: cardNumber || undefined },
-    }
-  }
-  if (legalStatus === 'self_employed') {
-    const fullName = s('fullName', 'full_name')
-    const inn = str(d.inn)
-    const accountNumber = s('accountNumber', 'account_number')
-    const bik = str(d.bik)
-    const bankName = s('bankName', 'bank_name')
-    const cardNumber = s('cardNumber', 'card_number')
-    if (!fullName) return { ok: false, error: 'missing_fullName' }
-    if (!inn) return { ok: false, error: 'missing_inn' }
-    if (!accountNumber) return { ok: false, error: 'missing_accountNumber' }
-    if (!bik) return { ok: false, error: 'missing_bik' }
-    if (!bankName) return { ok: false, error: 'missing_bankName' }
-    return {
-      ok: true,
-      bankDetails: { fullName, inn, accountNumber, bik, bankName, correspondentAccount: correspondentAccount || undefined, cardNumber: cardNumber || undefined },
-    }
-  }
-  if (legalStatus === 'legal_entity') {
-    const companyName = s('companyName', 'company_name')
-    const inn = str(d.inn)
-    const accountNumber = s('accountNumber', 'account_number')
-    const bik = str(d.bik)
-    const bankName = s('bankName', 'bank_name')
-    const kpp = str(d.kpp)
-    if (!companyName) return { ok: false, error: 'missing_companyName' }
-    if (!inn) return { ok: false, error: 'missing_inn' }
-    if (!accountNumber) return { ok: false, error: 'missing_accountNumber' }
-    if (!bik) return { ok: false, error: 'missing_bik' }
-    if (!bankName) return { ok: false, error: 'missing_bankName' }
-    return {
-      ok: true,
-      bankDetails: { companyName, inn, accountNumber, bik, bankName, correspondentAccount: correspondentAccount || undefined, kpp: kpp || undefined },
-    }
-  }
-  return { ok: false, error: 'invalid_legalStatus' }
-}
-
+// Identity and bank numbers are stored encrypted and only ever returned masked (****1234).
 function toPayoutProfileDto(doc) {
   const p = doc?.payoutProfile
-  const bd = p?.bankDetails && typeof p.bankDetails === 'object' ? p.bankDetails : null
+  const bd = p?.bankDetails && typeof p.bankDetails === 'object' ? maskBankDetails(p.bankDetails) : null
   if (!p) {
     return {
       legalStatus: null,
@@ -138,6 +59,12 @@ function toPayoutProfileDto(doc) {
       passportIssuedBy: null,
       passportIssueDate: null,
       bankDetails: null,
+      documents: [],
+      missingDocuments: [],
+      version: null,
+      rejectionReason: null,
+      submittedAt: null,
+      reviewedAt: null,
     }
   }
   return {
@@ -145,12 +72,18 @@ function toPayoutProfileDto(doc) {
     status: p.status ?? null,
     fullName: bd?.fullName ?? null,
     inn: bd?.inn ?? null,
-    snils: p.snils ?? null,
-    passportSeries: p.passportSeries ?? null,
-    passportNumber: p.passportNumber ?? null,
+    snils: maskPii(p.snils),
+    passportSeries: maskPii(p.passportSeries, 2),
+    passportNumber: maskPii(p.passportNumber),
     passportIssuedBy: p.passportIssuedBy ?? null,
     passportIssueDate: p.passportIssueDate ?? null,
     bankDetails: bd,
+    documents: Array.isArray(p.documents) ? p.documents : [],
+    missingDocuments: missingDocumentKinds(p.documents),
+    version: p.version ?? null,
+    rejectionReason: p.rejectionReason ?? null,
+    submittedAt: p.submittedAt ?? null,
+    reviewedAt: p.reviewedAt ?? null,
   }
 }
 
@@ -181,7 +114,9 @@ export function createPayoutApi({ balanceRepo }) {
     }),
   )
 
-  // POST /api/payout-profile — сохранить профиль, status = pending_verification (executor или customer)
+  // POST /api/payout-profile — сохранить профиль (executor или customer). Body: реквизиты + documents?: [{ kind, url, name? }]
+  // (файлы через /api/uploads; нужны passport и inn). Статус: documents_required или pending_verification;
+  // изменение реквизитов подтверждённого профиля снова отправляет его на проверку.
   router.post(
     '/api/payout-profile',
     requireAuth,
@@ -197,34 +132,75 @@ export function createPayoutApi({ balanceRepo }) {
       }
       const bankDetailsRaw = req.body?.bankDetails ?? req.body?.bank_details
       const validation = validateBankDetails(legalStatus, bankDetailsRaw)
-      if (!validation.ok) return res.status(400).json({ error: validation.error })
+      if (!validation.ok) return res.status(400).json({ error: validation.error, fields: validation.fields ?? null })
 
       const extraValidation = validatePayoutExtra(req.body)
-      if (!extraValidation.ok) return res.status(400).json({ error: extraValidation.error, expected: extraValidation.expected })
+      if (!extraValidation.ok) return res.status(400).json({ error: extraValidation.error, fields: extraValidation.fields })
+
+      const documentsRaw = req.body?.documents
+      const documents = documentsRaw === undefined ? undefined : normalizeProfileDocuments(documentsRaw)
+      if (documents === null) return res.status(400).json({ error: 'invalid_documents' })
 
       const db = mongoose.connection.db
       if (!db) return res.status(500).json({ error: 'mongo_not_available' })
-      const users = db.collection('users')
       let oid
       try {
         oid = new mongoose.Types.ObjectId(userMongoId)
       } catch {
         return res.status(400).json({ error: 'bad_user_id' })
       }
-      const now = new Date()
-      const payoutProfile = {
-        legalStatus,
-        status: 'pending_verification',
-        bankDetails: validation.bankDetails,
-        ...extraValidation.extra,
-        updatedAt: now.toISOString(),
+      const saved = await savePayoutProfile(db, {
+        userOid: oid,
+        fields: { legalStatus, bankDetails: validation.bankDetails, ...extraValidation.extra },
+        documents,
+      })
+      if (!saved.ok) return res.status(409).json({ error: saved.error })
+      return res.json(toPayoutProfileDto({ payoutProfile: saved.profile }))
+    }),
+  )
+
+  // PUT /api/payout-profile/documents — заменить сканы документов. Body { documents: [{ kind, url, name? }] }.
+  // Остальные поля профиля не меняются; подтверждённый профиль уходит на повторную проверку.
+  router.put(
+    '/api/payout-profile/documents',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId, role } = getAuth(r)
+      if (role !== 'executor' && role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+      const documents = normalizeProfileDocuments(req.body?.documents)
+      if (!documents) return res.status(400).json({ error: 'invalid_documents' })
+
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      let oid
+      try {
+        oid = new mongoose.Types.ObjectId(userMongoId)
+      } catch {
+        return res.status(400).json({ error: 'bad_user_id' })
       }
-      await users.updateOne(
-        { _id: oid },
-        { $set: { payoutProfile, updatedAt: now } },
-      )
-      const user = await users.findOne({ _id: oid }, { projection: { payoutProfile: 1 }, readPreference: 'primary' })
-      return res.json(toPayoutProfileDto(user))
+      const user = await db.collection('users').findOne({ _id: oid }, { projection: { payoutProfile: 1 }, readPreference: 'primary' })
+      const current = user?.payoutProfile
+      if (!current) return res.status(400).json({ error: 'no_payout_profile' })
+      const { status, version, rejectionReason, submittedAt, reviewedAt, reviewedBy, updatedAt, documents: _prev, ...fields } =
+        decryptPayoutProfile(current)
+      const saved = await savePayoutProfile(db, { userOid: oid, fields, documents })
+      if (!saved.ok) return res.status(409).json({ error: saved.error })
+      return res.json(toPayoutProfileDto({ payoutProfile: saved.profile }))
+    }),
+  )
+
+  // GET /api/payout-profile/history — версии профиля выплат и решения проверки (новые сверху)
+  router.get(
+    '/api/payout-profile/history',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId } = getAuth(r)
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const list = await listPayoutProfileHistory(db, userMongoId)
+      return res.json(list.map(toPayoutProfileVersionDto))
     }),
   )
 
@@ -259,10 +235,13 @@ export function createPayoutApi({ balanceRepo }) {
     }),
   )
 
-  // POST /api/withdraw — заявка на вывод (executor или customer, verified profile, balance >= 5000 RUB)
+  // POST /api/withdraw — заявка на вывод (executor или customer, verified profile, balance >= 5000 RUB).
+  // Правила вывода (холд, лимиты, частота, споры, нарушения) — 403 { error: 'withdrawal_denied', reason, denials }.
+  // Первая заявка создаётся в статусе review и ждёт ручной проверки.
   router.post(
     '/api/withdraw',
     requireAuth,
+    idempotency(),
     asyncHandler(async (req, res) => {
       const r = await tryResolveAuthUser(req)
       const { userMongoId, role } = getAuth(r)
@@ -275,47 +254,122 @@ export function createPayoutApi({ balanceRepo }) {
 
       const db = mongoose.connection.db
       if (!db) return res.status(500).json({ error: 'mongo_not_available' })
-      const users = db.collection('users')
-      const withdrawals = db.collection('withdrawalRequests')
+      const result = await createWithdrawalRequest({ db, balanceRepo, userId: userMongoId, amount })
+      if (!result.ok) {
+        const { ok: _ok, ...body } = result
+        const code = ['payout_profile_not_verified', 'npd_receipts_overdue', 'withdrawal_denied'].includes(result.error)
+          ? 403
+          : result.error === 'withdrawal_in_progress'
+            ? 409
+            : 400
+        return res.status(code).json(body)
+      }
+      const created = result.doc
+      return res.status(201).json({
+        id: String(created._id),
+        userId: created.userId,
+        amount: created.amount,
+        legalStatus: created.legalStatus,
+        status: created.status,
+        review: created.review ? created.review.reason : null,
+        createdAt: created.createdAt ? new Date(created.createdAt).toISOString() : null,
+      })
+    }),
+  )
+
+  // GET /api/payout-schedule — настройки автовыплат (executor). null, если не настроены.
+  router.get(
+    '/api/payout-schedule',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId, role } = getAuth(r)
+      if (role !== 'executor') return res.status(403).json({ error: 'forbidden' })
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      return res.json({ schedule: toPayoutScheduleDto(await getPayoutSchedule(db, userMongoId)) })
+    }),
+  )
+
+  // PUT /api/payout-schedule — body { frequency: 'weekly' | 'monthly', dayOfWeek? (1–7), dayOfMonth? (1–28),
+  // thresholdAmount (>= 5000), reserveAmount?, enabled? }. В день выплаты выводится всё сверх reserveAmount,
+  // если это не меньше thresholdAmount. Нужен подтверждённый профиль выплат.
+  router.put(
+    '/api/payout-schedule',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId, role } = getAuth(r)
+      if (role !== 'executor') return res.status(403).json({ error: 'forbidden' })
+      const v = normalizePayoutSchedule(req.body)
+      if (!v.ok) {
+        const { ok: _ok, ...body } = v
+        return res.status(400).json(body)
+      }
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
       let oid
       try {
         oid = new mongoose.Types.ObjectId(userMongoId)
       } catch {
         return res.status(400).json({ error: 'bad_user_id' })
       }
-      const user = await users.findOne({ _id: oid }, { projection: { payoutProfile: 1 }, readPreference: 'primary' })
-      const profile = user?.payoutProfile
-      if (!profile || profile.status !== 'verified') {
-        return res.status(403).json({ error: 'payout_profile_not_verified' })
+      if (v.schedule.enabled) {
+        const user = await db.collection('users').findOne({ _id: oid }, { projection: { 'payoutProfile.status': 1 } })
+        if (user?.payoutProfile?.status !== 'verified') return res.status(403).json({ error: 'payout_profile_not_verified' })
       }
+      const saved = await savePayoutSchedule(db, userMongoId, v.schedule)
+      return res.json({ schedule: toPayoutScheduleDto(saved) })
+    }),
+  )
 
-      const balanceRub = await balanceRepo.get(req.user.id)
-      if (balanceRub < amount) {
-        return res.status(400).json({ error: 'insufficient_balance', balance: balanceRub, required: amount })
-      }
+  // DELETE /api/payout-schedule — отключить автовыплаты.
+  router.delete(
+    '/api/payout-schedule',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId, role } = getAuth(r)
+      if (role !== 'executor') return res.status(403).json({ error: 'forbidden' })
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const deleted = await deletePayoutSchedule(db, userMongoId)
+      return res.json({ ok: true, deleted })
+    }),
+  )
 
-      const now = new Date()
-      const doc = {
-        userId: userMongoId,
-        amount: Math.round(amount),
-        legalStatus: profile.legalStatus ?? null,
-        bankDetailsSnapshot: profile.bankDetails && typeof profile.bankDetails === 'object' ? profile.bankDetails : null,
-        status: 'pending',
-        createdAt: now,
-        updatedAt: now,
-      }
-      const insertRes = await withdrawals.insertOne(doc)
-      await balanceRepo.adjust(req.user.id, -amount)
+  // GET /api/npd-receipts — чеки НПД по моим выплатам (самозанятый исполнитель)
+  router.get(
+    '/api/npd-receipts',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId } = getAuth(r)
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const list = await listUserReceipts(db, userMongoId)
+      return res.json(list.map((x) => toNpdReceiptDto(x)))
+    }),
+  )
 
-      const created = await withdrawals.findOne({ _id: insertRes.insertedId }, { readPreference: 'primary' })
-      return res.status(201).json({
-        id: String(created._id),
-        userId: created.userId,
-        amount: created.amount,
-        legalStatus: created.legalStatus,
-        status: created.status,
-        createdAt: created.createdAt ? new Date(created.createdAt).toISOString() : null,
+  // POST /api/npd-receipts/:id — прикрепить чек. Body { receiptUrl?, fileUrl? }: ссылка из «Мой налог»
+  // (lknpd.nalog.ru/api/v1/receipt/<ИНН>/<номер>/print) и/или файл, загруженный через /api/uploads.
+  router.post(
+    '/api/npd-receipts/:id',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const r = await tryResolveAuthUser(req)
+      const { userMongoId } = getAuth(r)
+      const db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      const result = await submitNpdReceipt(db, {
+        id: req.params.id,
+        userId: userMongoId,
+        receiptUrl: pick(req.body, 'receiptUrl', 'receipt_url') ?? null,
+        fileUrl: pick(req.body, 'fileUrl', 'file_url') ?? null,
       })
+      if (!result.ok) return res.status(result.error === 'not_found' ? 404 : 400).json({ error: result.error })
+      return res.json(toNpdReceiptDto(result.doc))
     }),
   )
 
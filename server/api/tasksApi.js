@@ -1,11 +1,28 @@
 import express from 'express'
 import mongoose from 'mongoose'
+import multer from 'multer'
 import { tryResolveAuthUser } from '../auth/authSession.js'
+import { idempotency } from '../infra/idempotency.js'
+import { runTransaction, sessionOpts } from '../infra/mongoTx.js'
 import { freezeEscrow } from '../services/escrowService.js'
+import { checkCampaignTasks } from '../services/campaignService.js'
 import { canExecutorRespond } from '../services/executorSanctionsService.js'
-import { inferLocale } from '../infra/locale.js'
-import { currencyFromLocale, fromRub, normalizeCurrency, round2, toRub } from '../infra/money.js'
-import { getUsdRubRate } from '../infra/usdRubRate.js'
+import { EXECUTOR_MODES } from '../services/feeService.js'
+import { syncTaskBudgetHold, taskBudgetCurrencyOf } from '../services/taskBudgetService.js'
+import { extendTask, normalizeTaskExpiry, notExpiredClause, republishTask } from '../services/taskExpiryService.js'
+import { MAX_IMPORT_FILE_BYTES, readImportTable, tableToTaskRecords } from '../services/taskImportService.js'
+import { TASK_LANGUAGES, detectTaskLanguage, parseTaskListParams, searchTasks, textLanguageOf } from '../services/taskSearchService.js'
+import {
+  createTaskTemplate,
+  deleteTaskTemplate,
+  findOwnedTaskTemplate,
+  listTaskTemplates,
+  markTaskTemplateUsed,
+  normalizeTemplateName,
+  toTaskTemplateDto,
+  updateTaskTemplate,
+} from '../services/taskTemplateService.js'
+import { normalizeCurrency, round2 } from '../infra/money.js'
 
 function isObject(v) {
   return v !== null && typeof v === 'object' && !Array.isArray(v)
@@ -44,11 +61,6 @@ function trimOrNull(v) {
   return typeof v === 'string' ? (v.trim() ? v.trim() : null) : null
 }
 
-function calcExpiresAt(now) {
-  // Default TTL for marketplace tasks: 24h (frontend uses the same constant in storage).
-  return new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString()
-}
-
 function normalizeDeliverables(v) {
   if (!Array.isArray(v)) return undefined
   const out = v
@@ -178,6 +190,166 @@ async function validateBrandOwnership({ db, brandId, userPublicId, userMongoId }
   return { ok: true, brandName, brandLogoUrl }
 }
 
+// Brief fields a task is created from. Templates store exactly these and clones copy them.
+const TASK_CONTENT_FIELDS = [
+  'title',
+  'shortDescription',
+  'description',
+  'requirements',
+  'descriptionFiles',
+  'reference',
+  'brandId',
+  'executorMode',
+  'deliverables',
+  'category',
+  'location',
+  'language',
+  'budgetAmount',
+  'budgetCurrency',
+  'executionDays',
+  'maxExecutors',
+]
+
+function pickTaskContent(src) {
+  const out = {}
+  for (const k of TASK_CONTENT_FIELDS) {
+    if (src?.[k] !== undefined && src[k] !== null) out[k] = src[k]
+  }
+  return out
+}
+
+/** Normalizes a create-task body. Returns { ok, fields } or { ok: false, error }. */
+function normalizeTaskInput(body, now) {
+  const title = toLocalizedText(body?.title)
+  if (!hasAnyText(title)) return { ok: false, error: 'missing_title' }
+
+  const description = toLocalizedText(body?.description)
+  const shortDescription = toLocalizedText(body?.shortDescription)
+  const requirements = toLocalizedText(body?.requirements)
+
+  const category = trimOrNull(body?.category)
+  const location = trimOrNull(body?.location)
+  const dueDate = trimOrNull(body?.dueDate)
+  const executionDays =
+    typeof body?.executionDays === 'number' && Number.isFinite(body.executionDays)
+      ? Math.max(1, Math.min(365, Math.floor(body.executionDays)))
+      : typeof body?.executionDays === 'string' && /^\d+$/.test(body.executionDays.trim())
+        ? Math.max(1, Math.min(365, parseInt(body.executionDays.trim(), 10)))
+        : undefined
+  // Same rules as extend/publish (ISO date, at most 30 days ahead); 24h by default.
+  const expiry = normalizeTaskExpiry({ expiresAt: trimOrNull(body?.expiresAt) }, now.getTime())
+  if (!expiry.ok) return { ok: false, error: expiry.error, field: 'expiresAt' }
+  const expiresAt = expiry.expiresAt
+
+  const budgetAmount = typeof body?.budgetAmount === 'number' && Number.isFinite(body.budgetAmount) ? body.budgetAmount : null
+  const budgetCurrency = normalizeCurrency(body?.budgetCurrency) ?? (budgetAmount != null ? 'RUB' : null)
+
+  const maxExecutors = clampInt(body?.maxExecutors, { min: 1, max: 50, fallback: 1 })
+
+  const executorMode =
+    body?.executorMode === 'blogger_ad' || body?.executorMode === 'customer_post' || body?.executorMode === 'ai'
+      ? body.executorMode
+      : 'customer_post'
+
+  const descriptionFiles = normalizeDescriptionFiles(body?.descriptionFiles)
+  return {
+    ok: true,
+    fields: {
+      title,
+      shortDescription,
+      description,
+      requirements,
+      descriptionFiles,
+      descriptionFile: isObject(body?.descriptionFile) ? body.descriptionFile : null,
+      reference: normalizeReference(body?.reference),
+      brandId: normalizeBrandId(body?.brandId),
+      executorMode,
+      deliverables: normalizeDeliverables(body?.deliverables),
+      category,
+      location,
+      language: detectTaskLanguage(body?.language, title),
+      budgetAmount,
+      budgetCurrency,
+      dueDate,
+      executionDays,
+      expiresAt,
+      maxExecutors,
+      lockedAfterPublish: typeof body?.lockedAfterPublish === 'boolean' ? body.lockedAfterPublish : undefined,
+      editWindowExpiresAt: trimOrNull(body?.editWindowExpiresAt),
+    },
+  }
+}
+
+// Draft task document from normalizeTaskInput() fields; `brand` is the validated brand (name/logo).
+function buildDraftTaskDoc({ fields, brand, userMongoId, userPublicId, now, extra = {} }) {
+  const { brandId, descriptionFiles, descriptionFile, executionDays, ...rest } = fields
+  return {
+    createdByMongoId: userMongoId,
+    createdByUserId: userPublicId,
+    title: rest.title,
+    shortDescription: rest.shortDescription,
+    description: rest.description,
+    requirements: rest.requirements,
+    descriptionFiles,
+    // Legacy single-file shape (keep if provided; also self-heal from array).
+    descriptionFile: descriptionFiles?.length ? descriptionFiles[0] : descriptionFile,
+    reference: rest.reference,
+    brandId: brandId ?? null,
+    brandName: brandId ? brand?.brandName ?? null : null,
+    brandLogoUrl: brandId ? brand?.brandLogoUrl ?? null : null,
+    executorMode: rest.executorMode,
+    deliverables: rest.deliverables,
+    category: rest.category,
+    location: rest.location,
+    language: rest.language,
+    textLanguage: textLanguageOf(rest.language),
+    budgetAmount: rest.budgetAmount,
+    budgetCurrency: rest.budgetCurrency,
+    dueDate: rest.dueDate,
+    ...(executionDays != null ? { executionDays } : {}),
+    expiresAt: rest.expiresAt,
+    maxExecutors: rest.maxExecutors,
+    assignedExecutorIds: [],
+    status: 'draft',
+    lockedAfterPublish: rest.lockedAfterPublish,
+    editWindowExpiresAt: rest.editWindowExpiresAt,
+    ...extra,
+    publishedAt: null,
+    takenAt: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+    reviewSubmittedAt: null,
+  }
+}
+
+/**
+ * Inserts a draft task from normalizeTaskInput() fields (the brand must belong to the customer).
+ * `extra` is merged into the document (e.g. templateId, clonedFromTaskId).
+ * Returns { ok, doc } or { ok: false, error }.
+ */
+async function insertDraftTask({ db, fields, userMongoId, userPublicId, now, extra = {} }) {
+  let brand = null
+  if (fields.brandId) {
+    brand = await validateBrandOwnership({ db, brandId: fields.brandId, userPublicId, userMongoId })
+    if (!brand.ok) return { ok: false, error: brand.error }
+  }
+  const tasks = db.collection('tasks')
+  const insertRes = await tasks.insertOne(buildDraftTaskDoc({ fields, brand, userMongoId, userPublicId, now, extra }))
+  return { ok: true, doc: await tasks.findOne({ _id: insertRes.insertedId }) }
+}
+
+// A task in a campaign can't be published while the campaign is paused, and its budget must fit the
+// campaign's cap (services/campaignService.js). `task` carries the pending changes.
+async function checkTaskCampaign({ db, task, publishing = false }) {
+  if (!task.campaignId) return { ok: true }
+  const campaignOid = parseObjectId(task.campaignId)
+  const campaign = campaignOid ? await db.collection('campaigns').findOne({ _id: campaignOid }, { readPreference: 'primary' }) : null
+  if (!campaign) return { ok: true }
+  if (publishing && campaign.status === 'paused') return { ok: false, error: 'campaign_paused', campaignId: task.campaignId }
+  return await checkCampaignTasks(db, { campaign, tasks: [task] })
+}
+
 async function hydrateBrandIfNeeded({ db, dto }) {
   if (!dto || typeof dto !== 'object') return dto
   const brandId = typeof dto.brandId === 'string' && dto.brandId.trim() ? dto.brandId.trim() : ''
@@ -297,8 +469,6 @@ function toTaskDto(doc) {
   const normalizedBudgetCurrency = normalizeCurrency(rest.budgetCurrency)
   const budgetCurrency =
     normalizedBudgetCurrency ?? (typeof budgetAmount === 'number' && Number.isFinite(budgetAmount) ? 'RUB' : rest.budgetCurrency ?? null)
-  const budgetAmountRubStored =
-    typeof rest.budgetAmountRub === 'number' && Number.isFinite(rest.budgetAmountRub) ? rest.budgetAmountRub : null
   return {
     id: String(_id),
     createdByUserId,
@@ -316,13 +486,6 @@ function toTaskDto(doc) {
     brandLogoUrl: typeof rest.brandLogoUrl === 'string' && rest.brandLogoUrl.trim() ? rest.brandLogoUrl.trim() : null,
     budgetAmount,
     budgetCurrency,
-    budgetAmountRub:
-      budgetAmountRubStored ??
-      (typeof budgetAmount === 'number' && Number.isFinite(budgetAmount)
-        ? budgetCurrency === 'USD'
-          ? null // unknown without rate; computed server-side for escrow anyway
-          : round2(budgetAmount)
-        : null),
     // Backward compatibility: some older endpoints used userId as owner.
     userId: createdByUserId,
     assignedExecutorIds: Array.isArray(rest.assignedExecutorIds) ? rest.assignedExecutorIds : [],
@@ -336,8 +499,12 @@ function toTaskDto(doc) {
 export function createTasksApi() {
   const router = express.Router()
   router.use(express.json({ limit: '1mb' }))
+  const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_FILE_BYTES, files: 1 } })
 
   // Soft auth list: return [] if not logged in (prevents retry storms).
+  // Query: q (full text over title/description), platform, executorMode, budgetMin, budgetMax, currency,
+  // brandId, language, minSlotsLeft, sort=newest|budget_asc|budget_desc|deadline, limit (≤ 200), cursor.
+  // The body stays an array; the next page's cursor comes in the X-Next-Cursor header.
   router.get('/api/tasks', async (req, res) => {
     const r = await tryResolveAuthUser(req)
     if (!r.ok) return res.json([])
@@ -347,10 +514,15 @@ export function createTasksApi() {
     const userPublicId = telegramUserId ? `tg_${telegramUserId}` : userMongoId
     const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
 
+    const parsed = parseTaskListParams(req.query)
+    if (!parsed.ok) {
+      const { ok: _ok, ...body } = parsed
+      return res.status(400).json(body)
+    }
+
     const db = mongoose.connection.db
     if (!db) return res.status(500).json({ error: 'mongo_not_available' })
 
-    const tasks = db.collection('tasks')
     let query = null
     if (role === 'customer') {
       query = {
@@ -367,11 +539,12 @@ export function createTasksApi() {
     } else if (role === 'executor') {
       query = {
         $or: [
-          // Marketplace: published tasks that still have free executor slots.
+          // Marketplace: published, not yet expired tasks that still have free executor slots.
           {
             $and: [
               { publishedAt: { $ne: null } },
               { status: { $in: ['open', 'in_progress', 'review', 'dispute'] } },
+              notExpiredClause(),
               {
                 $expr: {
                   $lt: [
@@ -390,9 +563,10 @@ export function createTasksApi() {
       query = { _id: null } // empty
     }
 
-    const items = await tasks.find(query).sort({ createdAt: -1 }).limit(200).toArray()
+    const { items, nextCursor } = await searchTasks(db, { baseQuery: query, params: parsed.params })
     const dtos = items.map(toTaskDto)
     const hydrated = await hydrateBrandsForList({ db, dtos })
+    if (nextCursor) res.setHeader('X-Next-Cursor', nextCursor)
     res.json(hydrated)
   })
 
@@ -458,109 +632,344 @@ export function createTasksApi() {
     if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
 
     const now = new Date()
+    const input = normalizeTaskInput(req.body, now)
+    if (!input.ok) return res.status(400).json({ error: input.error })
 
-    const title = toLocalizedText(req.body?.title)
-    if (!hasAnyText(title)) return res.status(400).json({ error: 'missing_title' })
-
-    const description = toLocalizedText(req.body?.description)
-    const shortDescription = toLocalizedText(req.body?.shortDescription)
-    const requirements = toLocalizedText(req.body?.requirements)
-
-    const category = trimOrNull(req.body?.category)
-    const location = trimOrNull(req.body?.location)
-    const dueDate = trimOrNull(req.body?.dueDate)
-    const executionDays =
-      typeof req.body?.executionDays === 'number' && Number.isFinite(req.body.executionDays)
-        ? Math.max(1, Math.min(365, Math.floor(req.body.executionDays)))
-        : typeof req.body?.executionDays === 'string' && /^\d+$/.test(req.body.executionDays.trim())
-          ? Math.max(1, Math.min(365, parseInt(req.body.executionDays.trim(), 10)))
-          : undefined
-    const expiresAt = (() => {
-      const v = trimOrNull(req.body?.expiresAt)
-      return v || calcExpiresAt(now)
-    })()
-
-    const budgetAmount =
-      typeof req.body?.budgetAmount === 'number' && Number.isFinite(req.body.budgetAmount) ? req.body.budgetAmount : null
-    const budgetCurrency = normalizeCurrency(req.body?.budgetCurrency) ?? (budgetAmount != null ? 'RUB' : null)
-    const usdRubRateForWrite = budgetCurrency === 'USD' ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir }) : null
-    const budgetAmountRub =
-      budgetAmount != null
-        ? budgetCurrency === 'USD'
-          ? toRub(budgetAmount, 'USD', usdRubRateForWrite)
-          : round2(budgetAmount)
-        : null
-
-    const maxExecutors = clampInt(req.body?.maxExecutors, { min: 1, max: 50, fallback: 1 })
-
-    const executorMode =
-      req.body?.executorMode === 'blogger_ad' || req.body?.executorMode === 'customer_post' || req.body?.executorMode === 'ai'
-        ? req.body.executorMode
-        : 'customer_post'
-
-    const deliverables = normalizeDeliverables(req.body?.deliverables)
-    const reference = normalizeReference(req.body?.reference)
-    const descriptionFiles = normalizeDescriptionFiles(req.body?.descriptionFiles)
-    const descriptionFile = isObject(req.body?.descriptionFile) ? req.body.descriptionFile : null
-    const lockedAfterPublish =
-      typeof req.body?.lockedAfterPublish === 'boolean' ? req.body.lockedAfterPublish : undefined
-    const editWindowExpiresAt = trimOrNull(req.body?.editWindowExpiresAt)
-    const brandId = normalizeBrandId(req.body?.brandId)
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+
+    const created = await insertDraftTask({ db, fields: input.fields, userMongoId, userPublicId, now })
+    if (!created.ok) return res.status(400).json({ error: created.error })
+    res.status(201).json(toTaskDto(created.doc))
+  })
+
+  // POST /api/tasks/import — multipart: file (CSV или XLSX, колонки см. services/taskImportService.js), dryRun=1.
+  // Каждая строка проверяется так же, как POST /api/tasks. dryRun возвращает только отчёт по строкам;
+  // без него задания создаются черновиками одной пачкой, если ошибок нет ни в одной строке.
+  router.post('/api/tasks/import', async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const userMongoId = String(r.userId)
+    const telegramUserId =
+      typeof r.user?.telegramUserId === 'string' && r.user.telegramUserId ? r.user.telegramUserId : null
+    const userPublicId = telegramUserId ? `tg_${telegramUserId}` : userMongoId
+    const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const uploadError = await new Promise((resolve) => importUpload.single('file')(req, res, (err) => resolve(err ?? null)))
+    if (uploadError instanceof multer.MulterError) {
+      if (uploadError.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'file_too_large', maxBytes: MAX_IMPORT_FILE_BYTES })
+      return res.status(400).json({ error: uploadError.message })
+    }
+    if (uploadError) return res.status(400).json({ error: 'upload_failed' })
+    if (!req.file) return res.status(400).json({ error: 'missing_file' })
+    const dryRunRaw = String(req.query?.dryRun ?? req.body?.dryRun ?? '').trim().toLowerCase()
+    const dryRun = dryRunRaw === '1' || dryRunRaw === 'true'
+
+    const table = readImportTable({ buffer: req.file.buffer, fileName: req.file.originalname, mimeType: req.file.mimetype })
+    if (!table.ok) {
+      const { ok: _ok, ...body } = table
+      return res.status(400).json(body)
+    }
+    const parsed = tableToTaskRecords(table.rows)
+    if (!parsed.ok) {
+      const { ok: _ok, ...body } = parsed
+      return res.status(400).json(body)
+    }
 
     const db = mongoose.connection.db
     if (!db) return res.status(500).json({ error: 'mongo_not_available' })
 
-    let brandName = null
-    let brandLogoUrl = null
-    if (brandId) {
-      const vr = await validateBrandOwnership({ db, brandId, userPublicId, userMongoId })
-      if (!vr.ok) return res.status(400).json({ error: vr.error })
-      brandName = vr.brandName ?? null
-      brandLogoUrl = vr.brandLogoUrl ?? null
+    // The brand column takes a brand id or the name of one of the customer's brands.
+    const ownedBrands = await db
+      .collection('brands')
+      .find({ $or: [{ ownerUserId: userPublicId }, { ownerMongoId: userMongoId }] }, { projection: { _id: 1, name: 1 } })
+      .toArray()
+    const brandIdByName = new Map(ownedBrands.map((b) => [String(b.name ?? '').trim().toLowerCase(), String(b._id)]))
+    const brandChecks = new Map()
+    const checkBrand = async (brandId) => {
+      if (!brandChecks.has(brandId)) brandChecks.set(brandId, await validateBrandOwnership({ db, brandId, userPublicId, userMongoId }))
+      return brandChecks.get(brandId)
     }
 
+    const now = new Date()
+    const rows = []
+    for (const rec of parsed.records) {
+      const errors = [...rec.errors]
+      const body = { ...rec.body }
+      let brand = null
+      if (rec.brand) {
+        body.brandId = mongoose.isValidObjectId(rec.brand) ? rec.brand : brandIdByName.get(rec.brand.toLowerCase()) ?? null
+        brand = body.brandId ? await checkBrand(body.brandId) : { ok: false, error: 'brand_not_found_or_not_owned' }
+        if (!brand.ok) errors.push({ field: 'brand', error: brand.error })
+      }
+      if (body.budgetCurrency && !normalizeCurrency(body.budgetCurrency)) errors.push({ field: 'currency', error: 'invalid_currency' })
+      if (body.executorMode && !EXECUTOR_MODES.includes(body.executorMode)) errors.push({ field: 'executor_mode', error: 'invalid_executorMode' })
+      if (body.language && !TASK_LANGUAGES.includes(body.language)) errors.push({ field: 'language', error: 'invalid_language' })
+      if (body.deliverables !== undefined) {
+        const deliverables = normalizeDeliverables(body.deliverables)
+        if (!deliverables || deliverables.length !== body.deliverables.length) errors.push({ field: 'deliverables', error: 'invalid_deliverables' })
+      }
+      if (body.reference !== undefined && !normalizeReference(body.reference)) errors.push({ field: 'reference', error: 'invalid_reference' })
+      const input = normalizeTaskInput(body, now)
+      if (!input.ok) errors.push({ field: input.field === 'expiresAt' ? 'expires_at' : 'title', error: input.error })
+      rows.push({ row: rec.row, errors, fields: input.ok ? input.fields : null, brand })
+    }
+
+    const invalid = rows.filter((x) => x.errors.length)
+    const report = {
+      total: rows.length,
+      valid: rows.length - invalid.length,
+      invalid: invalid.length,
+      ignoredColumns: parsed.ignoredColumns,
+      errors: invalid.map((x) => ({ row: x.row, errors: x.errors })),
+    }
+    if (dryRun) return res.json({ dryRun: true, ...report })
+    if (invalid.length) return res.status(400).json({ error: 'invalid_rows', ...report })
+
+    const importBatchId = String(new mongoose.Types.ObjectId())
+    const docs = rows.map((x) =>
+      buildDraftTaskDoc({ fields: x.fields, brand: x.brand, userMongoId, userPublicId, now, extra: { importBatchId, importRow: x.row } }),
+    )
     const tasks = db.collection('tasks')
-    const insertRes = await tasks.insertOne({
-      createdByMongoId: userMongoId,
-      createdByUserId: userPublicId,
-      title,
-      shortDescription,
-      description,
-      requirements,
-      descriptionFiles,
-      // Legacy single-file shape (keep if provided; also self-heal from array).
-      descriptionFile: descriptionFiles?.length ? descriptionFiles[0] : descriptionFile,
-      reference,
-      brandId: brandId ?? null,
-      brandName: brandId ? brandName : null,
-      brandLogoUrl: brandId ? brandLogoUrl : null,
-      executorMode,
-      deliverables,
-      category,
-      location,
-      budgetAmount,
-      budgetCurrency,
-      budgetAmountRub,
-      dueDate,
-      ...(executionDays != null ? { executionDays } : {}),
-      expiresAt,
-      maxExecutors,
-      assignedExecutorIds: [],
-      status: 'draft',
-      lockedAfterPublish,
-      editWindowExpiresAt,
-      publishedAt: null,
-      takenAt: null,
-      createdAt: now,
-      updatedAt: now,
-      completedAt: null,
-      reviewSubmittedAt: null,
+    const inserted = await tasks.insertMany(docs, { ordered: true })
+    req.app?.locals?.audit?.(req, 'task.import', {
+      actor: userMongoId,
+      target: `import:${importBatchId}`,
+      meta: { created: docs.length, fileName: req.file.originalname ?? null },
+      result: 'ok',
     })
+    const created = await tasks.find({ _id: { $in: Object.values(inserted.insertedIds) } }).sort({ importRow: 1 }).toArray()
+    return res.status(201).json({ dryRun: false, ...report, importBatchId, created: created.length, tasks: created.map(toTaskDto) })
+  })
+
+  // POST /api/tasks/:taskId/clone — копия закрытого или истёкшего задания в новый черновик.
+  // Body — необязательные правки полей (как в POST /api/tasks).
+  router.post('/api/tasks/:taskId/clone', async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const userMongoId = String(r.userId)
+    const telegramUserId =
+      typeof r.user?.telegramUserId === 'string' && r.user.telegramUserId ? r.user.telegramUserId : null
+    const userPublicId = telegramUserId ? `tg_${telegramUserId}` : userMongoId
+    const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const oid = parseObjectId(req.params.taskId)
+    if (!oid) return res.status(400).json({ error: 'bad_task_id' })
 
-    const doc = await tasks.findOne({ _id: insertRes.insertedId })
-    res.status(201).json(toTaskDto(doc))
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const source = await db.collection('tasks').findOne(
+      {
+        _id: oid,
+        $or: [
+          { createdByMongoId: userMongoId },
+          { createdByUserId: userPublicId },
+          // legacy
+          { createdByUserId: userMongoId },
+          { userId: userMongoId },
+          { userId: userPublicId },
+        ],
+      },
+      { readPreference: 'primary' },
+    )
+    if (!source) return res.status(404).json({ error: 'not_found' })
+    const status = typeof source.status === 'string' && source.status ? source.status : 'draft'
+    if (status !== 'closed' && status !== 'expired') return res.status(409).json({ error: 'invalid_status', status })
+
+    const now = new Date()
+    const overrides = isObject(req.body) ? req.body : {}
+    const input = normalizeTaskInput({ ...pickTaskContent(source), ...overrides }, now)
+    if (!input.ok) return res.status(400).json({ error: input.error })
+    const created = await insertDraftTask({
+      db,
+      fields: input.fields,
+      userMongoId,
+      userPublicId,
+      now,
+      extra: { clonedFromTaskId: String(oid) },
+    })
+    if (!created.ok) return res.status(400).json({ error: created.error })
+    res.status(201).json(toTaskDto(created.doc))
+  })
+
+  // Task templates: saved briefs of a customer, optionally per brand.
+  // GET /api/task-templates?brandId=<id>|none
+  router.get('/api/task-templates', async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const userMongoId = String(r.userId)
+    const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const brandId = trimOrNull(req.query?.brandId)
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const list = await listTaskTemplates(db, { ownerMongoId: userMongoId, brandId })
+    return res.json(list.map(toTaskTemplateDto))
+  })
+
+  // POST /api/task-templates — body { name?, taskId?, ...поля задания }. С taskId шаблон снимается с
+  // существующего задания (поля из body перекрывают его поля).
+  router.post('/api/task-templates', async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const userMongoId = String(r.userId)
+    const telegramUserId =
+      typeof r.user?.telegramUserId === 'string' && r.user.telegramUserId ? r.user.telegramUserId : null
+    const userPublicId = telegramUserId ? `tg_${telegramUserId}` : userMongoId
+    const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+
+    const { name: nameRaw, taskId: taskIdRaw, ...body } = isObject(req.body) ? req.body : {}
+    let source = null
+    if (taskIdRaw != null) {
+      const taskOid = parseObjectId(taskIdRaw)
+      if (!taskOid) return res.status(400).json({ error: 'bad_task_id' })
+      source = await db.collection('tasks').findOne(
+        {
+          _id: taskOid,
+          $or: [
+            { createdByMongoId: userMongoId },
+            { createdByUserId: userPublicId },
+            // legacy
+            { createdByUserId: userMongoId },
+            { userId: userMongoId },
+            { userId: userPublicId },
+          ],
+        },
+        { readPreference: 'primary' },
+      )
+      if (!source) return res.status(404).json({ error: 'task_not_found' })
+    }
+
+    const input = normalizeTaskInput({ ...pickTaskContent(source), ...body }, new Date())
+    if (!input.ok) return res.status(400).json({ error: input.error })
+    const fields = pickTaskContent(input.fields)
+    if (fields.brandId) {
+      const vr = await validateBrandOwnership({ db, brandId: fields.brandId, userPublicId, userMongoId })
+      if (!vr.ok) return res.status(400).json({ error: vr.error })
+    }
+    const name = normalizeTemplateName(nameRaw, fields.title)
+    if (!name.ok) {
+      const { ok: _ok, ...err } = name
+      return res.status(400).json(err)
+    }
+
+    const created = await createTaskTemplate(db, {
+      ownerMongoId: userMongoId,
+      ownerUserId: userPublicId,
+      name: name.name,
+      fields,
+      sourceTaskId: source ? String(source._id) : null,
+    })
+    if (!created.ok) {
+      const { ok: _ok, ...err } = created
+      return res.status(409).json(err)
+    }
+    return res.status(201).json(toTaskTemplateDto(created.doc))
+  })
+
+  router.get('/api/task-templates/:templateId', async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const userMongoId = String(r.userId)
+    const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const template = await findOwnedTaskTemplate(db, { id: req.params.templateId, ownerMongoId: userMongoId })
+    if (!template) return res.status(404).json({ error: 'not_found' })
+    return res.json(toTaskTemplateDto(template))
   })
 
+  // PATCH /api/task-templates/:templateId — body { name?, ...поля задания }: поля сливаются с сохранёнными.
+  router.patch('/api/task-templates/:templateId', async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const userMongoId = String(r.userId)
+    const telegramUserId =
+      typeof r.user?.telegramUserId === 'string' && r.user.telegramUserId ? r.user.telegramUserId : null
+    const userPublicId = telegramUserId ? `tg_${telegramUserId}` : userMongoId
+    const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const template = await findOwnedTaskTemplate(db, { id: req.params.templateId, ownerMongoId: userMongoId })
+    if (!template) return res.status(404).json({ error: 'not_found' })
+
+    const { name: nameRaw, ...body } = isObject(req.body) ? req.body : {}
+    const input = normalizeTaskInput({ ...template.fields, ...body }, new Date())
+    if (!input.ok) return res.status(400).json({ error: input.error })
+    const fields = pickTaskContent(input.fields)
+    if (fields.brandId && fields.brandId !== template.brandId) {
+      const vr = await validateBrandOwnership({ db, brandId: fields.brandId, userPublicId, userMongoId })
+      if (!vr.ok) return res.status(400).json({ error: vr.error })
+    }
+    const name = normalizeTemplateName(nameRaw ?? template.name, fields.title)
+    if (!name.ok) {
+      const { ok: _ok, ...err } = name
+      return res.status(400).json(err)
+    }
+    const updated = await updateTaskTemplate(db, { template, name: name.name, fields })
+    return res.json(toTaskTemplateDto(updated))
+  })
+
+  router.delete('/api/task-templates/:templateId', async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const userMongoId = String(r.userId)
+    const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const template = await findOwnedTaskTemplate(db, { id: req.params.templateId, ownerMongoId: userMongoId })
+    if (!template) return res.status(404).json({ error: 'not_found' })
+    await deleteTaskTemplate(db, { template })
+    return res.json({ ok: true })
+  })
+
+  // POST /api/task-templates/:templateId/tasks — новый черновик из шаблона; body — правки полей.
+  router.post('/api/task-templates/:templateId/tasks', async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const userMongoId = String(r.userId)
+    const telegramUserId =
+      typeof r.user?.telegramUserId === 'string' && r.user.telegramUserId ? r.user.telegramUserId : null
+    const userPublicId = telegramUserId ? `tg_${telegramUserId}` : userMongoId
+    const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const template = await findOwnedTaskTemplate(db, { id: req.params.templateId, ownerMongoId: userMongoId })
+    if (!template) return res.status(404).json({ error: 'not_found' })
+
+    const now = new Date()
+    const overrides = isObject(req.body) ? req.body : {}
+    const input = normalizeTaskInput({ ...template.fields, ...overrides }, now)
+    if (!input.ok) return res.status(400).json({ error: input.error })
+    const created = await insertDraftTask({
+      db,
+      fields: input.fields,
+      userMongoId,
+      userPublicId,
+      now,
+      extra: { templateId: String(template._id) },
+    })
+    if (!created.ok) return res.status(400).json({ error: created.error })
+    await markTaskTemplateUsed(db, { template })
+    res.status(201).json(toTaskDto(created.doc))
+  })
+
+  // POST /api/tasks/:taskId/publish — body { expiresAt } | { hours } (необязательно): срок публикации отсчитывается от момента публикации.
   router.post('/api/tasks/:taskId/publish', async (req, res) => {
     const r = await tryResolveAuthUser(req)
     if (!r.ok) return res.status(401).json({ error: r.error })
@@ -606,9 +1015,145 @@ export function createTasksApi() {
     if (currentStatus !== 'draft') {
       return res.status(409).json({ error: 'invalid_status', status: currentStatus })
     }
+    const campaignCheck = await checkTaskCampaign({ db, task: { ...existing, status: 'open' }, publishing: true })
+    if (!campaignCheck.ok) {
+      const { ok: _ok, ...body } = campaignCheck
+      return res.status(409).json(body)
+    }
 
     const now = new Date()
-    await tasks.updateOne(
+    // The marketplace window starts at publish: body { expiresAt } | { hours }, 24h by default.
+    const expiry = normalizeTaskExpiry(req.body, now.getTime())
+    if (!expiry.ok) {
+      const { ok: _ok, ...body } = expiry
+      return res.status(400).json(body)
+    }
+    // The whole budget (budgetAmount × maxExecutors) is reserved from the customer's wallet on publish;
+    // executors' escrows are then funded from this hold (see services/taskBudgetService.js).
+    let published
+    try {
+      published = await runTransaction(db, async (session) => {
+        const hold = await syncTaskBudgetHold({
+          db,
+          balanceRepo: req.app?.locals?.balanceRepo,
+          task: { ...existing, status: 'open', publishedAt: now, expiresAt: expiry.expiresAt },
+          session,
+        })
+        if (!hold.ok) return hold
+        await tasks.updateOne(
+          { _id: oid, status: currentStatus },
+          { $set: { status: 'open', publishedAt: now, expiresAt: expiry.expiresAt, expiryReminderSentAt: null, updatedAt: now } },
+          sessionOpts(session),
+        )
+        return { ok: true }
+      })
+    } catch (e) {
+      req.log?.error?.('Task publish failed', { taskId: String(oid), error: e instanceof Error ? e.message : String(e) })
+      return res.status(500).json({ error: 'publish_failed' })
+    }
+    if (!published.ok) {
+      return res.status(409).json({
+        error: 'insufficient_balance',
+        required: published.required,
+        balance: published.balance,
+        currency: published.currency,
+        taskId: String(oid),
+      })
+    }
+    const doc = await tasks.findOne({ _id: oid }, { readPreference: 'primary' })
+    return res.json(toTaskDto(doc))
+  })
+
+  // POST /api/tasks/:taskId/extend — body { expiresAt } (ISO) или { hours }: продлить публикацию живого задания (до 30 дней).
+  router.post('/api/tasks/:taskId/extend', async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const userMongoId = String(r.userId)
+    const telegramUserId =
+      typeof r.user?.telegramUserId === 'string' && r.user.telegramUserId ? r.user.telegramUserId : null
+    const userPublicId = telegramUserId ? `tg_${telegramUserId}` : userMongoId
+    const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    let oid = null
+    try {
+      oid = new mongoose.Types.ObjectId(String(req.params.taskId))
+    } catch {
+      oid = null
+    }
+    if (!oid) return res.status(400).json({ error: 'bad_task_id' })
+
+    const expiry = normalizeTaskExpiry(req.body)
+    if (!expiry.ok) {
+      const { ok: _ok, ...body } = expiry
+      return res.status(400).json(body)
+    }
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const tasks = db.collection('tasks')
+    const existing = await tasks.findOne(
+      {
+        _id: oid,
+        $or: [
+          { createdByMongoId: userMongoId },
+          { createdByUserId: userPublicId },
+          // legacy
+          { createdByUserId: userMongoId },
+          { userId: userMongoId },
+          { userId: userPublicId },
+        ],
+      },
+      { readPreference: 'primary' },
+    )
+    if (!existing) return res.status(404).json({ error: 'not_found' })
+
+    // Expired tasks (and closed slots) go back through /republish, which re-reserves the budget.
+    const result = await extendTask(db, { task: existing, expiresAt: expiry.expiresAt })
+    if (!result.ok) {
+      const { ok: _ok, ...body } = result
+      return res.status(409).json(body)
+    }
+    req.app?.locals?.audit?.(req, 'task.extend', {
+      actor: userMongoId,
+      target: String(oid),
+      meta: { from: existing.expiresAt ?? null, to: expiry.expiresAt },
+      result: 'ok',
+    })
+    const doc = await tasks.findOne({ _id: oid }, { readPreference: 'primary' })
+    return res.json(toTaskDto(doc))
+  })
+
+  // POST /api/tasks/:taskId/republish — body { expiresAt } | { hours } (по умолчанию 24 ч): снова опубликовать
+  // истёкшее задание или открыть закрытые по сроку места. Бюджет мест резервируется заново.
+  router.post('/api/tasks/:taskId/republish', async (req, res) => {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    const userMongoId = String(r.userId)
+    const telegramUserId =
+      typeof r.user?.telegramUserId === 'string' && r.user.telegramUserId ? r.user.telegramUserId : null
+    const userPublicId = telegramUserId ? `tg_${telegramUserId}` : userMongoId
+    const role = typeof r.user?.role === 'string' && r.user.role ? r.user.role : 'pending'
+    if (role !== 'customer') return res.status(403).json({ error: 'forbidden' })
+
+    let oid = null
+    try {
+      oid = new mongoose.Types.ObjectId(String(req.params.taskId))
+    } catch {
+      oid = null
+    }
+    if (!oid) return res.status(400).json({ error: 'bad_task_id' })
+
+    const expiry = normalizeTaskExpiry(req.body)
+    if (!expiry.ok) {
+      const { ok: _ok, ...body } = expiry
+      return res.status(400).json(body)
+    }
+
+    const db = mongoose.connection.db
+    if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+    const tasks = db.collection('tasks')
+    const existing = await tasks.findOne(
       {
         _id: oid,
         $or: [
@@ -620,13 +1165,51 @@ export function createTasksApi() {
           { userId: userPublicId },
         ],
       },
-      { $set: { status: 'open', publishedAt: now, updatedAt: now } },
+      { readPreference: 'primary' },
     )
+    if (!existing) return res.status(404).json({ error: 'not_found' })
+
+    const campaignCheck = await checkTaskCampaign({
+      db,
+      task: { ...existing, status: 'open', maxExecutors: (Number(existing.maxExecutors) || 1) + (Number(existing.expiredSlots) || 0) },
+      publishing: true,
+    })
+    if (!campaignCheck.ok) {
+      const { ok: _ok, ...body } = campaignCheck
+      return res.status(409).json(body)
+    }
+
+    let result
+    try {
+      result = await republishTask(db, { balanceRepo: req.app?.locals?.balanceRepo, task: existing, expiresAt: expiry.expiresAt })
+    } catch (e) {
+      req.log?.error?.('Task republish failed', { taskId: String(oid), error: e instanceof Error ? e.message : String(e) })
+      return res.status(500).json({ error: 'republish_failed' })
+    }
+    if (!result.ok) {
+      if (result.error === 'insufficient_balance') {
+        return res.status(409).json({
+          error: 'insufficient_balance',
+          required: result.required,
+          balance: result.balance,
+          currency: result.currency,
+          taskId: String(oid),
+        })
+      }
+      const { ok: _ok, ...body } = result
+      return res.status(409).json(body)
+    }
+    req.app?.locals?.audit?.(req, 'task.republish', {
+      actor: userMongoId,
+      target: String(oid),
+      meta: { status: existing.status ?? null, expiresAt: expiry.expiresAt },
+      result: 'ok',
+    })
     const doc = await tasks.findOne({ _id: oid }, { readPreference: 'primary' })
     return res.json(toTaskDto(doc))
   })
 
-  router.post('/api/tasks/:taskId/take', async (req, res) => {
+  router.post('/api/tasks/:taskId/take', idempotency(), async (req, res) => {
     const r = await tryResolveAuthUser(req)
     if (!r.ok) return res.status(401).json({ error: r.error })
     const userMongoId = String(r.userId)
@@ -667,6 +1250,11 @@ export function createTasksApi() {
     if (!existing.publishedAt) return res.status(409).json({ error: 'not_published' })
 
     const assigned = Array.isArray(existing.assignedExecutorIds) ? existing.assignedExecutorIds : []
+    // The expiry job may not have run yet: a passed expiresAt already closes the free slots.
+    const expired = typeof existing.expiresAt === 'string' && existing.expiresAt && Date.parse(existing.expiresAt) <= Date.now()
+    if (expired && !assigned.includes(userPublicId) && !assigned.includes(userMongoId)) {
+      return res.status(409).json({ error: 'task_expired', expiresAt: existing.expiresAt })
+    }
     const maxExecutors =
       typeof existing.maxExecutors === 'number' && Number.isFinite(existing.maxExecutors) && existing.maxExecutors > 0
         ? Math.max(1, Math.floor(existing.maxExecutors))
@@ -681,117 +1269,123 @@ export function createTasksApi() {
       typeof existing.budgetAmount === 'number' && Number.isFinite(existing.budgetAmount) && existing.budgetAmount >= 0
         ? existing.budgetAmount
         : 0
+    // The escrow is funded from the customer's wallet in the task's currency.
     const budgetCurrency = normalizeCurrency(existing.budgetCurrency) ?? 'RUB'
-    const locale = inferLocale(req)
-    const requestCurrency = currencyFromLocale(locale)
-    const usdRubRate = budgetCurrency === 'USD' || requestCurrency === 'USD'
-      ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir })
-      : null
-    const amountRubStored =
-      typeof existing.budgetAmountRub === 'number' && Number.isFinite(existing.budgetAmountRub) ? existing.budgetAmountRub : null
-    const amountRub = amountRubStored ?? (budgetCurrency === 'USD' ? toRub(amount, 'USD', usdRubRate) : round2(amount))
     const customerId =
       typeof existing.createdByUserId === 'string' && existing.createdByUserId ? existing.createdByUserId : null
-    if (customerId) {
-      const fr = await freezeEscrow({
-        db,
-        balanceRepo: req.app?.locals?.balanceRepo,
-        taskId: String(existing._id),
-        contractId: null,
-        customerId,
-        customerMongoId: typeof existing.createdByMongoId === 'string' && existing.createdByMongoId ? existing.createdByMongoId : null,
-        executorId: userPublicId,
-        executorMongoId: userMongoId,
-        amount: amountRub,
-      })
-      if (!fr.ok) {
-        if (fr.error === 'insufficient_balance') {
-          const required = requestCurrency === 'USD' ? fromRub(fr.required, 'USD', usdRubRate) : round2(fr.required)
-          const balance = requestCurrency === 'USD' ? fromRub(fr.balance, 'USD', usdRubRate) : round2(fr.balance)
-          const balanceUserId =
-            (typeof existing.createdByMongoId === 'string' && existing.createdByMongoId ? existing.createdByMongoId : null) ??
-            (typeof customerId === 'string' && customerId ? customerId : null)
-          return res.status(409).json({
-            error: 'insufficient_balance',
-            required,
-            balance,
-            currency: requestCurrency,
-            // Who is missing funds (escrow is frozen from customer).
-            balanceOwnerRole: 'customer',
-            balanceUserId,
-            taskId: String(existing._id),
-          })
-        }
-        return res.status(500).json({ error: 'escrow_freeze_failed' })
-      }
-    }
-
-    await tasks.updateOne(
-      { _id: oid },
-      {
-        $addToSet: { assignedExecutorIds: userPublicId },
-        $set: { status: 'in_progress', takenAt: existing.takenAt ?? now, updatedAt: now },
-      },
-    )
-
-    // Best-effort: create contract + assignment for downstream UI flows.
     // Contract client is task owner (public id), executor is current user (public id).
-    const clientId = customerId
     const clientMongoId =
       typeof existing.createdByMongoId === 'string' && existing.createdByMongoId ? existing.createdByMongoId : null
     const taskId = String(existing._id)
 
-    let contractId = null
+    // Escrow freeze and the task/contract/assignment writes commit together (see infra/mongoTx.js).
+    let taken
     try {
-      const up = await contracts.findOneAndUpdate(
-        { taskId, executorId: userPublicId },
-        {
-          $setOnInsert: {
+      taken = await runTransaction(db, async (session) => {
+        if (customerId) {
+          const fr = await freezeEscrow({
+            db,
+            balanceRepo: req.app?.locals?.balanceRepo,
+            session,
             taskId,
-            clientId,
-            clientMongoId,
+            contractId: null,
+            customerId,
+            customerMongoId: clientMongoId,
             executorId: userPublicId,
             executorMongoId: userMongoId,
-            escrowAmount: amountRub,
-            status: 'active',
-            revisionIncluded: 2,
-            revisionUsed: 0,
-            createdAt: now,
+            amount: round2(amount),
+            currency: budgetCurrency,
+          })
+          if (!fr.ok) return fr
+        }
+
+        await tasks.updateOne(
+          { _id: oid },
+          {
+            $addToSet: { assignedExecutorIds: userPublicId },
+            $set: { status: 'in_progress', takenAt: existing.takenAt ?? now, updatedAt: now },
           },
-          $set: { updatedAt: now },
-        },
-        { upsert: true, returnDocument: 'after' },
-      )
-      const doc = up?.value ?? up
-      contractId = doc?._id ? String(doc._id) : null
-    } catch {
-      contractId = null
-    }
-    if (contractId) {
-      await db.collection('escrows').updateOne({ taskId, executorId: userPublicId }, { $set: { contractId, updatedAt: now } })
-    }
+          sessionOpts(session),
+        )
 
-    const assignedAt = now.toISOString()
-    const startDeadlineAt = new Date(now.getTime() + 12 * 60 * 60 * 1000).toISOString()
-    try {
-      await assignments.updateOne(
-        { taskId, executorId: userPublicId },
-        {
-          $setOnInsert: {
-            taskId,
-            executorId: userPublicId,
-            executorMongoId: userMongoId,
-            assignedAt,
-            startDeadlineAt,
-            status: 'pending_start',
-            createdAt: now,
+        const up = await contracts.findOneAndUpdate(
+          { taskId, executorId: userPublicId },
+          {
+            $setOnInsert: {
+              taskId,
+              clientId: customerId,
+              clientMongoId,
+              executorId: userPublicId,
+              executorMongoId: userMongoId,
+              escrowAmount: round2(amount),
+              escrowCurrency: budgetCurrency,
+              status: 'active',
+              revisionIncluded: 2,
+              revisionUsed: 0,
+              createdAt: now,
+            },
+            $set: { updatedAt: now },
           },
-          $set: { updatedAt: now, contractId },
-        },
-        { upsert: true },
-      )
-    } catch {
-      // ignore
+          sessionOpts(session, { upsert: true, returnDocument: 'after' }),
+        )
+        const contract = up?.value ?? up
+        const contractId = contract?._id ? String(contract._id) : null
+        if (contractId) {
+          await db
+            .collection('escrows')
+            .updateOne({ taskId, executorId: userPublicId }, { $set: { contractId, updatedAt: now } }, sessionOpts(session))
+        }
+
+        const assignedAt = now.toISOString()
+        const startDeadlineAt = new Date(now.getTime() + 12 * 60 * 60 * 1000).toISOString()
+        await assignments.updateOne(
+          { taskId, executorId: userPublicId },
+          {
+            $setOnInsert: {
+              taskId,
+              executorId: userPublicId,
+              executorMongoId: userMongoId,
+              assignedAt,
+              startDeadlineAt,
+              status: 'pending_start',
+              createdAt: now,
+            },
+            $set: { updatedAt: now, contractId },
+          },
+          sessionOpts(session, { upsert: true }),
+        )
+        return { ok: true }
+      })
+    } catch (e) {
+      // A concurrent take by the same executor won the escrow/ledger/assignment key: return what it committed.
+      if (e?.code === 11000) {
+        const [escrow, assignment] = await Promise.all([
+          db.collection('escrows').findOne({ taskId, executorId: userPublicId }, { readPreference: 'primary' }),
+          assignments.findOne({ taskId, executorId: userPublicId }, { readPreference: 'primary' }),
+        ])
+        if (escrow || assignment) {
+          const doc = await tasks.findOne({ _id: oid }, { readPreference: 'primary' })
+          return res.json(toTaskDto(doc))
+        }
+      }
+      req.log?.error?.('Task take failed', { taskId, error: e instanceof Error ? e.message : String(e) })
+      return res.status(500).json({ error: 'take_failed' })
+    }
+
+    if (!taken.ok) {
+      if (taken.error === 'insufficient_balance') {
+        return res.status(409).json({
+          error: 'insufficient_balance',
+          required: round2(taken.required),
+          balance: round2(taken.balance),
+          currency: budgetCurrency,
+          // Who is missing funds (escrow is frozen from customer).
+          balanceOwnerRole: 'customer',
+          balanceUserId: clientMongoId ?? customerId,
+          taskId,
+        })
+      }
+      return res.status(500).json({ error: 'escrow_freeze_failed' })
     }
 
     const doc = await tasks.findOne({ _id: oid }, { readPreference: 'primary' })
@@ -884,6 +1478,10 @@ export function createTasksApi() {
       if (m === 'blogger_ad' || m === 'customer_post' || m === 'ai') update.$set.executorMode = m
     }
     if (typeof req.body?.category === 'string') update.$set.category = req.body.category.trim()
+    if (TASK_LANGUAGES.includes(req.body?.language)) {
+      update.$set.language = req.body.language
+      update.$set.textLanguage = textLanguageOf(req.body.language)
+    }
     if (typeof req.body?.location === 'string') update.$set.location = req.body.location.trim()
     if (typeof req.body?.budgetAmount === 'number' && Number.isFinite(req.body.budgetAmount)) {
       update.$set.budgetAmount = req.body.budgetAmount
@@ -892,21 +1490,6 @@ export function createTasksApi() {
       const next = normalizeCurrency(req.body.budgetCurrency)
       if (next) update.$set.budgetCurrency = next
     }
-    // If budget changes, keep budgetAmountRub in sync (canonical RUB amount for economy).
-    const nextBudgetAmount =
-      typeof req.body?.budgetAmount === 'number' && Number.isFinite(req.body.budgetAmount)
-        ? req.body.budgetAmount
-        : typeof existing.budgetAmount === 'number' && Number.isFinite(existing.budgetAmount)
-          ? existing.budgetAmount
-          : null
-    const nextBudgetCurrency =
-      req.body?.budgetCurrency !== undefined
-        ? normalizeCurrency(req.body.budgetCurrency) ?? normalizeCurrency(existing.budgetCurrency) ?? 'RUB'
-        : normalizeCurrency(existing.budgetCurrency) ?? 'RUB'
-    if (nextBudgetAmount != null) {
-      const rate = nextBudgetCurrency === 'USD' ? await getUsdRubRate({ dataDir: req.app?.locals?.dataDir }) : null
-      update.$set.budgetAmountRub = nextBudgetCurrency === 'USD' ? toRub(nextBudgetAmount, 'USD', rate) : round2(nextBudgetAmount)
-    }
     if (typeof req.body?.dueDate === 'string') update.$set.dueDate = req.body.dueDate.trim()
     if (req.body?.executionDays !== undefined) {
       const ed =
@@ -917,7 +1500,15 @@ export function createTasksApi() {
             : null
       if (ed != null) update.$set.executionDays = ed
     }
-    if (typeof req.body?.expiresAt === 'string') update.$set.expiresAt = req.body.expiresAt.trim()
+    if (typeof req.body?.expiresAt === 'string') {
+      const expiry = normalizeTaskExpiry({ expiresAt: req.body.expiresAt.trim() })
+      if (!expiry.ok) {
+        const { ok: _ok, ...body } = expiry
+        return res.status(400).json(body)
+      }
+      update.$set.expiresAt = expiry.expiresAt
+      update.$set.expiryReminderSentAt = null
+    }
     if (typeof req.body?.maxExecutors === 'number' && Number.isFinite(req.body.maxExecutors)) {
       const me = Math.floor(req.body.maxExecutors)
       update.$set.maxExecutors = me > 0 ? me : 1
@@ -929,6 +1520,55 @@ export function createTasksApi() {
       if (!Number.isNaN(d.getTime())) update.$set.completedAt = d
     }
 
+    if (existing.campaignId && ['budgetAmount', 'budgetCurrency', 'maxExecutors', 'brandId', 'status'].some((k) => k in update.$set)) {
+      const campaignCheck = await checkTaskCampaign({
+        db,
+        task: { ...existing, ...update.$set },
+        publishing: update.$set.status === 'open' && existing.status !== 'open',
+      })
+      if (!campaignCheck.ok) {
+        const { ok: _ok, ...body } = campaignCheck
+        return res.status(409).json(body)
+      }
+    }
+
+    // A funded task keeps its hold equal to the budget of the open slots: raising the budget tops it up
+    // from the wallet (409 when that fails, nothing is saved), lowering it or closing the task releases the rest.
+    if (existing.budgetHold?.status === 'active') {
+      const nextCurrency = update.$set.budgetCurrency
+      if (nextCurrency && nextCurrency !== taskBudgetCurrencyOf(existing)) {
+        return res.status(409).json({ error: 'budget_currency_locked', currency: taskBudgetCurrencyOf(existing) })
+      }
+      let saved
+      try {
+        saved = await runTransaction(db, async (session) => {
+          const hold = await syncTaskBudgetHold({
+            db,
+            balanceRepo: req.app?.locals?.balanceRepo,
+            task: { ...existing, ...update.$set },
+            session,
+          })
+          if (!hold.ok) return hold
+          await tasks.updateOne({ _id: oid }, update, sessionOpts(session))
+          return { ok: true }
+        })
+      } catch (e) {
+        req.log?.error?.('Task budget update failed', { taskId: String(oid), error: e instanceof Error ? e.message : String(e) })
+        return res.status(500).json({ error: 'update_failed' })
+      }
+      if (!saved.ok) {
+        return res.status(409).json({
+          error: 'insufficient_balance',
+          required: saved.required,
+          balance: saved.balance,
+          currency: saved.currency,
+          taskId: String(oid),
+        })
+      }
+      const doc = await tasks.findOne({ _id: oid }, { readPreference: 'primary' })
+      return res.json(toTaskDto(doc))
+    }
+
     await tasks.updateOne(
       {
         _id: oid,
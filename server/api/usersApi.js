@@ -54,6 +54,11 @@ function toPublicUser(userDoc) {
       typeof userDoc.avatarDataUrl === 'string' && userDoc.avatarDataUrl.trim() ? userDoc.avatarDataUrl : undefined,
     socials,
     telegramUserId,
+    // Bonuses received from customers (contractBonusService); amounts stay private.
+    stats: {
+      bonusesReceived: typeof userDoc.bonusStats?.count === 'number' ? userDoc.bonusStats.count : 0,
+      lastBonusAt: userDoc.bonusStats?.lastAt ? new Date(userDoc.bonusStats.lastAt).toISOString() : null,
+    },
   }
 }
 
@@ -25,3 +25,16 @@ export async function requireAuth(req, res, next) {
   }
 }
 
+// Platform admins are users flagged with isAdmin (granted via /api/admin/grant-admin).
+export async function requireAdmin(req, res, next) {
+  try {
+    const r = await tryResolveAuthUser(req)
+    if (!r.ok) return res.status(401).json({ error: r.error })
+    if (r.user?.isAdmin !== true) return res.status(403).json({ error: 'admin_only' })
+    req.user = { id: r.userId, isAdmin: true }
+    return next()
+  } catch (e) {
+    req.log?.warn?.('Unauthorized request', { reason: 'auth_error', error: e instanceof Error ? e.message : String(e) })
+    return res.status(401).json({ error: 'unauthorized' })
+  }
+}
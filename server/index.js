@@ -32,10 +32,20 @@ import { createUsersApi } from './api/usersApi.js'
 import { createUploadsApi } from './api/uploadsApi.js'
 import { createRatingsApi } from './api/ratingsApi.js'
 import { createPayoutApi } from './api/payoutApi.js'
+import { createDocumentsApi } from './api/documentsApi.js'
 import { createTelephoneApi, warmupTelephoneBot } from './api/telephoneApi.js'
 import { createBrandsApi } from './api/brandsApi.js'
+import { createCampaignsApi } from './api/campaignsApi.js'
+import { createDepositsApi } from './api/depositsApi.js'
 import mongoose from 'mongoose'
 import { runAssignmentJobs } from './jobs/assignmentJobs.js'
+import { runFxRateJobs } from './jobs/fxRateJobs.js'
+import { runNpdReceiptJobs } from './jobs/npdReceiptJobs.js'
+import { runPayoutScheduleJobs } from './jobs/payoutScheduleJobs.js'
+import { runTaskBudgetJobs } from './jobs/taskBudgetJobs.js'
+import { runTaskExpiryJobs } from './jobs/taskExpiryJobs.js'
+import { runCustomerDocumentJobs } from './jobs/customerDocumentJobs.js'
+import { runReconciliationJobs } from './jobs/reconciliationJobs.js'
 
 const PORT = process.env.PORT || 4000
 const __filename = fileURLToPath(import.meta.url)
@@ -44,6 +54,8 @@ const APP_ROOT = path.resolve(__dirname, '..')
 const DATA_DIR = path.join(APP_ROOT, 'data')
 const UPLOADS_DIR = path.join(APP_ROOT, 'uploads', 'videos')
 const UPLOADS_FILES_DIR = path.join(APP_ROOT, 'uploads', 'files')
+// Invoices and acts are not public: served by /api/documents to their owner only.
+const DOCUMENTS_DIR = path.join(APP_ROOT, 'uploads', 'documents')
 const WORKS_FILE = path.join(DATA_DIR, 'works.json')
 
 const app = express()
@@ -57,6 +69,8 @@ app.use(
     origin: true,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    // Cursor of the next page of GET /api/tasks.
+    exposedHeaders: ['X-Next-Cursor'],
   }),
 )
 app.use(attachRequestId)
@@ -94,7 +108,7 @@ console.log('[audit] enabled', {
   toConsole: process.env.AUDIT_TO_CONSOLE ? process.env.AUDIT_TO_CONSOLE !== '0' : true,
 })
 
-// Balance (simple JSON repo for now)
+// Balance: wallet projections over the Mongo ledger (imports legacy balances.json once).
 const balanceRepo = createBalanceRepo({ dataDir: DATA_DIR })
 app.locals.balanceRepo = balanceRepo
 app.locals.dataDir = DATA_DIR
@@ -113,10 +127,26 @@ function startBackgroundJobs() {
     const db = mongoose.connection.db
     if (!db) return
     jobsRunning = true
+    const { balanceRepo: repo } = app.locals
+    // Each job is best-effort and isolated: one failing must not starve the ones after it.
+    const jobs = [
+      ['assignments', () => runAssignmentJobs({ db, balanceRepo: repo, nowMs: Date.now() })],
+      ['taskExpiry', () => runTaskExpiryJobs({ db, balanceRepo: repo, nowMs: Date.now() })],
+      ['taskBudget', () => runTaskBudgetJobs({ db, balanceRepo: repo, nowMs: Date.now() })],
+      ['payoutSchedule', () => runPayoutScheduleJobs({ db, balanceRepo: repo, nowMs: Date.now() })],
+      ['reconciliation', () => runReconciliationJobs({ db, nowMs: Date.now() })],
+      ['fxRates', () => runFxRateJobs({ db, nowMs: Date.now() })],
+      ['npdReceipts', () => runNpdReceiptJobs({ db, nowMs: Date.now() })],
+      ['customerDocuments', () => runCustomerDocumentJobs({ db, documentsDir: DOCUMENTS_DIR, nowMs: Date.now() })],
+    ]
     try {
-      await runAssignmentJobs({ db, balanceRepo: app.locals.balanceRepo, nowMs: Date.now() })
-    } catch {
-      // ignore; jobs are best-effort and should never crash the server
+      for (const [name, run] of jobs) {
+        try {
+          await run()
+        } catch (e) {
+          console.warn('[jobs] failed', name, e instanceof Error ? e.message : String(e))
+        }
+      }
     } finally {
       jobsRunning = false
     }
@@ -144,6 +174,9 @@ app.use((req, res, next) => {
   next()
 })
 
+// Payment webhooks verify signatures over the raw body, so this router must see requests before any JSON parser.
+app.use(createDepositsApi({ balanceRepo }))
+
 app.use(
   createVideoApi({
     worksFile: WORKS_FILE,
@@ -181,6 +214,7 @@ app.use(
 
 app.use(createMeApi())
 app.use(createBrandsApi())
+app.use(createCampaignsApi())
 app.use(createUsersApi())
 app.use(createTasksApi())
 app.use(
@@ -201,6 +235,11 @@ app.use(
     balanceRepo,
   }),
 )
+app.use(
+  createDocumentsApi({
+    documentsDir: DOCUMENTS_DIR,
+  }),
+)
 app.use(
   createGoalsApi({
     dataDir: DATA_DIR,
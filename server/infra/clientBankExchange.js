@@ -0,0 +1,148 @@
+// 1C "ClientBankExchange" 1.03 text format: payment orders for upload to a bank client, and bank
+// statements (выписки) in the same format for download back. Files are Windows-1251 with CRLF.
+
+const CP1251_EXTRA = {
+  0x0401: 0xa8, // Ё
+  0x0451: 0xb8, // ё
+  0x2116: 0xb9, // №
+  0x00ab: 0xab, // «
+  0x00bb: 0xbb, // »
+  0x2013: 0x96, // –
+  0x2014: 0x97, // —
+  0x00a0: 0xa0,
+}
+
+export function encodeWindows1251(text) {
+  const s = String(text ?? '')
+  const out = Buffer.alloc(s.length)
+  let i = 0
+  for (const ch of s) {
+    const code = ch.codePointAt(0)
+    if (code < 0x80) out[i++] = code
+    else if (code >= 0x0410 && code <= 0x044f) out[i++] = code - 0x0410 + 0xc0
+    else out[i++] = CP1251_EXTRA[code] ?? 0x3f
+  }
+  return out.subarray(0, i)
+}
+
+/** Statements arrive as UTF-8 or Windows-1251; decodes whichever the bytes are. */
+export function decodeBankText(buf) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buf).replace(/^﻿/, '')
+  } catch {
+    return new TextDecoder('windows-1251').decode(buf)
+  }
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0')
+}
+
+export function formatBankDate(d) {
+  const x = new Date(d)
+  return `${pad2(x.getDate())}.${pad2(x.getMonth() + 1)}.${x.getFullYear()}`
+}
+
+function formatBankTime(d) {
+  const x = new Date(d)
+  return `${pad2(x.getHours())}:${pad2(x.getMinutes())}:${pad2(x.getSeconds())}`
+}
+
+// Values must stay on one line and can't contain '='-sensitive line breaks.
+function clean(v) {
+  return String(v ?? '').replace(/[\r\n]+/g, ' ').trim()
+}
+
+/**
+ * @param {{
+ *   payer: { name: string; inn: string; kpp?: string; account: string; bik: string; bankName: string; correspondentAccount?: string };
+ *   payments: { number: number | string; date: Date; amount: number; recipient: { name: string; inn?: string; kpp?: string; account: string; bik: string; bankName: string; correspondentAccount?: string }; purpose: string }[];
+ *   createdAt?: Date;
+ *   sender?: string;
+ * }} params
+ * @returns {string}
+ */
+export function buildClientBankExchange({ payer, payments, createdAt = new Date(), sender = '' }) {
+  const dates = payments.map((p) => new Date(p.date).getTime())
+  const from = dates.length ? new Date(Math.min(...dates)) : createdAt
+  const to = dates.length ? new Date(Math.max(...dates)) : createdAt
+  const lines = [
+    '1CClientBankExchange',
+    'ВерсияФормата=1.03',
+    'Кодировка=Windows',
+    `Отправитель=${clean(sender)}`,
+    'Получатель=',
+    `ДатаСоздания=${formatBankDate(createdAt)}`,
+    `ВремяСоздания=${formatBankTime(createdAt)}`,
+    `ДатаНачала=${formatBankDate(from)}`,
+    `ДатаКонца=${formatBankDate(to)}`,
+    `РасчСчет=${clean(payer.account)}`,
+    'Документ=Платежное поручение',
+  ]
+  for (const p of payments) {
+    const r = p.recipient
+    lines.push(
+      'СекцияДокумент=Платежное поручение',
+      `Номер=${clean(p.number)}`,
+      `Дата=${formatBankDate(p.date)}`,
+      `Сумма=${Number(p.amount).toFixed(2)}`,
+      `ПлательщикСчет=${clean(payer.account)}`,
+      `Плательщик=ИНН ${clean(payer.inn)} ${clean(payer.name)}`,
+      `ПлательщикИНН=${clean(payer.inn)}`,
+      `Плательщик1=${clean(payer.name)}`,
+      `ПлательщикРасчСчет=${clean(payer.account)}`,
+      `ПлательщикБанк1=${clean(payer.bankName)}`,
+      `ПлательщикБИК=${clean(payer.bik)}`,
+      `ПлательщикКорсчет=${clean(payer.correspondentAccount)}`,
+      `ПлательщикКПП=${clean(payer.kpp)}`,
+      `ПолучательСчет=${clean(r.account)}`,
+      `Получатель=${r.inn ? `ИНН ${clean(r.inn)} ` : ''}${clean(r.name)}`,
+      `ПолучательИНН=${clean(r.inn)}`,
+      `Получатель1=${clean(r.name)}`,
+      `ПолучательРасчСчет=${clean(r.account)}`,
+      `ПолучательБанк1=${clean(r.bankName)}`,
+      `ПолучательБИК=${clean(r.bik)}`,
+      `ПолучательКорсчет=${clean(r.correspondentAccount)}`,
+      `ПолучательКПП=${clean(r.kpp)}`,
+      'ВидОплаты=01',
+      'Очередность=5',
+      `НазначениеПлатежа=${clean(p.purpose)}`,
+      'КонецДокумента',
+    )
+  }
+  lines.push('КонецФайла')
+  return `${lines.join('\r\n')}\r\n`
+}
+
+/**
+ * Parses a ClientBankExchange file into its header and document sections (raw key/value maps).
+ * Returns null when the text is not in this format.
+ */
+export function parseClientBankExchange(text) {
+  const lines = String(text ?? '').split(/\r?\n/)
+  if (lines[0]?.trim() !== '1CClientBankExchange') return null
+  const header = {}
+  const documents = []
+  let current = null
+  for (const raw of lines.slice(1)) {
+    const line = raw.trim()
+    if (!line) continue
+    if (line === 'КонецФайла') break
+    if (line === 'КонецДокумента') {
+      if (current) documents.push(current)
+      current = null
+      continue
+    }
+    const idx = line.indexOf('=')
+    if (idx <= 0) continue
+    const key = line.slice(0, idx)
+    const value = line.slice(idx + 1).trim()
+    if (key === 'СекцияДокумент') {
+      current = { СекцияДокумент: value }
+      continue
+    }
+    if (current) current[key] = value
+    else header[key] = value
+  }
+  return { header, documents }
+}
@@ -0,0 +1,83 @@
+function csvCell(value) {
+  if (value == null) return ''
+  const s = value instanceof Date ? value.toISOString() : String(value)
+  return /[",;\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+/**
+ * Serializes rows to CSV. `columns` is [{ key, title }]; rows are plain objects.
+ * Starts with a UTF-8 BOM so Excel opens Cyrillic text correctly.
+ */
+export function toCsv(columns, rows, { delimiter = ';' } = {}) {
+  const lines = [columns.map((c) => csvCell(c.title ?? c.key)).join(delimiter)]
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row?.[c.key])).join(delimiter))
+  }
+  return `﻿${lines.join('\r\n')}\r\n`
+}
+
+/**
+ * Splits CSV text (RFC 4180 quoting) into raw records, arrays of cell strings. The delimiter (`;`,
+ * `,` or tab) is detected from the header line unless given.
+ */
+export function parseCsvRecords(text, { delimiter = null } = {}) {
+  const src = String(text ?? '').replace(/^\uFEFF/, '')
+  const firstLine = src.slice(0, src.search(/\r?\n|$/))
+  const count = (d) => firstLine.split(d).length - 1
+  const sep = delimiter ?? (count('\t') > Math.max(count(';'), count(',')) ? '\t' : count(';') >= count(',') ? ';' : ',')
+
+  const records = []
+  let record = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i]
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        cell += ch
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true
+    } else if (ch === sep) {
+      record.push(cell)
+      cell = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++
+      record.push(cell)
+      records.push(record)
+      record = []
+      cell = ''
+    } else {
+      cell += ch
+    }
+  }
+  if (cell !== '' || record.length) {
+    record.push(cell)
+    records.push(record)
+  }
+  return records
+}
+
+/**
+ * Parses CSV text (see parseCsvRecords) into objects keyed by the header cells.
+ * Returns { header, rows } where each row also carries its 1-based `line`.
+ */
+export function parseCsv(text, { delimiter = null } = {}) {
+  const [head = [], ...body] = parseCsvRecords(text, { delimiter })
+  const header = head.map((h) => h.trim())
+  const rows = []
+  body.forEach((cells, idx) => {
+    if (cells.every((c) => !c.trim())) return
+    const row = { line: idx + 2 }
+    header.forEach((h, j) => {
+      row[h] = (cells[j] ?? '').trim()
+    })
+    rows.push(row)
+  })
+  return { header, rows }
+}
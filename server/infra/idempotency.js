@@ -0,0 +1,157 @@
+import crypto from 'node:crypto'
+import mongoose from 'mongoose'
+import { tryResolveAuthUser } from '../auth/authSession.js'
+
+// Idempotency-Key support for money-moving endpoints.
+// The first request with a key stores its fingerprint (method + path + body) and, once finished,
+// its response in `idempotencyKeys`. Retries with the same key get the stored response back;
+// the same key with a different request is rejected with 422.
+// An in_progress entry holds a short lease: if the process died mid-request, a retry after the
+// lease takes the key over instead of getting 409 until the 24h TTL.
+
+const HEADER = 'idempotency-key'
+const MAX_KEY_LENGTH = 255
+const TTL_MS = 24 * 60 * 60 * 1000
+const LEASE_MS = 2 * 60 * 1000
+
+let ensureIndexesPromise = null
+async function ensureIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    const keys = db.collection('idempotencyKeys')
+    await keys.createIndex({ userId: 1, key: 1 }, { unique: true })
+    await keys.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[idempotency] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+function isDupKeyError(e) {
+  return Boolean(e && typeof e === 'object' && 'code' in e && e.code === 11000)
+}
+
+// JSON with sorted object keys, so {a,b} and {b,a} produce the same fingerprint.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort()
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+function fingerprintOf(req) {
+  const path = String(req.originalUrl || req.url || '').split('?')[0]
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${path}\n${stableStringify(req.body ?? null)}`)
+    .digest('hex')
+}
+
+/**
+ * Express middleware honouring the `Idempotency-Key` header.
+ * Requests without the header pass through unchanged. Keys are scoped per authenticated user;
+ * unauthenticated requests pass through so the route can answer 401 itself.
+ * Only 2xx/4xx responses sent via res.json are stored; 5xx frees the key for another attempt.
+ */
+export function idempotency() {
+  return async function idempotencyMiddleware(req, res, next) {
+    const raw = req.headers?.[HEADER]
+    const key = typeof raw === 'string' ? raw.trim() : ''
+    if (!key) return next()
+    if (key.length > MAX_KEY_LENGTH) return res.status(400).json({ error: 'invalid_idempotency_key' })
+
+    let db = null
+    let userId = null
+    try {
+      const r = await tryResolveAuthUser(req)
+      if (!r.ok) return next()
+      userId = String(r.userId)
+      db = mongoose.connection.db
+      if (!db) return res.status(500).json({ error: 'mongo_not_available' })
+      await ensureIndexes(db)
+    } catch (e) {
+      return next(e)
+    }
+
+    const keys = db.collection('idempotencyKeys')
+    const fingerprint = fingerprintOf(req)
+    const now = new Date()
+    const leaseId = crypto.randomUUID()
+    const leaseExpiresAt = new Date(now.getTime() + LEASE_MS)
+
+    try {
+      await keys.insertOne({
+        userId,
+        key,
+        fingerprint,
+        method: req.method,
+        path: String(req.originalUrl || req.url || '').split('?')[0],
+        status: 'in_progress',
+        leaseId,
+        leaseExpiresAt,
+        responseStatus: null,
+        responseBody: null,
+        createdAt: now,
+        updatedAt: now,
+        expiresAt: new Date(now.getTime() + TTL_MS),
+      })
+    } catch (e) {
+      if (!isDupKeyError(e)) return next(e)
+      const existing = await keys.findOne({ userId, key }, { readPreference: 'primary' }).catch(() => null)
+      if (!existing) return res.status(409).json({ error: 'idempotency_key_in_progress' })
+      if (existing.fingerprint !== fingerprint) return res.status(422).json({ error: 'idempotency_key_reused' })
+      if (existing.status === 'completed') {
+        res.setHeader('Idempotent-Replayed', 'true')
+        return res.status(existing.responseStatus).json(existing.responseBody)
+      }
+      // Abandoned attempt (entries stored before leases fall back to updatedAt): take it over.
+      const takeover = await keys
+        .updateOne(
+          {
+            _id: existing._id,
+            status: 'in_progress',
+            $or: [
+              { leaseExpiresAt: { $lte: now } },
+              { leaseExpiresAt: null, updatedAt: { $lte: new Date(now.getTime() - LEASE_MS) } },
+            ],
+          },
+          { $set: { leaseId, leaseExpiresAt, updatedAt: now } },
+        )
+        .catch(() => null)
+      if (!takeover?.modifiedCount) return res.status(409).json({ error: 'idempotency_key_in_progress' })
+    }
+
+    let stored = false
+    const originalJson = res.json.bind(res)
+    res.json = (body) => {
+      if (stored) return originalJson(body)
+      stored = true
+      const status = res.statusCode
+      const update =
+        status >= 500
+          ? keys.deleteOne({ userId, key, status: 'in_progress', leaseId })
+          : keys.updateOne(
+              { userId, key, leaseId },
+              { $set: { status: 'completed', responseStatus: status, responseBody: body ?? null, updatedAt: new Date() } },
+            )
+      // Send only after the response is stored, so an immediate retry replays it instead of seeing 409.
+      update
+        .catch((err) => {
+          console.warn('[idempotency] failed to store response', err instanceof Error ? err.message : String(err))
+        })
+        .finally(() => originalJson(body))
+      return res
+    }
+    // Responses that never went through res.json (errors, streams) don't keep the key locked.
+    res.on('finish', () => {
+      if (stored) return
+      stored = true
+      keys.deleteOne({ userId, key, status: 'in_progress', leaseId }).catch(() => {})
+    })
+
+    return next()
+  }
+}
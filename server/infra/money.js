@@ -1,3 +1,7 @@
+// Wallets, tasks and escrows keep amounts in their own currency. Converting between currencies
+// is an explicit FX operation (services/fxService.js) that stores the rate it used.
+export const SUPPORTED_CURRENCIES = ['RUB', 'USD', 'EUR', 'KZT']
+
 export function currencyFromLocale(locale) {
   return locale === 'ru' ? 'RUB' : 'USD'
 }
@@ -9,6 +13,8 @@ export function normalizeCurrency(v) {
   const up = s.toUpperCase()
   if (up === 'RUB' || up === 'RUR' || up === 'РУБ' || s === '₽') return 'RUB'
   if (up === 'USD' || s === '$') return 'USD'
+  if (up === 'EUR' || s === '€') return 'EUR'
+  if (up === 'KZT' || up === 'ТГ' || s === '₸') return 'KZT'
   return null
 }
 
@@ -16,18 +22,10 @@ export function round2(n) {
   return Math.round(n * 100) / 100
 }
 
-// Base currency for backend storage: RUB.
-export function toRub(amount, currency, usdRubRate) {
+// Amount in the quote currency for `amount` of the base currency at `rate` (quote per 1 base).
+export function convertAmount(amount, rate) {
   const a = typeof amount === 'number' && Number.isFinite(amount) ? amount : NaN
-  if (!Number.isFinite(a)) return NaN
-  if (currency === 'USD') return round2(a * usdRubRate)
-  return round2(a)
-}
-
-export function fromRub(amountRub, currency, usdRubRate) {
-  const a = typeof amountRub === 'number' && Number.isFinite(amountRub) ? amountRub : NaN
-  if (!Number.isFinite(a)) return NaN
-  if (currency === 'USD') return round2(a / usdRubRate)
-  return round2(a)
+  const r = typeof rate === 'number' && Number.isFinite(rate) && rate > 0 ? rate : NaN
+  if (!Number.isFinite(a) || !Number.isFinite(r)) return NaN
+  return round2(a * r)
 }
-
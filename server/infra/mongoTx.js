@@ -0,0 +1,45 @@
+import mongoose from 'mongoose'
+
+// Multi-document transactions need a replica set (or mongos). Standalone dev servers don't have
+// them, so callers get `session = null` there and must fall back to their own compensation.
+
+let supportPromise = null
+
+export async function supportsTransactions(db) {
+  if (process.env.MONGO_TRANSACTIONS === '0') return false
+  if (!supportPromise) {
+    supportPromise = (async () => {
+      const hello = await db.admin().command({ hello: 1 })
+      return Boolean(hello?.setName) || hello?.msg === 'isdbgrid'
+    })().catch((e) => {
+      supportPromise = null
+      console.warn('[mongoTx] transaction support check failed', e instanceof Error ? e.message : String(e))
+      return false
+    })
+  }
+  return await supportPromise
+}
+
+// Adds `session` to driver options only when there is one.
+export function sessionOpts(session, opts = {}) {
+  return session ? { ...opts, session } : opts
+}
+
+/**
+ * Runs fn(session) inside a transaction when the deployment supports it, otherwise fn(null).
+ * fn may be retried on transient transaction errors, so it must not have side effects outside Mongo.
+ * Returns whatever fn returned on its last (committed) run.
+ */
+export async function runTransaction(db, fn) {
+  if (!(await supportsTransactions(db))) return await fn(null)
+  const session = mongoose.connection.getClient().startSession()
+  try {
+    let result
+    await session.withTransaction(async () => {
+      result = await fn(session)
+    })
+    return result
+  } finally {
+    await session.endSession()
+  }
+}
@@ -0,0 +1,72 @@
+import { createRequire } from 'node:module'
+import PDFDocument from 'pdfkit'
+
+const require = createRequire(import.meta.url)
+// Standard PDF fonts have no Cyrillic glyphs; DejaVu covers both ru and en.
+const FONT_REGULAR = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf')
+const FONT_BOLD = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf')
+
+function collect(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    doc.on('data', (c) => chunks.push(c))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+  })
+}
+
+function cellText(value) {
+  if (value == null) return ''
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value)
+}
+
+/**
+ * Renders a simple A4 document: title, header lines, a table and footer lines.
+ * `columns` is [{ key, title, width, align }] where width is a fraction of the page width.
+ */
+export async function renderTablePdf({ title, headerLines = [], columns = [], rows = [], footerLines = [] }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 })
+  doc.registerFont('regular', FONT_REGULAR)
+  doc.registerFont('bold', FONT_BOLD)
+  const done = collect(doc)
+
+  const left = doc.page.margins.left
+  const usable = doc.page.width - doc.page.margins.left - doc.page.margins.right
+  const widths = columns.map((c) => (typeof c.width === 'number' ? c.width : 1 / Math.max(1, columns.length)) * usable)
+
+  doc.font('bold').fontSize(14).text(String(title || ''), { align: 'left' })
+  doc.moveDown(0.5)
+  doc.font('regular').fontSize(9)
+  for (const line of headerLines) doc.text(String(line))
+  if (headerLines.length) doc.moveDown(0.5)
+
+  const drawRow = (values, font) => {
+    doc.font(font).fontSize(8)
+    const heights = values.map((v, i) => doc.heightOfString(v, { width: widths[i] - 4 }))
+    const h = Math.max(12, ...heights) + 4
+    if (doc.y + h > doc.page.height - doc.page.margins.bottom) doc.addPage()
+    const y = doc.y
+    let x = left
+    values.forEach((v, i) => {
+      doc.text(v, x + 2, y + 2, { width: widths[i] - 4, align: columns[i].align || 'left' })
+      x += widths[i]
+    })
+    doc.moveTo(left, y + h).lineTo(left + usable, y + h).lineWidth(0.3).stroke()
+    doc.x = left
+    doc.y = y + h
+  }
+
+  if (columns.length) {
+    drawRow(columns.map((c) => String(c.title ?? c.key)), 'bold')
+    for (const row of rows) drawRow(columns.map((c) => cellText(row?.[c.key])), 'regular')
+  }
+
+  if (footerLines.length) {
+    doc.moveDown(1)
+    doc.font('regular').fontSize(9)
+    for (const line of footerLines) doc.text(String(line), left)
+  }
+
+  doc.end()
+  return await done
+}
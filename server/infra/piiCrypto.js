@@ -0,0 +1,87 @@
+import crypto from 'node:crypto'
+
+// Field-level encryption of personal data (AES-256-GCM). Keys come from PII_ENCRYPTION_KEYS:
+// "<keyId>:<base64 of 32 bytes>[,<keyId>:<key>...]". The first key encrypts, every listed key
+// decrypts — to rotate, put a new key first, keep the old ones and run scripts/encrypt-payout-pii.js.
+// A ciphertext replaces the value in place: "pii:<keyId>:<iv>:<tag>:<data>" (base64url parts).
+
+const PREFIX = 'pii:'
+
+let cachedRaw = null
+let cachedKeys = null
+let warnedNoKey = false
+
+function loadKeys() {
+  const raw = process.env.PII_ENCRYPTION_KEYS || ''
+  if (raw === cachedRaw && cachedKeys) return cachedKeys
+  const keys = []
+  for (const part of raw.split(',').map((x) => x.trim()).filter(Boolean)) {
+    const idx = part.indexOf(':')
+    const id = idx > 0 ? part.slice(0, idx) : ''
+    const key = idx > 0 ? Buffer.from(part.slice(idx + 1), 'base64') : null
+    if (!/^[A-Za-z0-9_-]{1,32}$/.test(id) || key?.length !== 32) throw new Error('pii_key_invalid')
+    keys.push({ id, key })
+  }
+  cachedRaw = raw
+  cachedKeys = keys
+  return keys
+}
+
+export function isEncryptedPii(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX)
+}
+
+export function activePiiKeyId() {
+  return loadKeys()[0]?.id ?? null
+}
+
+/**
+ * Encrypts a string with the active key. Empty values and ciphertexts are returned unchanged.
+ * Without keys the value is stored as is outside production (with a warning) and refused in production.
+ */
+export function encryptPii(value) {
+  if (value == null || value === '' || isEncryptedPii(value)) return value
+  const [active] = loadKeys()
+  if (!active) {
+    if (process.env.NODE_ENV === 'production') throw new Error('pii_key_not_configured')
+    if (!warnedNoKey) console.warn('[piiCrypto] PII_ENCRYPTION_KEYS is not set, personal data is stored unencrypted')
+    warnedNoKey = true
+    return value
+  }
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', active.key, iv)
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()])
+  const tag = cipher.getAuthTag()
+  return `${PREFIX}${active.id}:${iv.toString('base64url')}:${tag.toString('base64url')}:${data.toString('base64url')}`
+}
+
+/** Decrypts a value produced by encryptPii; plaintext (legacy) values are returned as is. */
+export function decryptPii(value) {
+  if (!isEncryptedPii(value)) return value
+  const [id, iv, tag, data] = value.slice(PREFIX.length).split(':')
+  const entry = loadKeys().find((k) => k.id === id)
+  if (!entry) throw new Error('pii_key_unknown')
+  const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, Buffer.from(iv, 'base64url'))
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'))
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8')
+}
+
+/** True when the value is plaintext or encrypted with a key other than the active one. */
+export function needsPiiReencryption(value) {
+  if (value == null || value === '') return false
+  const active = activePiiKeyId()
+  if (!active) return false
+  return !isEncryptedPii(value) || !value.startsWith(`${PREFIX}${active}:`)
+}
+
+/** "40702810438000060473" → "****0473". Accepts plaintext or ciphertext. */
+export function maskPii(value, visible = 4) {
+  if (value == null || value === '') return value ?? null
+  let plain
+  try {
+    plain = String(decryptPii(value))
+  } catch {
+    return '****'
+  }
+  return plain.length > visible ? `****${plain.slice(-visible)}` : '****'
+}
@@ -0,0 +1,91 @@
+// Checks for Russian tax and bank identifiers. Each validator returns null when the value is valid,
+// otherwise a reason code: 'invalid_format' | 'invalid_checksum' | 'control_key_mismatch' | 'invalid_prefix'.
+
+function digitsOf(s) {
+  return [...s].map(Number)
+}
+
+function weightedSum(digits, weights) {
+  return weights.reduce((sum, w, i) => sum + w * digits[i], 0)
+}
+
+/**
+ * ИНН: 10 digits for organisations, 12 for individuals (incl. self-employed and ИП).
+ * `kind` = 'company' | 'person' restricts the length.
+ */
+export function validateInn(value, { kind = null } = {}) {
+  const s = String(value ?? '')
+  if (!/^\d{10}$|^\d{12}$/.test(s)) return 'invalid_format'
+  if (kind === 'company' && s.length !== 10) return 'invalid_format'
+  if (kind === 'person' && s.length !== 12) return 'invalid_format'
+  const d = digitsOf(s)
+  if (s.length === 10) {
+    const c = (weightedSum(d, [2, 4, 10, 3, 5, 9, 4, 6, 8]) % 11) % 10
+    return c === d[9] ? null : 'invalid_checksum'
+  }
+  const c1 = (weightedSum(d, [7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) % 11) % 10
+  const c2 = (weightedSum(d, [3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) % 11) % 10
+  return c1 === d[10] && c2 === d[11] ? null : 'invalid_checksum'
+}
+
+/** СНИЛС: 11 digits, the last two are a checksum (not defined for numbers up to 001-001-998). */
+export function validateSnils(value) {
+  const s = String(value ?? '')
+  if (!/^\d{11}$/.test(s)) return 'invalid_format'
+  if (Number(s.slice(0, 9)) <= 1001998) return null
+  const sum = weightedSum(digitsOf(s), [9, 8, 7, 6, 5, 4, 3, 2, 1])
+  const check = sum < 100 ? sum : sum === 100 || sum === 101 ? 0 : sum % 101 === 100 ? 0 : sum % 101
+  return check === Number(s.slice(9)) ? null : 'invalid_checksum'
+}
+
+/** КПП: NNNN PP NNN, where PP (reason code) may contain capital Latin letters. */
+export function validateKpp(value) {
+  return /^\d{4}[\dA-Z]{2}\d{3}$/.test(String(value ?? '')) ? null : 'invalid_format'
+}
+
+/** БИК: 9 digits, Russian banks start with 04. */
+export function validateBik(value) {
+  const s = String(value ?? '')
+  if (!/^\d{9}$/.test(s)) return 'invalid_format'
+  return s.startsWith('04') ? null : 'invalid_prefix'
+}
+
+// Control key of a 20-digit account: weights 7-1-3 over (3-digit BIK part + account) sum to 0 mod 10.
+function accountKeyOk(prefix3, account) {
+  const d = digitsOf(prefix3 + account)
+  const weights = Array.from({ length: 23 }, (_, i) => [7, 1, 3][i % 3])
+  return weightedSum(d, weights) % 10 === 0
+}
+
+/** Расчётный счёт: 20 digits, control key computed with the last 3 digits of the bank's BIK. */
+export function validateSettlementAccount(account, bik) {
+  const s = String(account ?? '')
+  if (!/^\d{20}$/.test(s)) return 'invalid_format'
+  if (validateBik(bik)) return null // BIK is reported separately; the key can't be checked without it.
+  return accountKeyOk(String(bik).slice(-3), s) ? null : 'control_key_mismatch'
+}
+
+/** Корреспондентский счёт: 20 digits starting with 30101, key computed with '0' + BIK digits 5–6. */
+export function validateCorrespondentAccount(account, bik) {
+  const s = String(account ?? '')
+  if (!/^\d{20}$/.test(s)) return 'invalid_format'
+  if (!s.startsWith('30101')) return 'invalid_prefix'
+  if (validateBik(bik)) return null
+  return accountKeyOk(`0${String(bik).slice(4, 6)}`, s) ? null : 'control_key_mismatch'
+}
+
+/** Bank card number (Luhn). */
+export function validateCardNumber(value) {
+  const s = String(value ?? '').replace(/[\s-]/g, '')
+  if (!/^\d{13,19}$/.test(s)) return 'invalid_format'
+  let sum = 0
+  for (let i = 0; i < s.length; i++) {
+    let n = Number(s[s.length - 1 - i])
+    if (i % 2 === 1) {
+      n *= 2
+      if (n > 9) n -= 9
+    }
+    sum += n
+  }
+  return sum % 10 === 0 ? null : 'invalid_checksum'
+}
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose'
-import { refundEscrowToCustomer } from '../services/escrowService.js'
+import { recoverPendingBonuses } from '../services/contractBonusService.js'
+import { recoverEscrowSagas, refundEscrowToCustomer } from '../services/escrowService.js'
 import { applySanctionsForViolation } from '../services/executorSanctionsService.js'
 import { createNotification } from '../services/notificationService.js'
 
@@ -279,6 +280,27 @@ export async function runAssignmentJobs({ db, balanceRepo, nowMs = Date.now(), l
     }
   }
 
-  return { ok: true, processed: { expiredPendingStart: expiredPendingStart.length, overdue: overdueCandidates.length } }
+  // 3) Finish escrow operations interrupted on deployments without transactions (saga log).
+  let recoveredSagas = 0
+  try {
+    const rec = await recoverEscrowSagas({ db, balanceRepo, nowMs })
+    recoveredSagas = rec.recovered
+  } catch {
+    // ignore
+  }
+
+  // 4) Pay out (or fail) bonuses interrupted after the customer's wallet was charged.
+  let recoveredBonuses = 0
+  try {
+    const rec = await recoverPendingBonuses({ db, balanceRepo, nowMs })
+    recoveredBonuses = rec.completed + rec.failed
+  } catch {
+    // ignore
+  }
+
+  return {
+    ok: true,
+    processed: { expiredPendingStart: expiredPendingStart.length, overdue: overdueCandidates.length, recoveredSagas, recoveredBonuses },
+  }
 }
 
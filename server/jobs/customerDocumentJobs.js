@@ -0,0 +1,19 @@
+import { generatePendingActs } from '../services/customerDocumentService.js'
+import { createIntervalGuard } from './intervalGuard.js'
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000
+
+const isDue = createIntervalGuard({ envVar: 'CUSTOMER_DOCUMENT_JOBS_INTERVAL_MS', defaultMs: DEFAULT_INTERVAL_MS })
+
+/**
+ * Acts of completed work for legal-entity customers (see customerDocumentService).
+ * Called from the background tick; skips until CUSTOMER_DOCUMENT_JOBS_INTERVAL_MS passes.
+ */
+export async function runCustomerDocumentJobs({ db, documentsDir, nowMs = Date.now(), force = false } = {}) {
+  if (!db) return { ok: false, error: 'mongo_not_available' }
+  if (!documentsDir) return { ok: false, error: 'documents_dir_missing' }
+  if (!isDue(nowMs, force)) return { ok: true, skipped: true }
+
+  const acts = await generatePendingActs(db, { documentsDir, nowMs })
+  return { ok: true, acts }
+}
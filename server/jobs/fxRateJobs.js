@@ -0,0 +1,20 @@
+import { checkStaleRates, refreshFxRates } from '../services/fxRateService.js'
+import { createIntervalGuard } from './intervalGuard.js'
+
+// CBR publishes once a day; hourly polling picks up the next day's rate soon after it appears.
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000
+
+const isDue = createIntervalGuard({ envVar: 'FX_REFRESH_INTERVAL_MS', defaultMs: DEFAULT_INTERVAL_MS })
+
+/**
+ * Refreshes `fxRates` from the configured sources and raises/clears stale-rate alerts.
+ * Called from the background tick; skips until FX_REFRESH_INTERVAL_MS passes.
+ */
+export async function runFxRateJobs({ db, nowMs = Date.now(), force = false } = {}) {
+  if (!db) return { ok: false, error: 'mongo_not_available' }
+  if (!isDue(nowMs, force)) return { ok: true, skipped: true }
+
+  const sources = await refreshFxRates(db)
+  const alerts = await checkStaleRates(db, { nowMs })
+  return { ok: true, sources, alerts }
+}
@@ -0,0 +1,16 @@
+// Interval guard of the background jobs: the index.js tick calls every job each minute, and each
+// job runs at most once per its own interval (`envVar` in ms, else `defaultMs`).
+
+/**
+ * Returns isDue(nowMs, force): true when the job should run now, recording the run.
+ */
+export function createIntervalGuard({ envVar, defaultMs }) {
+  let lastRunAtMs = 0
+  return function isDue(nowMs = Date.now(), force = false) {
+    const intervalRaw = Number(process.env[envVar])
+    const intervalMs = Number.isFinite(intervalRaw) && intervalRaw > 0 ? intervalRaw : defaultMs
+    if (!force && nowMs - lastRunAtMs < intervalMs) return false
+    lastRunAtMs = nowMs
+    return true
+  }
+}
@@ -0,0 +1,18 @@
+import { sendNpdReceiptReminders } from '../services/npdReceiptService.js'
+import { createIntervalGuard } from './intervalGuard.js'
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000
+
+const isDue = createIntervalGuard({ envVar: 'NPD_RECEIPT_JOBS_INTERVAL_MS', defaultMs: DEFAULT_INTERVAL_MS })
+
+/**
+ * Deadline reminders for self-employed receipts (see npdReceiptService).
+ * Called from the background tick; skips until NPD_RECEIPT_JOBS_INTERVAL_MS passes.
+ */
+export async function runNpdReceiptJobs({ db, nowMs = Date.now(), force = false } = {}) {
+  if (!db) return { ok: false, error: 'mongo_not_available' }
+  if (!isDue(nowMs, force)) return { ok: true, skipped: true }
+
+  const reminders = await sendNpdReceiptReminders(db, { nowMs })
+  return { ok: true, reminders }
+}
@@ -0,0 +1,19 @@
+import { runDuePayoutSchedules } from '../services/payoutScheduleService.js'
+import { createIntervalGuard } from './intervalGuard.js'
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000
+
+const isDue = createIntervalGuard({ envVar: 'PAYOUT_SCHEDULE_JOBS_INTERVAL_MS', defaultMs: DEFAULT_INTERVAL_MS })
+
+/**
+ * Automatic payouts of executors (see payoutScheduleService).
+ * Called from the background tick; skips until PAYOUT_SCHEDULE_JOBS_INTERVAL_MS passes.
+ */
+export async function runPayoutScheduleJobs({ db, balanceRepo, nowMs = Date.now(), force = false } = {}) {
+  if (!db) return { ok: false, error: 'mongo_not_available' }
+  if (!balanceRepo) return { ok: false, error: 'balance_repo_missing' }
+  if (!isDue(nowMs, force)) return { ok: true, skipped: true }
+
+  const payouts = await runDuePayoutSchedules(db, { balanceRepo, nowMs })
+  return { ok: true, payouts }
+}
@@ -0,0 +1,19 @@
+import { scanAnomalies } from '../services/reconciliationService.js'
+import { createIntervalGuard } from './intervalGuard.js'
+
+// Full scans are heavier than the per-minute assignment jobs, so they run on their own interval.
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000
+
+const isDue = createIntervalGuard({ envVar: 'RECONCILIATION_INTERVAL_MS', defaultMs: DEFAULT_INTERVAL_MS })
+
+/**
+ * Escrow/ledger reconciliation: records findings in `anomalies` (see reconciliationService).
+ * Called from the background tick together with runAssignmentJobs; skips until the interval passes.
+ */
+export async function runReconciliationJobs({ db, nowMs = Date.now(), force = false } = {}) {
+  if (!db) return { ok: false, error: 'mongo_not_available' }
+  if (!isDue(nowMs, force)) return { ok: true, skipped: true }
+
+  const res = await scanAnomalies({ db, nowMs })
+  return { ok: true, processed: res }
+}
@@ -0,0 +1,19 @@
+import { sweepTaskBudgetHolds } from '../services/taskBudgetService.js'
+import { createIntervalGuard } from './intervalGuard.js'
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000
+
+const isDue = createIntervalGuard({ envVar: 'TASK_BUDGET_JOBS_INTERVAL_MS', defaultMs: DEFAULT_INTERVAL_MS })
+
+/**
+ * Keeps task budget holds in line with open slots and releases holds of closed tasks (see taskBudgetService).
+ * Called from the background tick; skips until TASK_BUDGET_JOBS_INTERVAL_MS passes.
+ */
+export async function runTaskBudgetJobs({ db, balanceRepo, nowMs = Date.now(), force = false } = {}) {
+  if (!db) return { ok: false, error: 'mongo_not_available' }
+  if (!balanceRepo) return { ok: false, error: 'balance_repo_missing' }
+  if (!isDue(nowMs, force)) return { ok: true, skipped: true }
+
+  const holds = await sweepTaskBudgetHolds(db, { balanceRepo })
+  return { ok: true, holds }
+}
@@ -0,0 +1,19 @@
+import { expireDueTasks, sendTaskExpiryReminders } from '../services/taskExpiryService.js'
+import { createIntervalGuard } from './intervalGuard.js'
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000
+
+const isDue = createIntervalGuard({ envVar: 'TASK_EXPIRY_JOBS_INTERVAL_MS', defaultMs: DEFAULT_INTERVAL_MS })
+
+/**
+ * Sends pre-expiry reminders and expires published tasks past their expiresAt (see taskExpiryService).
+ * Called from the background tick; skips until TASK_EXPIRY_JOBS_INTERVAL_MS passes.
+ */
+export async function runTaskExpiryJobs({ db, balanceRepo, nowMs = Date.now(), force = false } = {}) {
+  if (!db) return { ok: false, error: 'mongo_not_available' }
+  if (!isDue(nowMs, force)) return { ok: true, skipped: true }
+
+  const reminders = await sendTaskExpiryReminders(db, { nowMs })
+  const expired = await expireDueTasks(db, { balanceRepo, nowMs })
+  return { ok: true, reminders, expired }
+}
@@ -0,0 +1,174 @@
+import mongoose from 'mongoose'
+
+// Maker-checker for manual balance corrections: one admin proposes (`pending`), a different
+// admin approves (`applied`, ledger posted) or rejects (`rejected`). Nothing moves before approval.
+
+export const ADJUSTMENT_STATUSES = ['pending', 'approved', 'applied', 'rejected']
+
+const MAX_ATTACHMENTS = 10
+
+let ensureIndexesPromise = null
+export async function ensureBalanceAdjustmentIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    const col = db.collection('balanceAdjustments')
+    await col.createIndex({ status: 1, createdAt: 1 })
+    await col.createIndex({ userId: 1, createdAt: -1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[balanceAdjustmentService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+/**
+ * Attachments are references to files uploaded via POST /api/uploads (or external links):
+ * [{ url, name? }]. Returns null when the value is malformed.
+ */
+export function normalizeAdjustmentAttachments(value) {
+  if (value == null) return []
+  if (!Array.isArray(value) || value.length > MAX_ATTACHMENTS) return null
+  const out = []
+  for (const x of value) {
+    const url = typeof x === 'string' ? x.trim() : typeof x?.url === 'string' ? x.url.trim() : ''
+    if (!url || url.length > 2000) return null
+    const name = typeof x?.name === 'string' && x.name.trim() ? x.name.trim().slice(0, 200) : null
+    out.push({ url, name })
+  }
+  return out
+}
+
+export function toAdjustmentDto(doc) {
+  if (!doc) return null
+  const iso = (d) => (d ? new Date(d).toISOString() : null)
+  return {
+    id: String(doc._id),
+    userId: doc.userId,
+    delta: doc.delta,
+    currency: doc.currency,
+    reason: doc.reason,
+    source: doc.source ?? null,
+    attachments: Array.isArray(doc.attachments) ? doc.attachments : [],
+    status: doc.status,
+    proposedBy: doc.proposedBy,
+    decidedBy: doc.decidedBy ?? null,
+    decisionComment: doc.decisionComment ?? null,
+    newBalance: typeof doc.newBalance === 'number' ? doc.newBalance : null,
+    ledgerError: doc.ledgerError ?? null,
+    createdAt: iso(doc.createdAt),
+    decidedAt: iso(doc.decidedAt),
+    appliedAt: iso(doc.appliedAt),
+  }
+}
+
+export async function createAdjustmentProposal(db, { userId, delta, currency, reason, source, attachments, proposedBy }) {
+  await ensureBalanceAdjustmentIndexes(db)
+  const now = new Date()
+  const doc = {
+    userId,
+    delta,
+    currency,
+    reason,
+    source,
+    attachments,
+    status: 'pending',
+    proposedBy,
+    decidedBy: null,
+    decisionComment: null,
+    newBalance: null,
+    createdAt: now,
+    updatedAt: now,
+    decidedAt: null,
+    appliedAt: null,
+  }
+  const r = await db.collection('balanceAdjustments').insertOne(doc)
+  return { ...doc, _id: r.insertedId }
+}
+
+export async function listAdjustments(db, { status = 'pending', limit = 50 } = {}) {
+  await ensureBalanceAdjustmentIndexes(db)
+  const filter = status ? { status } : {}
+  // The queue is worked oldest-first; history is read newest-first.
+  const sort = status === 'pending' ? { createdAt: 1 } : { createdAt: -1 }
+  return await db.collection('balanceAdjustments').find(filter).sort(sort).limit(limit).toArray()
+}
+
+function toObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(String(id))
+  } catch {
+    return null
+  }
+}
+
+export async function findAdjustment(db, id) {
+  const oid = toObjectId(id)
+  if (!oid) return null
+  return await db.collection('balanceAdjustments').findOne({ _id: oid }, { readPreference: 'primary' })
+}
+
+// Locks a pending proposal for the checker. The maker can never decide their own proposal.
+async function lockForDecision(db, { id, adminId, status, comment }) {
+  const col = db.collection('balanceAdjustments')
+  const existing = await findAdjustment(db, id)
+  if (!existing) return { ok: false, error: 'not_found' }
+  if (existing.proposedBy === adminId) return { ok: false, error: 'self_approval_forbidden' }
+  if (existing.status !== 'pending') return { ok: false, error: 'not_pending', status: existing.status }
+
+  const now = new Date()
+  const up = await col.findOneAndUpdate(
+    { _id: existing._id, status: 'pending', proposedBy: { $ne: adminId } },
+    { $set: { status, decidedBy: adminId, decisionComment: comment || null, decidedAt: now, updatedAt: now } },
+    { returnDocument: 'after' },
+  )
+  const doc = up?.value ?? up
+  if (!doc) return { ok: false, error: 'not_pending' }
+  return { ok: true, doc }
+}
+
+export async function rejectAdjustment(db, { id, adminId, comment }) {
+  return await lockForDecision(db, { id, adminId, status: 'rejected', comment })
+}
+
+/**
+ * Approves and applies a proposal. The ledger posting is keyed by the proposal id, so retrying an
+ * approval that failed half-way (status `approved`) never credits twice.
+ */
+export async function approveAdjustment(db, { id, adminId, comment, balanceRepo }) {
+  const col = db.collection('balanceAdjustments')
+  let locked = await lockForDecision(db, { id, adminId, status: 'approved', comment })
+  if (!locked.ok && locked.error === 'not_pending' && locked.status === 'approved') {
+    const stuck = await findAdjustment(db, id)
+    locked = stuck?.decidedBy === adminId ? { ok: true, doc: stuck } : locked
+  }
+  if (!locked.ok) return locked
+
+  const doc = locked.doc
+  const adjustmentId = String(doc._id)
+  try {
+    const newBalance = await balanceRepo.adjust(doc.userId, doc.delta, {
+      currency: doc.currency ?? 'RUB',
+      type: 'manual_adjust',
+      meta: {
+        reason: doc.reason,
+        source: doc.source,
+        adjustmentId,
+        proposedBy: doc.proposedBy,
+        approvedBy: adminId,
+      },
+      idempotencyKey: `balance_adjustment:${adjustmentId}`,
+    })
+    const now = new Date()
+    await col.updateOne(
+      { _id: doc._id, status: 'approved' },
+      { $set: { status: 'applied', newBalance, appliedAt: now, updatedAt: now }, $unset: { ledgerError: '' } },
+    )
+  } catch (e) {
+    await col.updateOne(
+      { _id: doc._id, status: 'approved' },
+      { $set: { ledgerError: e instanceof Error ? e.message : String(e), updatedAt: new Date() } },
+    )
+    return { ok: false, error: 'apply_failed' }
+  }
+  return { ok: true, doc: await findAdjustment(db, adjustmentId) }
+}
@@ -1,5 +1,17 @@
 import path from 'node:path'
 import { promises as fs } from 'node:fs'
+import mongoose from 'mongoose'
+import { connectMongo } from '../infra/db.js'
+import {
+  EXTERNAL_ACCOUNT,
+  ensureLedgerIndexes,
+  escrowAccount,
+  LEDGER_CURRENCY,
+  getAccountBalance,
+  listAccountBalances,
+  postTransfer,
+  userAccount,
+} from './ledgerService.js'
 
 async function readJson(filePath, fallback) {
   try {
@@ -10,34 +22,119 @@ async function readJson(filePath, fallback) {
   }
 }
 
-async function writeJson(filePath, data) {
-  await fs.mkdir(path.dirname(filePath), { recursive: true })
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8')
-}
-
 function normalizeBalances(value) {
   if (!value || typeof value !== 'object' || Array.isArray(value)) return {}
   return value
 }
 
+async function requireDb() {
+  const conn = await connectMongo()
+  const db = mongoose.connection.db
+  if (!conn?.enabled || mongoose.connection.readyState !== 1 || !db) throw new Error('mongo_not_available')
+  return db
+}
+
+// One-time carry-over from the pre-ledger storage: balances.json amounts and escrows that were
+// frozen before escrow accounts existed become opening_balance transactions. Idempotent by key.
+async function importLegacyState(db, balancesFile) {
+  const balances = normalizeBalances(await readJson(balancesFile, {}))
+  for (const [userId, value] of Object.entries(balances)) {
+    const amount = typeof value === 'number' && Number.isFinite(value) ? value : 0
+    if (!userId || amount === 0) continue
+    await postTransfer(db, {
+      from: amount > 0 ? EXTERNAL_ACCOUNT : userAccount(userId),
+      to: amount > 0 ? userAccount(userId) : EXTERNAL_ACCOUNT,
+      amount: Math.abs(amount),
+      type: 'opening_balance',
+      meta: { source: 'balances.json' },
+      idempotencyKey: `opening_balance:user:${userId}`,
+    })
+  }
+
+  const frozen = await db.collection('escrows').find({ status: 'frozen' }, { readPreference: 'primary' }).toArray()
+  for (const e of frozen) {
+    const amount = typeof e.amount === 'number' && Number.isFinite(e.amount) ? e.amount : 0
+    if (amount <= 0) continue
+    const account = escrowAccount({ taskId: e.taskId, executorId: e.executorId })
+    // Escrows frozen through the ledger already have their freeze transaction.
+    const funded = await db
+      .collection('ledgerEntries')
+      .findOne({ accountId: account, side: 'credit' }, { projection: { _id: 1 }, readPreference: 'primary' })
+    if (funded) continue
+    await postTransfer(db, {
+      from: EXTERNAL_ACCOUNT,
+      to: account,
+      amount,
+      type: 'opening_balance',
+      refs: { taskId: e.taskId, contractId: e.contractId, escrowId: String(e._id) },
+      meta: { source: 'escrows' },
+      idempotencyKey: `opening_balance:${account}`,
+    })
+  }
+}
+
+/**
+ * Wallet balances backed by the ledger (see ledgerService.js).
+ * - get(userId, currency?): current projection of the user's wallet in one currency (RUB by default)
+ * - wallets(userId): the user's wallets in every currency
+ * - adjust(userId, delta, opts): manual credit/debit against the external counterparty (opts.currency)
+ * - transfer(opts): raw ledger posting between two accounts
+ */
 export function createBalanceRepo({ dataDir }) {
   const BALANCES_FILE = path.join(dataDir, 'balances.json')
+  let readyPromise = null
 
-  async function get(userId) {
-    const balances = normalizeBalances(await readJson(BALANCES_FILE, {}))
-    const current = balances[userId]
-    return typeof current === 'number' && Number.isFinite(current) ? current : 0
+  async function ready() {
+    const db = await requireDb()
+    if (!readyPromise) {
+      readyPromise = (async () => {
+        await ensureLedgerIndexes(db)
+        await importLegacyState(db, BALANCES_FILE)
+      })().catch((e) => {
+        readyPromise = null
+        throw e
+      })
+    }
+    await readyPromise
+    return db
   }
 
-  async function adjust(userId, delta) {
-    const balances = normalizeBalances(await readJson(BALANCES_FILE, {}))
-    const prev = typeof balances[userId] === 'number' && Number.isFinite(balances[userId]) ? balances[userId] : 0
-    const next = prev + delta
-    balances[userId] = next
-    await writeJson(BALANCES_FILE, balances)
-    return next
+  async function get(userId, currency = LEDGER_CURRENCY) {
+    const db = await ready()
+    return await getAccountBalance(db, userAccount(userId), currency)
   }
 
-  return { get, adjust }
-}
+  async function wallets(userId) {
+    const db = await ready()
+    return await listAccountBalances(db, userAccount(userId))
+  }
+
+  async function adjust(
+    userId,
+    delta,
+    { currency = LEDGER_CURRENCY, type = 'manual_adjust', refs = null, meta = null, idempotencyKey = null } = {},
+  ) {
+    const db = await ready()
+    const amount = typeof delta === 'number' && Number.isFinite(delta) ? Math.abs(delta) : 0
+    if (amount > 0) {
+      await postTransfer(db, {
+        from: delta > 0 ? EXTERNAL_ACCOUNT : userAccount(userId),
+        to: delta > 0 ? userAccount(userId) : EXTERNAL_ACCOUNT,
+        amount,
+        currency,
+        type,
+        refs,
+        meta,
+        idempotencyKey,
+      })
+    }
+    return await getAccountBalance(db, userAccount(userId), currency)
+  }
+
+  async function transfer(opts) {
+    const db = await ready()
+    return await postTransfer(db, opts)
+  }
 
+  return { get, wallets, adjust, transfer }
+}
@@ -0,0 +1,338 @@
+import mongoose from 'mongoose'
+import { normalizeCurrency, round2 } from '../infra/money.js'
+import { runTransaction, sessionOpts } from '../infra/mongoTx.js'
+import { escrowCurrencyOf } from './escrowService.js'
+import { resyncTaskBudgetHold, syncTaskBudgetHold } from './taskBudgetService.js'
+import { DEFAULT_TASK_TTL_MS } from './taskExpiryService.js'
+
+// Campaigns: a customer's group of tasks under one of their brands, with a total budget cap and dates.
+// Tasks point to their campaign with `campaignId` (and must share its brand and currency). The cap
+// covers the committed budget of the tasks (budgetAmount × maxExecutors; expired tasks don't count).
+// Pausing unpublishes the campaign's open tasks (back to draft, their budget hold released) and marks
+// them with `pausedByCampaignId`; resuming publishes them again.
+// State: campaigns { ownerMongoId, ownerUserId, brandId, name, budgetCap, currency, startsAt, endsAt,
+// status: 'active' | 'paused', pausedAt, createdAt, updatedAt }.
+
+export const CAMPAIGN_STATUSES = ['active', 'paused']
+export const MAX_CAMPAIGN_BUDGET = 1_000_000_000
+const MAX_NAME_LENGTH = 120
+const MAX_CAMPAIGN_TASKS = 500
+// Contract statuses where the customer has taken the delivered work (approved directly or through a dispute).
+const DELIVERED_CONTRACT_STATUSES = ['approved', 'resolved']
+
+let ensureIndexesPromise = null
+async function ensureIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    await db.collection('campaigns').createIndex({ ownerMongoId: 1, createdAt: -1 })
+    await db.collection('campaigns').createIndex({ brandId: 1, createdAt: -1 })
+    await db.collection('tasks').createIndex({ campaignId: 1, createdAt: -1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[campaignService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+function toObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(String(id))
+  } catch {
+    return null
+  }
+}
+
+function parseDate(v) {
+  if (v === null) return null
+  const ms = typeof v === 'string' && v.trim() ? Date.parse(v.trim()) : NaN
+  return Number.isFinite(ms) ? new Date(ms) : undefined
+}
+
+/**
+ * Validates campaign fields. With `existing` only the given fields are checked (PATCH) and dates are
+ * checked against the stored ones. Returns { ok, fields } or { ok: false, error }.
+ */
+export function normalizeCampaignInput(body, existing = null) {
+  const fields = {}
+  if (!existing || body?.name !== undefined) {
+    const name = typeof body?.name === 'string' ? body.name.trim() : ''
+    if (!name || name.length > MAX_NAME_LENGTH) return { ok: false, error: 'invalid_name', maxLength: MAX_NAME_LENGTH }
+    fields.name = name
+  }
+  if (!existing || body?.budgetCap !== undefined) {
+    const cap = typeof body?.budgetCap === 'number' ? body.budgetCap : Number(body?.budgetCap)
+    if (!Number.isFinite(cap) || cap <= 0 || cap > MAX_CAMPAIGN_BUDGET) return { ok: false, error: 'invalid_budgetCap', max: MAX_CAMPAIGN_BUDGET }
+    fields.budgetCap = round2(cap)
+  }
+  if (!existing) {
+    const currency = body?.currency == null ? 'RUB' : normalizeCurrency(body.currency)
+    if (!currency) return { ok: false, error: 'invalid_currency' }
+    fields.currency = currency
+  } else if (body?.currency !== undefined && normalizeCurrency(body.currency) !== existing.currency) {
+    return { ok: false, error: 'currency_locked', currency: existing.currency }
+  }
+  for (const key of ['startsAt', 'endsAt']) {
+    if (existing && body?.[key] === undefined) continue
+    const d = body?.[key] === undefined ? null : parseDate(body[key])
+    if (d === undefined) return { ok: false, error: `invalid_${key}` }
+    fields[key] = d
+  }
+  const startsAt = fields.startsAt !== undefined ? fields.startsAt : existing?.startsAt ?? null
+  const endsAt = fields.endsAt !== undefined ? fields.endsAt : existing?.endsAt ?? null
+  if (startsAt && endsAt && new Date(endsAt) < new Date(startsAt)) return { ok: false, error: 'invalid_dates' }
+  return { ok: true, fields }
+}
+
+export function toCampaignDto(doc) {
+  if (!doc) return null
+  const iso = (d) => (d ? new Date(d).toISOString() : null)
+  return {
+    id: String(doc._id),
+    brandId: doc.brandId,
+    name: doc.name,
+    budgetCap: doc.budgetCap,
+    currency: doc.currency,
+    startsAt: iso(doc.startsAt),
+    endsAt: iso(doc.endsAt),
+    status: doc.status,
+    pausedAt: iso(doc.pausedAt),
+    createdAt: iso(doc.createdAt),
+    updatedAt: iso(doc.updatedAt),
+  }
+}
+
+export async function listCampaigns(db, { ownerMongoId, brandId = null, status = null }) {
+  await ensureIndexes(db)
+  const query = { ownerMongoId: String(ownerMongoId) }
+  if (brandId) query.brandId = brandId
+  if (status) query.status = status
+  return await db.collection('campaigns').find(query).sort({ createdAt: -1 }).limit(200).toArray()
+}
+
+export async function findOwnedCampaign(db, { id, ownerMongoId }) {
+  const oid = toObjectId(id)
+  if (!oid) return null
+  return await db.collection('campaigns').findOne({ _id: oid, ownerMongoId: String(ownerMongoId) }, { readPreference: 'primary' })
+}
+
+export async function createCampaign(db, { ownerMongoId, ownerUserId, brandId, fields }) {
+  await ensureIndexes(db)
+  const now = new Date()
+  const doc = {
+    ownerMongoId: String(ownerMongoId),
+    ownerUserId,
+    brandId,
+    name: fields.name,
+    budgetCap: fields.budgetCap,
+    currency: fields.currency,
+    startsAt: fields.startsAt ?? null,
+    endsAt: fields.endsAt ?? null,
+    status: 'active',
+    pausedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  }
+  const ins = await db.collection('campaigns').insertOne(doc)
+  return { ...doc, _id: ins.insertedId }
+}
+
+export async function listCampaignTasks(db, campaign, session = null) {
+  await ensureIndexes(db)
+  return await db
+    .collection('tasks')
+    .find({ campaignId: String(campaign._id) }, sessionOpts(session))
+    .sort({ createdAt: 1 })
+    .limit(MAX_CAMPAIGN_TASKS)
+    .toArray()
+}
+
+/** Budget a task takes from its campaign's cap: one budget per executor slot, none once expired. */
+export function committedBudgetOf(task) {
+  if (task.status === 'expired') return 0
+  const budget = typeof task.budgetAmount === 'number' && Number.isFinite(task.budgetAmount) && task.budgetAmount > 0 ? task.budgetAmount : 0
+  const slots = typeof task.maxExecutors === 'number' && task.maxExecutors > 0 ? Math.floor(task.maxExecutors) : 1
+  return round2(budget * slots)
+}
+
+/**
+ * Checks that `tasks` (with pending changes) fit in the campaign: same brand and currency, and the
+ * committed budget of all the campaign's tasks together with them stays within `budgetCap`.
+ * Returns { ok, committed } or { ok: false, error: 'brand_mismatch' | 'currency_mismatch' | 'campaign_budget_exceeded', ... }.
+ */
+export async function checkCampaignTasks(db, { campaign, tasks = [], budgetCap = campaign.budgetCap, session = null }) {
+  for (const task of tasks) {
+    if (String(task.brandId ?? '') !== String(campaign.brandId)) {
+      return { ok: false, error: 'brand_mismatch', taskId: String(task._id), brandId: campaign.brandId }
+    }
+    if (typeof task.budgetAmount === 'number' && (normalizeCurrency(task.budgetCurrency) ?? 'RUB') !== campaign.currency) {
+      return { ok: false, error: 'currency_mismatch', taskId: String(task._id), currency: campaign.currency }
+    }
+  }
+  const changed = new Set(tasks.map((t) => String(t._id)))
+  const current = await listCampaignTasks(db, campaign, session)
+  const committed = round2(
+    current.filter((t) => !changed.has(String(t._id))).reduce((s, t) => s + committedBudgetOf(t), 0) +
+      tasks.reduce((s, t) => s + committedBudgetOf(t), 0),
+  )
+  if (committed > budgetCap) return { ok: false, error: 'campaign_budget_exceeded', budgetCap, committed, currency: campaign.currency }
+  return { ok: true, committed }
+}
+
+function submissionLinks(submission) {
+  const files = Array.isArray(submission?.files) ? submission.files : []
+  return files
+    .filter((f) => f && typeof f === 'object' && typeof f.url === 'string' && f.url.trim())
+    .map((f) => ({ kind: f.kind ?? null, url: f.url.trim(), title: f.title ?? null, mediaType: f.mediaType ?? null }))
+}
+
+/**
+ * Campaign numbers: budget (cap, committed, spent), money by escrow state, executors, approval rate
+ * (approved / contracts that reached a verdict, resolved disputes included; open ones don't count yet) and the
+ * content links of delivered work.
+ */
+export async function buildCampaignReport(db, campaign) {
+  const tasks = await listCampaignTasks(db, campaign)
+  const taskIds = tasks.map((t) => String(t._id))
+  const [escrows, contracts] = await Promise.all([
+    db.collection('escrows').find({ taskId: { $in: taskIds } }).toArray(),
+    db.collection('contracts').find({ taskId: { $in: taskIds } }).toArray(),
+  ])
+
+  const spend = { escrowed: 0, released: 0, refunded: 0, fees: 0 }
+  for (const e of escrows) {
+    if (escrowCurrencyOf(e) !== campaign.currency) continue
+    const amount = typeof e.amount === 'number' ? e.amount : 0
+    if (e.status === 'frozen') spend.escrowed += amount
+    else if (e.status === 'released') spend.released += amount
+    else if (e.status === 'refunded') spend.refunded += amount
+    else if (e.status === 'split') {
+      spend.released += (e.payouts?.executorAmount ?? 0) + (e.payouts?.feeAmount ?? 0)
+      spend.refunded += e.payouts?.customerAmount ?? 0
+    }
+    if (e.status !== 'frozen') spend.fees += e.payouts?.feeAmount ?? 0
+  }
+  for (const k of Object.keys(spend)) spend[k] = round2(spend[k])
+
+  const live = contracts.filter((c) => c.status !== 'cancelled')
+  const approved = contracts.filter((c) => c.status === 'approved').length
+  const judged = contracts.filter((c) => c.status === 'approved' || c.status === 'resolved').length
+
+  const delivered = contracts.filter((c) => DELIVERED_CONTRACT_STATUSES.includes(c.status) && c.lastSubmissionId)
+  const submissionIds = delivered.map((c) => toObjectId(c.lastSubmissionId)).filter(Boolean)
+  const submissions = submissionIds.length ? await db.collection('submissions').find({ _id: { $in: submissionIds } }).toArray() : []
+  const submissionById = new Map(submissions.map((s) => [String(s._id), s]))
+  const content = delivered
+    .map((c) => {
+      const s = submissionById.get(String(c.lastSubmissionId))
+      const links = submissionLinks(s)
+      if (!links.length) return null
+      return {
+        taskId: c.taskId,
+        contractId: String(c._id),
+        executorId: c.executorId,
+        submittedAt: s?.createdAt ? new Date(s.createdAt).toISOString() : null,
+        links,
+      }
+    })
+    .filter(Boolean)
+
+  const committed = round2(tasks.reduce((s, t) => s + committedBudgetOf(t), 0))
+  const spent = round2(spend.escrowed + spend.released)
+  return {
+    budget: { cap: campaign.budgetCap, currency: campaign.currency, committed, spent, remaining: round2(campaign.budgetCap - spent) },
+    spend,
+    tasks: {
+      total: tasks.length,
+      byStatus: tasks.reduce((acc, t) => ({ ...acc, [t.status ?? 'draft']: (acc[t.status ?? 'draft'] ?? 0) + 1 }), {}),
+    },
+    executorCount: new Set(live.map((c) => c.executorId)).size,
+    contracts: { total: live.length, approved, judged },
+    approvalRate: judged ? round2(approved / judged) : null,
+    content,
+  }
+}
+
+async function setCampaignStatus(db, campaign, status) {
+  const now = new Date()
+  await db
+    .collection('campaigns')
+    .updateOne({ _id: campaign._id }, { $set: { status, pausedAt: status === 'paused' ? now : null, updatedAt: now } })
+}
+
+/**
+ * Pauses the campaign: its open tasks nobody took yet go back to draft and their budget holds are
+ * released. Returns { ok, unpublished: [taskId] }.
+ */
+export async function pauseCampaign(db, { balanceRepo, campaign }) {
+  await setCampaignStatus(db, campaign, 'paused')
+  const tasks = db.collection('tasks')
+  const open = await tasks
+    .find({ campaignId: String(campaign._id), status: 'open', publishedAt: { $ne: null } }, { projection: { _id: 1, budgetHold: 1 } })
+    .toArray()
+  const unpublished = []
+  for (const t of open) {
+    const res = await tasks.updateOne(
+      { _id: t._id, status: 'open', 'assignedExecutorIds.0': { $exists: false } },
+      { $set: { status: 'draft', publishedAt: null, pausedByCampaignId: String(campaign._id), updatedAt: new Date() } },
+    )
+    if (!res.modifiedCount) continue
+    unpublished.push(String(t._id))
+    if (t.budgetHold && balanceRepo) {
+      await resyncTaskBudgetHold({ db, balanceRepo, taskId: t._id }).catch((e) => {
+        console.warn('[campaignService] hold release failed', String(t._id), e instanceof Error ? e.message : String(e))
+      })
+    }
+  }
+  return { ok: true, unpublished }
+}
+
+/**
+ * Resumes the campaign and publishes again the tasks the pause took down (with a fresh expiry and
+ * budget hold). Tasks the wallet can't fund stay drafts and are listed in `failed`.
+ */
+export async function resumeCampaign(db, { balanceRepo, campaign }) {
+  await setCampaignStatus(db, campaign, 'active')
+  const tasks = db.collection('tasks')
+  const paused = await tasks.find({ pausedByCampaignId: String(campaign._id), status: 'draft' }).toArray()
+  const republished = []
+  const failed = []
+  for (const task of paused) {
+    const now = new Date()
+    const set = { status: 'open', publishedAt: now, expiresAt: new Date(now.getTime() + DEFAULT_TASK_TTL_MS).toISOString(), updatedAt: now }
+    // Publish first, conditionally: a task edited out of the paused draft (or deleted) meanwhile is
+    // skipped, so no hold is taken for a task that isn't republished.
+    const result = await runTransaction(db, async (session) => {
+      const up = await tasks.findOneAndUpdate(
+        { _id: task._id, status: 'draft', pausedByCampaignId: String(campaign._id) },
+        { $set: { ...set, expiryReminderSentAt: null }, $unset: { pausedByCampaignId: '' } },
+        sessionOpts(session, { returnDocument: 'after' }),
+      )
+      const published = up?.value ?? up
+      if (!published) return { ok: false, error: 'task_changed' }
+      // Undone when the hold can't be taken: a returned failure still commits the transaction.
+      const unpublish = () =>
+        tasks.updateOne(
+          { _id: task._id, status: 'open' },
+          {
+            $set: { status: 'draft', publishedAt: null, expiresAt: task.expiresAt ?? null, pausedByCampaignId: String(campaign._id), updatedAt: new Date() },
+          },
+          sessionOpts(session),
+        )
+      let hold
+      try {
+        hold = await syncTaskBudgetHold({ db, balanceRepo, task: published, session })
+      } catch (e) {
+        if (!session) await unpublish().catch(() => {})
+        throw e
+      }
+      if (!hold.ok) {
+        await unpublish()
+        return hold
+      }
+      return { ok: true }
+    }).catch((e) => ({ ok: false, error: e instanceof Error ? e.message : String(e) }))
+    if (result.ok) republished.push(String(task._id))
+    else failed.push({ taskId: String(task._id), error: result.error, required: result.required ?? null })
+  }
+  return { ok: true, republished, failed }
+}
@@ -0,0 +1,228 @@
+import mongoose from 'mongoose'
+import { round2 } from '../infra/money.js'
+import { runTransaction, sessionOpts } from '../infra/mongoTx.js'
+import { escrowCurrencyOf } from './escrowService.js'
+import { computeFee, snapshotFeePolicy } from './feeService.js'
+import { PLATFORM_FEES_ACCOUNT, bonusAccount, userAccount } from './ledgerService.js'
+
+// Bonuses: a customer pays an executor extra on top of a finished contract (approved or resolved).
+// The money goes customer wallet → bonus:<id> → executor wallet, with the platform fee split off to
+// platform:fees like an escrow release. The fee uses the percent the contract's escrow was funded
+// with; the flat minimum is an order-level fee and doesn't apply to bonuses.
+// Every bonus is a `contractBonuses` record; executors get users.bonusStats for their public profile.
+
+export const BONUS_CONTRACT_STATUSES = ['approved', 'resolved']
+export const MAX_BONUS_AMOUNT = 1_000_000
+const MAX_MESSAGE_LENGTH = 1000
+// A bonus still `pending` after this was interrupted mid-way (see recoverPendingBonuses).
+const PENDING_STALE_MS = 5 * 60 * 1000
+
+let ensureIndexesPromise = null
+async function ensureIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    const col = db.collection('contractBonuses')
+    await col.createIndex({ contractId: 1, createdAt: -1 })
+    await col.createIndex({ executorId: 1, createdAt: -1 })
+    await col.createIndex({ customerId: 1, createdAt: -1 })
+    await col.createIndex({ status: 1, updatedAt: 1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[contractBonusService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+function toObjectIdOrNull(id) {
+  try {
+    return new mongoose.Types.ObjectId(String(id))
+  } catch {
+    return null
+  }
+}
+
+/** Validates { amount, message? }. Returns { ok, amount, message } or { ok: false, error }. */
+export function normalizeBonusInput(body) {
+  const amount = typeof body?.amount === 'number' ? body.amount : Number(body?.amount)
+  if (!Number.isFinite(amount) || round2(amount) <= 0 || amount > MAX_BONUS_AMOUNT) {
+    return { ok: false, error: 'invalid_amount', maxAmount: MAX_BONUS_AMOUNT }
+  }
+  if (body?.message != null && typeof body.message !== 'string') return { ok: false, error: 'invalid_message' }
+  const message = typeof body?.message === 'string' && body.message.trim() ? body.message.trim() : null
+  if (message && message.length > MAX_MESSAGE_LENGTH) return { ok: false, error: 'message_too_long', maxLength: MAX_MESSAGE_LENGTH }
+  return { ok: true, amount: round2(amount), message }
+}
+
+export function toContractBonusDto(doc) {
+  if (!doc) return null
+  return {
+    id: String(doc._id),
+    contractId: doc.contractId,
+    taskId: doc.taskId ?? null,
+    customerId: doc.customerId,
+    executorId: doc.executorId,
+    amount: doc.amount,
+    currency: doc.currency,
+    feeAmount: doc.feeAmount,
+    feePercent: doc.feePercent ?? null,
+    executorAmount: doc.executorAmount,
+    message: doc.message ?? null,
+    status: doc.status,
+    createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+  }
+}
+
+export async function listContractBonuses(db, contractId) {
+  await ensureIndexes(db)
+  return await db.collection('contractBonuses').find({ contractId: String(contractId) }).sort({ createdAt: -1 }).limit(100).toArray()
+}
+
+// The escrow's fee snapshot, or the policy in effect now for contracts without one.
+async function feePolicyOf(db, contract, session) {
+  const escrow = await db
+    .collection('escrows')
+    .findOne({ taskId: String(contract.taskId), executorId: String(contract.executorId) }, sessionOpts(session, { projection: { fee: 1, currency: 1 } }))
+  const policy = escrow?.fee ?? (await snapshotFeePolicy(db, { taskId: contract.taskId, customerMongoId: contract.clientMongoId ?? null, session }))
+  return { policy, currency: escrow ? escrowCurrencyOf(escrow) : contract.escrowCurrency ?? 'RUB' }
+}
+
+// Pays a funded bonus out of bonus:<id> (executor share, platform fee) and records it as completed.
+// Every leg is keyed by the bonus, so a retry after a partial payout only posts what is missing.
+async function completeContractBonus({ db, balanceRepo, bonus, session = null }) {
+  const account = bonusAccount(bonus._id)
+  const refs = { taskId: bonus.taskId, contractId: bonus.contractId }
+  const legs = [
+    { to: userAccount(bonus.executorMongoId || bonus.executorId), amount: bonus.executorAmount, type: 'bonus', leg: 'executor' },
+    { to: PLATFORM_FEES_ACCOUNT, amount: bonus.feeAmount, type: 'commission', leg: 'fee' },
+  ].filter((l) => l.amount > 0)
+  for (const leg of legs) {
+    await balanceRepo.transfer({
+      from: account,
+      to: leg.to,
+      amount: leg.amount,
+      currency: bonus.currency,
+      type: leg.type,
+      refs,
+      meta: { bonusId: String(bonus._id) },
+      idempotencyKey: `bonus:${leg.leg}:${String(bonus._id)}`,
+      requireFunds: true,
+      session,
+    })
+  }
+
+  const now = new Date()
+  const done = await db
+    .collection('contractBonuses')
+    .updateOne({ _id: bonus._id, status: 'pending' }, { $set: { status: 'completed', updatedAt: now } }, sessionOpts(session))
+  // Stats are counted once, by whoever completed the bonus.
+  if (!done.modifiedCount) return
+  if (bonus.executorMongoId) {
+    await db.collection('users').updateOne(
+      { _id: toObjectIdOrNull(bonus.executorMongoId) },
+      {
+        $inc: { 'bonusStats.count': 1, [`bonusStats.totals.${bonus.currency}`]: bonus.executorAmount },
+        $set: { 'bonusStats.lastAt': bonus.createdAt ?? now },
+      },
+      sessionOpts(session),
+    )
+  }
+  await db
+    .collection('contracts')
+    .updateOne(
+      { _id: toObjectIdOrNull(bonus.contractId) },
+      { $inc: { bonusCount: 1, bonusTotal: bonus.amount }, $set: { updatedAt: now } },
+      sessionOpts(session),
+    )
+}
+
+/**
+ * Pays `amount` (in the contract's currency) from the customer to the executor of `contract`.
+ * Without transactions a failure after the funding leg leaves the bonus `pending` with the money on
+ * bonus:<id>; recoverPendingBonuses() finishes it.
+ * Returns { ok, bonus } or { ok: false, error: 'invalid_status' | 'insufficient_balance', ... }.
+ */
+export async function sendContractBonus({ db, balanceRepo, contract, amount, message = null, nowMs = Date.now() }) {
+  if (!balanceRepo || typeof balanceRepo.transfer !== 'function') throw new Error('balance_repo_missing')
+  await ensureIndexes(db)
+  if (!BONUS_CONTRACT_STATUSES.includes(contract.status)) return { ok: false, error: 'invalid_status', status: contract.status ?? null }
+
+  const col = db.collection('contractBonuses')
+  const customerKey = contract.clientMongoId || contract.clientId
+  const now = new Date(nowMs)
+
+  return await runTransaction(db, async (session) => {
+    const { policy, currency } = await feePolicyOf(db, contract, session)
+    const feeAmount = computeFee({ ...policy, minFeeRub: 0 }, amount, currency)
+    const executorAmount = round2(amount - feeAmount)
+    const doc = {
+      contractId: String(contract._id),
+      taskId: contract.taskId ?? null,
+      customerId: contract.clientId,
+      customerMongoId: contract.clientMongoId ?? null,
+      executorId: contract.executorId,
+      executorMongoId: contract.executorMongoId ?? null,
+      amount,
+      currency,
+      feeAmount,
+      feePercent: policy?.percent ?? null,
+      executorAmount,
+      message,
+      status: 'pending',
+      createdAt: now,
+      updatedAt: now,
+    }
+    const ins = await col.insertOne(doc, sessionOpts(session))
+    doc._id = ins.insertedId
+
+    const funded = await balanceRepo.transfer({
+      from: userAccount(customerKey),
+      to: bonusAccount(doc._id),
+      amount,
+      currency,
+      type: 'bonus',
+      refs: { taskId: doc.taskId, contractId: doc.contractId },
+      meta: { bonusId: String(doc._id) },
+      idempotencyKey: `bonus:fund:${String(doc._id)}`,
+      requireFunds: true,
+      session,
+    })
+    if (!funded.ok) {
+      await col.updateOne({ _id: doc._id }, { $set: { status: 'failed', error: 'insufficient_balance', updatedAt: new Date() } }, sessionOpts(session))
+      return { ok: false, error: 'insufficient_balance', balance: round2(funded.balance ?? 0), required: amount, currency }
+    }
+    await completeContractBonus({ db, balanceRepo, bonus: doc, session })
+    return { ok: true, bonus: { ...doc, status: 'completed' } }
+  })
+}
+
+/**
+ * Background pass over bonuses left `pending` by an interrupted sendContractBonus (deployments
+ * without transactions): a funded bonus is paid out, one that was never funded is marked failed.
+ */
+export async function recoverPendingBonuses({ db, balanceRepo, nowMs = Date.now(), limit = 100 }) {
+  await ensureIndexes(db)
+  const col = db.collection('contractBonuses')
+  const stale = await col
+    .find({ status: 'pending', updatedAt: { $lt: new Date(nowMs - PENDING_STALE_MS) } })
+    .sort({ updatedAt: 1 })
+    .limit(limit)
+    .toArray()
+  const counts = { completed: 0, failed: 0 }
+  for (const bonus of stale) {
+    try {
+      const funded = await db
+        .collection('ledgerEntries')
+        .findOne({ txId: `bonus:fund:${String(bonus._id)}`, side: 'debit' }, { projection: { _id: 1 }, readPreference: 'primary' })
+      if (funded) {
+        await completeContractBonus({ db, balanceRepo, bonus })
+        counts.completed++
+      } else {
+        await col.updateOne({ _id: bonus._id, status: 'pending' }, { $set: { status: 'failed', error: 'interrupted', updatedAt: new Date() } })
+        counts.failed++
+      }
+    } catch (e) {
+      console.warn('[contractBonusService] recovery failed', String(bonus._id), e instanceof Error ? e.message : String(e))
+    }
+  }
+  return counts
+}
@@ -0,0 +1,384 @@
+import { promises as fs } from 'node:fs'
+import path from 'node:path'
+import mongoose from 'mongoose'
+import { decryptPii } from '../infra/piiCrypto.js'
+import { renderTablePdf } from '../infra/pdf.js'
+import { getPayerDetails } from './withdrawalBatchService.js'
+
+// Closing documents for legal-entity customers (`customerDocuments`):
+//  - invoice (счёт) for a balance top-up by bank transfer;
+//  - act (акт) of completed work over settled escrows — per closed task or per calendar month
+//    (users.documentSettings.actMode, month by default).
+// Numbers are sequential per kind and year (Moscow time) and come from `counters`; a number is
+// reserved before the PDF is rendered and the record is never deleted, so numbers are never reused.
+// PDFs live in the documents directory next to uploads and are served only to their owner.
+
+export const CUSTOMER_DOCUMENT_KINDS = ['invoice', 'act']
+export const ACT_MODES = ['task', 'month']
+
+const MSK_OFFSET_MS = 3 * 60 * 60 * 1000
+const MAX_INVOICE_AMOUNT = 10_000_000
+// Escrows whose executor part was paid out: a release or a dispute split.
+const SETTLED_ESCROW_STATUSES = ['released', 'split']
+
+let ensureIndexesPromise = null
+export async function ensureCustomerDocumentIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    const col = db.collection('customerDocuments')
+    await col.createIndex({ kind: 1, year: 1, number: 1 }, { unique: true })
+    await col.createIndex({ userId: 1, createdAt: -1 })
+    await col.createIndex({ userId: 1, scopeKey: 1 }, { unique: true, partialFilterExpression: { scopeKey: { $type: 'string' } } })
+    await col.createIndex({ escrowIds: 1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[customerDocumentService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+function toObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(String(id))
+  } catch {
+    return null
+  }
+}
+
+async function nextSequence(db, name) {
+  const up = await db
+    .collection('counters')
+    .findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { upsert: true, returnDocument: 'after' })
+  const doc = up?.value ?? up
+  return doc.seq
+}
+
+function mskYear(date) {
+  return new Date(new Date(date).getTime() + MSK_OFFSET_MS).getUTCFullYear()
+}
+
+function formatDate(date) {
+  return new Date(new Date(date).getTime() + MSK_OFFSET_MS).toISOString().slice(0, 10).split('-').reverse().join('.')
+}
+
+function formatAmount(n) {
+  return Number(n || 0).toFixed(2)
+}
+
+/** 'YYYY-MM' → { from, to } (Moscow month boundaries) or null. */
+export function parseMonth(value) {
+  const m = typeof value === 'string' ? value.trim().match(/^(\d{4})-(\d{2})$/) : null
+  if (!m) return null
+  const y = Number(m[1])
+  const mo = Number(m[2]) - 1
+  if (mo < 0 || mo > 11) return null
+  return { from: new Date(Date.UTC(y, mo, 1) - MSK_OFFSET_MS), to: new Date(Date.UTC(y, mo + 1, 1) - MSK_OFFSET_MS), label: value.trim() }
+}
+
+export function previousMonth(nowMs = Date.now()) {
+  const msk = new Date(nowMs + MSK_OFFSET_MS)
+  const d = new Date(Date.UTC(msk.getUTCFullYear(), msk.getUTCMonth() - 1, 1))
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`
+}
+
+export function toCustomerDocumentDto(doc) {
+  if (!doc) return null
+  const iso = (d) => (d ? new Date(d).toISOString() : null)
+  return {
+    id: String(doc._id),
+    kind: doc.kind,
+    number: doc.displayNumber,
+    status: doc.status,
+    amount: doc.amount,
+    currency: doc.currency,
+    periodFrom: iso(doc.period?.from),
+    periodTo: iso(doc.period?.to),
+    taskIds: doc.taskIds ?? [],
+    fileUrl: doc.status === 'issued' ? `/api/documents/${String(doc._id)}/file` : null,
+    createdAt: iso(doc.createdAt),
+  }
+}
+
+/** Buyer requisites from a verified legal-entity payout profile, or { error }. */
+async function loadCustomer(db, userId) {
+  const oid = toObjectId(userId)
+  const user = oid ? await db.collection('users').findOne({ _id: oid }, { projection: { role: 1, payoutProfile: 1 } }) : null
+  if (!user) return { error: 'user_not_found' }
+  const p = user.payoutProfile
+  if (user.role !== 'customer' || p?.legalStatus !== 'legal_entity' || p?.status !== 'verified') {
+    return { error: 'legal_entity_profile_required' }
+  }
+  const bd = p.bankDetails ?? {}
+  return {
+    customer: {
+      companyName: bd.companyName ?? '',
+      inn: decryptPii(bd.inn) ?? '',
+      kpp: bd.kpp ?? '',
+      bankName: bd.bankName ?? '',
+      bik: bd.bik ?? '',
+    },
+  }
+}
+
+function partyLines(seller, customer) {
+  return [
+    `Исполнитель: ${seller.name}, ИНН ${seller.inn}${seller.kpp ? `, КПП ${seller.kpp}` : ''}`,
+    `р/с ${seller.account} в ${seller.bankName}, БИК ${seller.bik}${seller.correspondentAccount ? `, к/с ${seller.correspondentAccount}` : ''}`,
+    `Заказчик: ${customer.companyName}, ИНН ${customer.inn}${customer.kpp ? `, КПП ${customer.kpp}` : ''}`,
+  ]
+}
+
+const LINE_COLUMNS = [
+  { key: 'n', title: '№', width: 0.06, align: 'right' },
+  { key: 'title', title: 'Наименование', width: 0.56 },
+  { key: 'qty', title: 'Кол-во', width: 0.1, align: 'right' },
+  { key: 'price', title: 'Цена, ₽', width: 0.14, align: 'right' },
+  { key: 'sum', title: 'Сумма, ₽', width: 0.14, align: 'right' },
+]
+
+function renderDocumentPdf(doc) {
+  const isInvoice = doc.kind === 'invoice'
+  const title = `${isInvoice ? 'Счёт на оплату' : 'Акт оказанных услуг'} № ${doc.displayNumber} от ${formatDate(doc.createdAt)}`
+  const headerLines = partyLines(doc.seller, doc.customer)
+  if (doc.period) headerLines.push(`Период: ${formatDate(doc.period.from)} — ${formatDate(new Date(doc.period.to.getTime() - 1))}`)
+  const rows = doc.lines.map((l, i) => ({ n: i + 1, title: l.title, qty: 1, price: formatAmount(l.amount), sum: formatAmount(l.amount) }))
+  const footerLines = [`Итого: ${formatAmount(doc.amount)} ₽`, 'НДС не облагается']
+  if (isInvoice) {
+    footerLines.push(`Назначение платежа: Оплата по счёту № ${doc.displayNumber} от ${formatDate(doc.createdAt)}. НДС не облагается`)
+  } else {
+    footerLines.push('Услуги оказаны полностью и в срок. Заказчик претензий по объёму, качеству и срокам не имеет.')
+    footerLines.push('', 'Исполнитель ____________________          Заказчик ____________________')
+  }
+  return renderTablePdf({ title, headerLines, columns: LINE_COLUMNS, rows, footerLines })
+}
+
+/**
+ * Reserves the next number, stores the record and writes the PDF. A failed render leaves the record
+ * with status `failed` (its number stays taken) and rethrows.
+ */
+async function issueDocument(
+  db,
+  { documentsDir, kind, userId, customer, seller, lines, currency, period = null, taskIds = [], escrowIds = [], scopeKey = null },
+) {
+  await ensureCustomerDocumentIndexes(db)
+  const col = db.collection('customerDocuments')
+  const now = new Date()
+  const year = mskYear(now)
+  const number = await nextSequence(db, `customer_${kind}_${year}`)
+  const amount = Math.round(lines.reduce((s, l) => s + l.amount, 0) * 100) / 100
+  const doc = {
+    kind,
+    year,
+    number,
+    displayNumber: `${year}-${number}`,
+    status: 'pending',
+    userId: String(userId),
+    amount,
+    currency,
+    lines,
+    period,
+    taskIds,
+    escrowIds,
+    scopeKey,
+    customer,
+    seller,
+    fileName: `${kind}-${year}-${number}.pdf`,
+    createdAt: now,
+    updatedAt: now,
+  }
+  const insertRes = await col.insertOne(doc)
+  doc._id = insertRes.insertedId
+  try {
+    const pdf = await renderDocumentPdf(doc)
+    await fs.mkdir(path.join(documentsDir, String(year)), { recursive: true })
+    await fs.writeFile(path.join(documentsDir, String(year), doc.fileName), pdf)
+  } catch (e) {
+    // Frees the task/month scope for a retry; the number itself stays burned.
+    await col.updateOne({ _id: doc._id }, { $set: { status: 'failed', updatedAt: new Date() }, $unset: { scopeKey: '' } })
+    throw e
+  }
+  await col.updateOne({ _id: doc._id }, { $set: { status: 'issued', updatedAt: new Date() } })
+  return { ...doc, status: 'issued' }
+}
+
+/** Invoice for a top-up of `amount` RUB by bank transfer. */
+export async function createTopUpInvoice(db, { documentsDir, userId, amount }) {
+  if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_INVOICE_AMOUNT) {
+    return { ok: false, error: 'invalid_amount', maxAmount: MAX_INVOICE_AMOUNT }
+  }
+  const seller = getPayerDetails()
+  if (!seller) return { ok: false, error: 'seller_details_not_configured' }
+  const c = await loadCustomer(db, userId)
+  if (c.error) return { ok: false, error: c.error }
+  const doc = await issueDocument(db, {
+    documentsDir,
+    kind: 'invoice',
+    userId,
+    customer: c.customer,
+    seller,
+    lines: [{ title: 'Пополнение лицевого счёта на платформе (аванс за услуги)', amount: Math.round(amount * 100) / 100 }],
+    currency: 'RUB',
+  })
+  return { ok: true, doc }
+}
+
+function taskTitle(task) {
+  const t = task?.title
+  const text = typeof t === 'string' ? t : t?.ru || t?.en || ''
+  return text.trim() || `Задание ${String(task?._id ?? '')}`
+}
+
+/**
+ * Settled RUB escrows of the customer not yet covered by an act. Acts are issued in RUB only:
+ * work paid from foreign-currency wallets is documented by the provider's receipts.
+ */
+async function uncoveredEscrows(db, userId, filter) {
+  const escrows = await db
+    .collection('escrows')
+    .find({ customerMongoId: String(userId), status: { $in: SETTLED_ESCROW_STATUSES }, currency: 'RUB', ...filter })
+    .sort({ updatedAt: 1 })
+    .limit(2000)
+    .toArray()
+  if (!escrows.length) return []
+  const covered = await db
+    .collection('customerDocuments')
+    .find(
+      { kind: 'act', status: { $in: ['pending', 'issued'] }, escrowIds: { $in: escrows.map((e) => String(e._id)) } },
+      { projection: { escrowIds: 1 } },
+    )
+    .toArray()
+  const coveredIds = new Set(covered.flatMap((d) => d.escrowIds ?? []))
+  return escrows.filter((e) => !coveredIds.has(String(e._id)) && Number(e.payouts?.grossExecutorAmount) > 0)
+}
+
+async function actLines(db, escrows) {
+  const taskIds = [...new Set(escrows.map((e) => e.taskId))]
+  const tasks = await db
+    .collection('tasks')
+    .find({ _id: { $in: taskIds.map(toObjectId).filter(Boolean) } }, { projection: { title: 1 } })
+    .toArray()
+  const byId = new Map(tasks.map((t) => [String(t._id), t]))
+  return escrows.map((e) => ({
+    title: `Услуги по заданию «${taskTitle(byId.get(e.taskId) ?? { _id: e.taskId })}»`,
+    taskId: e.taskId,
+    contractId: e.contractId ?? null,
+    escrowId: String(e._id),
+    amount: Math.round(Number(e.payouts.grossExecutorAmount) * 100) / 100,
+  }))
+}
+
+/**
+ * Act for one closed task (`taskId`) or for a month (`month` = 'YYYY-MM'). Escrows already in an act
+ * are skipped; when nothing is left the existing act is returned with `already: true`.
+ */
+export async function createAct(db, { documentsDir, userId, taskId = null, month = null }) {
+  const seller = getPayerDetails()
+  if (!seller) return { ok: false, error: 'seller_details_not_configured' }
+  const c = await loadCustomer(db, userId)
+  if (c.error) return { ok: false, error: c.error }
+  await ensureCustomerDocumentIndexes(db)
+
+  let filter
+  let period = null
+  let scopeKey
+  if (taskId) {
+    const taskOid = toObjectId(taskId)
+    const task = taskOid ? await db.collection('tasks').findOne({ _id: taskOid }, { projection: { status: 1 } }) : null
+    if (!task) return { ok: false, error: 'task_not_found' }
+    if (task.status !== 'closed') return { ok: false, error: 'task_not_closed' }
+    filter = { taskId: String(taskOid) }
+    scopeKey = `task:${String(taskOid)}`
+  } else {
+    const p = parseMonth(month)
+    if (!p) return { ok: false, error: 'invalid_month' }
+    if (p.to.getTime() > Date.now()) return { ok: false, error: 'month_not_finished' }
+    filter = { updatedAt: { $gte: p.from, $lt: p.to } }
+    period = { from: p.from, to: p.to }
+    scopeKey = `month:${p.label}`
+  }
+
+  const existing = await db.collection('customerDocuments').findOne({ userId: String(userId), scopeKey })
+  if (existing) return { ok: true, doc: existing, already: true }
+  const escrows = await uncoveredEscrows(db, userId, filter)
+  if (!escrows.length) return { ok: false, error: 'nothing_to_act' }
+  const lines = await actLines(db, escrows)
+  try {
+    const doc = await issueDocument(db, {
+      documentsDir,
+      kind: 'act',
+      userId,
+      customer: c.customer,
+      seller,
+      lines,
+      currency: 'RUB',
+      period,
+      taskIds: [...new Set(lines.map((l) => l.taskId))],
+      escrowIds: lines.map((l) => l.escrowId),
+      scopeKey,
+    })
+    return { ok: true, doc }
+  } catch (e) {
+    // Concurrent request for the same task/month: return the act that won.
+    if (e?.code === 11000) {
+      const doc = await db.collection('customerDocuments').findOne({ userId: String(userId), scopeKey })
+      if (doc) return { ok: true, doc, already: true }
+    }
+    throw e
+  }
+}
+
+export async function listCustomerDocuments(db, userId, { kind = null, year = null, limit = 200 } = {}) {
+  await ensureCustomerDocumentIndexes(db)
+  const filter = { userId: String(userId), status: 'issued' }
+  if (kind) filter.kind = kind
+  if (year) filter.year = year
+  return await db.collection('customerDocuments').find(filter).sort({ createdAt: -1 }).limit(limit).toArray()
+}
+
+/** Owner's document with its PDF path, or null. */
+export async function findCustomerDocumentFile(db, { documentsDir, id, userId }) {
+  const oid = toObjectId(id)
+  if (!oid) return null
+  const doc = await db.collection('customerDocuments').findOne({ _id: oid, userId: String(userId), status: 'issued' })
+  if (!doc) return null
+  return { doc, filePath: path.join(documentsDir, String(doc.year), doc.fileName) }
+}
+
+/**
+ * Acts for legal-entity customers: per closed task for actMode 'task', and for the previous month
+ * (once it has ended) for actMode 'month'.
+ */
+export async function generatePendingActs(db, { documentsDir, nowMs = Date.now() } = {}) {
+  if (!getPayerDetails()) return { skipped: 'seller_details_not_configured' }
+  const customers = await db
+    .collection('users')
+    .find(
+      { role: 'customer', 'payoutProfile.legalStatus': 'legal_entity', 'payoutProfile.status': 'verified' },
+      { projection: { _id: 1, documentSettings: 1 } },
+    )
+    .limit(5000)
+    .toArray()
+  let issued = 0
+  let failed = 0
+  const month = previousMonth(nowMs)
+  for (const u of customers) {
+    const userId = String(u._id)
+    const mode = ACT_MODES.includes(u.documentSettings?.actMode) ? u.documentSettings.actMode : 'month'
+    try {
+      if (mode === 'month') {
+        const r = await createAct(db, { documentsDir, userId, month })
+        if (r.ok && !r.already) issued++
+        continue
+      }
+      const escrows = await uncoveredEscrows(db, userId, {})
+      for (const taskId of new Set(escrows.map((e) => e.taskId))) {
+        const r = await createAct(db, { documentsDir, userId, taskId })
+        if (r.ok && !r.already) issued++
+      }
+    } catch (e) {
+      failed++
+      console.warn('[customerDocumentService] act generation failed', userId, e instanceof Error ? e.message : String(e))
+    }
+  }
+  return { issued, failed }
+}
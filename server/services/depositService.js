@@ -0,0 +1,120 @@
+import mongoose from 'mongoose'
+import { paymentProviderAccount, userAccount } from './ledgerService.js'
+
+// Customer top-ups. A deposit is created `pending`, the provider's webhook moves it to
+// `succeeded` (balance credited once, keyed by deposit id) or `canceled`.
+
+// [min, max] per wallet currency. Deposits are credited in the currency they were paid in.
+export const DEPOSIT_LIMITS = {
+  RUB: [100, 1_000_000],
+  USD: [1, 10_000],
+  EUR: [1, 10_000],
+  KZT: [500, 5_000_000],
+}
+
+let ensureIndexesPromise = null
+export async function ensureDepositIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    const deposits = db.collection('deposits')
+    await deposits.createIndex({ userId: 1, createdAt: -1 })
+    await deposits.createIndex({ provider: 1, providerPaymentId: 1 }, { sparse: true })
+    await deposits.createIndex({ status: 1, createdAt: -1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[depositService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100
+}
+
+export function toDepositDto(doc) {
+  if (!doc) return null
+  return {
+    id: String(doc._id),
+    userId: doc.userId,
+    amount: doc.amount,
+    currency: doc.currency,
+    provider: doc.provider,
+    status: doc.status,
+    paymentUrl: doc.status === 'pending' ? doc.paymentUrl ?? null : null,
+    createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+    paidAt: doc.paidAt ? new Date(doc.paidAt).toISOString() : null,
+  }
+}
+
+async function findDepositForEvent(db, provider, event) {
+  const deposits = db.collection('deposits')
+  if (event.depositId) {
+    try {
+      const byId = await deposits.findOne(
+        { _id: new mongoose.Types.ObjectId(event.depositId), provider },
+        { readPreference: 'primary' },
+      )
+      if (byId) return byId
+    } catch {
+      // not an ObjectId: fall through to provider payment id
+    }
+  }
+  if (event.providerPaymentId) {
+    return await deposits.findOne({ provider, providerPaymentId: event.providerPaymentId }, { readPreference: 'primary' })
+  }
+  return null
+}
+
+/**
+ * Applies a verified provider notification to its deposit.
+ * Crediting is keyed by deposit id in the ledger, so repeated or concurrent webhooks credit once.
+ * Returns { ok, deposit, credited } or { ok: false, error }.
+ */
+export async function applyPaymentEvent({ db, balanceRepo, provider, event }) {
+  await ensureDepositIndexes(db)
+  const deposits = db.collection('deposits')
+  const deposit = await findDepositForEvent(db, provider, event)
+  if (!deposit) return { ok: false, error: 'deposit_not_found' }
+  const now = new Date()
+
+  if (event.status === 'canceled') {
+    await deposits.updateOne({ _id: deposit._id, status: 'pending' }, { $set: { status: 'canceled', updatedAt: now } })
+    return { ok: true, deposit: await deposits.findOne({ _id: deposit._id }), credited: false }
+  }
+  if (event.status !== 'succeeded') return { ok: true, deposit, credited: false }
+
+  const paid = typeof event.amount === 'number' ? round2(event.amount) : NaN
+  if (paid !== round2(deposit.amount) || (event.currency && event.currency !== deposit.currency)) {
+    await deposits.updateOne(
+      { _id: deposit._id, status: { $in: ['pending', 'canceled'] } },
+      { $set: { status: 'amount_mismatch', paidAmount: Number.isFinite(paid) ? paid : null, updatedAt: now } },
+    )
+    return { ok: false, error: 'amount_mismatch' }
+  }
+
+  const depositId = String(deposit._id)
+  // A late success after a cancel still means the money arrived, so `canceled` can be credited too.
+  const tx = await balanceRepo.transfer({
+    from: paymentProviderAccount(provider),
+    to: userAccount(deposit.userId),
+    amount: deposit.amount,
+    currency: deposit.currency ?? 'RUB',
+    type: 'deposit',
+    refs: { depositId },
+    meta: { provider, providerPaymentId: event.providerPaymentId ?? deposit.providerPaymentId ?? null },
+    idempotencyKey: `deposit:${depositId}`,
+  })
+  await deposits.updateOne(
+    { _id: deposit._id, status: { $in: ['pending', 'canceled'] } },
+    {
+      $set: {
+        status: 'succeeded',
+        paidAt: now,
+        ledgerTxId: tx.txId,
+        providerPaymentId: deposit.providerPaymentId ?? event.providerPaymentId ?? null,
+        updatedAt: now,
+      },
+    },
+  )
+  return { ok: true, deposit: await deposits.findOne({ _id: deposit._id }), credited: !tx.already }
+}
@@ -1,4 +1,17 @@
 import mongoose from 'mongoose'
+import { runTransaction, sessionOpts, supportsTransactions } from '../infra/mongoTx.js'
+import { computeFee, snapshotFeePolicy } from './feeService.js'
+import {
+  LEDGER_CURRENCY,
+  PLATFORM_FEES_ACCOUNT,
+  escrowAccount,
+  getAccountBalance,
+  taskBudgetAccount,
+  userAccount,
+} from './ledgerService.js'
+
+// Saga entries older than this that never reached a final status are finished by recoverEscrowSagas().
+const SAGA_STALE_MS = 5 * 60 * 1000
 
 let ensureIndexesPromise = null
 async function ensureIndexes(db) {
@@ -9,6 +22,7 @@ async function ensureIndexes(db) {
     await escrows.createIndex({ contractId: 1 }, { unique: true, sparse: true })
     await escrows.createIndex({ customerId: 1, status: 1, createdAt: -1 })
     await escrows.createIndex({ executorId: 1, status: 1, createdAt: -1 })
+    await db.collection('escrowSagas').createIndex({ status: 1, updatedAt: 1 })
   })().catch((e) => {
     ensureIndexesPromise = null
     console.warn('[escrowService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
@@ -16,23 +30,92 @@ async function ensureIndexes(db) {
   return ensureIndexesPromise
 }
 
-async function safeAdjust(balanceRepo, userId, delta) {
-  if (!balanceRepo || typeof balanceRepo.adjust !== 'function') throw new Error('balance_repo_missing')
-  return await balanceRepo.adjust(String(userId), delta)
+async function safeTransfer(balanceRepo, opts) {
+  if (!balanceRepo || typeof balanceRepo.transfer !== 'function') throw new Error('balance_repo_missing')
+  return await balanceRepo.transfer(opts)
 }
 
-async function safeGet(balanceRepo, userId) {
+async function safeGet(balanceRepo, userId, currency) {
   if (!balanceRepo || typeof balanceRepo.get !== 'function') throw new Error('balance_repo_missing')
-  return await balanceRepo.get(String(userId))
+  return await balanceRepo.get(String(userId), currency)
+}
+
+// Escrows created before multi-currency wallets carry no currency: they were always RUB.
+export function escrowCurrencyOf(escrow) {
+  return typeof escrow?.currency === 'string' && escrow.currency ? escrow.currency : LEDGER_CURRENCY
+}
+
+function customerBalanceKeyOf(escrow) {
+  return typeof escrow.customerMongoId === 'string' && escrow.customerMongoId.trim()
+    ? escrow.customerMongoId.trim()
+    : String(escrow.customerId)
+}
+
+function executorBalanceKeyOf(escrow, executorId) {
+  return typeof escrow.executorMongoId === 'string' && escrow.executorMongoId.trim()
+    ? escrow.executorMongoId.trim()
+    : String(executorId)
+}
+
+function escrowRefs(escrow, disputeId = null) {
+  return {
+    taskId: escrow.taskId,
+    contractId: escrow.contractId ?? null,
+    disputeId,
+    escrowId: escrow._id ? String(escrow._id) : null,
+  }
 }
 
 function round2(n) {
   return Math.round(n * 100) / 100
 }
 
+async function sagaStep(db, sagaId, name, data = null) {
+  if (!sagaId) return
+  const now = new Date()
+  await db.collection('escrowSagas').updateOne({ _id: sagaId }, { $push: { steps: { name, data, at: now } }, $set: { updatedAt: now } })
+}
+
+async function finishSaga(db, sagaId, status, error = null) {
+  await db.collection('escrowSagas').updateOne({ _id: sagaId }, { $set: { status, error, updatedAt: new Date() } })
+}
+
+// Runs one escrow operation atomically:
+// - inside the caller's transaction when `session` is given;
+// - in its own transaction when the deployment supports them;
+// - otherwise with a saga log entry, so a run interrupted between the ledger posting and the
+//   escrow document write is finished later by recoverEscrowSagas().
+async function runEscrowOp({ db, session, kind, taskId, executorId, payload }, op) {
+  if (session) return await op({ session, sagaId: null })
+  if (await supportsTransactions(db)) return await runTransaction(db, (s) => op({ session: s, sagaId: null }))
+
+  const now = new Date()
+  const saga = await db.collection('escrowSagas').insertOne({
+    kind,
+    taskId: String(taskId),
+    executorId: String(executorId),
+    payload,
+    status: 'pending',
+    steps: [],
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  })
+  const sagaId = saga.insertedId
+  try {
+    const res = await op({ session: null, sagaId })
+    await finishSaga(db, sagaId, res?.ok === false ? 'aborted' : 'completed', res?.ok === false ? res.error ?? null : null)
+    return res
+  } catch (e) {
+    await finishSaga(db, sagaId, 'failed', e instanceof Error ? e.message : String(e)).catch(() => {})
+    throw e
+  }
+}
+
 export async function freezeEscrow({
   db,
   balanceRepo,
+  session = null,
   taskId,
   contractId = null,
   customerId,
@@ -40,145 +123,393 @@ export async function freezeEscrow({
   executorId,
   executorMongoId = null,
   amount,
+  currency = LEDGER_CURRENCY,
 }) {
   await ensureIndexes(db)
-  const escrows = db.collection('escrows')
 
   const amt = typeof amount === 'number' && Number.isFinite(amount) ? round2(amount) : NaN
   if (!Number.isFinite(amt) || amt <= 0) return { ok: true, escrow: null, skipped: true }
 
-  const customerPublicKey = String(customerId)
-  const customerMongoKey = customerMongoId ? String(customerMongoId) : null
+  const params = {
+    taskId: String(taskId),
+    contractId: contractId ? String(contractId) : null,
+    customerId: String(customerId),
+    customerMongoId: customerMongoId ? String(customerMongoId) : null,
+    executorId: String(executorId),
+    executorMongoId: executorMongoId ? String(executorMongoId) : null,
+    amount: amt,
+    currency,
+  }
+  return await runEscrowOp(
+    { db, session, kind: 'escrow_freeze', taskId, executorId, payload: params },
+    (ctx) => freezeEscrowOp({ db, balanceRepo, ...ctx, ...params }),
+  )
+}
+
+async function freezeEscrowOp({ db, balanceRepo, session, sagaId, taskId, contractId, customerId, customerMongoId, executorId, executorMongoId, amount: amt, currency }) {
+  const escrows = db.collection('escrows')
+
+  const customerPublicKey = customerId
+  const customerMongoKey = customerMongoId
   const customerBalanceKey = customerMongoKey || customerPublicKey
 
-  const existing = await escrows.findOne({ taskId: String(taskId), executorId: String(executorId) }, { readPreference: 'primary' })
+  const existing = await escrows.findOne({ taskId, executorId }, sessionOpts(session, { readPreference: 'primary' }))
   if (existing) {
     // Best-effort: attach contractId if missing.
     if (contractId && !existing.contractId) {
-      await escrows.updateOne({ _id: existing._id }, { $set: { contractId: String(contractId), updatedAt: new Date() } })
+      await escrows.updateOne({ _id: existing._id }, { $set: { contractId, updatedAt: new Date() } }, sessionOpts(session))
     }
     return { ok: true, escrow: existing, already: true }
   }
 
+  // A published task with a budget hold funds the slot from it; otherwise (tasks published before
+  // holds, a slot reopened after its escrow was refunded) the customer's wallet pays.
+  const budgetAccount = taskBudgetAccount(taskId)
+  const held = await getAccountBalance(db, budgetAccount, currency, session)
+  const fromBudget = held >= amt
+  const source = fromBudget ? budgetAccount : userAccount(customerBalanceKey)
+  if (!fromBudget && mongoose.isValidObjectId(taskId)) {
+    // A task that still has an active hold should fund the slot from it: a short hold means money
+    // went missing (reconciliation reports it as budget_hold_short), so the fallback is not silent.
+    const task = await db
+      .collection('tasks')
+      .findOne({ _id: new mongoose.Types.ObjectId(taskId) }, sessionOpts(session, { projection: { budgetHold: 1 } }))
+    if (task?.budgetHold?.status === 'active') {
+      console.warn('[escrowService] budget hold short, funding from the wallet', taskId, executorId, { held, required: amt, currency })
+    }
+  }
+
   // Backward-compatibility: some environments stored balances by publicId (tg_...)
   // while newer auth/economy uses mongoId. If mongoId is present but empty and publicId
   // has funds, migrate public balance to mongoId once.
-  let balance = await safeGet(balanceRepo, customerBalanceKey)
-  if (customerMongoKey && customerMongoKey !== customerPublicKey) {
-    const mongoBal = await safeGet(balanceRepo, customerMongoKey)
-    const publicBal = await safeGet(balanceRepo, customerPublicKey)
+  if (!fromBudget && customerMongoKey && customerMongoKey !== customerPublicKey) {
+    const mongoBal = await safeGet(balanceRepo, customerMongoKey, currency)
+    const publicBal = await safeGet(balanceRepo, customerPublicKey, currency)
     if (mongoBal < amt && publicBal > 0 && mongoBal + publicBal >= amt) {
       // Move all public funds to mongo key to keep one source of truth.
-      await safeAdjust(balanceRepo, customerMongoKey, publicBal)
-      await safeAdjust(balanceRepo, customerPublicKey, -publicBal)
-      balance = await safeGet(balanceRepo, customerMongoKey)
-    } else {
-      balance = mongoBal
+      await safeTransfer(balanceRepo, {
+        from: userAccount(customerPublicKey),
+        to: userAccount(customerMongoKey),
+        amount: publicBal,
+        currency,
+        type: 'account_merge',
+        requireFunds: true,
+        session,
+      })
     }
   }
-  if (balance < amt) return { ok: false, error: 'insufficient_balance', balance, required: amt }
 
-  // Deduct first, then insert escrow; if insert fails, refund.
-  await safeAdjust(balanceRepo, customerBalanceKey, -amt)
+  // Move funds into the escrow account first: the ledger refuses overdrafts atomically,
+  // and the deterministic key makes a concurrent second freeze a no-op.
+  const account = escrowAccount({ taskId, executorId })
+  const freezeKey = `escrow_freeze:${account}`
+  const tx = await safeTransfer(balanceRepo, {
+    from: source,
+    to: account,
+    amount: amt,
+    currency,
+    type: 'escrow_freeze',
+    refs: { taskId, contractId },
+    idempotencyKey: freezeKey,
+    requireFunds: true,
+    session,
+  })
+  if (!tx.ok) return { ok: false, error: 'insufficient_balance', balance: tx.balance, required: amt, currency }
+  await sagaStep(db, sagaId, 'ledger_freeze', { txId: tx.txId, from: source })
+  if (fromBudget && mongoose.isValidObjectId(taskId)) {
+    await db
+      .collection('tasks')
+      .updateOne(
+        { _id: new mongoose.Types.ObjectId(taskId), 'budgetHold.status': 'active' },
+        { $inc: { 'budgetHold.amount': -amt, 'budgetHold.version': 1 }, $set: { 'budgetHold.updatedAt': new Date() } },
+        sessionOpts(session),
+      )
+  }
+
   const now = new Date()
+  // Commission terms are fixed when the escrow is funded.
+  const fee = await snapshotFeePolicy(db, { taskId, customerMongoId, at: now, session })
   try {
-    const insertRes = await escrows.insertOne({
-      taskId: String(taskId),
-      contractId: contractId ? String(contractId) : null,
-      customerId: String(customerId),
-      customerMongoId: customerMongoId ? String(customerMongoId) : null,
-      executorId: String(executorId),
-      executorMongoId: executorMongoId ? String(executorMongoId) : null,
-      amount: amt,
-      status: 'frozen',
-      createdAt: now,
-      updatedAt: now,
-      payouts: null,
-    })
-    const doc = await escrows.findOne({ _id: insertRes.insertedId }, { readPreference: 'primary' })
+    const insertRes = await escrows.insertOne(
+      {
+        taskId,
+        contractId,
+        customerId,
+        customerMongoId,
+        executorId,
+        executorMongoId,
+        amount: amt,
+        currency,
+        status: 'frozen',
+        ledgerTxId: tx.txId,
+        fundedFrom: fromBudget ? 'task_budget' : 'wallet',
+        fee,
+        createdAt: now,
+        updatedAt: now,
+        payouts: null,
+      },
+      sessionOpts(session),
+    )
+    await sagaStep(db, sagaId, 'escrow_inserted', { escrowId: String(insertRes.insertedId) })
+    const doc = await escrows.findOne({ _id: insertRes.insertedId }, sessionOpts(session, { readPreference: 'primary' }))
     return { ok: true, escrow: doc }
   } catch (e) {
-    await safeAdjust(balanceRepo, customerBalanceKey, amt)
+    // Inside a transaction the abort rolls the ledger posting back.
+    if (session) throw e
     const isDup = e && typeof e === 'object' && 'code' in e && e.code === 11000
     if (isDup) {
-      const doc = await escrows.findOne({ taskId: String(taskId), executorId: String(executorId) }, { readPreference: 'primary' })
+      const doc = await escrows.findOne({ taskId, executorId }, { readPreference: 'primary' })
       return { ok: true, escrow: doc, already: true }
     }
+    // Escrow document could not be written: return the funds.
+    await safeTransfer(balanceRepo, {
+      from: account,
+      to: source,
+      amount: amt,
+      currency,
+      type: 'refund',
+      refs: { taskId, contractId },
+      meta: { reason: 'escrow_insert_failed' },
+      idempotencyKey: `escrow_freeze_revert:${tx.txId}`,
+      requireFunds: true,
+    }).catch(() => {})
     throw e
   }
 }
 
-export async function releaseEscrowToExecutor({ db, balanceRepo, taskId, executorId }) {
-  await ensureIndexes(db)
+// Moves escrow funds out according to `payouts`; marks the escrow with `status` once the money moved.
+// `executorAmount` is the executor's net share; `feeAmount` goes to the platform revenue account.
+async function settleEscrow({ db, balanceRepo, session, sagaId, existing, executorId, disputeId = null, status, type, executorAmount, customerAmount, feeAmount = 0 }) {
   const escrows = db.collection('escrows')
-  const existing = await escrows.findOne({ taskId: String(taskId), executorId: String(executorId) }, { readPreference: 'primary' })
-  if (!existing) return { ok: false, error: 'escrow_missing' }
-  if (existing.status !== 'frozen') return { ok: true, escrow: existing, already: true }
-
-  const amt = typeof existing.amount === 'number' && Number.isFinite(existing.amount) ? existing.amount : 0
-  const executorBalanceKey =
-    typeof existing.executorMongoId === 'string' && existing.executorMongoId.trim() ? existing.executorMongoId.trim() : String(executorId)
-  if (amt > 0) await safeAdjust(balanceRepo, executorBalanceKey, amt)
-  const now = new Date()
+  const account = escrowAccount({ taskId: existing.taskId, executorId: existing.executorId })
+  const refs = escrowRefs(existing, disputeId)
+  const legs = [
+    { amount: executorAmount, to: userAccount(executorBalanceKeyOf(existing, executorId)), leg: 'executor', type },
+    { amount: feeAmount, to: PLATFORM_FEES_ACCOUNT, leg: 'fee', type: 'commission' },
+    { amount: customerAmount, to: userAccount(customerBalanceKeyOf(existing)), leg: 'customer', type },
+  ].filter((x) => x.amount > 0)
+
+  for (const leg of legs) {
+    const tx = await safeTransfer(balanceRepo, {
+      from: account,
+      to: leg.to,
+      amount: leg.amount,
+      currency: escrowCurrencyOf(existing),
+      type: leg.type,
+      refs,
+      idempotencyKey: `${type}:${leg.leg}:${account}`,
+      requireFunds: true,
+      session,
+    })
+    if (!tx.ok) {
+      // Escrow account already drained by a concurrent settlement.
+      const fresh = await escrows.findOne({ _id: existing._id }, sessionOpts(session, { readPreference: 'primary' }))
+      if (fresh && fresh.status !== 'frozen') return { ok: true, escrow: fresh, already: true }
+      return { ok: false, error: 'escrow_underfunded' }
+    }
+    await sagaStep(db, sagaId, `ledger_${leg.leg}`, { txId: tx.txId })
+  }
+
+  const payouts = {
+    executorAmount,
+    customerAmount,
+    feeAmount,
+    grossExecutorAmount: round2(executorAmount + feeAmount),
+    feePercent: existing.fee?.percent ?? null,
+  }
   await escrows.updateOne(
-    { _id: existing._id },
-    { $set: { status: 'released', updatedAt: now, payouts: { executorAmount: amt, customerAmount: 0 } } },
+    { _id: existing._id, status: 'frozen' },
+    { $set: { status, updatedAt: new Date(), payouts } },
+    sessionOpts(session),
   )
-  const doc = await escrows.findOne({ _id: existing._id }, { readPreference: 'primary' })
-  return { ok: true, escrow: doc, payout: { executorAmount: amt, customerAmount: 0 } }
+  await sagaStep(db, sagaId, 'escrow_status', { status })
+  const doc = await escrows.findOne({ _id: existing._id }, sessionOpts(session, { readPreference: 'primary' }))
+  return { ok: true, escrow: doc, payout: payouts }
 }
 
-export async function refundEscrowToCustomer({ db, balanceRepo, taskId, executorId }) {
+const SETTLE_KINDS = {
+  escrow_release: { status: 'released', type: 'escrow_release' },
+  escrow_refund: { status: 'refunded', type: 'refund' },
+  escrow_split: { status: 'split', type: 'split' },
+}
+
+// Shared flow of release/refund/split: load the frozen escrow, compute the legs, settle atomically.
+async function runSettlement({ db, balanceRepo, session, kind, taskId, executorId, disputeId, amountsOf }) {
   await ensureIndexes(db)
-  const escrows = db.collection('escrows')
-  const existing = await escrows.findOne({ taskId: String(taskId), executorId: String(executorId) }, { readPreference: 'primary' })
-  if (!existing) return { ok: false, error: 'escrow_missing' }
-  if (existing.status !== 'frozen') return { ok: true, escrow: existing, already: true }
-
-  const amt = typeof existing.amount === 'number' && Number.isFinite(existing.amount) ? existing.amount : 0
-  const customerBalanceKey =
-    typeof existing.customerMongoId === 'string' && existing.customerMongoId.trim() ? existing.customerMongoId.trim() : String(existing.customerId)
-  if (amt > 0) await safeAdjust(balanceRepo, customerBalanceKey, amt)
-  const now = new Date()
-  await escrows.updateOne(
-    { _id: existing._id },
-    { $set: { status: 'refunded', updatedAt: now, payouts: { executorAmount: 0, customerAmount: amt } } },
+  const { status, type } = SETTLE_KINDS[kind]
+  return await runEscrowOp(
+    { db, session, kind, taskId, executorId, payload: { disputeId: disputeId ?? null } },
+    async (ctx) => {
+      const escrows = db.collection('escrows')
+      const existing = await escrows.findOne(
+        { taskId: String(taskId), executorId: String(executorId) },
+        sessionOpts(ctx.session, { readPreference: 'primary' }),
+      )
+      if (!existing) return { ok: false, error: 'escrow_missing' }
+      if (existing.status !== 'frozen') return { ok: true, escrow: existing, already: true }
+
+      const amt = typeof existing.amount === 'number' && Number.isFinite(existing.amount) ? round2(existing.amount) : 0
+      const amounts = amountsOf(amt)
+      if (!amounts.ok) return amounts
+      // Escrows funded before fee snapshots get the schedule that was in effect at funding time.
+      const policy =
+        existing.fee ??
+        (await snapshotFeePolicy(db, {
+          taskId: existing.taskId,
+          customerMongoId: existing.customerMongoId,
+          at: existing.createdAt ?? new Date(),
+          session: ctx.session,
+        }))
+      const feeAmount = computeFee(policy, amounts.executorAmount, escrowCurrencyOf(existing))
+      const executorAmount = round2(amounts.executorAmount - feeAmount)
+      await sagaStep(db, ctx.sagaId, 'planned', { executorAmount, customerAmount: amounts.customerAmount, feeAmount })
+      return await settleEscrow({
+        db,
+        balanceRepo,
+        ...ctx,
+        existing,
+        executorId,
+        disputeId,
+        status,
+        type,
+        executorAmount,
+        customerAmount: amounts.customerAmount,
+        feeAmount,
+      })
+    },
   )
-  const doc = await escrows.findOne({ _id: existing._id }, { readPreference: 'primary' })
-  return { ok: true, escrow: doc, payout: { executorAmount: 0, customerAmount: amt } }
 }
 
-export async function splitEscrow({ db, balanceRepo, taskId, executorId, executorAmount, customerAmount }) {
-  await ensureIndexes(db)
-  const escrows = db.collection('escrows')
-  const existing = await escrows.findOne({ taskId: String(taskId), executorId: String(executorId) }, { readPreference: 'primary' })
-  if (!existing) return { ok: false, error: 'escrow_missing' }
-  if (existing.status !== 'frozen') return { ok: true, escrow: existing, already: true }
+export async function releaseEscrowToExecutor({ db, balanceRepo, session = null, taskId, executorId, disputeId = null }) {
+  return await runSettlement({
+    db,
+    balanceRepo,
+    session,
+    kind: 'escrow_release',
+    taskId,
+    executorId,
+    disputeId,
+    amountsOf: (amt) => ({ ok: true, executorAmount: amt, customerAmount: 0 }),
+  })
+}
 
+export async function refundEscrowToCustomer({ db, balanceRepo, session = null, taskId, executorId, disputeId = null }) {
+  return await runSettlement({
+    db,
+    balanceRepo,
+    session,
+    kind: 'escrow_refund',
+    taskId,
+    executorId,
+    disputeId,
+    amountsOf: (amt) => ({ ok: true, executorAmount: 0, customerAmount: amt }),
+  })
+}
+
+export async function splitEscrow({ db, balanceRepo, session = null, taskId, executorId, disputeId = null, executorAmount, customerAmount }) {
   const ex = typeof executorAmount === 'number' && Number.isFinite(executorAmount) ? round2(executorAmount) : NaN
   const cu = typeof customerAmount === 'number' && Number.isFinite(customerAmount) ? round2(customerAmount) : NaN
   if (!Number.isFinite(ex) || ex < 0) return { ok: false, error: 'invalid_executorAmount' }
   if (!Number.isFinite(cu) || cu < 0) return { ok: false, error: 'invalid_customerAmount' }
 
-  const amt = typeof existing.amount === 'number' && Number.isFinite(existing.amount) ? round2(existing.amount) : 0
-  if (round2(ex + cu) != amt) return { ok: false, error: 'amount_mismatch' }
+  return await runSettlement({
+    db,
+    balanceRepo,
+    session,
+    kind: 'escrow_split',
+    taskId,
+    executorId,
+    disputeId,
+    amountsOf: (amt) => (round2(ex + cu) != amt ? { ok: false, error: 'amount_mismatch' } : { ok: true, executorAmount: ex, customerAmount: cu }),
+  })
+}
 
-  const customerBalanceKey =
-    typeof existing.customerMongoId === 'string' && existing.customerMongoId.trim() ? existing.customerMongoId.trim() : String(existing.customerId)
-  const executorBalanceKey =
-    typeof existing.executorMongoId === 'string' && existing.executorMongoId.trim() ? existing.executorMongoId.trim() : String(executorId)
-  if (ex > 0) await safeAdjust(balanceRepo, executorBalanceKey, ex)
-  if (cu > 0) await safeAdjust(balanceRepo, customerBalanceKey, cu)
-  const now = new Date()
-  await escrows.updateOne(
-    { _id: existing._id },
-    { $set: { status: 'split', updatedAt: now, payouts: { executorAmount: ex, customerAmount: cu } } },
-  )
-  const doc = await escrows.findOne({ _id: existing._id }, { readPreference: 'primary' })
-  return { ok: true, escrow: doc, payout: { executorAmount: ex, customerAmount: cu } }
+/**
+ * Finishes escrow operations that were interrupted on deployments without transactions.
+ * Everything is rolled forward: ledger postings are idempotent by key and the escrow status
+ * update is conditional, so re-running the recorded step sequence is safe.
+ * A freeze whose executor never got onto the task is refunded right away.
+ */
+export async function recoverEscrowSagas({ db, balanceRepo, nowMs = Date.now() }) {
+  await ensureIndexes(db)
+  const sagas = db.collection('escrowSagas')
+  const escrows = db.collection('escrows')
+  const stale = await sagas
+    .find({ status: { $in: ['pending', 'failed'] }, updatedAt: { $lt: new Date(nowMs - SAGA_STALE_MS) } })
+    .sort({ updatedAt: 1 })
+    .limit(100)
+    .toArray()
+
+  let recovered = 0
+  for (const saga of stale) {
+    try {
+      const steps = Array.isArray(saga.steps) ? saga.steps : []
+      const done = (name) => steps.find((x) => x?.name === name) ?? null
+
+      if (saga.kind === 'escrow_freeze') {
+        const freeze = done('ledger_freeze')
+        const p = saga.payload ?? {}
+        if (freeze && !done('escrow_inserted')) {
+          const now = new Date()
+          await escrows
+            .insertOne({
+              taskId: p.taskId,
+              contractId: p.contractId ?? null,
+              customerId: p.customerId,
+              customerMongoId: p.customerMongoId ?? null,
+              executorId: p.executorId,
+              executorMongoId: p.executorMongoId ?? null,
+              amount: p.amount,
+              currency: p.currency ?? LEDGER_CURRENCY,
+              status: 'frozen',
+              ledgerTxId: freeze.data?.txId ?? null,
+              fundedFrom: freeze.data?.from === taskBudgetAccount(p.taskId) ? 'task_budget' : 'wallet',
+              fee: await snapshotFeePolicy(db, { taskId: p.taskId, customerMongoId: p.customerMongoId, at: saga.createdAt ?? now }),
+              createdAt: now,
+              updatedAt: now,
+              payouts: null,
+            })
+            .catch((e) => {
+              if (!(e && typeof e === 'object' && 'code' in e && e.code === 11000)) throw e
+            })
+          const onTask = await db
+            .collection('assignments')
+            .findOne({ taskId: p.taskId, executorId: p.executorId }, { projection: { _id: 1 }, readPreference: 'primary' })
+          if (!onTask) await refundEscrowToCustomer({ db, balanceRepo, taskId: p.taskId, executorId: p.executorId })
+        }
+      } else if (SETTLE_KINDS[saga.kind]) {
+        const planned = done('planned')
+        const existing = await escrows.findOne({ taskId: saga.taskId, executorId: saga.executorId }, { readPreference: 'primary' })
+        if (planned && existing && existing.status === 'frozen') {
+          const { status, type } = SETTLE_KINDS[saga.kind]
+          const res = await settleEscrow({
+            db,
+            balanceRepo,
+            session: null,
+            sagaId: saga._id,
+            existing,
+            executorId: saga.executorId,
+            disputeId: saga.payload?.disputeId ?? null,
+            status,
+            type,
+            executorAmount: planned.data?.executorAmount ?? 0,
+            customerAmount: planned.data?.customerAmount ?? 0,
+            feeAmount: planned.data?.feeAmount ?? 0,
+          })
+          if (!res.ok) throw new Error(res.error)
+        }
+      }
+      await finishSaga(db, saga._id, 'recovered')
+      recovered += 1
+    } catch (e) {
+      await sagas
+        .updateOne({ _id: saga._id }, { $set: { status: 'failed', error: e instanceof Error ? e.message : String(e), updatedAt: new Date() } })
+        .catch(() => {})
+    }
+  }
+  return { recovered }
 }
 
 export function escrowForTaskExecutorQuery(taskId, executorId) {
   return { taskId: String(taskId), executorId: String(executorId) }
 }
-
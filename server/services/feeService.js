@@ -0,0 +1,188 @@
+import mongoose from 'mongoose'
+import { sessionOpts } from '../infra/mongoTx.js'
+
+// Platform commission.
+// A fee schedule has an `effectiveFrom` date, a default percent, a flat minimum (RUB) and optional
+// rules narrowing the percent/minimum by task executorMode and/or customer tier. The policy that
+// applies is snapshotted on the escrow when it's funded, so later schedules don't change old contracts.
+
+export const EXECUTOR_MODES = ['blogger_ad', 'customer_post', 'ai']
+export const DEFAULT_CUSTOMER_TIER = 'standard'
+
+const ZERO_POLICY = { scheduleId: null, percent: 0, minFeeRub: 0 }
+
+let ensureIndexesPromise = null
+async function ensureIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    await db.collection('feeSchedules').createIndex({ effectiveFrom: -1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[feeService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100
+}
+
+function normalizePercent(value) {
+  const n = typeof value === 'number' ? value : Number(value)
+  return Number.isFinite(n) && n >= 0 && n <= 100 ? round2(n) : null
+}
+
+function normalizeMinFee(value) {
+  if (value == null || value === '') return 0
+  const n = typeof value === 'number' ? value : Number(value)
+  return Number.isFinite(n) && n >= 0 ? round2(n) : null
+}
+
+export function normalizeCustomerTier(value) {
+  const s = typeof value === 'string' ? value.trim().toLowerCase() : ''
+  return /^[a-z0-9_-]{1,32}$/.test(s) ? s : null
+}
+
+/**
+ * Validates an admin payload: { effectiveFrom, defaultPercent, minFeeRub?, rules?: [{ executorMode?, customerTier?, percent, minFeeRub? }], note? }.
+ * Returns { ok: true, value } or { ok: false, error }.
+ */
+export function normalizeFeeSchedule(body, { now = new Date() } = {}) {
+  const effectiveFrom = typeof body?.effectiveFrom === 'string' || body?.effectiveFrom instanceof Date ? new Date(body.effectiveFrom) : null
+  if (!effectiveFrom || Number.isNaN(effectiveFrom.getTime())) return { ok: false, error: 'invalid_effectiveFrom' }
+  // Past dates would silently re-price escrows funded before fee snapshots existed.
+  if (effectiveFrom.getTime() < now.getTime() - 60 * 1000) return { ok: false, error: 'effectiveFrom_in_past' }
+
+  const defaultPercent = normalizePercent(body?.defaultPercent)
+  if (defaultPercent == null) return { ok: false, error: 'invalid_defaultPercent' }
+  const minFeeRub = normalizeMinFee(body?.minFeeRub)
+  if (minFeeRub == null) return { ok: false, error: 'invalid_minFeeRub' }
+
+  const rawRules = body?.rules == null ? [] : body.rules
+  if (!Array.isArray(rawRules) || rawRules.length > 50) return { ok: false, error: 'invalid_rules' }
+  const rules = []
+  for (const r of rawRules) {
+    const executorMode = r?.executorMode == null || r.executorMode === '' ? null : r.executorMode
+    if (executorMode !== null && !EXECUTOR_MODES.includes(executorMode)) return { ok: false, error: 'invalid_rule_executorMode' }
+    const customerTier = r?.customerTier == null || r.customerTier === '' ? null : normalizeCustomerTier(r.customerTier)
+    if (r?.customerTier != null && r.customerTier !== '' && !customerTier) return { ok: false, error: 'invalid_rule_customerTier' }
+    if (!executorMode && !customerTier) return { ok: false, error: 'rule_without_condition' }
+    const percent = normalizePercent(r?.percent)
+    if (percent == null) return { ok: false, error: 'invalid_rule_percent' }
+    const ruleMinFee = r?.minFeeRub == null || r.minFeeRub === '' ? null : normalizeMinFee(r.minFeeRub)
+    if (r?.minFeeRub != null && r.minFeeRub !== '' && ruleMinFee == null) return { ok: false, error: 'invalid_rule_minFeeRub' }
+    rules.push({ executorMode, customerTier, percent, minFeeRub: ruleMinFee })
+  }
+
+  const note = typeof body?.note === 'string' && body.note.trim() ? body.note.trim().slice(0, 500) : null
+  return { ok: true, value: { effectiveFrom, defaultPercent, minFeeRub, rules, note } }
+}
+
+export function toFeeScheduleDto(doc) {
+  if (!doc) return null
+  return {
+    id: String(doc._id),
+    effectiveFrom: doc.effectiveFrom ? new Date(doc.effectiveFrom).toISOString() : null,
+    defaultPercent: doc.defaultPercent,
+    minFeeRub: doc.minFeeRub ?? 0,
+    rules: Array.isArray(doc.rules) ? doc.rules : [],
+    note: doc.note ?? null,
+    createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+  }
+}
+
+export async function listFeeSchedules(db) {
+  await ensureIndexes(db)
+  return await db.collection('feeSchedules').find({}).sort({ effectiveFrom: -1 }).limit(200).toArray()
+}
+
+export async function createFeeSchedule(db, value) {
+  await ensureIndexes(db)
+  const doc = { ...value, createdAt: new Date() }
+  const res = await db.collection('feeSchedules').insertOne(doc)
+  return { _id: res.insertedId, ...doc }
+}
+
+// Only schedules that haven't taken effect yet can be removed: effective ones may be snapshotted already.
+export async function deleteFutureFeeSchedule(db, scheduleId, { now = new Date() } = {}) {
+  let oid
+  try {
+    oid = new mongoose.Types.ObjectId(String(scheduleId))
+  } catch {
+    return { ok: false, error: 'bad_id' }
+  }
+  const res = await db.collection('feeSchedules').deleteOne({ _id: oid, effectiveFrom: { $gt: now } })
+  if (res.deletedCount) return { ok: true }
+  const exists = await db.collection('feeSchedules').findOne({ _id: oid }, { projection: { _id: 1 } })
+  return { ok: false, error: exists ? 'already_effective' : 'not_found' }
+}
+
+// Picks the most specific matching rule (executorMode + tier > one of them > schedule default).
+function policyFromSchedule(schedule, { executorMode, customerTier }) {
+  let best = null
+  let bestScore = 0
+  for (const r of Array.isArray(schedule.rules) ? schedule.rules : []) {
+    if (r.executorMode && r.executorMode !== executorMode) continue
+    if (r.customerTier && r.customerTier !== customerTier) continue
+    const score = (r.executorMode ? 1 : 0) + (r.customerTier ? 1 : 0)
+    if (score > bestScore) {
+      best = r
+      bestScore = score
+    }
+  }
+  return {
+    scheduleId: String(schedule._id),
+    percent: best ? best.percent : schedule.defaultPercent,
+    minFeeRub: best && best.minFeeRub != null ? best.minFeeRub : schedule.minFeeRub ?? 0,
+  }
+}
+
+export async function resolveFeePolicy(db, { executorMode = null, customerTier = DEFAULT_CUSTOMER_TIER, at = new Date(), session = null } = {}) {
+  await ensureIndexes(db)
+  const schedule = await db
+    .collection('feeSchedules')
+    .findOne({ effectiveFrom: { $lte: at } }, sessionOpts(session, { sort: { effectiveFrom: -1 }, readPreference: 'primary' }))
+  if (!schedule) return { ...ZERO_POLICY }
+  return policyFromSchedule(schedule, { executorMode, customerTier })
+}
+
+/**
+ * Fee policy for an escrow being funded now: looks up the task's executorMode and the
+ * customer's tier (users.customerTier, default "standard").
+ */
+export async function snapshotFeePolicy(db, { taskId, customerMongoId = null, at = new Date(), session = null }) {
+  let executorMode = null
+  try {
+    const task = await db
+      .collection('tasks')
+      .findOne({ _id: new mongoose.Types.ObjectId(String(taskId)) }, sessionOpts(session, { projection: { executorMode: 1 } }))
+    executorMode = EXECUTOR_MODES.includes(task?.executorMode) ? task.executorMode : null
+  } catch {
+    executorMode = null
+  }
+  let customerTier = DEFAULT_CUSTOMER_TIER
+  if (customerMongoId) {
+    try {
+      const user = await db
+        .collection('users')
+        .findOne({ _id: new mongoose.Types.ObjectId(String(customerMongoId)) }, sessionOpts(session, { projection: { customerTier: 1 } }))
+      customerTier = normalizeCustomerTier(user?.customerTier) ?? DEFAULT_CUSTOMER_TIER
+    } catch {
+      customerTier = DEFAULT_CUSTOMER_TIER
+    }
+  }
+  const policy = await resolveFeePolicy(db, { executorMode, customerTier, at, session })
+  return { ...policy, executorMode, customerTier, resolvedAt: at }
+}
+
+// Fee withheld from an executor payout of `gross` (in `currency`): percent with a flat minimum, never above gross.
+// The minimum is set in RUB and is not converted, so payouts in other currencies pay the percent only.
+export function computeFee(policy, gross, currency = 'RUB') {
+  const amount = typeof gross === 'number' && Number.isFinite(gross) ? round2(gross) : 0
+  if (amount <= 0 || !policy) return 0
+  const percent = typeof policy.percent === 'number' && Number.isFinite(policy.percent) ? policy.percent : 0
+  const minFee =
+    currency === 'RUB' && typeof policy.minFeeRub === 'number' && Number.isFinite(policy.minFeeRub) ? policy.minFeeRub : 0
+  if (percent <= 0 && minFee <= 0) return 0
+  return Math.min(amount, Math.max(round2((amount * percent) / 100), minFee))
+}
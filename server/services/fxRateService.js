@@ -0,0 +1,245 @@
+import { SUPPORTED_CURRENCIES } from '../infra/money.js'
+import { getEnabledFxSources } from './fxSources/createFxSource.js'
+import { createNotification } from './notificationService.js'
+
+// Dated FX rates. Every source (CBR feed, static file, env override, admin) writes one rate per
+// pair per day into `fxRates`; getRate(pair, at) answers with the rate that was in force at `at`,
+// so past transactions can be re-priced. Same day: manual > env > file > cbr.
+
+export const FX_RATE_SOURCES = ['manual', 'env', 'file', 'cbr']
+const SOURCE_PRIORITY = { manual: 4, env: 3, file: 2, cbr: 1 }
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// CBR doesn't publish on Sundays/Mondays-after-holidays, so a rate up to 3 days old is normal.
+const DEFAULT_STALE_AFTER_MS = 3 * DAY_MS
+
+function staleAfterMs() {
+  const raw = Number(process.env.FX_STALE_AFTER_MS)
+  return Number.isFinite(raw) && raw > 0 ? raw : DEFAULT_STALE_AFTER_MS
+}
+
+let ensureIndexesPromise = null
+export async function ensureFxRateIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    const rates = db.collection('fxRates')
+    await rates.createIndex({ pair: 1, source: 1, asOf: 1 }, { unique: true })
+    await rates.createIndex({ pair: 1, asOf: -1, priority: -1 })
+    await db.collection('fxRateAlerts').createIndex({ pair: 1 }, { unique: true })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[fxRateService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+/** 'usd/rub', 'USDRUB', 'USD_RUB' → 'USD/RUB'; null for unsupported or same-currency pairs. */
+export function normalizePair(value) {
+  if (typeof value !== 'string') return null
+  const m = value.trim().toUpperCase().match(/^([A-Z]{3})[/_-]?([A-Z]{3})$/)
+  if (!m || m[1] === m[2]) return null
+  if (!SUPPORTED_CURRENCIES.includes(m[1]) || !SUPPORTED_CURRENCIES.includes(m[2])) return null
+  return `${m[1]}/${m[2]}`
+}
+
+function dayStart(d) {
+  const t = new Date(d).getTime()
+  return new Date(t - (((t % DAY_MS) + DAY_MS) % DAY_MS))
+}
+
+function round6(n) {
+  return Math.round(n * 1e6) / 1e6
+}
+
+export function toFxRateDto(doc) {
+  if (!doc) return null
+  return {
+    pair: doc.pair,
+    rate: doc.rate,
+    asOf: doc.asOf ? new Date(doc.asOf).toISOString() : null,
+    source: doc.source,
+    setBy: doc.setBy ?? null,
+    comment: doc.comment ?? null,
+    updatedAt: doc.updatedAt ? new Date(doc.updatedAt).toISOString() : null,
+  }
+}
+
+/** Stores (or replaces) the `source` rate for `pair` on the day of `asOf`. */
+export async function saveRate(db, { pair, rate, asOf = new Date(), source, setBy = null, comment = null }) {
+  await ensureFxRateIndexes(db)
+  const day = dayStart(asOf)
+  const now = new Date()
+  const up = await db.collection('fxRates').findOneAndUpdate(
+    { pair, source, asOf: day },
+    {
+      $set: { rate, priority: SOURCE_PRIORITY[source] ?? 0, setBy, comment, updatedAt: now },
+      $setOnInsert: { pair, source, asOf: day, createdAt: now },
+    },
+    { upsert: true, returnDocument: 'after' },
+  )
+  return up?.value ?? up
+}
+
+export async function listRates(db, { pair = null, from = null, to = null, limit = 100 } = {}) {
+  await ensureFxRateIndexes(db)
+  const filter = {}
+  if (pair) filter.pair = pair
+  if (from || to) {
+    filter.asOf = {}
+    if (from) filter.asOf.$gte = dayStart(from)
+    if (to) filter.asOf.$lte = new Date(to)
+  }
+  return await db.collection('fxRates').find(filter).sort({ asOf: -1, priority: -1 }).limit(limit).toArray()
+}
+
+async function findStored(db, pair, at) {
+  return await db.collection('fxRates').find({ pair, asOf: { $lte: at } }).sort({ asOf: -1, priority: -1 }).limit(1).next()
+}
+
+// `quote` per 1 `base` from a stored direct or inverse pair.
+async function findLeg(db, base, quote, at) {
+  const direct = await findStored(db, `${base}/${quote}`, at)
+  const inverse = await findStored(db, `${quote}/${base}`, at)
+  const pick = direct && inverse ? (inverse.asOf > direct.asOf ? inverse : direct) : direct ?? inverse
+  if (!pick) return null
+  return { rate: pick === direct ? pick.rate : 1 / pick.rate, asOf: new Date(pick.asOf), source: pick.source }
+}
+
+/**
+ * Rate for `pair` (quote per 1 base) in force at `at`: stored direct/inverse pair, otherwise a
+ * cross rate through RUB. Returns { pair, rate, asOf, source, stale } or null when nothing is known.
+ */
+export async function getRate(db, pair, at = new Date()) {
+  const p = normalizePair(pair)
+  if (!p) return null
+  await ensureFxRateIndexes(db)
+  const when = new Date(at)
+  const [base, quote] = p.split('/')
+
+  let legs = [await findLeg(db, base, quote, when)]
+  let rate = legs[0]?.rate ?? null
+  if (!legs[0] && base !== 'RUB' && quote !== 'RUB') {
+    legs = [await findLeg(db, base, 'RUB', when), await findLeg(db, quote, 'RUB', when)]
+    rate = legs[0] && legs[1] ? legs[0].rate / legs[1].rate : null
+  }
+  if (!rate || !legs.every(Boolean)) return null
+
+  const asOf = new Date(Math.min(...legs.map((l) => l.asOf.getTime())))
+  return {
+    pair: p,
+    rate: round6(rate),
+    asOf: asOf.toISOString(),
+    source: [...new Set(legs.map((l) => l.source))].join('+'),
+    stale: when.getTime() - asOf.getTime() > staleAfterMs(),
+  }
+}
+
+/**
+ * Polls the enabled sources and stores what they return. `date` backfills a past day
+ * (the env override is skipped then: it only speaks for today).
+ */
+export async function refreshFxRates(db, { date = null } = {}) {
+  await ensureFxRateIndexes(db)
+  const sources = await getEnabledFxSources()
+  const results = []
+  for (const source of sources) {
+    if (date && source.id === 'env') continue
+    try {
+      const fetched = await source.fetchRates({ date: date ?? undefined, currencies: SUPPORTED_CURRENCIES })
+      const entries = Array.isArray(fetched.entries)
+        ? fetched.entries
+        : Object.entries(fetched.rates ?? {}).map(([pair, rate]) => ({ pair, rate, asOf: fetched.asOf }))
+      let saved = 0
+      for (const e of entries) {
+        const pair = normalizePair(e.pair)
+        if (!pair || !(e.rate > 0)) continue
+        await saveRate(db, { pair, rate: round6(e.rate), asOf: e.asOf, source: source.id })
+        saved++
+      }
+      results.push({ source: source.id, ok: true, saved })
+    } catch (e) {
+      results.push({ source: source.id, ok: false, error: e instanceof Error ? e.message : String(e) })
+    }
+  }
+  return results
+}
+
+/** Current rate of every supported currency against RUB, with staleness. */
+export async function getFxRateStatus(db, nowMs = Date.now()) {
+  const out = []
+  for (const c of SUPPORTED_CURRENCIES) {
+    if (c === 'RUB') continue
+    const pair = `${c}/RUB`
+    const r = await getRate(db, pair, new Date(nowMs))
+    out.push(r ?? { pair, rate: null, asOf: null, source: null, stale: true })
+  }
+  return out
+}
+
+export function toFxRateAlertDto(doc) {
+  if (!doc) return null
+  const iso = (d) => (d ? new Date(d).toISOString() : null)
+  return {
+    pair: doc.pair,
+    status: doc.status,
+    lastAsOf: iso(doc.lastAsOf),
+    openedAt: iso(doc.openedAt),
+    closedAt: iso(doc.closedAt),
+  }
+}
+
+export async function listFxRateAlerts(db, { status = 'open' } = {}) {
+  await ensureFxRateIndexes(db)
+  return await db.collection('fxRateAlerts').find(status ? { status } : {}).sort({ openedAt: -1 }).toArray()
+}
+
+// GET /api/notifications reads by Mongo user id, so admins are addressed by _id (not tg_<id>);
+// createNotification resolves the Telegram chat from it.
+async function notifyAdmins(db, text, meta) {
+  const admins = await db.collection('users').find({ isAdmin: true }, { projection: { _id: 1 } }).toArray()
+  for (const a of admins) {
+    await createNotification({ db, userId: String(a._id), text, meta }).catch(() => {})
+  }
+}
+
+/**
+ * Opens an alert (once per episode, admins are notified) for every pair whose rate is missing or
+ * older than FX_STALE_AFTER_MS, and closes alerts for pairs that are fresh again.
+ */
+export async function checkStaleRates(db, { nowMs = Date.now() } = {}) {
+  await ensureFxRateIndexes(db)
+  const alerts = db.collection('fxRateAlerts')
+  const now = new Date(nowMs)
+  const status = await getFxRateStatus(db, nowMs)
+  let opened = 0
+  let closed = 0
+  for (const s of status) {
+    const lastAsOf = s.asOf ? new Date(s.asOf) : null
+    if (!s.stale) {
+      const r = await alerts.updateOne({ pair: s.pair, status: 'open' }, { $set: { status: 'closed', closedAt: now, lastAsOf } })
+      closed += r.modifiedCount ?? 0
+      continue
+    }
+    const r = await alerts.updateOne(
+      { pair: s.pair, status: { $ne: 'open' } },
+      { $set: { status: 'open', openedAt: now, closedAt: null, lastAsOf } },
+      { upsert: true },
+    ).catch((e) => {
+      // Concurrent upsert of an already open alert: nothing new to report.
+      if (e?.code === 11000) return { modifiedCount: 0, upsertedCount: 0 }
+      throw e
+    })
+    await alerts.updateOne({ pair: s.pair, status: 'open' }, { $set: { lastAsOf } })
+    if ((r.modifiedCount ?? 0) + (r.upsertedCount ?? 0) === 0) continue
+    opened++
+    console.warn('[fxRateService] stale FX rate', s.pair, s.asOf ?? 'none')
+    await notifyAdmins(
+      db,
+      s.asOf
+        ? `Курс ${s.pair} не обновлялся с ${s.asOf.slice(0, 10)} (источник ${s.source}). Обмен валют приостановлен до обновления или ручного курса.`
+        : `Нет курса ${s.pair}. Обмен валют приостановлен до загрузки или ручного курса.`,
+      { type: 'fx_rate_stale', pair: s.pair },
+    )
+  }
+  return { opened, closed }
+}
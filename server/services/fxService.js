@@ -0,0 +1,102 @@
+import crypto from 'node:crypto'
+import { runTransaction, sessionOpts } from '../infra/mongoTx.js'
+import { convertAmount, round2 } from '../infra/money.js'
+import { FX_ACCOUNT, postTransfer, userAccount } from './ledgerService.js'
+
+// Currency exchange between two wallets of the same user. Both legs go through FX_ACCOUNT and carry
+// the rate in their meta, so every converted amount in the ledger can be traced to the rate used.
+
+let ensureIndexesPromise = null
+async function ensureIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    await db.collection('fxExchanges').createIndex({ userId: 1, createdAt: -1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[fxService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+export function toFxExchangeDto(doc) {
+  if (!doc) return null
+  return {
+    id: doc.fxId,
+    fromCurrency: doc.fromCurrency,
+    toCurrency: doc.toCurrency,
+    fromAmount: doc.fromAmount,
+    toAmount: doc.toAmount,
+    rate: doc.rate,
+    rateSource: doc.rateSource ?? null,
+    rateAsOf: doc.rateAsOf ?? null,
+    createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+  }
+}
+
+/**
+ * Sells `amount` of `from` for `to` at `rate` (to per 1 from).
+ * Returns { ok, exchange } or { ok: false, error: 'insufficient_funds', balance, required }.
+ */
+export async function exchangeCurrency({ db, userId, from, to, amount, rate, rateSource = null, rateAsOf = null, key = null }) {
+  await ensureIndexes(db)
+  const fromAmount = round2(amount)
+  const toAmount = convertAmount(fromAmount, rate)
+  if (!Number.isFinite(toAmount) || toAmount <= 0) return { ok: false, error: 'amount_too_small' }
+
+  const fxId = key ? `fx:${key}` : `fx:${crypto.randomUUID()}`
+  const meta = { fxId, rate, rateSource, rateAsOf, fromCurrency: from, toCurrency: to, fromAmount, toAmount }
+  const user = userAccount(userId)
+
+  const result = await runTransaction(db, async (session) => {
+    const sell = await postTransfer(db, {
+      from: user,
+      to: FX_ACCOUNT,
+      amount: fromAmount,
+      currency: from,
+      type: 'fx_exchange',
+      meta,
+      idempotencyKey: `${fxId}:sell`,
+      requireFunds: true,
+      session,
+    })
+    if (!sell.ok) return sell
+    // The buy leg never lacks funds (FX position may go negative), so without a transaction it
+    // can only fail on infrastructure errors; the sell leg is reversed in that case.
+    try {
+      await postTransfer(db, {
+        from: FX_ACCOUNT,
+        to: user,
+        amount: toAmount,
+        currency: to,
+        type: 'fx_exchange',
+        meta,
+        idempotencyKey: `${fxId}:buy`,
+        session,
+      })
+    } catch (e) {
+      if (session) throw e
+      await postTransfer(db, {
+        from: FX_ACCOUNT,
+        to: user,
+        amount: fromAmount,
+        currency: from,
+        type: 'fx_exchange',
+        meta: { ...meta, reversal: true },
+        idempotencyKey: `${fxId}:sell_reversal`,
+      })
+      throw e
+    }
+    if (!sell.already) {
+      await db
+        .collection('fxExchanges')
+        .insertOne(
+          { fxId, userId: String(userId), fromCurrency: from, toCurrency: to, fromAmount, toAmount, rate, rateSource, rateAsOf, createdAt: new Date() },
+          sessionOpts(session),
+        )
+    }
+    return { ok: true }
+  })
+  if (!result.ok) return result
+  const doc = await db.collection('fxExchanges').findOne({ fxId }, { readPreference: 'primary' })
+  return { ok: true, exchange: doc }
+}
@@ -0,0 +1,59 @@
+/**
+ * Official Bank of Russia daily rates (XML_daily.asp). Quotes are RUB per `Nominal` units, so the
+ * adapter returns `<CODE>/RUB` per 1 unit. `date_req` makes it usable for backfilling past days.
+ */
+
+const CBR_URL = 'https://www.cbr.ru/scripts/XML_daily.asp'
+
+function pad2(n) {
+  return String(n).padStart(2, '0')
+}
+
+function parseNumber(s) {
+  const n = Number(String(s ?? '').replace(/\s+/g, '').replace(',', '.'))
+  return Number.isFinite(n) ? n : null
+}
+
+/**
+ * @param {string} xml
+ * @param {string[]} currencies
+ */
+export function parseCbrXml(xml, currencies) {
+  const head = xml.match(/<ValCurs[^>]*\bDate="(\d{2})\.(\d{2})\.(\d{4})"/)
+  if (!head) return null
+  const asOf = new Date(Date.UTC(Number(head[3]), Number(head[2]) - 1, Number(head[1])))
+  const rates = {}
+  for (const m of xml.matchAll(/<Valute\b[^>]*>([\s\S]*?)<\/Valute>/g)) {
+    const body = m[1]
+    const code = body.match(/<CharCode>([A-Z]{3})<\/CharCode>/)?.[1]
+    if (!code || !currencies.includes(code)) continue
+    const nominal = parseNumber(body.match(/<Nominal>([^<]+)<\/Nominal>/)?.[1]) ?? 1
+    const value = parseNumber(body.match(/<Value>([^<]+)<\/Value>/)?.[1])
+    if (value && value > 0 && nominal > 0) rates[`${code}/RUB`] = value / nominal
+  }
+  return { asOf, rates }
+}
+
+/**
+ * @param {{ url?: string }} [options]
+ */
+export function createCbrXmlSource(options = {}) {
+  const url = options.url || CBR_URL
+
+  /**
+   * @param {{ date?: Date; currencies: string[] }} params
+   * @returns {Promise<{ asOf: Date; rates: Record<string, number> }>}
+   */
+  async function fetchRates(params) {
+    const d = params.date ?? new Date()
+    const qs = `date_req=${pad2(d.getUTCDate())}/${pad2(d.getUTCMonth() + 1)}/${d.getUTCFullYear()}`
+    const resp = await fetch(`${url}?${qs}`, { method: 'GET', signal: AbortSignal.timeout(15_000) })
+    if (!resp.ok) throw new Error(`cbr_http_${resp.status}`)
+    const xml = new TextDecoder('windows-1251').decode(await resp.arrayBuffer())
+    const parsed = parseCbrXml(xml, params.currencies)
+    if (!parsed || !Object.keys(parsed.rates).length) throw new Error('cbr_parse_failed')
+    return parsed
+  }
+
+  return { id: 'cbr', fetchRates }
+}
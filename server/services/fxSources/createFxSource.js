@@ -0,0 +1,49 @@
+import { readEnvRates } from './envSource.js'
+
+/**
+ * FX rate source registry. A source is available when it's configured:
+ * - cbr:  always (disable with FX_CBR_DISABLED=1)
+ * - file: FX_RATES_FILE (path to a JSON file, see staticFileSource.js)
+ * - env:  any FX_RATE_<BASE>_<QUOTE> (or legacy USD_RUB_RATE)
+ * FX_SOURCES=cbr,file limits which sources are polled. Every source exposes { id, fetchRates(params) }.
+ */
+
+export const FX_SOURCES = ['cbr', 'file', 'env']
+
+/**
+ * @param {string} id
+ */
+export async function getFxSource(id) {
+  if (id === 'cbr') {
+    if (process.env.FX_CBR_DISABLED === '1') return null
+    const { createCbrXmlSource } = await import('./cbrXmlSource.js')
+    return createCbrXmlSource({ url: (process.env.FX_CBR_URL ?? '').trim() || undefined })
+  }
+
+  if (id === 'file') {
+    const filePath = (process.env.FX_RATES_FILE ?? '').trim()
+    if (!filePath) return null
+    const { createStaticFileSource } = await import('./staticFileSource.js')
+    return createStaticFileSource({ filePath })
+  }
+
+  if (id === 'env') {
+    const rates = readEnvRates(process.env)
+    if (!Object.keys(rates).length) return null
+    const { createEnvSource } = await import('./envSource.js')
+    return createEnvSource({ rates })
+  }
+
+  return null
+}
+
+export async function getEnabledFxSources() {
+  const raw = (process.env.FX_SOURCES ?? '').trim()
+  const ids = raw ? raw.split(',').map((s) => s.trim()).filter((s) => FX_SOURCES.includes(s)) : FX_SOURCES
+  const out = []
+  for (const id of ids) {
+    const source = await getFxSource(id)
+    if (source) out.push(source)
+  }
+  return out
+}
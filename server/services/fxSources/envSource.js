@@ -0,0 +1,36 @@
+/**
+ * Operator override from env: FX_RATE_<BASE>_<QUOTE>=<rate>, e.g. FX_RATE_USD_RUB=92.5.
+ * The legacy USD_RUB_RATE is still honoured. Stored under the current day, so it outranks the feed
+ * for as long as the variable is set and never rewrites history.
+ */
+
+/**
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {Record<string, number>}
+ */
+export function readEnvRates(env) {
+  const rates = {}
+  const legacy = Number(env.USD_RUB_RATE)
+  if (Number.isFinite(legacy) && legacy > 0) rates['USD/RUB'] = legacy
+  for (const [key, value] of Object.entries(env)) {
+    const m = key.match(/^FX_RATE_([A-Z]{3})_([A-Z]{3})$/)
+    if (!m) continue
+    const rate = Number(value)
+    if (Number.isFinite(rate) && rate > 0) rates[`${m[1]}/${m[2]}`] = rate
+  }
+  return rates
+}
+
+/**
+ * @param {{ rates: Record<string, number> }} options
+ */
+export function createEnvSource(options) {
+  /**
+   * @param {{ date?: Date }} params
+   */
+  async function fetchRates(params = {}) {
+    return { asOf: params.date ?? new Date(), rates: { ...options.rates } }
+  }
+
+  return { id: 'env', fetchRates }
+}
@@ -0,0 +1,31 @@
+import { promises as fs } from 'node:fs'
+
+/**
+ * Rates from a JSON file maintained by hand (or by an external job), e.g. for currencies the CBR
+ * doesn't quote or for an offline environment:
+ *   { "rates": [{ "pair": "USD/RUB", "rate": 92.5, "asOf": "2026-01-15" }, ...] }
+ * The file may hold history; every entry is stored under its own date.
+ */
+
+/**
+ * @param {{ filePath: string }} options
+ */
+export function createStaticFileSource(options) {
+  /**
+   * @returns {Promise<{ entries: { pair: string; rate: number; asOf: Date }[] }>}
+   */
+  async function fetchRates() {
+    const data = JSON.parse(await fs.readFile(options.filePath, 'utf-8'))
+    const list = Array.isArray(data?.rates) ? data.rates : []
+    const entries = []
+    for (const x of list) {
+      const rate = typeof x?.rate === 'number' ? x.rate : Number(x?.rate)
+      const asOf = new Date(x?.asOf)
+      if (typeof x?.pair !== 'string' || !Number.isFinite(rate) || rate <= 0 || Number.isNaN(asOf.getTime())) continue
+      entries.push({ pair: x.pair, rate, asOf })
+    }
+    return { entries }
+  }
+
+  return { id: 'file', fetchRates }
+}
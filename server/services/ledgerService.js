@@ -0,0 +1,310 @@
+import crypto from 'node:crypto'
+import mongoose from 'mongoose'
+import { sessionOpts } from '../infra/mongoTx.js'
+
+// Double-entry ledger.
+// Every money movement is one transaction = two immutable entries in `ledgerEntries`
+// (debit on the source account, credit on the destination account, same txId).
+// `ledgerAccounts` holds the balance projection per (accountId, currency); it is derived
+// from entries and can be rebuilt at any time with rebuildAccountBalance().
+
+// Default currency of an account; wallets, escrows and the platform accounts exist per currency.
+export const LEDGER_CURRENCY = 'RUB'
+
+export const PLATFORM_FEES_ACCOUNT = 'platform:fees'
+export const PLATFORM_WITHDRAWALS_ACCOUNT = 'platform:withdrawals'
+// Counterparty for money entering/leaving the platform (manual corrections, bank payouts, legacy import).
+export const EXTERNAL_ACCOUNT = 'external:world'
+// Platform FX position: currency exchanges debit the user in one currency and credit them in another through it.
+export const FX_ACCOUNT = 'platform:fx'
+
+export const LEDGER_TX_TYPES = [
+  'deposit',
+  'budget_hold',
+  'budget_release',
+  'bonus',
+  'escrow_freeze',
+  'escrow_release',
+  'refund',
+  'split',
+  'commission',
+  'fx_exchange',
+  'withdrawal',
+  'withdrawal_reversal',
+  'withdrawal_settled',
+  'withdrawal_returned',
+  'manual_adjust',
+  'account_merge',
+  'opening_balance',
+]
+
+export function userAccount(userId) {
+  return `user:${String(userId)}`
+}
+
+// Clearing account of a payment provider: deposits come from here.
+export function paymentProviderAccount(provider) {
+  return `external:${String(provider)}`
+}
+
+export function escrowAccount({ taskId, executorId }) {
+  return `escrow:${String(taskId)}:${String(executorId)}`
+}
+
+// Budget reserved for a published task; executor escrows are funded from it as slots are taken.
+export function taskBudgetAccount(taskId) {
+  return `task_budget:${String(taskId)}`
+}
+
+// Transit account of one customer → executor bonus: funded in full, then paid out net of the fee.
+export function bonusAccount(bonusId) {
+  return `bonus:${String(bonusId)}`
+}
+
+export function accountKind(accountId) {
+  const s = String(accountId || '')
+  const idx = s.indexOf(':')
+  return idx > 0 ? s.slice(0, idx) : s
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100
+}
+
+function isDupKeyError(e) {
+  return Boolean(e && typeof e === 'object' && 'code' in e && e.code === 11000)
+}
+
+const REF_FIELDS = ['taskId', 'contractId', 'disputeId', 'escrowId', 'withdrawalId', 'depositId']
+
+function normalizeRefs(refs) {
+  const out = {}
+  for (const k of REF_FIELDS) {
+    const v = refs?.[k]
+    out[k] = v != null && String(v).trim() ? String(v).trim() : null
+  }
+  return out
+}
+
+let ensureIndexesPromise = null
+export async function ensureLedgerIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    const entries = db.collection('ledgerEntries')
+    const accounts = db.collection('ledgerAccounts')
+    await entries.createIndex({ txId: 1, side: 1 }, { unique: true })
+    await entries.createIndex({ accountId: 1, currency: 1, createdAt: -1 })
+    await entries.createIndex({ type: 1, createdAt: -1 })
+    await entries.createIndex({ taskId: 1 }, { sparse: true })
+    await entries.createIndex({ withdrawalId: 1 }, { sparse: true })
+    await entries.createIndex({ depositId: 1 }, { sparse: true })
+    await accounts.createIndex({ accountId: 1, currency: 1 }, { unique: true })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[ledgerService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+export async function getAccountBalance(db, accountId, currency = LEDGER_CURRENCY, session = null) {
+  const doc = await db
+    .collection('ledgerAccounts')
+    .findOne({ accountId: String(accountId), currency }, sessionOpts(session, { projection: { balance: 1 }, readPreference: 'primary' }))
+  const b = doc?.balance
+  return typeof b === 'number' && Number.isFinite(b) ? round2(b) : 0
+}
+
+async function applyProjection(db, { accountId, currency, delta, requireFunds, now, session }) {
+  const accounts = db.collection('ledgerAccounts')
+  if (requireFunds && delta < 0) {
+    // Conditional decrement: succeeds only while the projection covers the debit.
+    // Upsert is not allowed here (a missing account has a zero balance).
+    const res = await accounts.updateOne(
+      { accountId, currency, balance: { $gte: -delta } },
+      { $inc: { balance: delta }, $set: { updatedAt: now } },
+      sessionOpts(session),
+    )
+    return res.modifiedCount > 0
+  }
+  await accounts.updateOne(
+    { accountId, currency },
+    {
+      $inc: { balance: delta },
+      $set: { updatedAt: now },
+      $setOnInsert: { accountId, currency, kind: accountKind(accountId), createdAt: now },
+    },
+    sessionOpts(session, { upsert: true }),
+  )
+  return true
+}
+
+/**
+ * Posts one transaction: moves `amount` from `from` to `to`.
+ * `idempotencyKey` (optional) becomes the txId, so re-posting the same movement is a no-op.
+ * `requireFunds` rejects the transfer when the source projection would go negative.
+ * With `session` every write joins the caller's transaction (a failure aborts it instead of being undone here).
+ * Returns { ok, txId, already? } or { ok: false, error: 'insufficient_funds', balance }.
+ */
+export async function postTransfer(
+  db,
+  { from, to, amount, currency = LEDGER_CURRENCY, type, refs = null, meta = null, idempotencyKey = null, requireFunds = false, session = null },
+) {
+  if (!db) throw new Error('mongo_not_available')
+  if (!from || !to || from === to) throw new Error('ledger_bad_accounts')
+  if (!LEDGER_TX_TYPES.includes(type)) throw new Error('ledger_bad_type')
+  const amt = typeof amount === 'number' && Number.isFinite(amount) ? round2(amount) : NaN
+  if (!Number.isFinite(amt) || amt <= 0) throw new Error('ledger_bad_amount')
+
+  await ensureLedgerIndexes(db)
+  const entries = db.collection('ledgerEntries')
+  const txId = idempotencyKey ? String(idempotencyKey) : crypto.randomUUID()
+
+  if (idempotencyKey) {
+    const existing = await entries.findOne({ txId, side: 'debit' }, sessionOpts(session, { projection: { _id: 1 }, readPreference: 'primary' }))
+    if (existing) return { ok: true, txId, already: true }
+  }
+
+  const now = new Date()
+  const fromId = String(from)
+  const toId = String(to)
+
+  // Debit the source projection first: it's the only step that can be refused (insufficient funds).
+  const debited = await applyProjection(db, { accountId: fromId, currency, delta: -amt, requireFunds, now, session })
+  if (!debited) {
+    return { ok: false, error: 'insufficient_funds', balance: await getAccountBalance(db, fromId, currency, session), required: amt }
+  }
+
+  const common = {
+    txId,
+    currency,
+    amount: amt,
+    type,
+    ...normalizeRefs(refs),
+    meta: meta && typeof meta === 'object' ? meta : null,
+    createdAt: now,
+  }
+  try {
+    await entries.insertMany(
+      [
+        { ...common, accountId: fromId, counterpartyAccountId: toId, side: 'debit' },
+        { ...common, accountId: toId, counterpartyAccountId: fromId, side: 'credit' },
+      ],
+      sessionOpts(session, { ordered: true }),
+    )
+  } catch (e) {
+    if (session) throw e
+    // Undo the debit; entries are the source of truth and were not written.
+    await applyProjection(db, { accountId: fromId, currency, delta: amt, requireFunds: false, now })
+    if (isDupKeyError(e)) return { ok: true, txId, already: true }
+    throw e
+  }
+
+  await applyProjection(db, { accountId: toId, currency, delta: amt, requireFunds: false, now, session })
+  return { ok: true, txId }
+}
+
+// Balances of one account in every currency it has ever held (zero balances included).
+export async function listAccountBalances(db, accountId, session = null) {
+  const docs = await db
+    .collection('ledgerAccounts')
+    .find({ accountId: String(accountId) }, sessionOpts(session, { projection: { currency: 1, balance: 1 }, readPreference: 'primary' }))
+    .toArray()
+  return docs
+    .map((d) => ({ currency: d.currency, balance: typeof d.balance === 'number' && Number.isFinite(d.balance) ? round2(d.balance) : 0 }))
+    .sort((a, b) => a.currency.localeCompare(b.currency))
+}
+
+// Recomputes the projection of one account from its entries (credits minus debits).
+export async function rebuildAccountBalance(db, accountId, currency = LEDGER_CURRENCY) {
+  await ensureLedgerIndexes(db)
+  const rows = await db
+    .collection('ledgerEntries')
+    .aggregate([
+      { $match: { accountId: String(accountId), currency } },
+      { $group: { _id: '$side', total: { $sum: '$amount' } } },
+    ])
+    .toArray()
+  const credit = rows.find((r) => r._id === 'credit')?.total ?? 0
+  const debit = rows.find((r) => r._id === 'debit')?.total ?? 0
+  const balance = round2(credit - debit)
+  const now = new Date()
+  await db.collection('ledgerAccounts').updateOne(
+    { accountId: String(accountId), currency },
+    {
+      $set: { balance, updatedAt: now, rebuiltAt: now },
+      $setOnInsert: { accountId: String(accountId), currency, kind: accountKind(accountId), createdAt: now },
+    },
+    { upsert: true },
+  )
+  return balance
+}
+
+function encodeCursor(entry) {
+  const ts = entry.createdAt instanceof Date ? entry.createdAt.getTime() : Date.parse(String(entry.createdAt))
+  return Buffer.from(`${ts}:${String(entry._id)}`, 'utf-8').toString('base64url')
+}
+
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor.trim()) return null
+  try {
+    const [tsRaw, id] = Buffer.from(cursor.trim(), 'base64url').toString('utf-8').split(':')
+    const ts = Number(tsRaw)
+    if (!Number.isFinite(ts) || !id) return null
+    return { createdAt: new Date(ts), _id: new mongoose.Types.ObjectId(id) }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Lists entries of the given accounts, newest first, with keyset pagination.
+ * `from`/`to` are Dates (to is exclusive); `types` limits transaction types; `currency: null` lists all currencies.
+ */
+export async function listAccountEntries(
+  db,
+  { accountIds, currency = LEDGER_CURRENCY, types = null, from = null, to = null, cursor = null, limit = 50 },
+) {
+  await ensureLedgerIndexes(db)
+  const match = { accountId: { $in: accountIds.map(String) } }
+  if (currency) match.currency = currency
+  if (Array.isArray(types) && types.length) match.type = { $in: types }
+  if (from || to) {
+    match.createdAt = {}
+    if (from) match.createdAt.$gte = from
+    if (to) match.createdAt.$lt = to
+  }
+  const after = decodeCursor(cursor)
+  if (cursor && !after) return { ok: false, error: 'bad_cursor' }
+  const query = after
+    ? {
+        $and: [
+          match,
+          { $or: [{ createdAt: { $lt: after.createdAt } }, { createdAt: after.createdAt, _id: { $lt: after._id } }] },
+        ],
+      }
+    : match
+  const size = Math.max(1, Math.min(5000, Math.floor(limit) || 50))
+  const items = await db
+    .collection('ledgerEntries')
+    .find(query, { readPreference: 'primary' })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(size + 1)
+    .toArray()
+  const hasMore = items.length > size
+  const page = hasMore ? items.slice(0, size) : items
+  return { ok: true, items: page, nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null }
+}
+
+// Balance of the given accounts as of `before` (exclusive), summed from entries.
+export async function sumAccountBalance(db, { accountIds, currency = LEDGER_CURRENCY, before = null }) {
+  await ensureLedgerIndexes(db)
+  const match = { accountId: { $in: accountIds.map(String) }, currency }
+  if (before) match.createdAt = { $lt: before }
+  const rows = await db
+    .collection('ledgerEntries')
+    .aggregate([{ $match: match }, { $group: { _id: '$side', total: { $sum: '$amount' } } }])
+    .toArray()
+  const credit = rows.find((r) => r._id === 'credit')?.total ?? 0
+  const debit = rows.find((r) => r._id === 'debit')?.total ?? 0
+  return round2(credit - debit)
+}
@@ -0,0 +1,263 @@
+import mongoose from 'mongoose'
+import { decryptPii, encryptPii, maskPii } from '../infra/piiCrypto.js'
+import { createNotification } from './notificationService.js'
+
+// NPD ("налог на профессиональный доход") receipts. Every paid withdrawal of a self-employed executor
+// needs a чек from «Мой налог»; the platform tracks it in `npdReceipts` (one per withdrawal):
+// `awaiting` until the executor links or uploads the receipt (`submitted`). Past `dueAt` an awaiting
+// receipt is overdue, and overdue receipts block new withdrawals. `inn` is copied encrypted from the
+// withdrawal's bank snapshot and masked in responses.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MSK_OFFSET_MS = 3 * 60 * 60 * 1000
+// Overdue receipts are re-reminded weekly until submitted.
+const OVERDUE_REMINDER_EVERY_MS = 7 * DAY_MS
+
+let ensureIndexesPromise = null
+export async function ensureNpdReceiptIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    const col = db.collection('npdReceipts')
+    await col.createIndex({ withdrawalId: 1 }, { unique: true })
+    await col.createIndex({ userId: 1, status: 1, dueAt: 1 })
+    await col.createIndex({ status: 1, dueAt: 1 })
+    await col.createIndex({ paidAt: -1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[npdReceiptService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+function toObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(String(id))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * For non-cash income from companies the receipt is due by the 9th of the month after the payment
+ * (422-ФЗ, ст. 14), end of day Moscow time. NPD_RECEIPT_DUE_DAYS replaces the rule with a fixed term.
+ */
+export function receiptDueAt(paidAt) {
+  const days = Number(process.env.NPD_RECEIPT_DUE_DAYS)
+  if (Number.isFinite(days) && days > 0) return new Date(new Date(paidAt).getTime() + days * DAY_MS)
+  const msk = new Date(new Date(paidAt).getTime() + MSK_OFFSET_MS)
+  return new Date(Date.UTC(msk.getUTCFullYear(), msk.getUTCMonth() + 1, 10) - MSK_OFFSET_MS - 1000)
+}
+
+export function isReceiptOverdue(doc, nowMs = Date.now()) {
+  return doc?.status === 'awaiting' && new Date(doc.dueAt).getTime() < nowMs
+}
+
+export function toNpdReceiptDto(doc, nowMs = Date.now()) {
+  if (!doc) return null
+  const iso = (d) => (d ? new Date(d).toISOString() : null)
+  return {
+    id: String(doc._id),
+    withdrawalId: doc.withdrawalId,
+    userId: doc.userId,
+    inn: maskPii(doc.inn),
+    fullName: doc.fullName ?? null,
+    amount: doc.amount,
+    status: doc.status,
+    overdue: isReceiptOverdue(doc, nowMs),
+    receiptUrl: doc.receiptUrl ?? null,
+    receiptNumber: doc.receiptNumber ?? null,
+    fileUrl: doc.fileUrl ?? null,
+    paidAt: iso(doc.paidAt),
+    dueAt: iso(doc.dueAt),
+    submittedAt: iso(doc.submittedAt),
+  }
+}
+
+function formatDueDate(d) {
+  return new Date(new Date(d).getTime() + MSK_OFFSET_MS).toISOString().slice(0, 10).split('-').reverse().join('.')
+}
+
+async function notifyReceipt(db, doc, kind) {
+  const amount = `${doc.amount} ₽`
+  const text =
+    kind === 'created'
+      ? `Выплата ${amount} отправлена. Сформируйте чек в «Мой налог» и прикрепите его до ${formatDueDate(doc.dueAt)}.`
+      : kind === 'overdue'
+        ? `Просрочен чек НПД за выплату ${amount}. Новые выводы средств заблокированы, пока чек не прикреплён.`
+        : `Напоминание: до ${formatDueDate(doc.dueAt)} нужно прикрепить чек НПД за выплату ${amount}.`
+  await createNotification({
+    db,
+    userId: doc.userId,
+    text,
+    meta: { type: `npd_receipt_${kind}`, receiptId: String(doc._id), withdrawalId: doc.withdrawalId },
+  }).catch(() => {})
+}
+
+/**
+ * Opens a receipt for a paid withdrawal of a self-employed executor (no-op otherwise or if it exists).
+ * Called when a withdrawal becomes `paid`.
+ */
+export async function ensureNpdReceipt(db, withdrawal) {
+  if (!withdrawal || withdrawal.status !== 'paid' || withdrawal.legalStatus !== 'self_employed') return null
+  const userOid = toObjectId(withdrawal.userId)
+  const user = userOid ? await db.collection('users').findOne({ _id: userOid }, { projection: { role: 1 } }) : null
+  if (user?.role !== 'executor') return null
+
+  await ensureNpdReceiptIndexes(db)
+  const paidAt = withdrawal.paidAt ? new Date(withdrawal.paidAt) : new Date()
+  const bd = withdrawal.bankDetailsSnapshot ?? {}
+  const now = new Date()
+  const r = await db.collection('npdReceipts').updateOne(
+    { withdrawalId: String(withdrawal._id) },
+    {
+      $setOnInsert: {
+        withdrawalId: String(withdrawal._id),
+        userId: String(withdrawal.userId),
+        inn: encryptPii(bd.inn) ?? null,
+        fullName: bd.fullName ?? null,
+        amount: withdrawal.amount,
+        status: 'awaiting',
+        paidAt,
+        dueAt: receiptDueAt(paidAt),
+        remindersSent: ['created'],
+        createdAt: now,
+        updatedAt: now,
+      },
+    },
+    { upsert: true },
+  )
+  const doc = await db.collection('npdReceipts').findOne({ withdrawalId: String(withdrawal._id) })
+  if (r.upsertedCount) await notifyReceipt(db, doc, 'created')
+  return doc
+}
+
+/** Cancels the awaiting receipt of a withdrawal the bank returned: no income, no чек owed. */
+export async function cancelNpdReceipt(db, withdrawalId) {
+  const now = new Date()
+  await db
+    .collection('npdReceipts')
+    .updateOne({ withdrawalId: String(withdrawalId), status: 'awaiting' }, { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } })
+}
+
+export async function listUserReceipts(db, userId) {
+  await ensureNpdReceiptIndexes(db)
+  return await db.collection('npdReceipts').find({ userId: String(userId) }).sort({ paidAt: -1 }).limit(200).toArray()
+}
+
+export async function listOverdueReceipts(db, userId, nowMs = Date.now()) {
+  await ensureNpdReceiptIndexes(db)
+  return await db
+    .collection('npdReceipts')
+    .find({ userId: String(userId), status: 'awaiting', dueAt: { $lt: new Date(nowMs) } })
+    .toArray()
+}
+
+// https://lknpd.nalog.ru/api/v1/receipt/<inn>/<receiptId>/print — the link «Мой налог» gives out.
+const LKNPD_RECEIPT_RE = /^https:\/\/lknpd\.nalog\.ru\/api\/v1\/receipt\/(\d{12})\/([0-9a-z]+)(?:\/print)?\/?$/i
+
+/**
+ * Attaches a receipt: a «Мой налог» link (`receiptUrl`) and/or a file from POST /api/uploads (`fileUrl`).
+ * Returns { ok, doc } or { ok: false, error }.
+ */
+export async function submitNpdReceipt(db, { id, userId, receiptUrl = null, fileUrl = null }) {
+  const oid = toObjectId(id)
+  if (!oid) return { ok: false, error: 'not_found' }
+  const col = db.collection('npdReceipts')
+  const doc = await col.findOne({ _id: oid, userId: String(userId) }, { readPreference: 'primary' })
+  if (!doc) return { ok: false, error: 'not_found' }
+
+  const url = typeof receiptUrl === 'string' ? receiptUrl.trim() : ''
+  const file = typeof fileUrl === 'string' ? fileUrl.trim() : ''
+  if (!url && !file) return { ok: false, error: 'missing_receipt' }
+  if (file && (file.length > 2000 || !/^(https?:\/\/|\/uploads\/)/i.test(file))) return { ok: false, error: 'invalid_fileUrl' }
+
+  let receiptNumber = null
+  if (url) {
+    const m = url.match(LKNPD_RECEIPT_RE)
+    if (!m) return { ok: false, error: 'invalid_receiptUrl' }
+    if (doc.inn && m[1] !== decryptPii(doc.inn)) return { ok: false, error: 'receipt_inn_mismatch' }
+    receiptNumber = m[2]
+  }
+
+  const now = new Date()
+  await col.updateOne(
+    { _id: oid },
+    {
+      $set: {
+        status: 'submitted',
+        receiptUrl: url || null,
+        receiptNumber,
+        fileUrl: file || null,
+        submittedAt: now,
+        updatedAt: now,
+      },
+    },
+  )
+  return { ok: true, doc: await col.findOne({ _id: oid }, { readPreference: 'primary' }) }
+}
+
+/** Reminders 3 days and 1 day before the deadline, at the deadline, then weekly while overdue. */
+export async function sendNpdReceiptReminders(db, { nowMs = Date.now() } = {}) {
+  await ensureNpdReceiptIndexes(db)
+  const col = db.collection('npdReceipts')
+  const list = await col
+    .find({ status: 'awaiting', dueAt: { $lt: new Date(nowMs + 3 * DAY_MS) } })
+    .limit(1000)
+    .toArray()
+  let sent = 0
+  for (const doc of list) {
+    const dueMs = new Date(doc.dueAt).getTime()
+    let key = null
+    let kind = 'reminder'
+    if (dueMs < nowMs) {
+      const week = Math.floor((nowMs - dueMs) / OVERDUE_REMINDER_EVERY_MS)
+      key = week === 0 ? 'overdue' : `overdue_${week}`
+      kind = 'overdue'
+    } else if (dueMs - nowMs < DAY_MS) key = 'due_1d'
+    else key = 'due_3d'
+    if ((doc.remindersSent ?? []).includes(key)) continue
+    const r = await col.updateOne(
+      { _id: doc._id, status: 'awaiting', remindersSent: { $ne: key } },
+      { $push: { remindersSent: key }, $set: { updatedAt: new Date(nowMs) } },
+    )
+    if (!r.modifiedCount) continue
+    await notifyReceipt(db, doc, kind)
+    sent++
+  }
+  return { sent }
+}
+
+/**
+ * Receipts of withdrawals paid in [from, to): `missing` = still awaiting (overdue or not).
+ * Returns { items, byUser } where byUser aggregates per executor.
+ */
+export async function buildNpdReceiptReport(db, { from = null, to = null, status = 'missing', nowMs = Date.now() } = {}) {
+  await ensureNpdReceiptIndexes(db)
+  const filter = {}
+  if (from || to) {
+    filter.paidAt = {}
+    if (from) filter.paidAt.$gte = new Date(from)
+    if (to) filter.paidAt.$lt = new Date(to)
+  }
+  if (status === 'missing') filter.status = 'awaiting'
+  else if (status === 'overdue') Object.assign(filter, { status: 'awaiting', dueAt: { $lt: new Date(nowMs) } })
+  else if (status === 'submitted') filter.status = 'submitted'
+
+  const items = await db.collection('npdReceipts').find(filter).sort({ paidAt: 1 }).limit(5000).toArray()
+  const byUserMap = new Map()
+  for (const doc of items) {
+    const row = byUserMap.get(doc.userId) ?? {
+      userId: doc.userId,
+      inn: maskPii(doc.inn),
+      fullName: doc.fullName ?? null,
+      count: 0,
+      overdue: 0,
+      amount: 0,
+    }
+    row.count++
+    if (isReceiptOverdue(doc, nowMs)) row.overdue++
+    row.amount = Math.round((row.amount + Number(doc.amount || 0)) * 100) / 100
+    byUserMap.set(doc.userId, row)
+  }
+  return { items, byUser: [...byUserMap.values()].sort((a, b) => b.overdue - a.overdue || b.amount - a.amount) }
+}
@@ -0,0 +1,93 @@
+import crypto from 'node:crypto'
+
+/**
+ * CloudPayments adapter (payment link via orders/create).
+ * Notifications (Pay/Fail) are signed: Content-HMAC = base64(HMAC-SHA256(raw body, API secret)).
+ * @see https://developers.cloudpayments.ru/#api
+ */
+
+const ORDERS_URL = 'https://api.cloudpayments.ru/orders/create'
+
+/**
+ * @param {{ publicId: string; apiSecret: string }} options
+ */
+export function createCloudPaymentsProvider(options) {
+  const auth = `Basic ${Buffer.from(`${options.publicId}:${options.apiSecret}`).toString('base64')}`
+
+  /**
+   * @param {{ depositId: string; amount: number; currency: string; description: string; userId: string }} params
+   * @returns {Promise<{ providerPaymentId: string; paymentUrl: string }>}
+   */
+  async function createPayment(params) {
+    const response = await fetch(ORDERS_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: auth,
+        'X-Request-ID': params.depositId,
+      },
+      body: JSON.stringify({
+        Amount: params.amount,
+        Currency: params.currency,
+        Description: params.description,
+        InvoiceId: params.depositId,
+        AccountId: params.userId,
+      }),
+    })
+    if (!response.ok) {
+      const text = await response.text()
+      throw new Error(`CloudPayments create order failed: ${response.status} ${text}`)
+    }
+    const data = await response.json()
+    if (!data?.Success || !data?.Model?.Url) throw new Error(`CloudPayments create order failed: ${data?.Message ?? 'no url'}`)
+    return { providerPaymentId: String(data.Model.Id), paymentUrl: String(data.Model.Url) }
+  }
+
+  function verifySignature(rawBody, headers) {
+    const provided = String(headers['content-hmac'] ?? headers['x-content-hmac'] ?? '')
+    if (!provided) return false
+    const expected = crypto.createHmac('sha256', options.apiSecret).update(rawBody).digest('base64')
+    const a = Buffer.from(provided)
+    const b = Buffer.from(expected)
+    return a.length === b.length && crypto.timingSafeEqual(a, b)
+  }
+
+  /**
+   * @param {{ rawBody: Buffer; headers: Record<string, unknown> }} request
+   */
+  async function parseWebhook(request) {
+    if (!verifySignature(request.rawBody, request.headers)) return { ok: false, error: 'bad_signature' }
+
+    const text = request.rawBody.toString('utf-8')
+    let fields
+    if (String(request.headers['content-type'] ?? '').includes('application/json')) {
+      try {
+        fields = JSON.parse(text)
+      } catch {
+        return { ok: false, error: 'bad_payload' }
+      }
+    } else {
+      fields = Object.fromEntries(new URLSearchParams(text))
+    }
+
+    // Pay notifications carry Status=Completed (or Authorized for two-step); Fail ones carry a Reason.
+    let status = 'pending'
+    if (fields.Status === 'Completed') status = 'succeeded'
+    else if (fields.Reason || fields.Status === 'Declined') status = 'canceled'
+    const amount = Number(fields.Amount)
+    return {
+      ok: true,
+      event: {
+        providerPaymentId: fields.TransactionId != null ? String(fields.TransactionId) : null,
+        depositId: typeof fields.InvoiceId === 'string' && fields.InvoiceId ? fields.InvoiceId : null,
+        status,
+        amount: Number.isFinite(amount) ? amount : null,
+        currency: typeof fields.Currency === 'string' ? fields.Currency : null,
+      },
+      // CloudPayments expects {"code":0} to acknowledge the notification.
+      reply: { status: 200, body: { code: 0 } },
+    }
+  }
+
+  return { id: 'cloudpayments', createPayment, parseWebhook }
+}
@@ -0,0 +1,50 @@
+/**
+ * Payment provider registry. An adapter is available when its credentials are set in env:
+ * - yookassa:      YOOKASSA_SHOP_ID, YOOKASSA_SECRET_KEY
+ * - cloudpayments: CLOUDPAYMENTS_PUBLIC_ID, CLOUDPAYMENTS_API_SECRET
+ * - fake:          PAYMENTS_FAKE_SECRET (dev/tests only)
+ * Every adapter exposes { id, createPayment(params), parseWebhook({ rawBody, headers }) }.
+ */
+
+export const PAYMENT_PROVIDERS = ['yookassa', 'cloudpayments', 'fake']
+
+/**
+ * @param {string} id
+ */
+export async function getPaymentProvider(id) {
+  if (id === 'yookassa') {
+    const shopId = (process.env.YOOKASSA_SHOP_ID ?? '').trim()
+    const secretKey = (process.env.YOOKASSA_SECRET_KEY ?? '').trim()
+    if (!shopId || !secretKey) return null
+    const { createYooKassaProvider } = await import('./yookassaProvider.js')
+    return createYooKassaProvider({ shopId, secretKey })
+  }
+
+  if (id === 'cloudpayments') {
+    const publicId = (process.env.CLOUDPAYMENTS_PUBLIC_ID ?? '').trim()
+    const apiSecret = (process.env.CLOUDPAYMENTS_API_SECRET ?? '').trim()
+    if (!publicId || !apiSecret) return null
+    const { createCloudPaymentsProvider } = await import('./cloudPaymentsProvider.js')
+    return createCloudPaymentsProvider({ publicId, apiSecret })
+  }
+
+  if (id === 'fake') {
+    const secret = (process.env.PAYMENTS_FAKE_SECRET ?? '').trim()
+    if (!secret) return null
+    const { createFakeProvider } = await import('./fakeProvider.js')
+    return createFakeProvider({ secret, baseUrl: process.env.APP_BASE_URL })
+  }
+
+  return null
+}
+
+// Provider used when the client doesn't pick one: PAYMENTS_DEFAULT_PROVIDER, else the first configured.
+export async function getDefaultPaymentProvider() {
+  const preferred = (process.env.PAYMENTS_DEFAULT_PROVIDER ?? '').trim()
+  if (preferred) return await getPaymentProvider(preferred)
+  for (const id of PAYMENT_PROVIDERS) {
+    const provider = await getPaymentProvider(id)
+    if (provider) return provider
+  }
+  return null
+}
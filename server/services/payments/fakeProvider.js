@@ -0,0 +1,55 @@
+import crypto from 'node:crypto'
+
+/**
+ * Local fake provider for development and tests: no network, payment URL is a placeholder,
+ * and the "bank" is whoever can sign a webhook with PAYMENTS_FAKE_SECRET:
+ *   X-Fake-Signature = hex(HMAC-SHA256(raw body, secret)), body { depositId, status, amount, currency }.
+ */
+
+/**
+ * @param {{ secret: string; baseUrl?: string }} options
+ */
+export function createFakeProvider(options) {
+  /**
+   * @param {{ depositId: string }} params
+   * @returns {Promise<{ providerPaymentId: string; paymentUrl: string }>}
+   */
+  async function createPayment(params) {
+    const providerPaymentId = `fake_${params.depositId}`
+    const base = (options.baseUrl ?? '').replace(/\/+$/, '')
+    return { providerPaymentId, paymentUrl: `${base}/fake-pay/${encodeURIComponent(params.depositId)}` }
+  }
+
+  /**
+   * @param {{ rawBody: Buffer; headers: Record<string, unknown> }} request
+   */
+  async function parseWebhook(request) {
+    const provided = String(request.headers['x-fake-signature'] ?? '')
+    const expected = crypto.createHmac('sha256', options.secret).update(request.rawBody).digest('hex')
+    const a = Buffer.from(provided)
+    const b = Buffer.from(expected)
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { ok: false, error: 'bad_signature' }
+
+    let body = null
+    try {
+      body = JSON.parse(request.rawBody.toString('utf-8'))
+    } catch {
+      return { ok: false, error: 'bad_payload' }
+    }
+    const depositId = typeof body?.depositId === 'string' ? body.depositId : null
+    const amount = Number(body?.amount)
+    return {
+      ok: true,
+      event: {
+        providerPaymentId: depositId ? `fake_${depositId}` : null,
+        depositId,
+        status: body?.status === 'succeeded' || body?.status === 'canceled' ? body.status : 'pending',
+        amount: Number.isFinite(amount) ? amount : null,
+        currency: typeof body?.currency === 'string' ? body.currency : null,
+      },
+      reply: { status: 200, body: { ok: true } },
+    }
+  }
+
+  return { id: 'fake', createPayment, parseWebhook }
+}
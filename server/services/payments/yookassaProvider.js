@@ -0,0 +1,94 @@
+/**
+ * YooKassa adapter (redirect confirmation).
+ * YooKassa doesn't sign notifications, so a webhook is trusted only after the payment is
+ * re-read from the API with our credentials.
+ * @see https://yookassa.ru/developers/api
+ */
+
+const API_URL = 'https://api.yookassa.ru/v3/payments'
+
+/**
+ * @param {{ shopId: string; secretKey: string }} options
+ */
+export function createYooKassaProvider(options) {
+  const auth = `Basic ${Buffer.from(`${options.shopId}:${options.secretKey}`).toString('base64')}`
+
+  async function fetchPayment(paymentId) {
+    const response = await fetch(`${API_URL}/${encodeURIComponent(paymentId)}`, {
+      method: 'GET',
+      headers: { Authorization: auth },
+    })
+    if (!response.ok) {
+      const text = await response.text()
+      throw new Error(`YooKassa get payment failed: ${response.status} ${text}`)
+    }
+    return await response.json()
+  }
+
+  function statusOf(payment) {
+    if (payment?.status === 'succeeded') return 'succeeded'
+    if (payment?.status === 'canceled') return 'canceled'
+    return 'pending'
+  }
+
+  /**
+   * @param {{ depositId: string; amount: number; currency: string; description: string; returnUrl: string }} params
+   * @returns {Promise<{ providerPaymentId: string; paymentUrl: string }>}
+   */
+  async function createPayment(params) {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: auth,
+        'Idempotence-Key': params.depositId,
+      },
+      body: JSON.stringify({
+        amount: { value: params.amount.toFixed(2), currency: params.currency },
+        capture: true,
+        confirmation: { type: 'redirect', return_url: params.returnUrl },
+        description: params.description.slice(0, 128),
+        metadata: { depositId: params.depositId },
+      }),
+    })
+    if (!response.ok) {
+      const text = await response.text()
+      throw new Error(`YooKassa create payment failed: ${response.status} ${text}`)
+    }
+    const data = await response.json()
+    const paymentUrl = data?.confirmation?.confirmation_url
+    if (!data?.id || !paymentUrl) throw new Error('YooKassa create payment: no confirmation url')
+    return { providerPaymentId: String(data.id), paymentUrl: String(paymentUrl) }
+  }
+
+  /**
+   * @param {{ rawBody: Buffer; headers: Record<string, unknown> }} request
+   */
+  async function parseWebhook(request) {
+    let body = null
+    try {
+      body = JSON.parse(request.rawBody.toString('utf-8'))
+    } catch {
+      return { ok: false, error: 'bad_payload' }
+    }
+    const paymentId = typeof body?.object?.id === 'string' ? body.object.id : ''
+    if (!paymentId) return { ok: false, error: 'bad_payload' }
+
+    // Source of truth is the API, not the notification body.
+    const payment = await fetchPayment(paymentId)
+    const value = Number(payment?.amount?.value)
+    return {
+      ok: true,
+      event: {
+        providerPaymentId: String(payment.id),
+        depositId: typeof payment?.metadata?.depositId === 'string' ? payment.metadata.depositId : null,
+        status: statusOf(payment),
+        amount: Number.isFinite(value) ? value : null,
+        currency: typeof payment?.amount?.currency === 'string' ? payment.amount.currency : null,
+      },
+      reply: { status: 200, body: { ok: true } },
+    }
+  }
+
+  return { id: 'yookassa', createPayment, parseWebhook }
+}
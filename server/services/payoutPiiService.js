@@ -0,0 +1,118 @@
+import { decryptPii, encryptPii, maskPii } from '../infra/piiCrypto.js'
+
+// Which payout data is encrypted at rest, how it is masked in API responses and the audited
+// "reveal" of a single field for admins. Covers `users.payoutProfile` (and its versions) and
+// `withdrawalRequests.bankDetailsSnapshot`.
+
+export const PII_PROFILE_FIELDS = ['snils', 'passportSeries', 'passportNumber']
+export const PII_BANK_FIELDS = ['inn', 'accountNumber', 'correspondentAccount', 'cardNumber']
+export const REVEALABLE_PII_FIELDS = [...PII_PROFILE_FIELDS, ...PII_BANK_FIELDS.map((f) => `bankDetails.${f}`)]
+
+function mapFields(obj, fields, fn) {
+  if (!obj || typeof obj !== 'object') return obj ?? null
+  const out = { ...obj }
+  for (const f of fields) if (out[f] != null) out[f] = fn(out[f])
+  return out
+}
+
+export const encryptBankDetails = (bd) => mapFields(bd, PII_BANK_FIELDS, encryptPii)
+export const decryptBankDetails = (bd) => mapFields(bd, PII_BANK_FIELDS, decryptPii)
+export const maskBankDetails = (bd) => mapFields(bd, PII_BANK_FIELDS, (v) => maskPii(v))
+
+function mapProfile(profile, fn, bankFn) {
+  if (!profile || typeof profile !== 'object') return profile ?? null
+  const out = mapFields(profile, PII_PROFILE_FIELDS, fn)
+  if (out.bankDetails) out.bankDetails = bankFn(out.bankDetails)
+  return out
+}
+
+export const encryptPayoutProfile = (p) => mapProfile(p, encryptPii, encryptBankDetails)
+export const decryptPayoutProfile = (p) => mapProfile(p, decryptPii, decryptBankDetails)
+export const maskPayoutProfile = (p) => mapProfile(p, (v) => maskPii(v), maskBankDetails)
+
+let ensureIndexesPromise = null
+async function ensurePiiAccessIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    await db.collection('piiAccessLog').createIndex({ subjectUserId: 1, createdAt: -1 })
+    await db.collection('piiAccessLog').createIndex({ createdAt: -1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[payoutPiiService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+/**
+ * Decrypts one field of a payout profile (`source: 'payout_profile'`, id = user id) or of a
+ * withdrawal's bank snapshot (`source: 'withdrawal'`, id = withdrawal id). A successful decryption
+ * is written to `piiAccessLog` before the value is returned; an undecryptable value →
+ * { error: 'pii_decrypt_failed' } and nothing is logged. `field` is one of REVEALABLE_PII_FIELDS.
+ */
+export async function revealPayoutPii(db, { source, oid, field, actor, reason, requestId = null, ip = null }) {
+  if (!REVEALABLE_PII_FIELDS.includes(field)) return { ok: false, error: 'invalid_field' }
+  if (!reason) return { ok: false, error: 'reason_required' }
+  let holder
+  let subjectUserId
+  if (source === 'payout_profile') {
+    const user = await db.collection('users').findOne({ _id: oid }, { projection: { payoutProfile: 1 } })
+    holder = user?.payoutProfile
+    subjectUserId = String(oid)
+  } else if (source === 'withdrawal') {
+    const w = await db.collection('withdrawalRequests').findOne({ _id: oid }, { projection: { userId: 1, bankDetailsSnapshot: 1 } })
+    holder = w ? { bankDetails: w.bankDetailsSnapshot } : null
+    subjectUserId = w?.userId ?? null
+  } else {
+    return { ok: false, error: 'invalid_source' }
+  }
+  if (!holder) return { ok: false, error: 'not_found' }
+  const [head, tail] = field.split('.')
+  const stored = tail ? holder[head]?.[tail] : holder[head]
+  if (stored == null || stored === '') return { ok: false, error: 'field_empty' }
+  let value
+  try {
+    value = decryptPii(stored)
+  } catch (e) {
+    console.warn('[payoutPiiService] decrypt failed', source, String(oid), field, e instanceof Error ? e.message : String(e))
+    return { ok: false, error: 'pii_decrypt_failed', subjectUserId }
+  }
+
+  await ensurePiiAccessIndexes(db)
+  await db.collection('piiAccessLog').insertOne({
+    source,
+    targetId: String(oid),
+    subjectUserId,
+    field,
+    actor,
+    reason,
+    requestId,
+    ip,
+    createdAt: new Date(),
+  })
+  return { ok: true, value, subjectUserId }
+}
+
+export async function listPiiAccessLog(db, { subjectUserId = null, limit = 200 } = {}) {
+  await ensurePiiAccessIndexes(db)
+  return await db
+    .collection('piiAccessLog')
+    .find(subjectUserId ? { subjectUserId } : {})
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray()
+}
+
+export function toPiiAccessDto(doc) {
+  if (!doc) return null
+  return {
+    id: String(doc._id),
+    source: doc.source,
+    targetId: doc.targetId,
+    subjectUserId: doc.subjectUserId ?? null,
+    field: doc.field,
+    actor: doc.actor ?? null,
+    reason: doc.reason ?? null,
+    ip: doc.ip ?? null,
+    createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+  }
+}
@@ -0,0 +1,360 @@
+import {
+  validateBik,
+  validateCardNumber,
+  validateCorrespondentAccount,
+  validateInn,
+  validateKpp,
+  validateSettlementAccount,
+  validateSnils,
+} from '../infra/ruRequisites.js'
+import { createNotification } from './notificationService.js'
+import { decryptPayoutProfile, encryptPayoutProfile, maskPayoutProfile } from './payoutPiiService.js'
+
+// Payout profile KYC. The profile lives in `users.payoutProfile`; every change and every decision is
+// appended to `payoutProfileVersions` (userId + version), so reviewers see exactly what was approved.
+// Statuses: documents_required → pending_verification → verified | rejected. Any change of the
+// verified data (bank details, identity fields, documents) sends an approved profile back to review.
+// Identity and bank fields are stored encrypted (see payoutPiiService); this module takes and
+// compares plaintext and returns what is stored.
+
+export const DOCUMENT_KINDS = ['passport', 'passport_registration', 'inn', 'other']
+export const REQUIRED_DOCUMENT_KINDS = ['passport', 'inn']
+const MAX_DOCUMENTS = 10
+
+// Fields whose change invalidates a previous approval.
+const VERIFIED_FIELDS = ['legalStatus', 'bankDetails', 'snils', 'passportSeries', 'passportNumber', 'passportIssuedBy', 'passportIssueDate']
+
+export const LEGAL_STATUSES = ['individual', 'self_employed', 'legal_entity']
+
+/** Читает поле из объекта: сначала camelCase, затем snake_case (для совместимости с фронтом). */
+function pick(obj, camelKey, snakeKey = camelKey.replace(/([A-Z])/g, '_$1').toLowerCase().replace(/^_/, '')) {
+  if (!obj || typeof obj !== 'object') return undefined
+  const v = obj[camelKey]
+  if (v !== undefined && v !== null) return v
+  return obj[snakeKey]
+}
+
+const DIGITS_4 = /^\d{4}$/
+const DIGITS_6 = /^\d{6}$/
+
+/**
+ * Ответ валидации с ошибками по полям: { ok: false, error, fields: { field: code } }.
+ * `error` — первая ошибка в прежнем формате (missing_<field> / invalid_<field>).
+ */
+function fieldErrors(fields) {
+  const [field, code] = Object.entries(fields)[0]
+  return { ok: false, error: `${code === 'required' ? 'missing' : 'invalid'}_${field}`, fields }
+}
+
+// Цифровые реквизиты часто вводят с пробелами и дефисами (112-233-445 95).
+function digitsOnly(v) {
+  return typeof v === 'string' ? v.replace(/[\s-]/g, '') : typeof v === 'number' ? String(v) : ''
+}
+
+/** Валидация и нормализация snils и паспортных полей из body. */
+export function validatePayoutExtra(body) {
+  const str = (v) => (typeof v === 'string' ? v.trim() : '')
+  const fields = {}
+  const snils = digitsOnly(pick(body, 'snils'))
+  if (snils) {
+    const code = validateSnils(snils)
+    if (code) fields.snils = code
+  }
+
+  const passportSeries = digitsOnly(pick(body, 'passportSeries', 'passport_series'))
+  if (passportSeries && !DIGITS_4.test(passportSeries)) fields.passportSeries = 'invalid_format'
+
+  const passportNumber = digitsOnly(pick(body, 'passportNumber', 'passport_number'))
+  if (passportNumber && !DIGITS_6.test(passportNumber)) fields.passportNumber = 'invalid_format'
+
+  if (Object.keys(fields).length) return fieldErrors(fields)
+
+  const passportIssuedBy = str(pick(body, 'passportIssuedBy', 'passport_issued_by'))
+  const passportIssueDate = str(pick(body, 'passportIssueDate', 'passport_issue_date'))
+
+  return {
+    ok: true,
+    extra: {
+      snils: snils || undefined,
+      passportSeries: passportSeries || undefined,
+      passportNumber: passportNumber || undefined,
+      passportIssuedBy: passportIssuedBy || undefined,
+      passportIssueDate: passportIssueDate || undefined,
+    },
+  }
+}
+
+/**
+ * Реквизиты по юр. статусу: обязательные поля, контрольные суммы ИНН, формат БИК/КПП, ключ счёта
+ * и корр. счёта относительно БИК, Luhn для карты. Используется при сохранении профиля и при выводе.
+ */
+export function validateBankDetails(legalStatus, bankDetails) {
+  if (!bankDetails || typeof bankDetails !== 'object') return { ok: false, error: 'missing_bankDetails', fields: { bankDetails: 'required' } }
+  if (!LEGAL_STATUSES.includes(legalStatus)) return { ok: false, error: 'invalid_legalStatus' }
+  const d = bankDetails
+  const str = (v) => (typeof v === 'string' ? v.trim() : '')
+  const s = (camel, snake) => str(pick(d, camel, snake))
+  const fields = {}
+
+  const nameKey = legalStatus === 'legal_entity' ? 'companyName' : 'fullName'
+  const name = s(nameKey, nameKey === 'companyName' ? 'company_name' : 'full_name')
+  if (!name) fields[nameKey] = 'required'
+
+  const inn = legalStatus === 'individual' ? '' : digitsOnly(d.inn)
+  if (legalStatus !== 'individual') {
+    const code = inn ? validateInn(inn, { kind: legalStatus === 'legal_entity' ? 'company' : 'person' }) : 'required'
+    if (code) fields.inn = code
+  }
+
+  const accountNumber = digitsOnly(pick(d, 'accountNumber', 'account_number'))
+  const bik = digitsOnly(d.bik)
+  const bankName = s('bankName', 'bank_name')
+  const bikCode = bik ? validateBik(bik) : 'required'
+  if (bikCode) fields.bik = bikCode
+  const accountCode = accountNumber ? validateSettlementAccount(accountNumber, bik) : 'required'
+  if (accountCode) fields.accountNumber = accountCode
+  if (!bankName) fields.bankName = 'required'
+
+  const correspondentAccount = digitsOnly(pick(d, 'correspondentAccount', 'correspondent_account'))
+  if (correspondentAccount) {
+    const code = validateCorrespondentAccount(correspondentAccount, bik)
+    if (code) fields.correspondentAccount = code
+  }
+
+  const kpp = legalStatus === 'legal_entity' ? str(d.kpp).toUpperCase() : ''
+  if (kpp) {
+    const code = validateKpp(kpp)
+    if (code) fields.kpp = code
+  }
+
+  const cardNumber = legalStatus === 'legal_entity' ? '' : digitsOnly(pick(d, 'cardNumber', 'card_number'))
+  if (cardNumber) {
+    const code = validateCardNumber(cardNumber)
+    if (code) fields.cardNumber = code
+  }
+
+  if (Object.keys(fields).length) return fieldErrors(fields)
+
+  const common = { accountNumber, bik, bankName, correspondentAccount: correspondentAccount || undefined }
+  if (legalStatus === 'individual') {
+    return { ok: true, bankDetails: { fullName: name, ...common, cardNumber: cardNumber || undefined } }
+  }
+  if (legalStatus === 'self_employed') {
+    return { ok: true, bankDetails: { fullName: name, inn, ...common, cardNumber: cardNumber || undefined } }
+  }
+  return { ok: true, bankDetails: { companyName: name, inn, ...common, kpp: kpp || undefined } }
+}
+
+let ensureIndexesPromise = null
+export async function ensurePayoutProfileIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    await db.collection('payoutProfileVersions').createIndex({ userId: 1, version: -1 }, { unique: true })
+    await db.collection('users').createIndex({ 'payoutProfile.status': 1, 'payoutProfile.submittedAt': 1 }, { sparse: true })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[payoutProfileService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+/**
+ * Documents are files uploaded via POST /api/uploads: [{ kind, url, name? }].
+ * Returns null when the value is malformed.
+ */
+export function normalizeProfileDocuments(value) {
+  if (value == null) return []
+  if (!Array.isArray(value) || value.length > MAX_DOCUMENTS) return null
+  const out = []
+  for (const x of value) {
+    const kind = typeof x?.kind === 'string' ? x.kind.trim() : ''
+    const url = typeof x?.url === 'string' ? x.url.trim() : ''
+    if (!DOCUMENT_KINDS.includes(kind)) return null
+    if (!url || url.length > 2000 || !/^(https?:\/\/|\/uploads\/)/i.test(url)) return null
+    const name = typeof x?.name === 'string' && x.name.trim() ? x.name.trim().slice(0, 200) : null
+    out.push({ kind, url, name })
+  }
+  return out
+}
+
+export function missingDocumentKinds(documents) {
+  const kinds = new Set((documents ?? []).map((d) => d.kind))
+  return REQUIRED_DOCUMENT_KINDS.filter((k) => !kinds.has(k))
+}
+
+// Stored profiles come back from Mongo with null where validation left undefined, so empty keys are
+// dropped and object keys sorted before comparing.
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical)
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const out = {}
+    for (const k of Object.keys(value).sort()) {
+      if (value[k] != null) out[k] = canonical(value[k])
+    }
+    return out
+  }
+  return value ?? null
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b))
+}
+
+function documentsKey(documents) {
+  return (documents ?? []).map((d) => `${d.kind}:${d.url}`).sort()
+}
+
+function verifiedDataChanged(prev, next) {
+  if (VERIFIED_FIELDS.some((f) => !sameJson(prev?.[f], next?.[f]))) return true
+  return !sameJson(documentsKey(prev?.documents), documentsKey(next?.documents))
+}
+
+async function appendVersion(db, { userId, profile, event, actor, reason = null }) {
+  await ensurePayoutProfileIndexes(db)
+  const { version, ...snapshot } = profile
+  await db.collection('payoutProfileVersions').insertOne({
+    userId: String(userId),
+    version,
+    event,
+    status: profile.status,
+    profile: snapshot,
+    actor,
+    reason,
+    createdAt: new Date(),
+  })
+}
+
+export function toPayoutProfileVersionDto(doc) {
+  if (!doc) return null
+  return {
+    version: doc.version,
+    event: doc.event,
+    status: doc.status,
+    actor: doc.actor ?? null,
+    reason: doc.reason ?? null,
+    profile: maskPayoutProfile(doc.profile),
+    createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+  }
+}
+
+export async function listPayoutProfileHistory(db, userId, { limit = 100 } = {}) {
+  await ensurePayoutProfileIndexes(db)
+  return await db
+    .collection('payoutProfileVersions')
+    .find({ userId: String(userId) })
+    .sort({ version: -1 })
+    .limit(limit)
+    .toArray()
+}
+
+/**
+ * Saves a profile submitted by the user. `fields` is the validated (plaintext) profile without status;
+ * `documents` replaces the attached documents when given.
+ * Returns { ok, profile, reset } where `reset` tells that an approval was withdrawn, or
+ * { ok: false, error: 'profile_changed' } when the profile was changed concurrently.
+ */
+export async function savePayoutProfile(db, { userOid, fields, documents = undefined }) {
+  const users = db.collection('users')
+  const user = await users.findOne({ _id: userOid }, { projection: { payoutProfile: 1 }, readPreference: 'primary' })
+  const prev = user?.payoutProfile ? decryptPayoutProfile(user.payoutProfile) : null
+  const now = new Date().toISOString()
+
+  const next = {
+    ...fields,
+    documents: documents !== undefined ? documents : prev?.documents ?? [],
+  }
+  const changed = !prev || verifiedDataChanged(prev, next)
+  let status
+  if (!changed && ['verified', 'pending_verification'].includes(prev.status)) status = prev.status
+  else status = missingDocumentKinds(next.documents).length ? 'documents_required' : 'pending_verification'
+  const reset = prev?.status === 'verified' && status !== 'verified'
+
+  const profile = encryptPayoutProfile({
+    ...next,
+    status,
+    version: (prev?.version ?? 0) + 1,
+    rejectionReason: null,
+    submittedAt: status === 'pending_verification' && (changed || prev?.status !== status) ? now : prev?.submittedAt ?? null,
+    reviewedAt: status === prev?.status ? prev?.reviewedAt ?? null : null,
+    reviewedBy: status === prev?.status ? prev?.reviewedBy ?? null : null,
+    updatedAt: now,
+  })
+  // Conditional on the version that was read: a concurrent review or resubmission wins and this save
+  // is refused instead of overwriting it (and its history version stays unique).
+  const r = await users.updateOne(
+    { _id: userOid, 'payoutProfile.version': prev?.version ?? null },
+    { $set: { payoutProfile: profile, updatedAt: new Date() } },
+  )
+  if (!r.modifiedCount) return { ok: false, error: 'profile_changed' }
+  await appendVersion(db, {
+    userId: userOid,
+    profile,
+    event: reset ? 'verification_reset' : 'submitted',
+    actor: String(userOid),
+  })
+  if (reset) {
+    await createNotification({
+      db,
+      userId: String(userOid),
+      text: 'Реквизиты для выплат изменены — профиль отправлен на повторную проверку. Выводы станут доступны после неё.',
+      meta: { type: 'payout_profile_reset', version: profile.version },
+    }).catch(() => {})
+  }
+  return { ok: true, profile, reset }
+}
+
+/** Profiles waiting for review, oldest submission first. */
+export async function listPayoutProfileQueue(db, { status = 'pending_verification', limit = 100 } = {}) {
+  await ensurePayoutProfileIndexes(db)
+  return await db
+    .collection('users')
+    .find({ 'payoutProfile.status': status }, { projection: { payoutProfile: 1, email: 1, role: 1, telegramUserId: 1 } })
+    .sort({ 'payoutProfile.submittedAt': 1 })
+    .limit(limit)
+    .toArray()
+}
+
+/**
+ * Admin decision on a pending profile. `version` (optional) guards against approving a profile
+ * that changed while it was being reviewed. Rejection requires a reason.
+ */
+export async function decidePayoutProfile(db, { userOid, decision, reason = null, version = null, adminId }) {
+  if (!['approve', 'reject'].includes(decision)) return { ok: false, error: 'invalid_decision' }
+  if (decision === 'reject' && !reason) return { ok: false, error: 'reason_required' }
+  const users = db.collection('users')
+  const user = await users.findOne({ _id: userOid }, { projection: { payoutProfile: 1 }, readPreference: 'primary' })
+  if (!user) return { ok: false, error: 'user_not_found' }
+  const prev = user.payoutProfile
+  if (!prev) return { ok: false, error: 'no_payout_profile' }
+  if (version != null && prev.version !== version) return { ok: false, error: 'version_mismatch', version: prev.version ?? null }
+  if (prev.status !== 'pending_verification') return { ok: false, error: 'not_pending', status: prev.status }
+
+  const status = decision === 'approve' ? 'verified' : 'rejected'
+  const now = new Date().toISOString()
+  const profile = {
+    ...prev,
+    status,
+    version: (prev.version ?? 0) + 1,
+    rejectionReason: status === 'rejected' ? reason : null,
+    reviewedAt: now,
+    reviewedBy: adminId,
+    updatedAt: now,
+  }
+  // Conditional on the reviewed version so a concurrent resubmission isn't overwritten.
+  const r = await users.updateOne(
+    { _id: userOid, 'payoutProfile.status': 'pending_verification', 'payoutProfile.version': prev.version ?? null },
+    { $set: { payoutProfile: profile, updatedAt: new Date() } },
+  )
+  if (!r.modifiedCount) return { ok: false, error: 'version_mismatch' }
+  await appendVersion(db, { userId: userOid, profile, event: status === 'verified' ? 'approved' : 'rejected', actor: adminId, reason })
+  await createNotification({
+    db,
+    userId: String(userOid),
+    text:
+      status === 'verified'
+        ? 'Профиль выплат подтверждён. Теперь можно выводить средства.'
+        : `Профиль выплат отклонён: ${reason}. Исправьте данные и отправьте заново.`,
+    meta: { type: status === 'verified' ? 'payout_profile_verified' : 'payout_profile_rejected', version: profile.version },
+  }).catch(() => {})
+  return { ok: true, profile }
+}
@@ -0,0 +1,188 @@
+import { createNotification } from './notificationService.js'
+import { MIN_WITHDRAWAL_RUB, createWithdrawalRequest, toObjectId } from './withdrawalService.js'
+import { getHeldFunds } from './withdrawalRulesService.js'
+
+// Automatic payouts. An executor keeps one schedule in `payoutSchedules` (weekly on a weekday or
+// monthly on a day of month). On each run date the job withdraws everything above `reserveAmount`
+// when that is at least `thresholdAmount`. Runs are claimed by moving `nextRunAt` forward, so a
+// period produces at most one withdrawal even with several servers.
+
+export const PAYOUT_FREQUENCIES = ['weekly', 'monthly']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MSK_OFFSET_MS = 3 * 60 * 60 * 1000
+// Payouts go out at 10:00 Moscow time so the registry can be sent the same business day.
+const RUN_HOUR_MSK = 10
+
+let ensureIndexesPromise = null
+export async function ensurePayoutScheduleIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    await db.collection('payoutSchedules').createIndex({ userId: 1 }, { unique: true })
+    await db.collection('payoutSchedules').createIndex({ enabled: 1, nextRunAt: 1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[payoutScheduleService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+/**
+ * Validates { frequency, dayOfWeek? (1 = Mon … 7 = Sun), dayOfMonth? (1–28), thresholdAmount, reserveAmount? }.
+ * Returns { ok, schedule } or { ok: false, error }.
+ */
+export function normalizePayoutSchedule(input) {
+  const frequency = typeof input?.frequency === 'string' ? input.frequency.trim() : ''
+  if (!PAYOUT_FREQUENCIES.includes(frequency)) return { ok: false, error: 'invalid_frequency', allowed: PAYOUT_FREQUENCIES }
+  const num = (v) => (typeof v === 'number' ? v : v == null || v === '' ? NaN : Number(v))
+  let dayOfWeek = null
+  let dayOfMonth = null
+  if (frequency === 'weekly') {
+    dayOfWeek = input?.dayOfWeek == null ? 1 : num(input.dayOfWeek)
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 1 || dayOfWeek > 7) return { ok: false, error: 'invalid_dayOfWeek' }
+  } else {
+    // Up to the 28th so every month has the day.
+    dayOfMonth = input?.dayOfMonth == null ? 1 : num(input.dayOfMonth)
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 28) return { ok: false, error: 'invalid_dayOfMonth' }
+  }
+  const thresholdAmount = num(input?.thresholdAmount)
+  if (!Number.isFinite(thresholdAmount) || thresholdAmount < MIN_WITHDRAWAL_RUB) {
+    return { ok: false, error: 'invalid_thresholdAmount', minAmount: MIN_WITHDRAWAL_RUB }
+  }
+  const reserveAmount = input?.reserveAmount == null ? 0 : num(input.reserveAmount)
+  if (!Number.isFinite(reserveAmount) || reserveAmount < 0) return { ok: false, error: 'invalid_reserveAmount' }
+  const enabled = input?.enabled === undefined ? true : input.enabled === true
+  return {
+    ok: true,
+    schedule: {
+      frequency,
+      dayOfWeek,
+      dayOfMonth,
+      thresholdAmount: Math.round(thresholdAmount),
+      reserveAmount: Math.round(reserveAmount),
+      enabled,
+    },
+  }
+}
+
+/** First run time of the schedule strictly after `fromMs`. */
+export function computeNextRunAt(schedule, fromMs = Date.now()) {
+  const msk = new Date(fromMs + MSK_OFFSET_MS)
+  const runAt = (y, m, d) => new Date(Date.UTC(y, m, d, RUN_HOUR_MSK) - MSK_OFFSET_MS)
+  if (schedule.frequency === 'weekly') {
+    const isoDay = msk.getUTCDay() || 7
+    let candidate = runAt(msk.getUTCFullYear(), msk.getUTCMonth(), msk.getUTCDate() + ((schedule.dayOfWeek - isoDay + 7) % 7))
+    if (candidate.getTime() <= fromMs) candidate = new Date(candidate.getTime() + 7 * DAY_MS)
+    return candidate
+  }
+  let candidate = runAt(msk.getUTCFullYear(), msk.getUTCMonth(), schedule.dayOfMonth)
+  if (candidate.getTime() <= fromMs) candidate = runAt(msk.getUTCFullYear(), msk.getUTCMonth() + 1, schedule.dayOfMonth)
+  return candidate
+}
+
+export function toPayoutScheduleDto(doc) {
+  if (!doc) return null
+  const iso = (d) => (d ? new Date(d).toISOString() : null)
+  return {
+    frequency: doc.frequency,
+    dayOfWeek: doc.dayOfWeek ?? null,
+    dayOfMonth: doc.dayOfMonth ?? null,
+    thresholdAmount: doc.thresholdAmount,
+    reserveAmount: doc.reserveAmount ?? 0,
+    enabled: doc.enabled === true,
+    nextRunAt: doc.enabled ? iso(doc.nextRunAt) : null,
+    lastRunAt: iso(doc.lastRunAt),
+    lastResult: doc.lastResult ? { ...doc.lastResult, at: iso(doc.lastResult.at) } : null,
+    updatedAt: iso(doc.updatedAt),
+  }
+}
+
+export async function getPayoutSchedule(db, userId) {
+  await ensurePayoutScheduleIndexes(db)
+  return await db.collection('payoutSchedules').findOne({ userId: String(userId) })
+}
+
+export async function savePayoutSchedule(db, userId, schedule, nowMs = Date.now()) {
+  await ensurePayoutScheduleIndexes(db)
+  const now = new Date(nowMs)
+  const up = await db.collection('payoutSchedules').findOneAndUpdate(
+    { userId: String(userId) },
+    {
+      $set: { ...schedule, nextRunAt: schedule.enabled ? computeNextRunAt(schedule, nowMs) : null, updatedAt: now },
+      $setOnInsert: { userId: String(userId), createdAt: now },
+    },
+    { upsert: true, returnDocument: 'after' },
+  )
+  return up?.value ?? up
+}
+
+export async function deletePayoutSchedule(db, userId) {
+  await ensurePayoutScheduleIndexes(db)
+  const r = await db.collection('payoutSchedules').deleteOne({ userId: String(userId) })
+  return r.deletedCount > 0
+}
+
+async function notify(db, userId, text, meta) {
+  await createNotification({ db, userId, text, meta }).catch(() => {})
+}
+
+// Problems the user has to fix; a low balance is just a skipped period and isn't reported.
+const NOTIFY_ERRORS = {
+  payout_profile_not_verified: 'Автовыплата не создана: профиль выплат не подтверждён.',
+  invalid_bank_details: 'Автовыплата не создана: проверьте банковские реквизиты в профиле выплат.',
+  npd_receipts_overdue: 'Автовыплата не создана: есть просроченные чеки НПД. Прикрепите их, чтобы выплаты возобновились.',
+  withdrawal_denied: 'Автовыплата не создана: вывод сейчас ограничен. Подробности — в разделе выплат.',
+}
+
+/** One scheduled run: withdraw balance above the reserve if it reaches the threshold. */
+async function runSchedule(db, balanceRepo, schedule) {
+  const userId = schedule.userId
+  const user = await db.collection('users').findOne({ _id: toObjectId(userId) }, { projection: { role: 1 } })
+  if (user?.role !== 'executor') return { status: 'skipped', error: 'not_executor' }
+  const balance = await balanceRepo.get(userId)
+  // Money still on hold stays on the balance until the next run.
+  const { heldAmount } = await getHeldFunds(db, userId)
+  const amount = Math.floor(balance - heldAmount - (schedule.reserveAmount ?? 0))
+  if (amount < Math.max(schedule.thresholdAmount, MIN_WITHDRAWAL_RUB)) {
+    return { status: 'skipped', error: 'below_threshold', balance }
+  }
+  const r = await createWithdrawalRequest({ db, balanceRepo, userId, amount, source: 'schedule', scheduleId: String(schedule._id) })
+  if (!r.ok) {
+    if (NOTIFY_ERRORS[r.error]) await notify(db, userId, NOTIFY_ERRORS[r.error], { type: 'auto_payout_failed', error: r.error })
+    return { status: 'failed', error: r.error, reason: r.reason ?? null }
+  }
+  await notify(db, userId, `Создана автовыплата ${r.doc.amount} ₽. Деньги поступят после обработки заявки.`, {
+    type: 'auto_payout_created',
+    withdrawalId: String(r.doc._id),
+    amount: r.doc.amount,
+  })
+  return { status: 'created', withdrawalId: String(r.doc._id), amount: r.doc.amount }
+}
+
+/** Runs every enabled schedule whose `nextRunAt` has come. */
+export async function runDuePayoutSchedules(db, { balanceRepo, nowMs = Date.now(), limit = 200 } = {}) {
+  await ensurePayoutScheduleIndexes(db)
+  const col = db.collection('payoutSchedules')
+  const due = await col
+    .find({ enabled: true, nextRunAt: { $lte: new Date(nowMs) } })
+    .sort({ nextRunAt: 1 })
+    .limit(limit)
+    .toArray()
+  const counts = { created: 0, skipped: 0, failed: 0 }
+  for (const schedule of due) {
+    const claimed = await col.updateOne(
+      { _id: schedule._id, enabled: true, nextRunAt: schedule.nextRunAt },
+      { $set: { nextRunAt: computeNextRunAt(schedule, nowMs), lastRunAt: new Date(nowMs) } },
+    )
+    if (!claimed.modifiedCount) continue
+    let result
+    try {
+      result = await runSchedule(db, balanceRepo, schedule)
+    } catch (e) {
+      result = { status: 'failed', error: e instanceof Error ? e.message : String(e) }
+    }
+    counts[result.status]++
+    await col.updateOne({ _id: schedule._id }, { $set: { lastResult: { ...result, at: new Date(nowMs) } } })
+  }
+  return counts
+}
@@ -0,0 +1,397 @@
+import mongoose from 'mongoose'
+import { accountKind, ensureLedgerIndexes, escrowAccount, rebuildAccountBalance, taskBudgetAccount } from './ledgerService.js'
+import { escrowCurrencyOf, refundEscrowToCustomer, releaseEscrowToExecutor, splitEscrow } from './escrowService.js'
+
+// Cross-checks escrows, contracts, disputes and ledger projections. Every finding is one document in
+// `anomalies` keyed by `key`, so repeated scans update it instead of piling up duplicates; open
+// anomalies that are no longer observed are closed automatically.
+
+export const ANOMALY_TYPES = [
+  'escrow_frozen_on_closed_contract',
+  'resolved_without_payout',
+  'dispute_decided_unsettled',
+  'escrow_balance_mismatch',
+  'balance_drift',
+  'budget_hold_short',
+]
+
+// Fresh changes may still be in flight (or waiting for saga recovery), so they are not reported yet.
+const GRACE_MS = 10 * 60 * 1000
+const EPS = 0.005
+// Scans walk collections in _id order, this many documents per query.
+const PAGE_SIZE = 500
+
+function round2(n) {
+  return Math.round(n * 100) / 100
+}
+
+function toObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(String(id))
+  } catch {
+    return null
+  }
+}
+
+// Calls fn(page) for consecutive pages of `filter` in _id order, so no scan holds a whole collection.
+async function forEachPage(col, filter, options, fn) {
+  let lastId = null
+  for (;;) {
+    const page = await col
+      .find(lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter, options)
+      .sort({ _id: 1 })
+      .limit(PAGE_SIZE)
+      .toArray()
+    if (!page.length) return
+    await fn(page)
+    if (page.length < PAGE_SIZE) return
+    lastId = page[page.length - 1]._id
+  }
+}
+
+// Projections of the given (accountId, currency) pairs, keyed `${accountId}|${currency}`.
+async function loadBalances(db, pairs) {
+  const out = new Map()
+  if (!pairs.length) return out
+  const docs = await db
+    .collection('ledgerAccounts')
+    .find({ $or: pairs.map(({ accountId, currency }) => ({ accountId, currency })) }, { projection: { accountId: 1, currency: 1, balance: 1 } })
+    .toArray()
+  for (const a of docs) out.set(`${a.accountId}|${a.currency}`, round2(a.balance ?? 0))
+  return out
+}
+
+let ensureIndexesPromise = null
+export async function ensureAnomalyIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    const anomalies = db.collection('anomalies')
+    await anomalies.createIndex({ key: 1 }, { unique: true })
+    await anomalies.createIndex({ status: 1, lastSeenAt: -1 })
+    await anomalies.createIndex({ type: 1, status: 1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[reconciliationService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+export function toAnomalyDto(doc) {
+  if (!doc) return null
+  const iso = (d) => (d ? new Date(d).toISOString() : null)
+  return {
+    id: String(doc._id),
+    type: doc.type,
+    status: doc.status,
+    refs: doc.refs ?? {},
+    details: doc.details ?? {},
+    repair: doc.repair ?? null,
+    firstSeenAt: iso(doc.firstSeenAt),
+    lastSeenAt: iso(doc.lastSeenAt),
+    resolvedAt: iso(doc.resolvedAt),
+    resolvedBy: doc.resolvedBy ?? null,
+    resolution: doc.resolution ?? null,
+    repairError: doc.repairError ?? null,
+  }
+}
+
+// Which escrow operation settles a contract in its final status (null: needs a human).
+function settlementFor(contract, dispute) {
+  if (contract.status === 'approved') return { action: 'release' }
+  if (contract.status === 'cancelled') return { action: 'refund' }
+  const decision = dispute?.decision
+  if (!decision) return null
+  if (decision.payout === 'executor') return { action: 'release', disputeId: String(dispute._id) }
+  if (decision.payout === 'customer') return { action: 'refund', disputeId: String(dispute._id) }
+  // Split amounts are in the escrow currency, so the decision can be replayed as is.
+  if (typeof decision.executorAmount === 'number' && typeof decision.customerAmount === 'number') {
+    return { action: 'split', disputeId: String(dispute._id), executorAmount: decision.executorAmount, customerAmount: decision.customerAmount }
+  }
+  return null
+}
+
+async function findContractForEscrow(db, escrow) {
+  const contracts = db.collection('contracts')
+  const oid = escrow.contractId ? toObjectId(escrow.contractId) : null
+  if (oid) {
+    const byId = await contracts.findOne({ _id: oid })
+    if (byId) return byId
+  }
+  return await contracts.findOne({ taskId: escrow.taskId, executorId: escrow.executorId })
+}
+
+async function findDecidedDispute(db, contractId) {
+  return await db
+    .collection('disputes')
+    .find({ contractId: String(contractId), status: 'decided' })
+    .sort({ updatedAt: -1 })
+    .limit(1)
+    .next()
+}
+
+async function detectEscrowAnomalies(db, cutoff) {
+  const found = []
+  const escrows = db.collection('escrows')
+  const contracts = db.collection('contracts')
+
+  // 1) Frozen escrows whose contract is already final; 2) resolved contracts without a settled escrow.
+  await forEachPage(escrows, { status: 'frozen', updatedAt: { $lt: cutoff } }, {}, async (frozen) => {
+    for (const escrow of frozen) {
+      const contract = await findContractForEscrow(db, escrow)
+      if (!contract || !['approved', 'resolved', 'cancelled'].includes(contract.status)) continue
+      if (contract.updatedAt && new Date(contract.updatedAt) >= cutoff) continue
+      const contractId = String(contract._id)
+      const dispute = contract.status === 'resolved' ? await findDecidedDispute(db, contractId) : null
+      const plan = settlementFor(contract, dispute)
+      found.push({
+        type: contract.status === 'resolved' ? 'resolved_without_payout' : 'escrow_frozen_on_closed_contract',
+        key: `escrow:${String(escrow._id)}`,
+        refs: { escrowId: String(escrow._id), contractId, taskId: escrow.taskId, executorId: escrow.executorId, disputeId: dispute ? String(dispute._id) : null },
+        details: { contractStatus: contract.status, escrowAmount: escrow.amount, escrowCurrency: escrowCurrencyOf(escrow) },
+        repair: plan,
+      })
+    }
+  })
+
+  await forEachPage(contracts, { status: 'resolved', updatedAt: { $lt: cutoff } }, {}, async (resolved) => {
+    for (const contract of resolved) {
+      const escrow = await escrows.findOne({ taskId: contract.taskId, executorId: contract.executorId })
+      if (escrow) continue // frozen ones are reported above; settled ones are fine
+      const task = toObjectId(contract.taskId) ? await db.collection('tasks').findOne({ _id: toObjectId(contract.taskId) }) : null
+      // Unfunded tasks never had an escrow to pay out from.
+      if (!task || !(Number(task.budgetAmount) > 0)) continue
+      found.push({
+        type: 'resolved_without_payout',
+        key: `contract:${String(contract._id)}:no_escrow`,
+        refs: { contractId: String(contract._id), taskId: contract.taskId, executorId: contract.executorId },
+        details: { contractStatus: contract.status, escrowMissing: true },
+        repair: null,
+      })
+    }
+  })
+
+  // 3) Decided disputes whose contract never reached `resolved` (settlement failed after the lock).
+  await forEachPage(db.collection('disputes'), { status: 'decided', updatedAt: { $lt: cutoff } }, {}, async (decided) => {
+    for (const dispute of decided) {
+      const contractOid = toObjectId(dispute.contractId)
+      const contract = contractOid ? await contracts.findOne({ _id: contractOid }) : null
+      if (!contract || contract.status === 'resolved') continue
+      const escrow = await escrows.findOne({ taskId: contract.taskId, executorId: contract.executorId })
+      // Money already moved (or there was none): only the contract status is behind.
+      const settled = !escrow || escrow.status !== 'frozen'
+      const plan = settled ? { action: 'resolve_contract' } : settlementFor({ ...contract, status: 'resolved' }, dispute)
+      found.push({
+        type: 'dispute_decided_unsettled',
+        key: `dispute:${String(dispute._id)}`,
+        refs: {
+          disputeId: String(dispute._id),
+          contractId: String(contract._id),
+          taskId: contract.taskId,
+          executorId: contract.executorId,
+          escrowId: escrow ? String(escrow._id) : null,
+        },
+        details: { contractStatus: contract.status, escrowStatus: escrow?.status ?? null, decision: dispute.decision ?? null },
+        repair: plan ? { ...plan, resolveContract: true } : null,
+      })
+    }
+  })
+
+  // 4) Escrow documents vs their ledger accounts (in the escrow's currency): frozen ones must hold
+  // the full amount, settled ones nothing.
+  const projection = { taskId: 1, executorId: 1, status: 1, amount: 1, currency: 1 }
+  await forEachPage(escrows, { updatedAt: { $lt: cutoff } }, { projection }, async (page) => {
+    const rows = page.map((escrow) => ({
+      escrow,
+      accountId: escrowAccount({ taskId: escrow.taskId, executorId: escrow.executorId }),
+      currency: escrowCurrencyOf(escrow),
+    }))
+    const balanceOf = await loadBalances(db, rows)
+    for (const { escrow, accountId, currency } of rows) {
+      const actual = balanceOf.get(`${accountId}|${currency}`) ?? 0
+      const expected = escrow.status === 'frozen' ? round2(escrow.amount ?? 0) : 0
+      if (Math.abs(actual - expected) < EPS) continue
+      found.push({
+        type: 'escrow_balance_mismatch',
+        key: `escrow_balance:${String(escrow._id)}`,
+        refs: { escrowId: String(escrow._id), taskId: escrow.taskId, executorId: escrow.executorId, accountId, currency },
+        details: { escrowStatus: escrow.status, expected, actual },
+        repair: null,
+      })
+    }
+  })
+  return found
+}
+
+// 5) Balance projections (ledgerAccounts) vs the sum of their entries, one page of accounts at a time.
+async function detectBalanceDrift(db, cutoff) {
+  await ensureLedgerIndexes(db)
+  const found = []
+  await forEachPage(db.collection('ledgerAccounts'), { updatedAt: { $lt: cutoff } }, {}, async (accounts) => {
+    const sums = await db
+      .collection('ledgerEntries')
+      .aggregate([
+        { $match: { accountId: { $in: [...new Set(accounts.map((a) => a.accountId))] } } },
+        {
+          $group: {
+            _id: { accountId: '$accountId', currency: '$currency' },
+            total: { $sum: { $cond: [{ $eq: ['$side', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } },
+          },
+        },
+      ])
+      .toArray()
+    const expectedOf = new Map(sums.map((r) => [`${r._id.accountId}|${r._id.currency}`, round2(r.total)]))
+    for (const account of accounts) {
+      const expected = expectedOf.get(`${account.accountId}|${account.currency}`) ?? 0
+      const actual = round2(account.balance ?? 0)
+      if (Math.abs(actual - expected) < EPS) continue
+      found.push({
+        type: 'balance_drift',
+        key: `ledger:${account.accountId}:${account.currency}`,
+        refs: { accountId: account.accountId, currency: account.currency },
+        details: { accountKind: accountKind(account.accountId), projected: actual, fromEntries: expected, diff: round2(actual - expected) },
+        repair: { action: 'rebuild_balance' },
+      })
+    }
+  })
+  return found
+}
+
+// 6) Active task budget holds vs their ledger accounts. Less money than the hold record says means
+// escrows of the task are funded from the customer's wallet instead (escrowService.freezeEscrowOp).
+async function detectBudgetHoldShortfall(db, cutoff) {
+  const found = []
+  const filter = { 'budgetHold.status': 'active', 'budgetHold.updatedAt': { $lt: cutoff } }
+  await forEachPage(db.collection('tasks'), filter, { projection: { budgetHold: 1 } }, async (page) => {
+    const rows = page.map((task) => ({
+      task,
+      accountId: taskBudgetAccount(task._id),
+      currency: task.budgetHold.currency ?? 'RUB',
+    }))
+    const balanceOf = await loadBalances(db, rows)
+    for (const { task, accountId, currency } of rows) {
+      const actual = balanceOf.get(`${accountId}|${currency}`) ?? 0
+      const expected = round2(task.budgetHold.amount ?? 0)
+      if (actual + EPS >= expected) continue
+      found.push({
+        type: 'budget_hold_short',
+        key: `budget_hold:${String(task._id)}`,
+        refs: { taskId: String(task._id), accountId, currency },
+        details: { expected, actual, shortfall: round2(expected - actual) },
+        repair: null,
+      })
+    }
+  })
+  return found
+}
+
+/**
+ * Runs all checks and syncs the `anomalies` collection: new findings are opened, known ones
+ * get `lastSeenAt` bumped (resolved ones reopen, dismissed ones don't), open ones that disappeared are auto-closed.
+ */
+export async function scanAnomalies({ db, nowMs = Date.now() }) {
+  await ensureAnomalyIndexes(db)
+  const now = new Date(nowMs)
+  const cutoff = new Date(nowMs - GRACE_MS)
+  const found = [
+    ...(await detectEscrowAnomalies(db, cutoff)),
+    ...(await detectBalanceDrift(db, cutoff)),
+    ...(await detectBudgetHoldShortfall(db, cutoff)),
+  ]
+
+  const anomalies = db.collection('anomalies')
+  for (const a of found) {
+    // Dismissed findings stay dismissed while they keep showing up.
+    const dismissed = await anomalies.updateOne({ key: a.key, status: 'dismissed' }, { $set: { details: a.details, lastSeenAt: now } })
+    if (dismissed.matchedCount) continue
+    await anomalies.updateOne(
+      { key: a.key },
+      {
+        $set: { type: a.type, status: 'open', refs: a.refs, details: a.details, repair: a.repair, lastSeenAt: now },
+        $setOnInsert: { key: a.key, firstSeenAt: now },
+        $unset: { resolvedAt: '', resolvedBy: '', resolution: '' },
+      },
+      { upsert: true },
+    )
+  }
+  const closed = await anomalies.updateMany(
+    { status: 'open', key: { $nin: found.map((a) => a.key) } },
+    { $set: { status: 'resolved', resolution: 'not_observed', resolvedAt: now, resolvedBy: null } },
+  )
+  return { found: found.length, closed: closed.modifiedCount ?? 0 }
+}
+
+export async function listAnomalies(db, { status = 'open', type = null, limit = 100 } = {}) {
+  await ensureAnomalyIndexes(db)
+  const filter = {}
+  if (status) filter.status = status
+  if (type) filter.type = type
+  return await db.collection('anomalies').find(filter).sort({ lastSeenAt: -1 }).limit(limit).toArray()
+}
+
+async function markContractResolved(db, contractId) {
+  const oid = toObjectId(contractId)
+  if (!oid) return
+  await db.collection('contracts').updateOne({ _id: oid, status: { $ne: 'resolved' } }, { $set: { status: 'resolved', updatedAt: new Date() } })
+}
+
+// Executes the stored repair plan through the escrow service (idempotent, like any settlement).
+async function runRepair({ db, balanceRepo, anomaly }) {
+  const plan = anomaly.repair
+  const refs = anomaly.refs ?? {}
+  if (plan.action === 'rebuild_balance') {
+    const balance = await rebuildAccountBalance(db, refs.accountId, refs.currency)
+    return { ok: true, result: { balance } }
+  }
+
+  if (plan.action === 'resolve_contract') {
+    await markContractResolved(db, refs.contractId)
+    return { ok: true, result: { contractStatus: 'resolved' } }
+  }
+
+  const base = { db, balanceRepo, taskId: refs.taskId, executorId: refs.executorId, disputeId: plan.disputeId ?? null }
+  let moved
+  if (plan.action === 'release') moved = await releaseEscrowToExecutor(base)
+  else if (plan.action === 'refund') moved = await refundEscrowToCustomer(base)
+  else if (plan.action === 'split') {
+    moved = await splitEscrow({ ...base, executorAmount: plan.executorAmount, customerAmount: plan.customerAmount })
+  } else return { ok: false, error: 'unknown_action' }
+  if (!moved.ok) return { ok: false, error: moved.error }
+
+  if (plan.resolveContract) await markContractResolved(db, refs.contractId)
+  return { ok: true, result: { escrowStatus: moved.escrow?.status ?? null, payout: moved.payout ?? moved.escrow?.payouts ?? null } }
+}
+
+/**
+ * Applies the anomaly's repair action, or just closes it (`action: 'dismiss'`) after a manual fix.
+ * Returns { ok, anomaly } or { ok: false, error }.
+ */
+export async function repairAnomaly({ db, balanceRepo, id, action, adminId = null }) {
+  const oid = toObjectId(id)
+  if (!oid) return { ok: false, error: 'bad_id' }
+  const anomalies = db.collection('anomalies')
+  const anomaly = await anomalies.findOne({ _id: oid }, { readPreference: 'primary' })
+  if (!anomaly) return { ok: false, error: 'not_found' }
+  if (anomaly.status !== 'open') return { ok: false, error: 'not_open' }
+
+  const now = new Date()
+  if (action === 'dismiss') {
+    await anomalies.updateOne({ _id: oid }, { $set: { status: 'dismissed', resolution: 'dismissed', resolvedAt: now, resolvedBy: adminId } })
+    return { ok: true, anomaly: await anomalies.findOne({ _id: oid }) }
+  }
+  if (!anomaly.repair) return { ok: false, error: 'no_automatic_repair' }
+  if (action && action !== anomaly.repair.action) return { ok: false, error: 'action_mismatch' }
+
+  const r = await runRepair({ db, balanceRepo, anomaly }).catch((e) => ({ ok: false, error: e instanceof Error ? e.message : String(e) }))
+  if (!r.ok) {
+    await anomalies.updateOne({ _id: oid }, { $set: { repairError: r.error, lastRepairAt: now } })
+    return { ok: false, error: 'repair_failed', detail: r.error }
+  }
+  await anomalies.updateOne(
+    { _id: oid },
+    {
+      $set: { status: 'resolved', resolution: anomaly.repair.action, repairResult: r.result, resolvedAt: now, resolvedBy: adminId },
+      $unset: { repairError: '' },
+    },
+  )
+  return { ok: true, anomaly: await anomalies.findOne({ _id: oid }) }
+}
@@ -0,0 +1,181 @@
+import mongoose from 'mongoose'
+import { normalizeCurrency, round2 } from '../infra/money.js'
+import { runTransaction, sessionOpts } from '../infra/mongoTx.js'
+import { getAccountBalance, taskBudgetAccount, userAccount } from './ledgerService.js'
+
+// Task budget hold. Publishing a task moves budgetAmount × maxExecutors from the customer's wallet
+// into the task's own ledger account (task_budget:<taskId>); freezeEscrow() funds each executor's
+// escrow from there as slots are taken. The hold is kept equal to budgetAmount × open slots:
+// budget edits top it up or release the difference, and once the task leaves the marketplace
+// (closed, expired, cancelled) the rest goes back to the wallet.
+// State on the task: budgetHold { status: 'active' | 'released', currency, amount, heldAt, releasedAt, updatedAt }.
+
+// Task statuses that can still take executors.
+const FUNDED_STATUSES = ['open', 'in_progress', 'review', 'dispute']
+
+let ensureIndexesPromise = null
+async function ensureIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    await db.collection('tasks').createIndex({ 'budgetHold.status': 1, updatedAt: 1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[taskBudgetService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+function budgetOf(task) {
+  return typeof task.budgetAmount === 'number' && Number.isFinite(task.budgetAmount) && task.budgetAmount > 0
+    ? round2(task.budgetAmount)
+    : 0
+}
+
+function maxExecutorsOf(task) {
+  return typeof task.maxExecutors === 'number' && Number.isFinite(task.maxExecutors) && task.maxExecutors > 0
+    ? Math.max(1, Math.floor(task.maxExecutors))
+    : 1
+}
+
+export function taskBudgetCurrencyOf(task) {
+  return task.budgetHold?.currency ?? normalizeCurrency(task.budgetCurrency) ?? 'RUB'
+}
+
+function customerBalanceKeyOf(task) {
+  return typeof task.createdByMongoId === 'string' && task.createdByMongoId ? task.createdByMongoId : String(task.createdByUserId)
+}
+
+/** Amount the hold must cover: one budget per slot not taken yet, nothing once the task is off the marketplace. */
+export function taskBudgetTarget(task) {
+  const status = typeof task.status === 'string' && task.status ? task.status : 'draft'
+  if (!task.publishedAt || !FUNDED_STATUSES.includes(status)) return 0
+  const assigned = Array.isArray(task.assignedExecutorIds) ? task.assignedExecutorIds.length : 0
+  return round2(budgetOf(task) * Math.max(0, maxExecutorsOf(task) - assigned))
+}
+
+export async function getTaskBudgetHoldAmount(db, task, session = null) {
+  return await getAccountBalance(db, taskBudgetAccount(task._id), taskBudgetCurrencyOf(task), session)
+}
+
+/**
+ * Moves money between the customer's wallet and the hold so the hold equals taskBudgetTarget(task).
+ * `task` may carry pending changes that are not written yet (publish, budget edits): nothing on the
+ * task document is touched here except `budgetHold`.
+ * Concurrent syncs are serialized on `budgetHold.version`: each transfer is posted only after its
+ * version is claimed (and keyed by it), so two syncs that read the same balance can't both move the
+ * difference; the loser re-reads and recomputes.
+ * Returns { ok, amount, delta } or { ok: false, error: 'insufficient_balance', balance, required, currency }.
+ */
+export async function syncTaskBudgetHold({ db, balanceRepo, task, session = null }) {
+  if (!balanceRepo || typeof balanceRepo.transfer !== 'function') throw new Error('balance_repo_missing')
+  await ensureIndexes(db)
+  const tasks = db.collection('tasks')
+  const taskId = String(task._id)
+  const currency = taskBudgetCurrencyOf(task)
+  const account = taskBudgetAccount(taskId)
+  const wallet = userAccount(customerBalanceKeyOf(task))
+  const target = taskBudgetTarget(task)
+  const active = target > 0
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const stored = await tasks.findOne({ _id: task._id }, sessionOpts(session, { projection: { budgetHold: 1 }, readPreference: 'primary' }))
+    const prev = stored?.budgetHold ?? null
+    const version = prev?.version ?? 0
+    const current = await getAccountBalance(db, account, currency, session)
+    const delta = round2(target - current)
+    // A task with no budget never gets a hold record.
+    if (!active && !prev && delta === 0) return { ok: true, amount: 0, delta: 0 }
+
+    const now = new Date()
+    const claimed = await tasks.updateOne(
+      { _id: task._id, 'budgetHold.version': version || { $in: [null, 0] } },
+      {
+        $set: {
+          budgetHold: {
+            status: active ? 'active' : 'released',
+            currency,
+            amount: target,
+            heldAt: prev?.heldAt ?? (active ? now : null),
+            releasedAt: active ? null : now,
+            updatedAt: now,
+            version: version + 1,
+          },
+        },
+      },
+      sessionOpts(session),
+    )
+    if (!claimed.modifiedCount) continue
+    if (delta === 0) return { ok: true, amount: target, delta }
+
+    const tx = await balanceRepo.transfer({
+      from: delta > 0 ? wallet : account,
+      to: delta > 0 ? account : wallet,
+      amount: Math.abs(delta),
+      currency,
+      type: delta > 0 ? 'budget_hold' : 'budget_release',
+      refs: { taskId },
+      idempotencyKey: `task_budget:${taskId}:${version + 1}`,
+      requireFunds: true,
+      session,
+    })
+    if (!tx.ok) {
+      // Nothing moved: put the previous hold record back.
+      await tasks.updateOne(
+        { _id: task._id, 'budgetHold.version': version + 1 },
+        prev ? { $set: { budgetHold: { ...prev, version: version + 1 } } } : { $unset: { budgetHold: '' } },
+        sessionOpts(session),
+      )
+      if (delta > 0) return { ok: false, error: 'insufficient_balance', balance: round2(tx.balance ?? 0), required: delta, currency }
+      continue
+    }
+    return { ok: true, amount: target, delta }
+  }
+  throw new Error('budget_hold_conflict')
+}
+
+function toObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(String(id))
+  } catch {
+    return null
+  }
+}
+
+/** Re-reads the task and syncs its hold in one transaction (where supported). */
+export async function resyncTaskBudgetHold({ db, balanceRepo, taskId }) {
+  const oid = toObjectId(taskId)
+  if (!oid) return { ok: false, error: 'bad_task_id' }
+  return await runTransaction(db, async (session) => {
+    const task = await db.collection('tasks').findOne({ _id: oid }, sessionOpts(session, { readPreference: 'primary' }))
+    if (!task) return { ok: false, error: 'task_not_found' }
+    if (!task.budgetHold) return { ok: true, amount: 0, delta: 0 }
+    return await syncTaskBudgetHold({ db, balanceRepo, task, session })
+  })
+}
+
+/**
+ * Background pass over active holds: releases what closed tasks and freed budget no longer need, and
+ * re-reserves slots reopened after an executor was removed (skipped while the wallet can't cover it).
+ */
+export async function sweepTaskBudgetHolds(db, { balanceRepo, limit = 500 } = {}) {
+  await ensureIndexes(db)
+  const list = await db
+    .collection('tasks')
+    .find({ 'budgetHold.status': 'active' }, { projection: { _id: 1 } })
+    .sort({ updatedAt: 1 })
+    .limit(limit)
+    .toArray()
+  const counts = { synced: 0, released: 0, topUpFailed: 0, failed: 0 }
+  for (const t of list) {
+    try {
+      const r = await resyncTaskBudgetHold({ db, balanceRepo, taskId: t._id })
+      if (!r.ok) counts.topUpFailed++
+      else if (r.amount === 0) counts.released++
+      else counts.synced++
+    } catch (e) {
+      counts.failed++
+      console.warn('[taskBudgetService] sync failed', String(t._id), e instanceof Error ? e.message : String(e))
+    }
+  }
+  return counts
+}
@@ -0,0 +1,248 @@
+import mongoose from 'mongoose'
+import { runTransaction, sessionOpts } from '../infra/mongoTx.js'
+import { createNotification } from './notificationService.js'
+import { resyncTaskBudgetHold, syncTaskBudgetHold } from './taskBudgetService.js'
+
+// Marketplace expiry. Every published task carries `expiresAt` (ISO string), set when it is published:
+// { expiresAt } / { hours } of the publish request, 24h after publishing by default. When it passes
+// while slots are still free:
+//  - a task nobody took becomes `expired` and leaves the marketplace;
+//  - a partly filled task keeps its executors but its free slots are closed (maxExecutors drops to
+//    the number assigned, the difference is kept in `expiredSlots`).
+// Either way the budget hold of the free slots goes back to the customer (taskBudgetService).
+// The customer can extend a live task or republish an expired one; the customer and executors with
+// pending applications are notified TASK_EXPIRY_REMINDER_HOURS before and at expiry.
+
+export const DEFAULT_TASK_TTL_MS = 24 * 60 * 60 * 1000
+const MAX_TASK_TTL_MS = 30 * 24 * 60 * 60 * 1000
+const HOUR_MS = 60 * 60 * 1000
+const MARKETPLACE_STATUSES = ['open', 'in_progress', 'review', 'dispute']
+
+// Tasks with at least one free executor slot.
+const HAS_FREE_SLOTS = {
+  $expr: { $lt: [{ $size: { $ifNull: ['$assignedExecutorIds', []] } }, { $ifNull: ['$maxExecutors', 1] }] },
+}
+
+let ensureIndexesPromise = null
+async function ensureIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    await db.collection('tasks').createIndex({ status: 1, expiresAt: 1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[taskExpiryService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+function reminderWindowMs() {
+  const raw = Number(process.env.TASK_EXPIRY_REMINDER_HOURS)
+  return (Number.isFinite(raw) && raw > 0 ? raw : 3) * HOUR_MS
+}
+
+/** Marketplace clause: tasks whose expiresAt has not passed (tasks without one never expire). */
+export function notExpiredClause(nowMs = Date.now()) {
+  return { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date(nowMs).toISOString() } }] }
+}
+
+/**
+ * New expiry from { expiresAt } (ISO date) or { hours }; defaults to DEFAULT_TASK_TTL_MS from now.
+ * Returns { ok, expiresAt } (ISO string) or { ok: false, error }.
+ */
+export function normalizeTaskExpiry(body, nowMs = Date.now()) {
+  let ms
+  if (body?.expiresAt != null) {
+    ms = typeof body.expiresAt === 'string' ? Date.parse(body.expiresAt) : NaN
+    if (!Number.isFinite(ms)) return { ok: false, error: 'invalid_expiresAt' }
+  } else if (body?.hours != null) {
+    const hours = typeof body.hours === 'number' ? body.hours : Number(body.hours)
+    if (!Number.isFinite(hours) || hours <= 0) return { ok: false, error: 'invalid_hours' }
+    ms = nowMs + hours * HOUR_MS
+  } else {
+    ms = nowMs + DEFAULT_TASK_TTL_MS
+  }
+  if (ms <= nowMs) return { ok: false, error: 'expiresAt_in_past' }
+  if (ms - nowMs > MAX_TASK_TTL_MS) return { ok: false, error: 'expiresAt_too_far', maxDays: MAX_TASK_TTL_MS / (24 * HOUR_MS) }
+  return { ok: true, expiresAt: new Date(ms).toISOString() }
+}
+
+function titleOf(task) {
+  const t = task?.title
+  const s = (typeof t === 'string' ? t : t?.ru || t?.en || '').trim()
+  return s || 'Без названия'
+}
+
+function toObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(String(id))
+  } catch {
+    return null
+  }
+}
+
+async function resolveMongoIdFromPublicId(db, publicId) {
+  const raw = String(publicId || '').trim()
+  if (!raw) return null
+  const m = raw.match(/^tg_(\d+)$/)
+  if (m) {
+    const u = await db.collection('users').findOne({ telegramUserId: m[1] }, { projection: { _id: 1 } })
+    return u?._id ? String(u._id) : null
+  }
+  return toObjectId(raw) ? raw : null
+}
+
+async function notify(db, userMongoId, text, meta) {
+  if (!userMongoId) return
+  await createNotification({ db, userId: String(userMongoId), text, meta }).catch(() => {})
+}
+
+// Customer and executors whose applications are still pending.
+async function notifyTaskParties(db, task, { customerText, applicantText, type }) {
+  const taskId = String(task._id)
+  const customerMongoId =
+    (typeof task.createdByMongoId === 'string' && task.createdByMongoId) || (await resolveMongoIdFromPublicId(db, task.createdByUserId))
+  await notify(db, customerMongoId, customerText, { type, taskId, expiresAt: task.expiresAt ?? null })
+  const applications = await db
+    .collection('applications')
+    .find({ taskId, status: 'pending' }, { projection: { executorUserId: 1, executorMongoId: 1 } })
+    .limit(500)
+    .toArray()
+  for (const a of applications) {
+    const executorMongoId = a.executorMongoId || (await resolveMongoIdFromPublicId(db, a.executorUserId))
+    await notify(db, executorMongoId, applicantText, { type, taskId, expiresAt: task.expiresAt ?? null })
+  }
+}
+
+/** Reminds about tasks expiring within the reminder window (once per expiry date). */
+export async function sendTaskExpiryReminders(db, { nowMs = Date.now(), limit = 200 } = {}) {
+  await ensureIndexes(db)
+  const tasks = db.collection('tasks')
+  const nowIso = new Date(nowMs).toISOString()
+  const due = await tasks
+    .find({
+      status: { $in: MARKETPLACE_STATUSES },
+      publishedAt: { $ne: null },
+      expiresAt: { $gt: nowIso, $lte: new Date(nowMs + reminderWindowMs()).toISOString() },
+      expiryReminderSentAt: null,
+      ...HAS_FREE_SLOTS,
+    })
+    .limit(limit)
+    .toArray()
+  let sent = 0
+  for (const task of due) {
+    const claimed = await tasks.updateOne({ _id: task._id, expiryReminderSentAt: null }, { $set: { expiryReminderSentAt: new Date(nowMs) } })
+    if (!claimed.modifiedCount) continue
+    const hours = Math.max(1, Math.round((Date.parse(task.expiresAt) - nowMs) / HOUR_MS))
+    await notifyTaskParties(db, task, {
+      type: 'task_expiring',
+      customerText: `Публикация задания «${titleOf(task)}» закончится через ${hours} ч. Продлите её, если ещё ждёте исполнителей.`,
+      applicantText: `Задание «${titleOf(task)}», на которое вы откликнулись, будет снято с публикации через ${hours} ч.`,
+    })
+    sent++
+  }
+  return { sent }
+}
+
+/** Expires published tasks whose expiresAt has passed with free slots; releases their unused budget. */
+export async function expireDueTasks(db, { balanceRepo, nowMs = Date.now(), limit = 200 } = {}) {
+  await ensureIndexes(db)
+  const tasks = db.collection('tasks')
+  const now = new Date(nowMs)
+  const due = await tasks
+    .find({
+      status: { $in: MARKETPLACE_STATUSES },
+      publishedAt: { $ne: null },
+      expiresAt: { $lte: now.toISOString() },
+      ...HAS_FREE_SLOTS,
+    })
+    .sort({ expiresAt: 1 })
+    .limit(limit)
+    .toArray()
+
+  const counts = { expired: 0, slotsClosed: 0, failed: 0 }
+  for (const task of due) {
+    const assigned = Array.isArray(task.assignedExecutorIds) ? task.assignedExecutorIds : []
+    const maxExecutors = typeof task.maxExecutors === 'number' && task.maxExecutors > 0 ? Math.floor(task.maxExecutors) : 1
+    // The claim only succeeds while nobody joined since the read.
+    const claim = assigned.length
+      ? tasks.updateOne(
+          { _id: task._id, status: task.status, assignedExecutorIds: assigned, maxExecutors: task.maxExecutors },
+          { $set: { maxExecutors: assigned.length, expiredSlots: maxExecutors - assigned.length, slotsExpiredAt: now, updatedAt: now } },
+        )
+      : tasks.updateOne(
+          { _id: task._id, status: task.status, ...HAS_FREE_SLOTS, 'assignedExecutorIds.0': { $exists: false } },
+          { $set: { status: 'expired', expiredAt: now, updatedAt: now } },
+        )
+    const claimed = await claim
+    if (!claimed.modifiedCount) continue
+
+    if (task.budgetHold && balanceRepo) {
+      await resyncTaskBudgetHold({ db, balanceRepo, taskId: task._id }).catch((e) => {
+        counts.failed++
+        console.warn('[taskExpiryService] hold release failed', String(task._id), e instanceof Error ? e.message : String(e))
+      })
+    }
+    const budgetNote = task.budgetHold?.status === 'active' ? ' Неиспользованный бюджет возвращён на баланс.' : ''
+    if (assigned.length) {
+      counts.slotsClosed++
+      await notifyTaskParties(db, task, {
+        type: 'task_expired',
+        customerText: `Набор исполнителей на задание «${titleOf(task)}» закрыт: срок публикации истёк.${budgetNote} Свободные места можно открыть снова.`,
+        applicantText: `Набор исполнителей на задание «${titleOf(task)}» закрыт: срок публикации истёк.`,
+      })
+    } else {
+      counts.expired++
+      await notifyTaskParties(db, task, {
+        type: 'task_expired',
+        customerText: `Задание «${titleOf(task)}» снято с публикации: срок истёк.${budgetNote} Его можно опубликовать повторно.`,
+        applicantText: `Задание «${titleOf(task)}», на которое вы откликнулись, снято с публикации: срок истёк.`,
+      })
+    }
+  }
+  return counts
+}
+
+/** Moves the expiry of a live task. Returns { ok } or { ok: false, error }. */
+export async function extendTask(db, { task, expiresAt }) {
+  const status = typeof task.status === 'string' ? task.status : 'draft'
+  if (!task.publishedAt || !MARKETPLACE_STATUSES.includes(status)) return { ok: false, error: 'invalid_status', status }
+  if (task.expiredSlots) return { ok: false, error: 'task_expired' }
+  await db.collection('tasks').updateOne(
+    { _id: task._id, status },
+    { $set: { expiresAt, expiryReminderSentAt: null, updatedAt: new Date() } },
+  )
+  return { ok: true }
+}
+
+/**
+ * Puts an expired task (or the closed slots of a partly filled one) back on the marketplace with a
+ * new expiry, reserving the budget of the reopened slots again.
+ * Returns { ok } or { ok: false, error: 'invalid_status' | 'insufficient_balance', ... }.
+ */
+export async function republishTask(db, { balanceRepo, task, expiresAt }) {
+  const status = typeof task.status === 'string' ? task.status : 'draft'
+  const slots = Number(task.expiredSlots) || 0
+  if (status !== 'expired' && !(slots > 0 && MARKETPLACE_STATUSES.includes(status))) return { ok: false, error: 'invalid_status', status }
+
+  const now = new Date()
+  const assigned = Array.isArray(task.assignedExecutorIds) ? task.assignedExecutorIds.length : 0
+  const set = { expiresAt, republishedAt: now, updatedAt: now, expiryReminderSentAt: null }
+  if (status === 'expired') set.status = 'open'
+  if (slots > 0) set.maxExecutors = assigned + slots
+
+  return await runTransaction(db, async (session) => {
+    if (task.budgetHold) {
+      const hold = await syncTaskBudgetHold({ db, balanceRepo, task: { ...task, ...set }, session })
+      if (!hold.ok) return hold
+    }
+    const res = await db
+      .collection('tasks')
+      .updateOne(
+        { _id: task._id, status },
+        { $set: set, $unset: { expiredAt: '', expiredSlots: '', slotsExpiredAt: '' } },
+        sessionOpts(session),
+      )
+    if (!res.modifiedCount) throw new Error('task_changed')
+    return { ok: true }
+  })
+}
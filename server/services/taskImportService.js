@@ -0,0 +1,280 @@
+import path from 'node:path'
+import zlib from 'node:zlib'
+import { parseCsvRecords } from '../infra/csv.js'
+
+// Bulk task import (POST /api/tasks/import): reads a CSV or XLSX upload into raw create-task bodies,
+// one per data row. Only the file format is handled here; each body then goes through the same
+// normalizers as POST /api/tasks in tasksApi.
+//
+// The first row is the header. Recognized columns (case, spaces, `_`, `-` and brackets are ignored):
+//   title_ru, title_en, title · short_description_ru/_en · description_ru/_en · requirements_ru/_en
+//   budget · currency · max_executors · deliverables ("instagram:2, youtube") · brand (id or name)
+//   reference (URL) · executor_mode · category · location · language · execution_days · due_date
+// Unknown columns are reported and skipped.
+
+export const MAX_IMPORT_ROWS = 500
+export const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024
+// Unpacked XLSX parts: a small upload may inflate to gigabytes (zip bomb).
+const MAX_XLSX_ENTRY_BYTES = 20 * 1024 * 1024
+const MAX_XLSX_TOTAL_BYTES = 50 * 1024 * 1024
+
+const LOCALIZED_FIELDS = ['title', 'shortDescription', 'description', 'requirements']
+const COLUMN_ALIASES = {
+  title: 'title',
+  titleru: 'title.ru',
+  titleen: 'title.en',
+  shortdescription: 'shortDescription',
+  shortdescriptionru: 'shortDescription.ru',
+  shortdescriptionen: 'shortDescription.en',
+  description: 'description',
+  descriptionru: 'description.ru',
+  descriptionen: 'description.en',
+  requirements: 'requirements',
+  requirementsru: 'requirements.ru',
+  requirementsen: 'requirements.en',
+  budget: 'budgetAmount',
+  budgetamount: 'budgetAmount',
+  currency: 'budgetCurrency',
+  budgetcurrency: 'budgetCurrency',
+  maxexecutors: 'maxExecutors',
+  executors: 'maxExecutors',
+  slots: 'maxExecutors',
+  deliverables: 'deliverables',
+  brand: 'brand',
+  brandid: 'brand',
+  brandname: 'brand',
+  reference: 'reference',
+  referenceurl: 'reference',
+  executormode: 'executorMode',
+  category: 'category',
+  location: 'location',
+  language: 'language',
+  executiondays: 'executionDays',
+  duedate: 'dueDate',
+}
+
+function headerKey(v) {
+  return String(v ?? '')
+    .toLowerCase()
+    .replace(/[\s_\-.()[\]]/g, '')
+}
+
+// Minimal ZIP reader (central directory + stored/deflate entries) — enough for XLSX packages.
+function readZipEntries(buf, wanted) {
+  let eocd = -1
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i
+      break
+    }
+  }
+  if (eocd < 0) throw new Error('not_a_zip')
+  const count = buf.readUInt16LE(eocd + 10)
+  let p = buf.readUInt32LE(eocd + 16)
+  const out = new Map()
+  let total = 0
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error('bad_zip_directory')
+    const method = buf.readUInt16LE(p + 10)
+    const compressedSize = buf.readUInt32LE(p + 20)
+    const size = buf.readUInt32LE(p + 24)
+    const nameLen = buf.readUInt16LE(p + 28)
+    const extraLen = buf.readUInt16LE(p + 30)
+    const commentLen = buf.readUInt16LE(p + 32)
+    const localOffset = buf.readUInt32LE(p + 42)
+    const name = buf.toString('utf-8', p + 46, p + 46 + nameLen)
+    p += 46 + nameLen + extraLen + commentLen
+    if (!wanted(name)) continue
+    if (size > MAX_XLSX_ENTRY_BYTES || total + size > MAX_XLSX_TOTAL_BYTES) throw new Error('xlsx_too_large')
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28)
+    const data = buf.subarray(dataStart, dataStart + compressedSize)
+    let content
+    if (method === 0) content = data
+    else if (method === 8) {
+      // The declared size can lie: cap the inflated output itself.
+      const limit = Math.min(MAX_XLSX_ENTRY_BYTES, MAX_XLSX_TOTAL_BYTES - total)
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: limit })
+      } catch (e) {
+        if (e?.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('xlsx_too_large')
+        throw e
+      }
+    } else throw new Error('unsupported_zip_method')
+    total += content.length
+    out.set(name, content.toString('utf-8'))
+  }
+  return out
+}
+
+function xmlText(s) {
+  return s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_m, d) => String.fromCodePoint(Number(d)))
+    .replace(/&#x([0-9a-f]+);/gi, (_m, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&amp;/g, '&')
+}
+
+// Concatenated <t> runs of a shared/inline string (rich text keeps its plain text).
+function stringItemText(xml) {
+  return Array.from(xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g), (m) => xmlText(m[1])).join('')
+}
+
+function columnIndex(ref) {
+  const letters = String(ref).match(/^[A-Z]+/i)?.[0]?.toUpperCase() ?? ''
+  let n = 0
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64)
+  return n - 1
+}
+
+/** Rows of the first worksheet of an XLSX workbook, as arrays of strings. */
+export function parseXlsx(buf) {
+  const files = readZipEntries(
+    buf,
+    (name) => name === 'xl/workbook.xml' || name === 'xl/_rels/workbook.xml.rels' || name === 'xl/sharedStrings.xml' || name.startsWith('xl/worksheets/'),
+  )
+  const workbook = files.get('xl/workbook.xml') ?? ''
+  const rels = files.get('xl/_rels/workbook.xml.rels') ?? ''
+  const firstSheetRel = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1]
+  const relTag = firstSheetRel ? rels.match(new RegExp(`<Relationship\\b[^>]*\\bId="${firstSheetRel}"[^>]*>`))?.[0] : null
+  const target = relTag?.match(/\bTarget="([^"]+)"/)?.[1] ?? null
+  const sheetPath = target ? (target.startsWith('/') ? target.slice(1) : `xl/${target}`) : 'xl/worksheets/sheet1.xml'
+  const sheet = files.get(sheetPath)
+  if (!sheet) throw new Error('sheet_not_found')
+
+  const shared = Array.from((files.get('xl/sharedStrings.xml') ?? '').matchAll(/<si>([\s\S]*?)<\/si>/g), (m) => stringItemText(m[1]))
+  const rows = []
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)) {
+    const rowNumber = Number(rowMatch[1].match(/\br="(\d+)"/)?.[1] ?? rows.length + 1)
+    // The row number comes from the file: r="1048576" would otherwise allocate a million rows.
+    if (rowNumber > MAX_IMPORT_ROWS + 1) throw new Error('too_many_rows')
+    const row = []
+    let next = 0
+    for (const c of rowMatch[2].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = c[1]
+      const ref = attrs.match(/\br="([^"]+)"/)?.[1]
+      const idx = ref ? columnIndex(ref) : next
+      next = idx + 1
+      const type = attrs.match(/\bt="([^"]+)"/)?.[1]
+      const body = c[2] ?? ''
+      const v = body.match(/<v>([\s\S]*?)<\/v>/)?.[1]
+      let value = ''
+      if (type === 's') value = shared[Number(v)] ?? ''
+      else if (type === 'inlineStr') value = stringItemText(body)
+      else if (v != null) value = xmlText(v)
+      row[idx] = value
+    }
+    rows[rowNumber - 1] = Array.from(row, (x) => x ?? '')
+  }
+  return Array.from(rows, (r) => r ?? [])
+}
+
+/**
+ * Upload → rows of strings. Returns { ok, rows } or { ok: false, error: 'unsupported_format' | 'invalid_file' | 'too_many_rows' }.
+ */
+export function readImportTable({ buffer, fileName, mimeType }) {
+  const ext = path.extname(String(fileName || '')).toLowerCase()
+  const isXlsx = ext === '.xlsx' || mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  const isCsv = ext === '.csv' || mimeType === 'text/csv'
+  if (!isXlsx && !isCsv) return { ok: false, error: 'unsupported_format', allowed: ['csv', 'xlsx'] }
+  try {
+    return { ok: true, rows: isXlsx ? parseXlsx(buffer) : parseCsvRecords(buffer.toString('utf-8')) }
+  } catch (e) {
+    if (e instanceof Error && e.message === 'too_many_rows') return { ok: false, error: 'too_many_rows', maxRows: MAX_IMPORT_ROWS }
+    return { ok: false, error: 'invalid_file', reason: e instanceof Error ? e.message : String(e) }
+  }
+}
+
+function parseNumber(raw) {
+  const s = String(raw).replace(/\s/g, '').replace(',', '.')
+  const n = Number(s)
+  return s && Number.isFinite(n) ? n : NaN
+}
+
+// "instagram:2, youtube" or "instagram x2; youtube" → [{ platform, quantity }]; a JSON array is taken as is.
+function parseDeliverables(raw) {
+  const s = String(raw).trim()
+  if (s.startsWith('[')) {
+    try {
+      return JSON.parse(s)
+    } catch {
+      return null
+    }
+  }
+  return s
+    .split(/[,;\n]/)
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .map((x) => {
+      const m = x.match(/^(.+?)\s*(?:[:×x*]\s*(\d+))?$/i)
+      return { platform: (m?.[1] ?? x).trim(), quantity: m?.[2] ? Number(m[2]) : 1 }
+    })
+}
+
+/**
+ * Header + rows → create-task bodies. Each record is { row, body, brand, errors } where `row` is the
+ * spreadsheet row number, `brand` the raw brand cell (id or name, resolved by the caller) and
+ * `errors` the cell-level problems found here ([{ field, error }]).
+ * Returns { ok, records, ignoredColumns } or { ok: false, error }.
+ */
+export function tableToTaskRecords(rows) {
+  const headerIdx = rows.findIndex((r) => r.some((c) => String(c ?? '').trim()))
+  if (headerIdx < 0) return { ok: false, error: 'empty_file' }
+  const header = rows[headerIdx].map((h) => COLUMN_ALIASES[headerKey(h)] ?? null)
+  const ignoredColumns = rows[headerIdx].filter((h, i) => !header[i] && String(h ?? '').trim()).map((h) => String(h).trim())
+  if (!header.some((h) => h === 'title' || h === 'title.ru' || h === 'title.en')) return { ok: false, error: 'missing_title_column' }
+
+  const dataRows = rows
+    .slice(headerIdx + 1)
+    .map((cells, i) => ({ row: headerIdx + i + 2, cells }))
+    .filter((r) => r.cells.some((c) => String(c ?? '').trim()))
+  if (!dataRows.length) return { ok: false, error: 'no_rows' }
+  if (dataRows.length > MAX_IMPORT_ROWS) return { ok: false, error: 'too_many_rows', maxRows: MAX_IMPORT_ROWS }
+
+  const records = dataRows.map(({ row, cells }) => {
+    const values = {}
+    header.forEach((field, i) => {
+      const v = String(cells[i] ?? '').trim()
+      if (field && v) values[field] = v
+    })
+    const body = {}
+    const errors = []
+
+    for (const f of LOCALIZED_FIELDS) {
+      const ru = values[`${f}.ru`] ?? null
+      const en = values[`${f}.en`] ?? null
+      if (ru || en) body[f] = { ru: ru ?? en, en: en ?? ru }
+      else if (values[f]) body[f] = values[f]
+    }
+    if (values.budgetAmount != null) {
+      const n = parseNumber(values.budgetAmount)
+      if (Number.isNaN(n) || n < 0) errors.push({ field: 'budget', error: 'invalid_budget' })
+      else body.budgetAmount = n
+    }
+    if (values.budgetCurrency != null) body.budgetCurrency = values.budgetCurrency
+    if (values.maxExecutors != null) {
+      const n = parseNumber(values.maxExecutors)
+      if (!Number.isInteger(n) || n < 1 || n > 50) errors.push({ field: 'max_executors', error: 'invalid_maxExecutors' })
+      else body.maxExecutors = n
+    }
+    if (values.executionDays != null) {
+      const n = parseNumber(values.executionDays)
+      if (!Number.isInteger(n) || n < 1 || n > 365) errors.push({ field: 'execution_days', error: 'invalid_executionDays' })
+      else body.executionDays = n
+    }
+    if (values.deliverables != null) {
+      const parsed = parseDeliverables(values.deliverables)
+      if (!Array.isArray(parsed)) errors.push({ field: 'deliverables', error: 'invalid_deliverables' })
+      else body.deliverables = parsed
+    }
+    if (values.reference != null) body.reference = { kind: 'url', url: values.reference }
+    for (const f of ['executorMode', 'category', 'location', 'dueDate']) {
+      if (values[f] != null) body[f] = values[f]
+    }
+    if (values.language != null) body.language = values.language.toLowerCase()
+    return { row, body, brand: values.brand ?? null, errors }
+  })
+  return { ok: true, records, ignoredColumns }
+}
@@ -0,0 +1,243 @@
+import mongoose from 'mongoose'
+import { normalizeCurrency } from '../infra/money.js'
+import { EXECUTOR_MODES } from './feeService.js'
+
+// Task list search for GET /api/tasks: filters, full-text search over the localized texts,
+// sorting and keyset (cursor) pagination. The list keeps its array body; the cursor of the next
+// page is returned in the X-Next-Cursor header.
+
+export const TASK_LANGUAGES = ['ru', 'en']
+export const TASK_SORTS = ['newest', 'budget_asc', 'budget_desc', 'deadline']
+export const MAX_TASK_PAGE_SIZE = 200
+// Tasks per query of the language backfill.
+const BACKFILL_BATCH = 500
+
+// Sort field and direction per sort; _id breaks ties. Budget and deadline sorts list only tasks that have the field.
+const SORT_SPECS = {
+  newest: { field: 'createdAt', dir: -1, date: true },
+  budget_asc: { field: 'budgetAmount', dir: 1 },
+  budget_desc: { field: 'budgetAmount', dir: -1 },
+  // expiresAt is the ISO string of the marketplace deadline, so it sorts as text.
+  deadline: { field: 'expiresAt', dir: 1 },
+}
+
+let ensureIndexesPromise = null
+export async function ensureTaskSearchIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    const tasks = db.collection('tasks')
+    await tasks.createIndex({ status: 1, createdAt: -1, _id: -1 })
+    await tasks.createIndex({ status: 1, budgetCurrency: 1, budgetAmount: 1, _id: 1 })
+    await tasks.createIndex({ status: 1, expiresAt: 1, _id: 1 })
+    await tasks.createIndex({ 'deliverables.platform': 1, status: 1, createdAt: -1 })
+    await tasks.createIndex({ executorMode: 1, status: 1, createdAt: -1 })
+    await tasks.createIndex({ brandId: 1, status: 1, createdAt: -1 })
+    await tasks.createIndex({ language: 1, status: 1, createdAt: -1 })
+    await tasks.createIndex({ createdByMongoId: 1, createdAt: -1 })
+    await tasks.createIndex({ assignedExecutorIds: 1 })
+    // One text index per collection. `language` is our own field (ru/en), so the per-document
+    // stemming override is pointed elsewhere: `textLanguage` (russian/english, see textLanguageOf).
+    const weights = {
+      'title.ru': 10,
+      'title.en': 10,
+      'shortDescription.ru': 4,
+      'shortDescription.en': 4,
+      'description.ru': 1,
+      'description.en': 1,
+    }
+    await tasks.createIndex(Object.fromEntries(Object.keys(weights).map((k) => [k, 'text'])), {
+      name: 'tasks_text',
+      default_language: 'russian',
+      language_override: 'textLanguage',
+      weights,
+    })
+    // Tasks created before `language` existed would drop out of language filters; runs in the background.
+    void backfillTaskLanguages(db).catch((e) => {
+      console.warn('[taskSearchService] language backfill failed', e instanceof Error ? e.message : String(e))
+    })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[taskSearchService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+/** Language of a new task: the explicit value, else Cyrillic in the title means Russian. */
+export function detectTaskLanguage(explicit, title) {
+  if (TASK_LANGUAGES.includes(explicit)) return explicit
+  const text = typeof title === 'string' ? title : `${title?.ru ?? ''} ${title?.en ?? ''}`
+  return /[а-яё]/i.test(text) ? 'ru' : 'en'
+}
+
+/** Text index stemming language of a task in `language` (the tasks_text language_override field). */
+export function textLanguageOf(language) {
+  return language === 'en' ? 'english' : 'russian'
+}
+
+/**
+ * Sets `language` (detected from the title) and `textLanguage` on tasks that lack them.
+ * Returns the number of tasks updated.
+ */
+export async function backfillTaskLanguages(db) {
+  const tasks = db.collection('tasks')
+  const filter = { $or: [{ language: { $nin: TASK_LANGUAGES } }, { textLanguage: { $exists: false } }] }
+  let updated = 0
+  let lastId = null
+  for (;;) {
+    const page = await tasks
+      .find(lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter, { projection: { title: 1, language: 1 } })
+      .sort({ _id: 1 })
+      .limit(BACKFILL_BATCH)
+      .toArray()
+    if (!page.length) return updated
+    for (const t of page) {
+      const language = detectTaskLanguage(t.language, t.title)
+      await tasks.updateOne({ _id: t._id }, { $set: { language, textLanguage: textLanguageOf(language) } })
+      updated++
+    }
+    if (page.length < BACKFILL_BATCH) return updated
+    lastId = page[page.length - 1]._id
+  }
+}
+
+function listParam(value) {
+  const raw = Array.isArray(value) ? value.join(',') : typeof value === 'string' ? value : ''
+  return Array.from(new Set(raw.split(',').map((x) => x.trim()).filter(Boolean))).slice(0, 20)
+}
+
+function numberParam(value) {
+  if (value == null || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify({ v: value instanceof Date ? value.getTime() : value ?? null, id: String(id) }), 'utf-8').toString('base64url')
+}
+
+function decodeCursor(cursor, spec) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'))
+    if (!mongoose.isValidObjectId(id)) return null
+    if (spec.date && typeof v !== 'number') return null
+    return { value: spec.date ? new Date(v) : v, _id: new mongoose.Types.ObjectId(id) }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Reads the list query string. Returns { ok, params } or { ok: false, error }.
+ * q, platform (comma list), executorMode (comma list), budgetMin, budgetMax, currency, brandId,
+ * language, minSlotsLeft, sort, cursor, limit.
+ */
+export function parseTaskListParams(query) {
+  const q = typeof query?.q === 'string' ? query.q.trim() : ''
+  if (q.length > 200) return { ok: false, error: 'invalid_q' }
+
+  const platforms = listParam(query?.platform)
+  const executorModes = listParam(query?.executorMode)
+  if (executorModes.some((m) => !EXECUTOR_MODES.includes(m))) return { ok: false, error: 'invalid_executorMode', allowed: EXECUTOR_MODES }
+
+  const budgetMin = numberParam(query?.budgetMin)
+  const budgetMax = numberParam(query?.budgetMax)
+  if (Number.isNaN(budgetMin) || (budgetMin != null && budgetMin < 0)) return { ok: false, error: 'invalid_budgetMin' }
+  if (Number.isNaN(budgetMax) || (budgetMax != null && budgetMax < 0)) return { ok: false, error: 'invalid_budgetMax' }
+  if (budgetMin != null && budgetMax != null && budgetMin > budgetMax) return { ok: false, error: 'invalid_budget_range' }
+
+  let currency = null
+  if (query?.currency) {
+    currency = normalizeCurrency(query.currency)
+    if (!currency) return { ok: false, error: 'invalid_currency' }
+  }
+
+  const brandId = typeof query?.brandId === 'string' && query.brandId.trim() ? query.brandId.trim() : null
+  const language = typeof query?.language === 'string' && query.language.trim() ? query.language.trim().toLowerCase() : null
+  if (language && !TASK_LANGUAGES.includes(language)) return { ok: false, error: 'invalid_language', allowed: TASK_LANGUAGES }
+
+  const minSlotsLeft = numberParam(query?.minSlotsLeft)
+  if (Number.isNaN(minSlotsLeft) || (minSlotsLeft != null && (!Number.isInteger(minSlotsLeft) || minSlotsLeft < 1))) {
+    return { ok: false, error: 'invalid_minSlotsLeft' }
+  }
+
+  const sort = typeof query?.sort === 'string' && query.sort.trim() ? query.sort.trim() : 'newest'
+  if (!TASK_SORTS.includes(sort)) return { ok: false, error: 'invalid_sort', allowed: TASK_SORTS }
+
+  const limitRaw = numberParam(query?.limit)
+  if (Number.isNaN(limitRaw) || (limitRaw != null && limitRaw < 1)) return { ok: false, error: 'invalid_limit' }
+  const limit = Math.min(MAX_TASK_PAGE_SIZE, Math.floor(limitRaw ?? MAX_TASK_PAGE_SIZE))
+
+  const cursorRaw = typeof query?.cursor === 'string' && query.cursor.trim() ? query.cursor.trim() : null
+  const cursor = cursorRaw ? decodeCursor(cursorRaw, SORT_SPECS[sort]) : null
+  if (cursorRaw && !cursor) return { ok: false, error: 'bad_cursor' }
+
+  return {
+    ok: true,
+    params: { q, platforms, executorModes, budgetMin, budgetMax, currency, brandId, language, minSlotsLeft, sort, limit, cursor },
+  }
+}
+
+/** Filter clauses for the parsed params, to be AND-ed with the role's visibility query. */
+export function buildTaskFilters(params) {
+  const and = []
+  if (params.q) {
+    // The query is stemmed like the tasks it should match: the filtered language, else the query's script.
+    const language = params.language ?? (/[а-яё]/i.test(params.q) ? 'ru' : 'en')
+    and.push({ $text: { $search: params.q, $language: textLanguageOf(language) } })
+  }
+  if (params.platforms.length) and.push({ 'deliverables.platform': { $in: params.platforms } })
+  if (params.executorModes.length) and.push({ executorMode: { $in: params.executorModes } })
+  if (params.budgetMin != null || params.budgetMax != null) {
+    const range = {}
+    if (params.budgetMin != null) range.$gte = params.budgetMin
+    if (params.budgetMax != null) range.$lte = params.budgetMax
+    and.push({ budgetAmount: range })
+  }
+  if (params.currency) {
+    // Tasks with a budget but no currency predate multi-currency budgets and are RUB.
+    and.push(
+      params.currency === 'RUB'
+        ? { $or: [{ budgetCurrency: 'RUB' }, { budgetCurrency: null, budgetAmount: { $type: 'number' } }] }
+        : { budgetCurrency: params.currency },
+    )
+  }
+  if (params.brandId) and.push({ brandId: params.brandId })
+  if (params.language) and.push({ language: params.language })
+  if (params.minSlotsLeft != null) {
+    and.push({
+      $expr: {
+        $gte: [{ $subtract: [{ $ifNull: ['$maxExecutors', 1] }, { $size: { $ifNull: ['$assignedExecutorIds', []] } }] }, params.minSlotsLeft],
+      },
+    })
+  }
+
+  const spec = SORT_SPECS[params.sort]
+  if (params.sort !== 'newest') and.push({ [spec.field]: { $type: spec.field === 'budgetAmount' ? 'number' : 'string' } })
+  if (params.cursor) {
+    const op = spec.dir === 1 ? '$gt' : '$lt'
+    and.push({
+      $or: [{ [spec.field]: { [op]: params.cursor.value } }, { [spec.field]: params.cursor.value, _id: { [op]: params.cursor._id } }],
+    })
+  }
+  return and
+}
+
+/**
+ * One page of tasks visible through `baseQuery` that match `params`.
+ * Returns { items, nextCursor }.
+ */
+export async function searchTasks(db, { baseQuery, params }) {
+  await ensureTaskSearchIndexes(db)
+  const and = [baseQuery, ...buildTaskFilters(params)]
+  const spec = SORT_SPECS[params.sort]
+  const items = await db
+    .collection('tasks')
+    .find({ $and: and })
+    .sort({ [spec.field]: spec.dir, _id: spec.dir })
+    .limit(params.limit + 1)
+    .toArray()
+  const hasMore = items.length > params.limit
+  const page = hasMore ? items.slice(0, params.limit) : items
+  const last = page[page.length - 1]
+  return { items: page, nextCursor: hasMore ? encodeCursor(last[spec.field], last._id) : null }
+}
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose'
+
+// Task templates: a customer's saved brief (the content fields of POST /api/tasks) to create tasks
+// from again, optionally filed under one of their brands. Templates hold normalized task fields in
+// `fields`; validation and task creation stay in tasksApi.
+
+export const MAX_TEMPLATES_PER_OWNER = 200
+const MAX_NAME_LENGTH = 120
+
+let ensureIndexesPromise = null
+async function ensureIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    const col = db.collection('taskTemplates')
+    await col.createIndex({ ownerMongoId: 1, updatedAt: -1 })
+    await col.createIndex({ ownerMongoId: 1, brandId: 1, updatedAt: -1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[taskTemplateService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+function toObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(String(id))
+  } catch {
+    return null
+  }
+}
+
+/** Template name: the given one, else the task title. Returns { ok, name } or { ok: false, error }. */
+export function normalizeTemplateName(value, title) {
+  if (value != null && typeof value !== 'string') return { ok: false, error: 'invalid_name' }
+  const name = (typeof value === 'string' ? value.trim() : '') || (title?.ru || title?.en || '').trim()
+  if (!name) return { ok: false, error: 'missing_name' }
+  if (name.length > MAX_NAME_LENGTH) return { ok: false, error: 'name_too_long', maxLength: MAX_NAME_LENGTH }
+  return { ok: true, name }
+}
+
+export function toTaskTemplateDto(doc) {
+  if (!doc) return null
+  return {
+    id: String(doc._id),
+    name: doc.name,
+    brandId: doc.brandId ?? null,
+    fields: doc.fields ?? {},
+    sourceTaskId: doc.sourceTaskId ?? null,
+    usageCount: doc.usageCount ?? 0,
+    lastUsedAt: doc.lastUsedAt ? new Date(doc.lastUsedAt).toISOString() : null,
+    createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+    updatedAt: doc.updatedAt ? new Date(doc.updatedAt).toISOString() : null,
+  }
+}
+
+/** Owner's templates, newest first; `brandId` narrows to one brand ('none' = templates without a brand). */
+export async function listTaskTemplates(db, { ownerMongoId, brandId = null, limit = MAX_TEMPLATES_PER_OWNER }) {
+  await ensureIndexes(db)
+  const query = { ownerMongoId: String(ownerMongoId) }
+  if (brandId === 'none') query.brandId = null
+  else if (brandId) query.brandId = brandId
+  return await db.collection('taskTemplates').find(query).sort({ updatedAt: -1 }).limit(limit).toArray()
+}
+
+export async function findOwnedTaskTemplate(db, { id, ownerMongoId }) {
+  const oid = toObjectId(id)
+  if (!oid) return null
+  return await db.collection('taskTemplates').findOne({ _id: oid, ownerMongoId: String(ownerMongoId) }, { readPreference: 'primary' })
+}
+
+/** Returns { ok, doc } or { ok: false, error: 'template_limit_reached', max }. */
+export async function createTaskTemplate(db, { ownerMongoId, ownerUserId, name, fields, sourceTaskId = null }) {
+  await ensureIndexes(db)
+  const col = db.collection('taskTemplates')
+  const count = await col.countDocuments({ ownerMongoId: String(ownerMongoId) })
+  if (count >= MAX_TEMPLATES_PER_OWNER) return { ok: false, error: 'template_limit_reached', max: MAX_TEMPLATES_PER_OWNER }
+  const now = new Date()
+  const doc = {
+    ownerMongoId: String(ownerMongoId),
+    ownerUserId,
+    name,
+    brandId: fields.brandId ?? null,
+    fields,
+    sourceTaskId,
+    usageCount: 0,
+    lastUsedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  }
+  const ins = await col.insertOne(doc)
+  return { ok: true, doc: { ...doc, _id: ins.insertedId } }
+}
+
+export async function updateTaskTemplate(db, { template, name, fields }) {
+  const set = { name, fields, brandId: fields.brandId ?? null, updatedAt: new Date() }
+  await db.collection('taskTemplates').updateOne({ _id: template._id }, { $set: set })
+  return { ...template, ...set }
+}
+
+export async function deleteTaskTemplate(db, { template }) {
+  const res = await db.collection('taskTemplates').deleteOne({ _id: template._id })
+  return res.deletedCount > 0
+}
+
+export async function markTaskTemplateUsed(db, { template }) {
+  await db.collection('taskTemplates').updateOne({ _id: template._id }, { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } })
+}
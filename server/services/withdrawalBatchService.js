@@ -0,0 +1,378 @@
+import mongoose from 'mongoose'
+import { buildClientBankExchange, encodeWindows1251, parseClientBankExchange } from '../infra/clientBankExchange.js'
+import { parseCsv, toCsv } from '../infra/csv.js'
+import { decryptBankDetails } from './payoutPiiService.js'
+import { applyWithdrawalStatus, toObjectId } from './withdrawalService.js'
+
+// Batch payouts: admins collect `processing` withdrawals into a batch (`draft`), export it as a payment
+// registry for the bank client (1C ClientBankExchange or CSV), mark it `sent`, then import the bank's
+// statement, which moves matched withdrawals to paid/rejected. A batch is `reconciled` once every
+// withdrawal in it is final. Each withdrawal keeps the batch's `paymentNumber` used in the bank file.
+
+export const BATCH_STATUSES = ['draft', 'sent', 'reconciled']
+export const EXPORT_FORMATS = ['1c', 'csv']
+
+let ensureIndexesPromise = null
+export async function ensureWithdrawalBatchIndexes(db) {
+  if (ensureIndexesPromise) return ensureIndexesPromise
+  ensureIndexesPromise = (async () => {
+    await db.collection('withdrawalBatches').createIndex({ number: 1 }, { unique: true })
+    await db.collection('withdrawalBatches').createIndex({ status: 1, createdAt: -1 })
+    await db.collection('withdrawalRequests').createIndex({ batchId: 1 }, { sparse: true })
+    await db.collection('withdrawalRequests').createIndex({ status: 1, createdAt: 1 })
+  })().catch((e) => {
+    ensureIndexesPromise = null
+    console.warn('[withdrawalBatchService] ensureIndexes failed', e instanceof Error ? e.message : String(e))
+  })
+  return ensureIndexesPromise
+}
+
+async function nextSequence(db, name) {
+  const up = await db
+    .collection('counters')
+    .findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { upsert: true, returnDocument: 'after' })
+  const doc = up?.value ?? up
+  return doc.seq
+}
+
+// Platform's own account, the payer in every payment order.
+export function getPayerDetails() {
+  const env = (k) => (process.env[k] ?? '').trim()
+  const payer = {
+    name: env('PAYOUT_PAYER_NAME'),
+    inn: env('PAYOUT_PAYER_INN'),
+    kpp: env('PAYOUT_PAYER_KPP'),
+    account: env('PAYOUT_PAYER_ACCOUNT'),
+    bik: env('PAYOUT_PAYER_BIK'),
+    bankName: env('PAYOUT_PAYER_BANK'),
+    correspondentAccount: env('PAYOUT_PAYER_CORR_ACCOUNT'),
+  }
+  if (!payer.name || !payer.inn || !payer.account || !payer.bik || !payer.bankName) return null
+  return payer
+}
+
+export function toWithdrawalBatchDto(doc) {
+  if (!doc) return null
+  const iso = (d) => (d ? new Date(d).toISOString() : null)
+  return {
+    id: String(doc._id),
+    number: doc.number,
+    status: doc.status,
+    count: doc.count,
+    totalAmount: doc.totalAmount,
+    withdrawalIds: (doc.withdrawalIds ?? []).map(String),
+    createdBy: doc.createdBy ?? null,
+    sentBy: doc.sentBy ?? null,
+    createdAt: iso(doc.createdAt),
+    sentAt: iso(doc.sentAt),
+    reconciledAt: iso(doc.reconciledAt),
+    imports: (doc.imports ?? []).map((x) => ({ ...x, importedAt: iso(x.importedAt) })),
+  }
+}
+
+export async function listWithdrawalBatches(db, { status = null, limit = 100 } = {}) {
+  await ensureWithdrawalBatchIndexes(db)
+  return await db.collection('withdrawalBatches').find(status ? { status } : {}).sort({ createdAt: -1 }).limit(limit).toArray()
+}
+
+export async function findWithdrawalBatch(db, id) {
+  const oid = toObjectId(id)
+  if (!oid) return null
+  return await db.collection('withdrawalBatches').findOne({ _id: oid }, { readPreference: 'primary' })
+}
+
+export async function listBatchWithdrawals(db, batch) {
+  return await db
+    .collection('withdrawalRequests')
+    .find({ batchId: batch._id })
+    .sort({ paymentNumber: 1 })
+    .toArray()
+}
+
+/**
+ * Creates a draft batch from `processing` withdrawals not yet in a batch (all of them, or only
+ * `withdrawalIds`). Returns { ok, batch } or { ok: false, error: 'no_withdrawals' }.
+ */
+export async function createWithdrawalBatch(db, { withdrawalIds = null, createdBy = null } = {}) {
+  await ensureWithdrawalBatchIndexes(db)
+  const withdrawals = db.collection('withdrawalRequests')
+  const batches = db.collection('withdrawalBatches')
+
+  const filter = { status: 'processing', batchId: null }
+  if (Array.isArray(withdrawalIds)) filter._id = { $in: withdrawalIds.map(toObjectId).filter(Boolean) }
+  const candidates = await withdrawals.find(filter).sort({ createdAt: 1 }).limit(1000).toArray()
+  if (!candidates.length) return { ok: false, error: 'no_withdrawals' }
+
+  // The batch exists before withdrawals point to it, so an interrupted run leaves an empty draft, not orphans.
+  const now = new Date()
+  const batchId = new mongoose.Types.ObjectId()
+  await batches.insertOne({
+    _id: batchId,
+    number: await nextSequence(db, 'withdrawal_batch'),
+    status: 'draft',
+    withdrawalIds: [],
+    count: 0,
+    totalAmount: 0,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+  })
+
+  const claimed = []
+  for (const w of candidates) {
+    const paymentNumber = await nextSequence(db, 'withdrawal_payment')
+    const r = await withdrawals.updateOne(
+      { _id: w._id, status: 'processing', batchId: null },
+      { $set: { batchId, paymentNumber, updatedAt: now } },
+    )
+    if (r.modifiedCount) claimed.push(w)
+  }
+  if (!claimed.length) {
+    await batches.deleteOne({ _id: batchId })
+    return { ok: false, error: 'no_withdrawals' }
+  }
+  const totalAmount = claimed.reduce((sum, w) => sum + Number(w.amount || 0), 0)
+  await batches.updateOne(
+    { _id: batchId },
+    { $set: { withdrawalIds: claimed.map((w) => w._id), count: claimed.length, totalAmount, updatedAt: new Date() } },
+  )
+  return { ok: true, batch: await findWithdrawalBatch(db, batchId) }
+}
+
+/** Drops a draft batch; its withdrawals go back to the unbatched `processing` pool. */
+export async function cancelWithdrawalBatch(db, id) {
+  const batch = await findWithdrawalBatch(db, id)
+  if (!batch) return { ok: false, error: 'not_found' }
+  const r = await db.collection('withdrawalBatches').deleteOne({ _id: batch._id, status: 'draft' })
+  if (!r.deletedCount) return { ok: false, error: 'not_draft' }
+  await db
+    .collection('withdrawalRequests')
+    .updateMany({ batchId: batch._id }, { $set: { batchId: null, updatedAt: new Date() }, $unset: { paymentNumber: '' } })
+  return { ok: true }
+}
+
+export async function markWithdrawalBatchSent(db, { id, sentBy = null }) {
+  const batch = await findWithdrawalBatch(db, id)
+  if (!batch) return { ok: false, error: 'not_found' }
+  const now = new Date()
+  const r = await db
+    .collection('withdrawalBatches')
+    .updateOne({ _id: batch._id, status: 'draft' }, { $set: { status: 'sent', sentBy, sentAt: now, updatedAt: now } })
+  if (!r.modifiedCount) return { ok: false, error: 'not_draft' }
+  return { ok: true, batch: await findWithdrawalBatch(db, batch._id) }
+}
+
+function recipientOf(w) {
+  const bd = decryptBankDetails(w.bankDetailsSnapshot) ?? {}
+  return {
+    name: bd.fullName ?? bd.companyName ?? '',
+    inn: bd.inn ?? '',
+    kpp: bd.kpp ?? '',
+    account: bd.accountNumber ?? '',
+    bik: bd.bik ?? '',
+    bankName: bd.bankName ?? '',
+    correspondentAccount: bd.correspondentAccount ?? '',
+  }
+}
+
+function purposeOf(w) {
+  return `Выплата по заявке на вывод ${String(w._id)}. НДС не облагается`
+}
+
+const CSV_COLUMNS = [
+  { key: 'withdrawalId', title: 'ID заявки' },
+  { key: 'paymentNumber', title: 'Номер п/п' },
+  { key: 'amount', title: 'Сумма' },
+  { key: 'name', title: 'Получатель' },
+  { key: 'inn', title: 'ИНН' },
+  { key: 'kpp', title: 'КПП' },
+  { key: 'account', title: 'Счёт' },
+  { key: 'bik', title: 'БИК' },
+  { key: 'bankName', title: 'Банк' },
+  { key: 'correspondentAccount', title: 'Корр. счёт' },
+  { key: 'purpose', title: 'Назначение платежа' },
+  { key: 'status', title: 'Статус' },
+  { key: 'reason', title: 'Причина' },
+]
+
+/**
+ * Registry file for the bank client. The CSV variant doubles as the reply template: the bank (or the
+ * operator) fills `Статус`/`Причина` and the same file is imported back.
+ * Returns { ok, filename, contentType, body } or { ok: false, error: 'payer_not_configured' }.
+ */
+export function buildWithdrawalBatchExport(batch, withdrawals, format) {
+  const date = new Date()
+  if (format === '1c') {
+    const payer = getPayerDetails()
+    if (!payer) return { ok: false, error: 'payer_not_configured' }
+    const text = buildClientBankExchange({
+      payer,
+      sender: payer.name,
+      createdAt: date,
+      payments: withdrawals.map((w) => ({
+        number: w.paymentNumber,
+        date,
+        amount: Number(w.amount),
+        recipient: recipientOf(w),
+        purpose: purposeOf(w),
+      })),
+    })
+    return {
+      ok: true,
+      filename: `payouts-${batch.number}.txt`,
+      contentType: 'text/plain; charset=windows-1251',
+      body: encodeWindows1251(text),
+    }
+  }
+  const rows = withdrawals.map((w) => ({
+    withdrawalId: String(w._id),
+    paymentNumber: w.paymentNumber,
+    amount: Number(w.amount).toFixed(2),
+    ...recipientOf(w),
+    purpose: purposeOf(w),
+    status: '',
+    reason: '',
+  }))
+  return {
+    ok: true,
+    filename: `payouts-${batch.number}.csv`,
+    contentType: 'text/csv; charset=utf-8',
+    body: Buffer.from(toCsv(CSV_COLUMNS, rows), 'utf-8'),
+  }
+}
+
+function parseAmount(v) {
+  const n = Number(String(v ?? '').replace(/\s+/g, '').replace(',', '.'))
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : NaN
+}
+
+function normalizeOutcome(v) {
+  const s = String(v ?? '').trim().toLowerCase()
+  if (['paid', 'исполнен', 'исполнено', 'оплачен', 'оплачено', 'проведен', 'проведено'].includes(s)) return 'paid'
+  if (['rejected', 'отклонен', 'отклонено', 'отказ', 'возврат', 'не исполнен'].includes(s)) return 'rejected'
+  return null
+}
+
+// CSV reply: one row per withdrawal (by `ID заявки`/withdrawalId or `Номер п/п`/paymentNumber).
+function outcomesFromCsv(text, byId, byNumber) {
+  const { rows } = parseCsv(text)
+  const col = (row, ...keys) => keys.map((k) => row[k]).find((v) => v != null && v !== '') ?? ''
+  const outcomes = []
+  const skipped = []
+  for (const row of rows) {
+    const id = col(row, 'withdrawalId', 'ID заявки')
+    const number = col(row, 'paymentNumber', 'Номер п/п')
+    const w = (id && byId.get(id)) || (number && byNumber.get(number)) || null
+    if (!w) {
+      skipped.push({ line: row.line, reason: 'withdrawal_not_in_batch', ref: id || number || null })
+      continue
+    }
+    const status = normalizeOutcome(col(row, 'status', 'Статус'))
+    if (!status) {
+      skipped.push({ line: row.line, reason: 'unknown_status', withdrawalId: String(w._id) })
+      continue
+    }
+    const amount = parseAmount(col(row, 'amount', 'Сумма'))
+    if (Number.isFinite(amount) && amount !== Number(w.amount)) {
+      skipped.push({ line: row.line, reason: 'amount_mismatch', withdrawalId: String(w._id), amount })
+      continue
+    }
+    outcomes.push({ withdrawal: w, status, reason: col(row, 'reason', 'Причина') || null, ref: `line ${row.line}` })
+  }
+  return { outcomes, skipped }
+}
+
+// 1C statement: our outgoing orders debited from the payer account → paid; incoming returns that
+// reference one of our payment numbers → rejected (the bank couldn't credit the recipient).
+function outcomesFromClientBank(parsed, byNumber) {
+  const payerAccount = getPayerDetails()?.account ?? parsed.header['РасчСчет'] ?? null
+  const outcomes = []
+  const skipped = []
+  parsed.documents.forEach((d, idx) => {
+    const amount = parseAmount(d['Сумма'])
+    const outgoing = payerAccount ? d['ПлательщикСчет'] === payerAccount : Boolean(d['ДатаСписано'])
+    if (outgoing) {
+      const w = byNumber.get(String(d['Номер'] ?? '').trim())
+      if (!w) return
+      if (amount !== Number(w.amount) || (d['ПолучательСчет'] && d['ПолучательСчет'] !== recipientOf(w).account)) {
+        skipped.push({ document: idx + 1, reason: 'amount_mismatch', withdrawalId: String(w._id), amount })
+        return
+      }
+      if (!d['ДатаСписано']) return
+      outcomes.push({ withdrawal: w, status: 'paid', reason: null, ref: `п/п ${d['Номер']} от ${d['ДатаСписано']}` })
+      return
+    }
+    const purpose = String(d['НазначениеПлатежа'] ?? '')
+    if (!/возврат/i.test(purpose)) return
+    const w =
+      [...purpose.matchAll(/(?:п\/п|№|поручени\w*)\s*(\d+)/gi)].map((m) => byNumber.get(m[1])).find(Boolean) ??
+      [...byNumber.values()].find((x) => purpose.includes(String(x._id))) ??
+      null
+    if (!w) return
+    if (amount !== Number(w.amount)) {
+      skipped.push({ document: idx + 1, reason: 'amount_mismatch', withdrawalId: String(w._id), amount })
+      return
+    }
+    outcomes.push({ withdrawal: w, status: 'rejected', reason: purpose.slice(0, 500), ref: `возврат ${d['Номер'] ?? ''}`.trim() })
+  })
+  return { outcomes, skipped }
+}
+
+/**
+ * Applies a bank statement (1C ClientBankExchange or the CSV reply) to a sent batch.
+ * A return beats a debit for the same withdrawal. Rejections refund the user like the admin PATCH; a
+ * return of a withdrawal that is already paid marks it `returned` and credits the user back.
+ * Returns { ok, report: { format, applied, skipped }, batch }.
+ */
+export async function importWithdrawalStatement({ db, balanceRepo, id, text, importedBy = null }) {
+  const batch = await findWithdrawalBatch(db, id)
+  if (!batch) return { ok: false, error: 'not_found' }
+  if (batch.status === 'draft') return { ok: false, error: 'batch_not_sent' }
+
+  const withdrawals = await listBatchWithdrawals(db, batch)
+  const byId = new Map(withdrawals.map((w) => [String(w._id), w]))
+  const byNumber = new Map(withdrawals.map((w) => [String(w.paymentNumber), w]))
+
+  const parsed = parseClientBankExchange(text)
+  const format = parsed ? '1c' : 'csv'
+  const { outcomes, skipped } = parsed ? outcomesFromClientBank(parsed, byNumber) : outcomesFromCsv(text, byId, byNumber)
+
+  const finalById = new Map()
+  for (const o of outcomes) {
+    const key = String(o.withdrawal._id)
+    if (finalById.get(key)?.status === 'rejected') continue
+    finalById.set(key, o)
+  }
+
+  const applied = []
+  for (const o of finalById.values()) {
+    const w = o.withdrawal
+    // A return of a payout already marked paid (e.g. in an earlier statement) is a bank return.
+    const status = o.status === 'rejected' && ['paid', 'returned'].includes(w.status) ? 'returned' : o.status
+    if (w.status === status) {
+      skipped.push({ withdrawalId: String(w._id), reason: 'already_applied', status })
+      continue
+    }
+    const extra = { bankReference: o.ref }
+    if (status === 'rejected') extra.rejectReason = o.reason ?? 'bank_rejected'
+    if (status === 'returned') extra.returnReason = o.reason ?? 'bank_returned'
+    const r = await applyWithdrawalStatus({ db, balanceRepo, id: w._id, status, extra })
+    if (!r.ok) skipped.push({ withdrawalId: String(w._id), reason: r.error, status })
+    else applied.push({ withdrawalId: String(w._id), paymentNumber: w.paymentNumber, status })
+  }
+
+  const now = new Date()
+  const open = await db
+    .collection('withdrawalRequests')
+    .countDocuments({ batchId: batch._id, status: { $nin: ['paid', 'returned', 'rejected'] } })
+  const set = { updatedAt: now }
+  if (open === 0) {
+    set.status = 'reconciled'
+    set.reconciledAt = now
+  }
+  await db.collection('withdrawalBatches').updateOne(
+    { _id: batch._id },
+    { $set: set, $push: { imports: { format, applied: applied.length, skipped: skipped.length, importedBy, importedAt: now } } },
+  )
+  return { ok: true, report: { format, applied, skipped }, batch: await findWithdrawalBatch(db, batch._id) }
+}
@@ -0,0 +1,199 @@
+import { userAccount } from './ledgerService.js'
+
+// Withdrawal rules. Every new request (manual or scheduled) is checked against:
+//  - hold: money released from escrow stays on the balance for WITHDRAWAL_HOLD_HOURS (chargebacks, disputes);
+//  - limits: daily / monthly totals per legal status (Moscow calendar day and month);
+//  - velocity: at most WITHDRAWAL_VELOCITY_MAX requests per WITHDRAWAL_VELOCITY_WINDOW_HOURS;
+//  - blocks: open disputes of the user, executorViolations in the last WITHDRAWAL_VIOLATION_LOOKBACK_DAYS.
+// A request that passes but is the user's first one goes to manual review instead of the payout queue.
+// Denials carry a machine-readable `code` plus the numbers the client needs to explain it.
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+const MSK_OFFSET_MS = 3 * HOUR_MS
+
+// Credits that come from completed work (the executor leg of a release, a dispute split or a bonus).
+const HELD_TX_TYPES = ['escrow_release', 'split', 'bonus']
+const OPEN_DISPUTE_STATUSES = ['open', 'in_review', 'need_more_info']
+// Requests that count towards limits and velocity (a rejected request returned its money).
+const COUNTED_STATUSES = ['review', 'pending', 'processing', 'paid']
+
+// Self-employed: 2.4M ₽ a year is the НПД income cap, so 200k a month.
+const DEFAULT_LIMITS = {
+  individual: { daily: 100_000, monthly: 600_000 },
+  self_employed: { daily: 150_000, monthly: 200_000 },
+  legal_entity: { daily: 1_000_000, monthly: 10_000_000 },
+}
+
+function envNumber(name, fallback) {
+  const raw = Number(process.env[name])
+  return Number.isFinite(raw) && raw >= 0 ? raw : fallback
+}
+
+/** Limits per legal status; WITHDRAWAL_LIMITS (JSON of the same shape) overrides single values. */
+export function getWithdrawalLimits() {
+  let override = {}
+  try {
+    override = process.env.WITHDRAWAL_LIMITS ? JSON.parse(process.env.WITHDRAWAL_LIMITS) : {}
+  } catch {
+    console.warn('[withdrawalRulesService] WITHDRAWAL_LIMITS is not valid JSON, using defaults')
+  }
+  const out = {}
+  for (const [status, limits] of Object.entries(DEFAULT_LIMITS)) out[status] = { ...limits, ...(override?.[status] ?? {}) }
+  return out
+}
+
+export function getWithdrawalRulesConfig() {
+  return {
+    holdHours: envNumber('WITHDRAWAL_HOLD_HOURS', 72),
+    velocityMax: envNumber('WITHDRAWAL_VELOCITY_MAX', 3),
+    velocityWindowHours: envNumber('WITHDRAWAL_VELOCITY_WINDOW_HOURS', 24),
+    violationLookbackDays: envNumber('WITHDRAWAL_VIOLATION_LOOKBACK_DAYS', 30),
+    firstWithdrawalReview: process.env.WITHDRAWAL_FIRST_REVIEW !== '0',
+    limits: getWithdrawalLimits(),
+  }
+}
+
+function mskDayStart(nowMs) {
+  const msk = new Date(nowMs + MSK_OFFSET_MS)
+  return new Date(Date.UTC(msk.getUTCFullYear(), msk.getUTCMonth(), msk.getUTCDate()) - MSK_OFFSET_MS)
+}
+
+function mskMonthStart(nowMs) {
+  const msk = new Date(nowMs + MSK_OFFSET_MS)
+  return new Date(Date.UTC(msk.getUTCFullYear(), msk.getUTCMonth(), 1) - MSK_OFFSET_MS)
+}
+
+/**
+ * Escrow payouts received within the hold window. Returns { heldAmount, releases: [{ amount, releaseAt }] }
+ * with the earliest release first.
+ */
+export async function getHeldFunds(db, userId, { nowMs = Date.now(), holdHours = getWithdrawalRulesConfig().holdHours } = {}) {
+  if (!holdHours) return { heldAmount: 0, releases: [] }
+  const holdMs = holdHours * HOUR_MS
+  const list = await db
+    .collection('ledgerEntries')
+    .find(
+      {
+        accountId: userAccount(userId),
+        currency: 'RUB',
+        side: 'credit',
+        type: { $in: HELD_TX_TYPES },
+        createdAt: { $gt: new Date(nowMs - holdMs) },
+      },
+      { projection: { amount: 1, createdAt: 1 } },
+    )
+    .sort({ createdAt: 1 })
+    .toArray()
+  const releases = list.map((e) => ({ amount: e.amount, releaseAt: new Date(new Date(e.createdAt).getTime() + holdMs).toISOString() }))
+  const heldAmount = Math.round(list.reduce((s, e) => s + Number(e.amount || 0), 0) * 100) / 100
+  return { heldAmount, releases }
+}
+
+async function sumWithdrawals(db, userId, since) {
+  const rows = await db
+    .collection('withdrawalRequests')
+    .aggregate([
+      { $match: { userId: String(userId), status: { $in: COUNTED_STATUSES }, createdAt: { $gte: since } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } },
+    ])
+    .toArray()
+  return rows[0]?.total ?? 0
+}
+
+// Disputes and violations store public ids (tg_<id> for Telegram users, otherwise the Mongo id).
+function publicIdsOf(user) {
+  const ids = [String(user._id)]
+  if (user.telegramUserId) ids.push(`tg_${user.telegramUserId}`)
+  return ids
+}
+
+/**
+ * Checks a withdrawal of `amount` RUB for `user` ({ _id, telegramUserId }) with `balance` on the account.
+ * Returns { ok: true, review: null | { reason } } or { ok: false, reason, denials: [{ code, ... }] }.
+ */
+export async function evaluateWithdrawalRules(db, { user, legalStatus, amount, balance, nowMs = Date.now() }) {
+  const cfg = getWithdrawalRulesConfig()
+  const userId = String(user._id)
+  const denials = []
+
+  const held = await getHeldFunds(db, userId, { nowMs, holdHours: cfg.holdHours })
+  const available = Math.max(0, Math.floor(balance - held.heldAmount))
+  if (amount > available) {
+    // Earliest moment when enough held money is released to cover the request.
+    let releaseAt = null
+    let freed = available
+    for (const r of held.releases) {
+      freed += r.amount
+      if (freed >= amount) {
+        releaseAt = r.releaseAt
+        break
+      }
+    }
+    denials.push({ code: 'funds_on_hold', availableAmount: available, heldAmount: held.heldAmount, releaseAt })
+  }
+
+  const limits = cfg.limits[legalStatus] ?? cfg.limits.individual
+  const usedToday = await sumWithdrawals(db, userId, mskDayStart(nowMs))
+  if (usedToday + amount > limits.daily) {
+    denials.push({ code: 'daily_limit_exceeded', limit: limits.daily, used: usedToday, remaining: Math.max(0, limits.daily - usedToday) })
+  }
+  const usedMonth = await sumWithdrawals(db, userId, mskMonthStart(nowMs))
+  if (usedMonth + amount > limits.monthly) {
+    denials.push({
+      code: 'monthly_limit_exceeded',
+      limit: limits.monthly,
+      used: usedMonth,
+      remaining: Math.max(0, limits.monthly - usedMonth),
+    })
+  }
+
+  if (cfg.velocityMax > 0) {
+    const windowStart = new Date(nowMs - cfg.velocityWindowHours * HOUR_MS)
+    const recent = await db
+      .collection('withdrawalRequests')
+      .find({ userId, createdAt: { $gte: windowStart } }, { projection: { createdAt: 1 } })
+      .sort({ createdAt: 1 })
+      .toArray()
+    if (recent.length >= cfg.velocityMax) {
+      const retryAt = new Date(new Date(recent[recent.length - cfg.velocityMax].createdAt).getTime() + cfg.velocityWindowHours * HOUR_MS)
+      denials.push({ code: 'velocity_exceeded', max: cfg.velocityMax, windowHours: cfg.velocityWindowHours, retryAt: retryAt.toISOString() })
+    }
+  }
+
+  const ids = publicIdsOf(user)
+  const disputes = await db
+    .collection('disputes')
+    .find(
+      { status: { $in: OPEN_DISPUTE_STATUSES }, $or: [{ executorId: { $in: ids } }, { customerId: { $in: ids } }] },
+      { projection: { _id: 1 } },
+    )
+    .limit(20)
+    .toArray()
+  if (disputes.length) denials.push({ code: 'open_disputes', disputeIds: disputes.map((d) => String(d._id)) })
+
+  if (cfg.violationLookbackDays > 0) {
+    const violations = await db
+      .collection('executorViolations')
+      .find({ executorId: { $in: ids }, createdAt: { $gte: new Date(nowMs - cfg.violationLookbackDays * DAY_MS) } })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .toArray()
+    if (violations.length) {
+      const blockedUntil = new Date(new Date(violations[0].createdAt).getTime() + cfg.violationLookbackDays * DAY_MS)
+      denials.push({ code: 'recent_violations', count: violations.length, blockedUntil: blockedUntil.toISOString() })
+    }
+  }
+
+  if (denials.length) return { ok: false, reason: denials[0].code, denials }
+
+  let review = null
+  if (cfg.firstWithdrawalReview) {
+    // Until one request has passed review, every new one is reviewed too.
+    const previous = await db
+      .collection('withdrawalRequests')
+      .countDocuments({ userId, status: { $in: ['pending', 'processing', 'paid'] } }, { limit: 1 })
+    if (!previous) review = { reason: 'first_withdrawal' }
+  }
+  return { ok: true, review }
+}
@@ -0,0 +1,284 @@
+import mongoose from 'mongoose'
+import { runTransaction, sessionOpts } from '../infra/mongoTx.js'
+import { EXTERNAL_ACCOUNT, PLATFORM_WITHDRAWALS_ACCOUNT, userAccount } from './ledgerService.js'
+import { cancelNpdReceipt, ensureNpdReceipt, listOverdueReceipts } from './npdReceiptService.js'
+import { decryptBankDetails, encryptBankDetails, maskBankDetails } from './payoutPiiService.js'
+import { validateBankDetails } from './payoutProfileService.js'
+import { evaluateWithdrawalRules } from './withdrawalRulesService.js'
+
+// Withdrawal requests (`withdrawalRequests`): [review →] pending → processing → paid [→ returned] | rejected.
+// `review` holds requests flagged by the withdrawal rules (first withdrawal) until an admin decides.
+// The amount sits on PLATFORM_WITHDRAWALS_ACCOUNT until the request is paid (cleared to the outside
+// world) or rejected (returned to the user). `returned` is a payout the bank sent back after it was
+// paid: the money comes back from the outside world to the user. Used by the admin PATCH and by bank
+// statement imports.
+
+export const WITHDRAWAL_STATUSES = ['review', 'pending', 'processing', 'paid', 'returned', 'rejected']
+export const MIN_WITHDRAWAL_RUB = 5000
+
+export function toObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(String(id))
+  } catch {
+    return null
+  }
+}
+
+export function toAdminWithdrawalDto(d) {
+  if (!d) return null
+  const iso = (x) => (x ? new Date(x).toISOString() : null)
+  return {
+    id: String(d._id),
+    userId: d.userId,
+    amount: d.amount,
+    legalStatus: d.legalStatus,
+    bankDetailsSnapshot: maskBankDetails(d.bankDetailsSnapshot),
+    status: d.status,
+    source: d.source ?? 'manual',
+    batchId: d.batchId ? String(d.batchId) : null,
+    paymentNumber: d.paymentNumber ?? null,
+    rejectReason: d.rejectReason ?? null,
+    returnReason: d.returnReason ?? null,
+    review: d.review ? { ...d.review, decidedAt: iso(d.review.decidedAt) } : null,
+    createdAt: iso(d.createdAt),
+    updatedAt: iso(d.updatedAt),
+    paidAt: iso(d.paidAt),
+    returnedAt: iso(d.returnedAt),
+  }
+}
+
+/**
+ * Moves a withdrawal to `status`, posting the ledger leg for paid/rejected (idempotent per withdrawal).
+ * The transition is claimed on the status that was checked, so of two concurrent decisions (admin
+ * PATCH vs bank statement) only one posts its leg; the other gets 'status_changed'.
+ * `returned` is only reachable from `paid`; it undoes the settlement and credits the user.
+ * `extra` is stored on the request (e.g. rejectReason, returnReason, bankReference).
+ * Returns { ok, doc } or { ok: false, error: 'not_found' | 'already_paid' | 'already_rejected' | 'already_returned'
+ * | 'not_paid' | 'status_changed' | 'ledger_failed' }.
+ */
+export async function applyWithdrawalStatus({ db, balanceRepo, id, status, extra = {} }) {
+  const withdrawals = db.collection('withdrawalRequests')
+  const oid = toObjectId(id)
+  if (!oid) return { ok: false, error: 'not_found' }
+  const doc = await withdrawals.findOne({ _id: oid }, { readPreference: 'primary' })
+  if (!doc) return { ok: false, error: 'not_found' }
+  if (doc.status === 'returned') return { ok: false, error: 'already_returned' }
+  if (status === 'returned' && doc.status !== 'paid') return { ok: false, error: 'not_paid' }
+  if (doc.status === 'paid' && status !== 'paid' && status !== 'returned') return { ok: false, error: 'already_paid' }
+  if (doc.status === 'rejected') return { ok: false, error: 'already_rejected' }
+  if (doc.status === 'review' && status !== 'rejected') return { ok: false, error: 'review_required' }
+
+  const now = new Date()
+  const amount = Number(doc.amount)
+  let leg = null
+  if (balanceRepo && doc.userId && Number.isFinite(amount) && amount > 0) {
+    if (status === 'rejected') {
+      leg = {
+        from: PLATFORM_WITHDRAWALS_ACCOUNT,
+        to: userAccount(doc.userId),
+        amount,
+        type: 'withdrawal_reversal',
+        refs: { withdrawalId: String(oid) },
+        idempotencyKey: `withdrawal_reversal:${String(oid)}`,
+      }
+    } else if (status === 'paid') {
+      // Money left the platform through the bank: clear it from the withdrawals account.
+      leg = {
+        from: PLATFORM_WITHDRAWALS_ACCOUNT,
+        to: EXTERNAL_ACCOUNT,
+        amount,
+        type: 'withdrawal_settled',
+        refs: { withdrawalId: String(oid) },
+        idempotencyKey: `withdrawal_settled:${String(oid)}`,
+      }
+    } else if (status === 'returned') {
+      // The bank sent the payout back: the settled amount comes back from the outside world to the user.
+      leg = {
+        from: EXTERNAL_ACCOUNT,
+        to: userAccount(doc.userId),
+        amount,
+        type: 'withdrawal_returned',
+        refs: { withdrawalId: String(oid) },
+        idempotencyKey: `withdrawal_returned:${String(oid)}`,
+      }
+    }
+  }
+  const set = { ...extra, status, updatedAt: now }
+  if (status === 'paid' && !doc.paidAt) set.paidAt = now
+  if (status === 'returned') set.returnedAt = now
+
+  let ledgerError = null
+  const updated = await runTransaction(db, async (session) => {
+    const up = await withdrawals.findOneAndUpdate(
+      { _id: oid, status: doc.status },
+      { $set: set },
+      sessionOpts(session, { returnDocument: 'after' }),
+    )
+    const claimed = up?.value ?? up
+    if (!claimed || !leg) return claimed
+    try {
+      await balanceRepo.transfer({ ...leg, session })
+    } catch (e) {
+      ledgerError = e
+      if (session) throw e
+      // No transaction: hand the request back so the decision can be retried.
+      const unset = Object.fromEntries(['paidAt', 'returnedAt'].filter((k) => set[k]).map((k) => [k, '']))
+      await withdrawals.updateOne(
+        { _id: oid, status },
+        { $set: { status: doc.status, updatedAt: new Date() }, ...(Object.keys(unset).length ? { $unset: unset } : {}) },
+      )
+      throw e
+    }
+    return claimed
+  }).catch((e) => {
+    if (!ledgerError) throw e
+    // The status change was rolled back (or reverted): report it instead of failing the caller.
+    console.warn('[withdrawalService] ledger leg failed', String(oid), status, e instanceof Error ? e.message : String(e))
+    return { ledgerFailed: true }
+  })
+  if (updated?.ledgerFailed) return { ok: false, error: 'ledger_failed' }
+  if (!updated) return { ok: false, error: 'status_changed' }
+  if (status === 'paid') {
+    await ensureNpdReceipt(db, updated).catch((e) => {
+      console.warn('[withdrawalService] npd receipt not opened', String(oid), e instanceof Error ? e.message : String(e))
+    })
+  } else if (status === 'returned') {
+    await cancelNpdReceipt(db, oid).catch((e) => {
+      console.warn('[withdrawalService] npd receipt not cancelled', String(oid), e instanceof Error ? e.message : String(e))
+    })
+  }
+  return { ok: true, doc: updated }
+}
+
+// Per-user lock (on the user document) around the rule check and the request insert. It expires by
+// itself, so a process that dies holding it blocks the user's withdrawals for WITHDRAWAL_LOCK_MS at most.
+const WITHDRAWAL_LOCK_MS = 30 * 1000
+
+async function lockWithdrawals(db, userOid) {
+  const now = new Date()
+  const until = new Date(now.getTime() + WITHDRAWAL_LOCK_MS)
+  const r = await db
+    .collection('users')
+    .updateOne(
+      { _id: userOid, $or: [{ withdrawalLockUntil: null }, { withdrawalLockUntil: { $lte: now } }] },
+      { $set: { withdrawalLockUntil: until } },
+    )
+  return r.modifiedCount ? until : null
+}
+
+async function unlockWithdrawals(db, userOid, until) {
+  await db.collection('users').updateOne({ _id: userOid, withdrawalLockUntil: until }, { $unset: { withdrawalLockUntil: '' } })
+}
+
+/**
+ * Creates a withdrawal request for a user with a verified payout profile: re-validates the bank
+ * details, refuses while an NPD receipt is overdue, applies the withdrawal rules (denial →
+ * { error: 'withdrawal_denied', reason, denials }) and moves `amount` (RUB) to the withdrawals
+ * clearing account. `source` is 'manual' (POST /api/withdraw) or 'schedule' (auto-payouts).
+ * A concurrent request of the same user → { error: 'withdrawal_in_progress' }.
+ * Returns { ok, doc } or { ok: false, error, ...details }.
+ */
+export async function createWithdrawalRequest({ db, balanceRepo, userId, amount, source = 'manual', scheduleId = null }) {
+  const userOid = toObjectId(userId)
+  if (!userOid) return { ok: false, error: 'bad_user_id' }
+  if (!Number.isFinite(amount) || amount < MIN_WITHDRAWAL_RUB) return { ok: false, error: 'invalid_amount', minAmount: MIN_WITHDRAWAL_RUB }
+  const user = await db.collection('users').findOne({ _id: userOid }, { projection: { payoutProfile: 1, telegramUserId: 1 }, readPreference: 'primary' })
+  const profile = user?.payoutProfile
+  if (!profile || profile.status !== 'verified') return { ok: false, error: 'payout_profile_not_verified' }
+  // Profiles verified before the checksum checks existed may hold details the bank will bounce.
+  const bankCheck = validateBankDetails(profile.legalStatus, decryptBankDetails(profile.bankDetails))
+  if (!bankCheck.ok) return { ok: false, error: 'invalid_bank_details', detail: bankCheck.error, fields: bankCheck.fields ?? null }
+
+  // Self-employed: no new payouts while a чек for an earlier one is overdue.
+  const overdueReceipts = await listOverdueReceipts(db, String(userOid))
+  if (overdueReceipts.length) {
+    return { ok: false, error: 'npd_receipts_overdue', receiptIds: overdueReceipts.map((x) => String(x._id)) }
+  }
+
+  // Limits and velocity are sums over earlier requests: without the lock two concurrent requests
+  // could both pass them.
+  const lockUntil = await lockWithdrawals(db, userOid)
+  if (!lockUntil) return { ok: false, error: 'withdrawal_in_progress' }
+  try {
+    const rounded = Math.round(amount)
+    const balance = await balanceRepo.get(String(userOid))
+    if (balance < rounded) return { ok: false, error: 'insufficient_balance', balance, required: rounded }
+
+    const rules = await evaluateWithdrawalRules(db, { user, legalStatus: profile.legalStatus, amount: rounded, balance })
+    if (!rules.ok) return { ok: false, error: 'withdrawal_denied', reason: rules.reason, denials: rules.denials }
+
+    // Move funds to the withdrawals clearing account and record the request together; the ledger
+    // re-checks the balance atomically. Without transactions a failed insert hands the money back.
+    const withdrawalOid = new mongoose.Types.ObjectId()
+    const refs = { withdrawalId: String(withdrawalOid) }
+    return await runTransaction(db, async (session) => {
+      const tx = await balanceRepo.transfer({
+        from: userAccount(String(userOid)),
+        to: PLATFORM_WITHDRAWALS_ACCOUNT,
+        amount: rounded,
+        type: 'withdrawal',
+        refs,
+        idempotencyKey: `withdrawal:${String(withdrawalOid)}`,
+        requireFunds: true,
+        session,
+      })
+      if (!tx.ok) return { ok: false, error: 'insufficient_balance', balance: tx.balance, required: rounded }
+
+      const now = new Date()
+      const doc = {
+        _id: withdrawalOid,
+        userId: String(userOid),
+        amount: rounded,
+        legalStatus: profile.legalStatus ?? null,
+        bankDetailsSnapshot: encryptBankDetails(bankCheck.bankDetails),
+        status: rules.review ? 'review' : 'pending',
+        review: rules.review ? { reason: rules.review.reason, decision: null, decidedBy: null, decidedAt: null } : null,
+        source,
+        scheduleId,
+        ledgerTxId: tx.txId,
+        createdAt: now,
+        updatedAt: now,
+      }
+      try {
+        await db.collection('withdrawalRequests').insertOne(doc, sessionOpts(session))
+      } catch (e) {
+        if (session) throw e
+        await balanceRepo.transfer({
+          from: PLATFORM_WITHDRAWALS_ACCOUNT,
+          to: userAccount(String(userOid)),
+          amount: rounded,
+          type: 'withdrawal_reversal',
+          refs,
+          idempotencyKey: `withdrawal_reversal:${String(withdrawalOid)}`,
+        })
+        throw e
+      }
+      return { ok: true, doc }
+    })
+  } finally {
+    await unlockWithdrawals(db, userOid, lockUntil).catch(() => {})
+  }
+}
+
+/**
+ * Admin decision on a request held for review: approve → `pending` (joins the payout queue),
+ * reject → `rejected` with the money returned to the user.
+ */
+export async function decideWithdrawalReview({ db, balanceRepo, id, decision, reason = null, adminId }) {
+  if (!['approve', 'reject'].includes(decision)) return { ok: false, error: 'invalid_decision' }
+  if (decision === 'reject' && !reason) return { ok: false, error: 'reason_required' }
+  const oid = toObjectId(id)
+  if (!oid) return { ok: false, error: 'not_found' }
+  const withdrawals = db.collection('withdrawalRequests')
+  const doc = await withdrawals.findOne({ _id: oid }, { readPreference: 'primary' })
+  if (!doc) return { ok: false, error: 'not_found' }
+  if (doc.status !== 'review') return { ok: false, error: 'not_in_review', status: doc.status }
+  const now = new Date()
+  const reviewSet = { 'review.decision': decision, 'review.decidedBy': adminId, 'review.decidedAt': now }
+  if (decision === 'approve') {
+    const r = await withdrawals.updateOne({ _id: oid, status: 'review' }, { $set: { ...reviewSet, status: 'pending', updatedAt: now } })
+    if (!r.modifiedCount) return { ok: false, error: 'not_in_review' }
+    return { ok: true, doc: await withdrawals.findOne({ _id: oid }, { readPreference: 'primary' }) }
+  }
+  return await applyWithdrawalStatus({ db, balanceRepo, id: oid, status: 'rejected', extra: { ...reviewSet, rejectReason: reason } })
+}